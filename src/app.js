@@ -3,6 +3,7 @@ const bodyParser = require('body-parser');
 const dotenv = require('dotenv');
 const path = require('path');
 const routes = require('./routes');
+const { verifySlackSignature, captureRawBody } = require('./middleware');
 
 // Load env vars if not already loaded
 if (!process.env.PORT) {
@@ -12,9 +13,12 @@ if (!process.env.PORT) {
 // Initialize Express app
 const app = express();
 
-// Express middleware
-app.use(bodyParser.urlencoded({ extended: true }));
-app.use(bodyParser.json());
+// Express middleware (raw body is kept for Slack signature verification)
+app.use(bodyParser.urlencoded({ extended: true, verify: captureRawBody }));
+app.use(bodyParser.json({ verify: captureRawBody }));
+
+// Only let requests signed by Slack reach the Slack handlers
+app.post(['/slack/commands', '/slack/actions', '/slack/verify', '/slack/events'], verifySlackSignature);
 
 // Serve static files from public directory
 app.use(express.static(path.join(__dirname, '../public')));
@@ -0,0 +1,110 @@
+const { removeTeamInstallation, scheduleWorkspacePurge } = require('../services/teamService');
+const logger = require('../utils/logger');
+
+/**
+ * Remove a workspace's installation and schedule its data for purge
+ * Once the installation is gone, the workspace's bot token is no longer looked up for any request.
+ * @param {string} teamId - Slack team ID
+ * @param {string} reason - The event that retired the workspace
+ * @returns {Promise<boolean>} Whether the installation was removed and the purge scheduled
+ */
+async function retireWorkspace(teamId, reason) {
+  if (!teamId) {
+    logger.error(`Ignoring ${reason} event without a team ID`);
+    return false;
+  }
+  
+  const removed = await removeTeamInstallation(teamId);
+  
+  if (!removed.success) {
+    logger.error(`Failed to remove installation for team ${teamId}:`, removed.error);
+  }
+  
+  // Schedule the purge even if the removal failed, so the data isn't kept indefinitely
+  const scheduled = await scheduleWorkspacePurge(teamId, reason);
+  
+  if (!scheduled.success) {
+    logger.error(`Failed to schedule purge for team ${teamId}:`, scheduled.error);
+  } else {
+    logger.log(`Team ${teamId} retired (${reason}); data will be purged after ${scheduled.purgeAfter}`);
+  }
+  
+  return removed.success && scheduled.success;
+}
+
+/**
+ * Handle the app being uninstalled from a workspace
+ * @param {Object} context - The event context
+ * @param {string} context.teamId - Slack team ID
+ * @returns {Promise<boolean>} Whether the event was handled
+ */
+async function handleAppUninstalled({ teamId }) {
+  return retireWorkspace(teamId, 'app_uninstalled');
+}
+
+/**
+ * Handle tokens being revoked in a workspace
+ * Only revoked bot tokens matter; the app doesn't store user tokens.
+ * @param {Object} context - The event context
+ * @param {string} context.teamId - Slack team ID
+ * @param {Object} context.event - The `tokens_revoked` event
+ * @returns {Promise<boolean>} Whether the event was handled
+ */
+async function handleTokensRevoked({ teamId, event }) {
+  const botUserIds = event.tokens?.bot || [];
+  
+  if (botUserIds.length === 0) {
+    return false;
+  }
+  
+  return retireWorkspace(teamId, 'tokens_revoked');
+}
+
+// Handlers for the Events API, keyed by event type; other event types are acknowledged and ignored
+const EVENT_HANDLERS = {
+  app_uninstalled: handleAppUninstalled,
+  tokens_revoked: handleTokensRevoked
+};
+
+/**
+ * Handle a request from the Slack Events API
+ * Answers `url_verification` challenges and dispatches `event_callback` events to EVENT_HANDLERS.
+ * Requests reach this handler only after their signature has been verified.
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @returns {Promise<boolean>} Whether an event was handled
+ */
+async function handleSlackEvent(req, res) {
+  const body = req.body || {};
+  
+  if (body.type === 'url_verification') {
+    res.status(200).json({ challenge: body.challenge });
+    return false;
+  }
+  
+  // Slack retries events that aren't acknowledged within 3 seconds, so acknowledge before handling
+  res.status(200).send();
+  
+  if (body.type !== 'event_callback' || !body.event) {
+    return false;
+  }
+  
+  const handler = EVENT_HANDLERS[body.event.type];
+  
+  if (!handler) {
+    logger.log(`Ignoring unhandled event type: ${body.event.type}`);
+    return false;
+  }
+  
+  try {
+    return await handler({ teamId: body.team_id, event: body.event, body });
+  } catch (err) {
+    logger.error(`Error handling ${body.event.type} event:`, err);
+    return false;
+  }
+}
+
+module.exports = {
+  EVENT_HANDLERS,
+  handleSlackEvent
+};
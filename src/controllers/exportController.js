@@ -0,0 +1,127 @@
+const crypto = require('crypto');
+const { getExportData, resolveDateRange } = require('../services/exportService');
+const { EXPORT_FORMATS, formatExportCsv, formatExportJson, getExportFilename } = require('../utils/exportFormatters');
+const { verifyExportToken } = require('../utils/exportLinks');
+const { isValidTenant } = require('../utils/tenant');
+const logger = require('../utils/logger');
+
+/**
+ * Check whether a request carries the admin key as a bearer token
+ * @param {Object} req - Express request object
+ * @returns {boolean} True if the admin key is configured and matches
+ */
+function hasAdminKey(req) {
+  const adminKey = process.env.ADMIN_KEY;
+  const match = (req.get('Authorization') || '').match(/^Bearer\s+(.+)$/i);
+
+  if (!adminKey || !match) {
+    return false;
+  }
+
+  const expected = Buffer.from(adminKey);
+  const actual = Buffer.from(match[1].trim());
+
+  return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+}
+
+/**
+ * Work out what an export request is allowed to download
+ * Download links from `/poker export` carry their filters in a signed token, which always names the
+ * workspace; requests with the admin key choose them with the `team`, `channel`, `from`, `to` and
+ * `format` query parameters, and can export every workspace by leaving out `team`.
+ * @param {Object} req - Express request object
+ * @returns {Object} Result with the filters, or the HTTP status and message to reject the request with
+ */
+function getRequestFilters(req) {
+  if (req.query.token) {
+    const { valid, filters, reason } = verifyExportToken(req.query.token);
+
+    if (!valid) {
+      return { success: false, status: 403, message: reason };
+    }
+
+    const tenant = { teamId: filters.teamId || null, enterpriseId: filters.enterpriseId || null };
+
+    // Links made before exports were scoped to a workspace would export every workspace's sessions
+    if (!isValidTenant(tenant)) {
+      return { success: false, status: 403, message: 'Invalid export link' };
+    }
+
+    return { success: true, filters: { ...filters, tenant } };
+  }
+
+  if (!hasAdminKey(req)) {
+    return { success: false, status: 401, message: 'Send the admin key as a bearer token, or use a link from `/poker export`.' };
+  }
+
+  const { team, channel, from, to, format } = req.query;
+
+  return {
+    success: true,
+    filters: {
+      tenant: team ? { teamId: team, enterpriseId: null } : null,
+      channelId: channel || null,
+      from: from || null,
+      to: to || null,
+      format: (format || 'csv').toLowerCase()
+    }
+  };
+}
+
+/**
+ * Handle GET /export, downloading sessions and their votes as CSV or JSON
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+async function handleExportRequest(req, res) {
+  try {
+    const request = getRequestFilters(req);
+
+    if (!request.success) {
+      return res.status(request.status).json({ error: 'export_denied', message: request.message });
+    }
+
+    const { filters } = request;
+
+    if (!EXPORT_FORMATS[filters.format]) {
+      return res.status(400).json({ error: 'invalid_format', message: `Format must be one of: ${Object.keys(EXPORT_FORMATS).join(', ')}.` });
+    }
+
+    const range = resolveDateRange(filters.from, filters.to);
+
+    if (!range.success) {
+      return res.status(400).json({ error: 'invalid_date_range', message: range.error });
+    }
+
+    const { success, sessions, truncated, error } = await getExportData({
+      tenant: filters.tenant,
+      channelId: filters.channelId,
+      from: range.from,
+      until: range.until
+    });
+
+    if (!success) {
+      logger.error('Error collecting export:', error);
+      return res.status(500).json({ error: 'export_failed', message: 'Could not collect the sessions to export.' });
+    }
+
+    const body = filters.format === 'json' ? formatExportJson(sessions, filters) : formatExportCsv(sessions);
+
+    res.set({
+      'Content-Type': EXPORT_FORMATS[filters.format].contentType,
+      'Content-Disposition': `attachment; filename="${getExportFilename(filters, filters.format)}"`,
+      // Exports hold vote data, so keep them out of shared caches
+      'Cache-Control': 'no-store',
+      'X-Export-Truncated': truncated ? 'true' : 'false'
+    });
+
+    return res.status(200).send(body);
+  } catch (err) {
+    logger.error('Error in handleExportRequest:', err);
+    return res.status(500).json({ error: 'export_failed', message: 'Could not create the export.' });
+  }
+}
+
+module.exports = {
+  handleExportRequest
+};
@@ -1,19 +1,151 @@
 const axios = require('axios');
-const { saveTeamInstallation, getTeamInstallation } = require('../services/teamService');
+const { saveTeamInstallation, getTeamInstallation, cancelWorkspacePurge } = require('../services/teamService');
+const { isTokenExpiring, refreshBotToken } = require('../services/tokenRefreshService');
+const {
+  OAUTH_STATE_COOKIE,
+  OAUTH_STATE_TTL_SECONDS,
+  createOAuthState,
+  verifyOAuthState,
+  getCookie
+} = require('../utils/oauthState');
 const logger = require('../utils/logger');
 
+// Where Slack sends the browser back to, under the path the state cookie is scoped to
+const OAUTH_CALLBACK_PATH = '/slack/oauth/callback';
+
+/**
+ * Escape text for use in HTML
+ * @param {*} value - The text
+ * @returns {string} The escaped text
+ */
+function escapeHtml(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+/**
+ * Render an install flow page
+ * @param {Object} page - Page content
+ * @param {string} page.title - The page title
+ * @param {string} page.icon - The emoji shown above the heading
+ * @param {string} page.iconClass - CSS class of the icon
+ * @param {string} page.heading - The heading text
+ * @param {string} page.content - HTML shown below the heading
+ * @returns {string} The HTML page
+ */
+function renderPage({ title, icon, iconClass, heading, content }) {
+  return `
+    <!DOCTYPE html>
+    <html>
+    <head>
+      <title>${escapeHtml(title)}</title>
+      <style>
+        body { 
+          font-family: Arial, sans-serif; 
+          text-align: center; 
+          padding: 50px;
+          background-color: #f8f9fa;
+        }
+        .container {
+          max-width: 600px;
+          margin: 0 auto;
+          background: white;
+          padding: 40px;
+          border-radius: 8px;
+          box-shadow: 0 2px 10px rgba(0,0,0,0.1);
+        }
+        .success-icon { font-size: 48px; color: #28a745; margin-bottom: 20px; }
+        .error-icon { font-size: 48px; color: #dc3545; margin-bottom: 20px; }
+        h1 { color: #333; margin-bottom: 20px; }
+        p { color: #666; line-height: 1.6; margin-bottom: 15px; }
+        .commands { 
+          background: #f8f9fa; 
+          padding: 20px; 
+          border-radius: 4px; 
+          margin: 20px 0;
+          text-align: left;
+        }
+        code { 
+          background: #e9ecef; 
+          padding: 2px 6px; 
+          border-radius: 3px; 
+          font-family: monospace;
+        }
+        .button {
+          display: inline-block;
+          background: #4a154b;
+          color: white;
+          padding: 10px 20px;
+          border-radius: 4px;
+          text-decoration: none;
+        }
+      </style>
+    </head>
+    <body>
+      <div class="container">
+        <div class="${iconClass}">${icon}</div>
+        <h1>${escapeHtml(heading)}</h1>
+        ${content}
+      </div>
+    </body>
+    </html>
+  `;
+}
+
+/**
+ * Send an error page for a failed install
+ * @param {Object} res - Express response object
+ * @param {number} status - HTTP status code
+ * @param {string} heading - What went wrong
+ * @param {string} message - What the user can do about it
+ */
+function sendErrorPage(res, status, heading, message) {
+  res.status(status).send(renderPage({
+    title: 'Planning Poker - Installation Failed',
+    icon: '⚠️',
+    iconClass: 'error-icon',
+    heading,
+    content: `
+        <p>${escapeHtml(message)}</p>
+        <p><a class="button" href="/slack/install">Try again</a></p>
+    `
+  }));
+}
+
 /**
  * Initiate OAuth flow - redirect user to Slack authorization
+ * The signed state in the authorize URL is bound to this browser by a cookie, so the callback
+ * only completes installs this browser started.
  */
 async function initiateOAuth(req, res) {
   const clientId = process.env.SLACK_CLIENT_ID;
-  const redirectUri = `${process.env.BASE_URL}/slack/oauth/callback`;
-  const scopes = 'commands,chat:write,reactions:write,channels:read,groups:read,im:read,mpim:read';
+  const redirectUri = `${process.env.BASE_URL}${OAUTH_CALLBACK_PATH}`;
+  const scopes = 'commands,chat:write,reactions:write,users:read,channels:read,groups:read,im:read,mpim:read';
+  const oauthState = createOAuthState();
+  
+  if (!oauthState) {
+    logger.error('Cannot start OAuth: SLACK_CLIENT_SECRET is not set');
+    return sendErrorPage(res, 500, 'Installation is not available', 'This server is not set up for installs yet.');
+  }
+  
+  res.cookie(OAUTH_STATE_COOKIE, oauthState.nonce, {
+    httpOnly: true,
+    // Lax still sends the cookie on Slack's top-level redirect back to the callback
+    sameSite: 'lax',
+    secure: (process.env.BASE_URL || '').startsWith('https://'),
+    path: OAUTH_CALLBACK_PATH,
+    maxAge: OAUTH_STATE_TTL_SECONDS * 1000
+  });
   
   const authUrl = `https://slack.com/oauth/v2/authorize?` +
     `client_id=${clientId}&` +
     `scope=${encodeURIComponent(scopes)}&` +
-    `redirect_uri=${encodeURIComponent(redirectUri)}`;
+    `redirect_uri=${encodeURIComponent(redirectUri)}&` +
+    `state=${encodeURIComponent(oauthState.state)}`;
   
   res.redirect(authUrl);
 }
@@ -22,15 +154,35 @@ async function initiateOAuth(req, res) {
  * Handle OAuth callback from Slack
  */
 async function handleOAuthCallback(req, res) {
-  const { code, error } = req.query;
+  const { code, error, state } = req.query;
+  
+  // The state is single use, whatever the outcome
+  res.clearCookie(OAUTH_STATE_COOKIE, { path: OAUTH_CALLBACK_PATH });
   
   if (error) {
     logger.error('OAuth error:', error);
-    return res.status(400).send(`OAuth Error: ${error}`);
+    
+    if (error === 'access_denied') {
+      return sendErrorPage(res, 400, 'Installation cancelled', 'Planning Poker was not added to your workspace.');
+    }
+    
+    return sendErrorPage(res, 400, 'Slack could not complete the installation', `Slack returned the error "${error}".`);
   }
   
   if (!code) {
-    return res.status(400).send('Missing authorization code');
+    return sendErrorPage(res, 400, 'Missing authorization code', 'Start the installation from the install link.');
+  }
+  
+  const stateCheck = verifyOAuthState(state, getCookie(req, OAUTH_STATE_COOKIE));
+  
+  if (!stateCheck.valid) {
+    logger.error('OAuth state rejected:', stateCheck.reason);
+    
+    const message = stateCheck.reason === 'expired'
+      ? 'The installation took too long to complete.'
+      : 'The installation must be finished in the same browser it was started in.';
+    
+    return sendErrorPage(res, 403, 'This installation link is no longer valid', `${message} Start again to install Planning Poker.`);
   }
   
   try {
@@ -39,7 +191,7 @@ async function handleOAuthCallback(req, res) {
       client_id: process.env.SLACK_CLIENT_ID,
       client_secret: process.env.SLACK_CLIENT_SECRET,
       code: code,
-      redirect_uri: `${process.env.BASE_URL}/slack/oauth/callback`
+      redirect_uri: `${process.env.BASE_URL}${OAUTH_CALLBACK_PATH}`
     });
     
     const tokenResponse = await axios.post('https://slack.com/api/oauth.v2.access', params, {
@@ -52,7 +204,7 @@ async function handleOAuthCallback(req, res) {
     
     if (!data.ok) {
       logger.error('Token exchange failed:', data.error);
-      return res.status(400).send(`Token exchange failed: ${data.error}`);
+      return sendErrorPage(res, 400, 'Token exchange failed', `Slack returned the error "${data.error}".`);
     }
     
     // Extract installation data
@@ -60,6 +212,9 @@ async function handleOAuthCallback(req, res) {
       team_id: data.team.id,
       team_name: data.team.name,
       bot_token: data.access_token,
+      // Only set when token rotation is enabled for the app
+      refresh_token: data.refresh_token || null,
+      token_expires_at: data.expires_in ? new Date(Date.now() + data.expires_in * 1000).toISOString() : null,
       bot_user_id: data.bot_user_id,
       scope: data.scope,
       installed_at: new Date().toISOString(),
@@ -72,15 +227,22 @@ async function handleOAuthCallback(req, res) {
     
     if (!saveResult.success) {
       logger.error('Failed to save installation:', saveResult.error);
-      return res.status(500).send('Failed to save installation');
+      return sendErrorPage(res, 500, 'Failed to save installation', 'Something went wrong on our side.');
+    }
+    
+    // A reinstall within the grace period keeps the workspace's data
+    const cancelResult = await cancelWorkspacePurge(installation.team_id);
+    
+    if (!cancelResult.success) {
+      logger.error('Failed to cancel workspace purge:', cancelResult.error);
+      // Non-critical error, continue
     }
     
     // Redirect to success page
     res.redirect('/slack/oauth/success');
-    
   } catch (error) {
     logger.error('OAuth callback error:', error);
-    res.status(500).send('Internal server error during OAuth');
+    sendErrorPage(res, 500, 'Internal server error during OAuth', 'Something went wrong on our side.');
   }
 }
 
@@ -88,48 +250,12 @@ async function handleOAuthCallback(req, res) {
  * OAuth success page
  */
 async function oauthSuccess(req, res) {
-  res.send(`
-    <!DOCTYPE html>
-    <html>
-    <head>
-      <title>Planning Poker - Installation Success</title>
-      <style>
-        body { 
-          font-family: Arial, sans-serif; 
-          text-align: center; 
-          padding: 50px;
-          background-color: #f8f9fa;
-        }
-        .container {
-          max-width: 600px;
-          margin: 0 auto;
-          background: white;
-          padding: 40px;
-          border-radius: 8px;
-          box-shadow: 0 2px 10px rgba(0,0,0,0.1);
-        }
-        .success-icon { font-size: 48px; color: #28a745; margin-bottom: 20px; }
-        h1 { color: #333; margin-bottom: 20px; }
-        p { color: #666; line-height: 1.6; margin-bottom: 15px; }
-        .commands { 
-          background: #f8f9fa; 
-          padding: 20px; 
-          border-radius: 4px; 
-          margin: 20px 0;
-          text-align: left;
-        }
-        code { 
-          background: #e9ecef; 
-          padding: 2px 6px; 
-          border-radius: 3px; 
-          font-family: monospace;
-        }
-      </style>
-    </head>
-    <body>
-      <div class="container">
-        <div class="success-icon">🎉</div>
-        <h1>Planning Poker Installed Successfully!</h1>
+  res.send(renderPage({
+    title: 'Planning Poker - Installation Success',
+    icon: '🎉',
+    iconClass: 'success-icon',
+    heading: 'Planning Poker Installed Successfully!',
+    content: `
         <p>Great! Planning Poker has been installed to your Slack workspace.</p>
         
         <div class="commands">
@@ -140,18 +266,32 @@ async function oauthSuccess(req, res) {
         
         <p>You can now use Planning Poker in any channel where the bot has been invited.</p>
         <p>Happy estimating! 🎯</p>
-      </div>
-    </body>
-    </html>
-  `);
+    `
+  }));
 }
 
 /**
  * Get bot token for a specific team
+ * Rotating tokens that are about to expire are refreshed first.
  */
 async function getBotTokenForTeam(teamId) {
-  const installation = await getTeamInstallation(teamId);
-  return installation?.success ? installation.installation.bot_token : null;
+  const result = await getTeamInstallation(teamId);
+  
+  // Uninstalled workspaces have no installation, so their revoked token is never used again
+  if (!result?.success || !result.installation) {
+    return null;
+  }
+  
+  const { installation } = result;
+  
+  if (!isTokenExpiring(installation)) {
+    return installation.bot_token;
+  }
+  
+  const refreshed = await refreshBotToken(installation);
+  
+  // If the refresh failed, the current token may still be good until it expires
+  return refreshed.success ? refreshed.botToken : installation.bot_token;
 }
 
 module.exports = {
@@ -1,159 +1,1804 @@
 const { 
   createSession, 
-  getLatestSessionForChannel 
+  getLatestSessionForChannel,
+  listOpenSessionsForChannel,
+  listSessionsForChannel,
+  getSessionById,
+  setSessionMessage,
+  revealSession,
+  startNewRound,
+  closeSession,
+  setFinalEstimate
 } = require('../services/sessionService');
 
 const { 
   saveVote, 
   getSessionVotes,
-  hasUserVoted 
+  hasUserVoted
 } = require('../services/voteService');
 
+const {
+  saveCustomDeck,
+  deleteCustomDeck,
+  getDeck,
+  listDecks,
+  setChannelDefaultDeck,
+  getChannelDeck
+} = require('../services/deckService');
+
+const {
+  QUEUE_STATUS,
+  createQueue,
+  getQueueById,
+  getActiveQueueForChannel,
+  updateQueue,
+  cancelQueue
+} = require('../services/queueService');
+
+const { resolveDateRange } = require('../services/exportService');
+
 const { 
   addReaction, 
   sendDelayedResponse,
+  postMessage,
+  updateMessage,
+  openView,
+  getUserAvatar,
+  isWorkspaceAdmin,
   createPokerSessionMessage,
-  formatPokerResults
+  createNextIssueModal,
+  createQueueModal,
+  formatPokerResults,
+  formatFinalEstimateConfirmation,
+  formatQueueSummary,
+  formatSessionList,
+  formatSessionHistory,
+  formatCancelledSession,
+  formatDeckList,
+  formatHelp,
+  formatExportLink
 } = require('../utils');
+const {
+  SESSION_ACTIONS,
+  HISTORY_ACTIONS,
+  NEXT_ISSUE_CALLBACK_ID,
+  QUEUE_CALLBACK_ID,
+  THREAD_SESSION_CALLBACK_ID
+} = require('../utils/responseFormatters');
+
+const {
+  getBuiltInDeck,
+  getSessionDeck,
+  isAcceptableEstimate,
+  isValidVote,
+  isValidDeckName,
+  parseDeckValues,
+  normalizeCardValue,
+  formatVoteValue
+} = require('../utils/decks');
+const { parseKeyValueArgs, redactSecrets, parseQueueItems, parseCommand, parseDuration } = require('../utils/commandParser');
+const { calculateVoteStatistics } = require('../utils/statistics');
+const { getCommandTenant, getPayloadTenant, getRowTenant, isValidTenant } = require('../utils/tenant');
+const { EXPORT_FORMATS } = require('../utils/exportFormatters');
+const { EXPORT_LINK_TTL_SECONDS, createExportToken, buildExportUrl } = require('../utils/exportLinks');
+const {
+  SESSION_STATUS,
+  getSessionStatus,
+  getSessionRound,
+  groupVotesByRound,
+  getQueueProgress
+} = require('../utils/sessionStatus');
+
+const {
+  saveIntegration,
+  getIntegration,
+  listIntegrations,
+  deleteIntegration
+} = require('../services/integrationService');
+const { getTeamInstallation } = require('../services/teamService');
+const {
+  getProvider,
+  listProviderNames,
+  applyConfigUpdates,
+  describeConfig,
+  fetchIssuePreview,
+  linkIssueText,
+  syncFinalEstimate
+} = require('../integrations');
+
+const { getBotTokenForTeam } = require('./oauthController');
+const logger = require('../utils/logger');
+const axios = require('axios'); // Added axios import
+
+// Reactions marking the start and end of a session on the session message
+const SESSION_STARTED_REACTION = 'black_joker';
+const SESSION_REVEALED_REACTION = 'checkered_flag';
+
+// Longest backlog a channel can queue at once
+const MAX_QUEUE_ITEMS = 50;
+
+// Flags read from the start of `/poker` text, before a subcommand's arguments or the issue
+const POKER_FLAGS = ['deck', 'timer'];
+
+// Longest `--timer` allowed; timers run in this process, so they're kept short
+const MAX_TIMER_SECONDS = 60 * 60;
+
+// Sessions per page of `/poker history`, unless another number is asked for
+const DEFAULT_HISTORY_PAGE_SIZE = 10;
+
+// Most sessions a page of `/poker history` can list
+const MAX_HISTORY_SESSIONS = 25;
+
+// Longest `/poker history` search; it's carried in the page buttons, whose values Slack limits
+const MAX_HISTORY_SEARCH_LENGTH = 100;
+
+/**
+ * Get bot token for the current workspace
+ * @param {string} teamId - Slack team ID
+ * @returns {Promise<string>} Bot token for the workspace
+ */
+async function getBotToken(teamId) {
+  if (!teamId) {
+    return process.env.SLACK_BOT_TOKEN; // Fallback to default token
+  }
+  
+  const workspaceToken = await getBotTokenForTeam(teamId);
+  return workspaceToken || process.env.SLACK_BOT_TOKEN; // Fallback if not found
+}
+
+/**
+ * Handle the /poker slash command
+ * The first word picks a subcommand (see POKER_SUBCOMMANDS); any other text is an issue to estimate.
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+async function handlePokerCommand(req, res) {
+  try {
+    // Tracker credentials can be typed into `/poker config`, so keep them out of the logs
+    logger.log('Received poker command:', JSON.stringify({ ...req.body, text: redactSecrets(req.body.text) }));
+    
+    const { text, response_url, team_id } = req.body;
+    
+    // Get workspace-specific bot token
+    const botToken = await getBotToken(team_id);
+    
+    // Acknowledge receipt immediately
+    res.status(200).send();
+    
+    const { subcommand, args, rest, flags } = parseCommand(text, Object.keys(POKER_SUBCOMMANDS), POKER_FLAGS);
+    const handler = subcommand ? POKER_SUBCOMMANDS[subcommand] : handleStartCommand;
+    
+    return await handler({
+      body: req.body,
+      args,
+      rest,
+      flags,
+      botToken,
+      reply: message => sendDelayedResponse(response_url, { 
+        response_type: "ephemeral",
+        text: message 
+      }),
+      replyWithHelp: (topic, error) => sendDelayedResponse(response_url, formatHelp(topic, error))
+    });
+  } catch (err) {
+    logger.error('Error in handlePokerCommand:', err);
+    
+    // If we have a response_url, use it to send an error message
+    if (req.body && req.body.response_url) {
+      return sendDelayedResponse(req.body.response_url, { 
+        response_type: "ephemeral",
+        text: "Sorry, there was an error processing your command. Please try again." 
+      });
+    }
+    
+    return false;
+  }
+}
+
+/**
+ * Handle `/poker [issue]`, starting a session on the issue
+ * @param {Object} command - The parsed command (see handlePokerCommand)
+ * @returns {Promise<boolean>} Whether the response was delivered
+ */
+async function handleStartCommand({ body, rest: issue, flags, botToken, reply, replyWithHelp }) {
+  const { user_id, channel_id, response_url, team_id, thread_ts } = body;
+  
+  if (!issue) {
+    return replyWithHelp('start', "Please provide an issue description or link.");
+  }
+  
+  const timerSeconds = flags.timer ? parseDuration(flags.timer) : null;
+  
+  if (flags.timer && !(timerSeconds > 0 && timerSeconds <= MAX_TIMER_SECONDS)) {
+    return replyWithHelp('start', `\`--timer ${flags.timer}\` isn't a duration between 1 second and ${MAX_TIMER_SECONDS / 60} minutes, like \`90s\` or \`5m\`.`);
+  }
+  
+  const deckResult = await resolveDeck(team_id, channel_id, flags.deck);
+  
+  if (!deckResult.deck) {
+    return reply(`Error: Unknown deck \`${flags.deck}\`. Type \`/poker deck list\` to see the available decks.`);
+  }
+  
+  const started = await startSession({
+    tenant: getCommandTenant(body),
+    channelId: channel_id,
+    userId: user_id,
+    issue,
+    deck: deckResult.deck,
+    botToken,
+    responseUrl: response_url,
+    // Slack includes the thread when the command is typed in one
+    threadTs: thread_ts || null,
+    timerSeconds
+  });
+  
+  if (!started.success) {
+    return reply(started.error);
+  }
+  
+  return true;
+}
+
+/**
+ * Handle `/poker help [command]`
+ * @param {Object} command - The parsed command (see handlePokerCommand)
+ * @returns {Promise<boolean>} Whether the response was delivered
+ */
+async function handleHelpCommand({ args, replyWithHelp }) {
+  const topic = (args[0] || '').toLowerCase();
+  
+  if (topic && !POKER_SUBCOMMANDS[topic]) {
+    return replyWithHelp(null, `\`${args[0]}\` isn't a command. Here's everything \`/poker\` can do:`);
+  }
+  
+  return replyWithHelp(topic || null);
+}
+
+/**
+ * Get the deck to vote with: the one requested with `--deck`, or the channel's default deck
+ * @param {string} teamId - Slack team ID
+ * @param {string} channelId - The channel ID
+ * @param {string|null} deckName - The requested deck name, if any
+ * @returns {Promise<Object>} Result with the deck, which is null if the requested deck doesn't exist
+ */
+async function resolveDeck(teamId, channelId, deckName) {
+  return deckName
+    ? getDeck(teamId, deckName.toLowerCase())
+    : getChannelDeck(teamId, channelId);
+}
+
+/**
+ * Start a new session in a channel and post its voting message
+ * The channel's previous session is closed so its buttons stop taking votes.
+ * A session started in a thread only replaces the previous session in that thread.
+ * @param {Object} params - Session details
+ * @param {Object} params.tenant - The workspace the session belongs to; its team ID is used to look up tracker issues
+ * @param {string} params.channelId - The channel ID
+ * @param {string} params.userId - The user starting the session
+ * @param {string} params.issue - The issue text; a bare tracker key is replaced with a link to the issue
+ * @param {Object} params.deck - The deck to vote with
+ * @param {string} params.botToken - Bot token for the workspace
+ * @param {string} params.responseUrl - Optional response_url to fall back to if the bot can't post
+ * @param {Object} params.queue - The backlog queue the issue comes from (ID, 1-based position and size)
+ * @param {string} params.threadTs - The ts of the thread's parent message, to run the session in a thread
+ * @param {number} params.timerSeconds - Reveal the votes automatically after this many seconds
+ * @returns {Promise<Object>} Result with the session ID, or an error message for the user
+ */
+async function startSession({ tenant, channelId, userId, issue: typedIssue, deck, botToken, responseUrl = null, queue = null, threadTs = null, timerSeconds = null }) {
+  // The new session replaces the channel's (or thread's) previous one, so stop that one taking votes
+  const { session: previousSession } = await getLatestSessionForChannel(tenant, channelId, threadTs);
+  
+  if (previousSession && getSessionStatus(previousSession) !== SESSION_STATUS.CLOSED) {
+    const closed = await closeSession(tenant, previousSession.id);
+    
+    if (!closed.success) {
+      logger.log('Could not close previous session:', closed.error);
+    }
+  }
+  
+  // Look up the issue so voters can see what they're estimating (time-boxed, so this can't stall Slack)
+  const preview = await fetchIssuePreview(tenant.teamId, typedIssue);
+  const issue = linkIssueText(typedIssue, preview);
+  const timerEndsAt = timerSeconds ? new Date(Date.now() + timerSeconds * 1000).toISOString() : null;
+  
+  // Create a new session
+  const { success, sessionId, error } = await createSession(tenant, channelId, issue, { deck, userId, issuePreview: preview, queue, threadTs, timerEndsAt });
+  
+  if (!success) {
+    logger.error('Error creating session:', error);
+    return { success: false, error: "Error: Could not create a new planning poker session." };
+  }
+  
+  // Post the session through the Web API so we know the message ts
+  const message = createPokerSessionMessage(userId, issue, sessionId, deck, { voters: [], preview, queue, timerEndsAt });
+  const posted = await postMessage(channelId, threadTs ? { ...message, thread_ts: threadTs } : message, botToken);
+  
+  if (!posted.success) {
+    if (!responseUrl) {
+      logger.error('Error posting session message:', posted.error);
+      return { success: false, sessionId, error: "Error: Could not post the planning poker session to this channel." };
+    }
+    
+    // The bot may not be able to post here (e.g. not invited), so fall back to response_url
+    logger.log('Falling back to response_url for session message:', posted.error);
+    await sendDelayedResponse(responseUrl, message);
+    scheduleAutoReveal(tenant, sessionId, timerSeconds, botToken);
+    return { success: true, sessionId };
+  }
+  
+  await setSessionMessage(tenant, sessionId, posted.channel, posted.ts);
+  
+  // Add reaction to indicate session started (using workspace-specific token)
+  await addReaction(posted.channel, posted.ts, SESSION_STARTED_REACTION, botToken);
+  scheduleAutoReveal(tenant, sessionId, timerSeconds, botToken);
+  
+  return { success: true, sessionId };
+}
+
+/**
+ * Reveal a session's votes when its `--timer` runs out
+ * The timer lives in this process, so it's lost if the server restarts before it fires.
+ * Sessions that were revealed, re-voted or closed in the meantime are left alone.
+ * @param {Object} tenant - The workspace the session belongs to
+ * @param {string} sessionId - The session ID
+ * @param {number|null} timerSeconds - Seconds until the reveal, or null for no timer
+ * @param {string} botToken - Bot token for the workspace
+ */
+function scheduleAutoReveal(tenant, sessionId, timerSeconds, botToken) {
+  if (!timerSeconds) {
+    return;
+  }
+  
+  const timer = setTimeout(async () => {
+    try {
+      const { session } = await getSessionById(tenant, sessionId);
+      
+      if (!session || getSessionStatus(session) !== SESSION_STATUS.OPEN || getSessionRound(session) !== 1) {
+        return;
+      }
+      
+      const revealed = await revealSessionResults(session, null, botToken);
+      
+      if (!revealed.success) {
+        logger.log('Could not reveal session when its timer ran out:', revealed.error);
+      }
+    } catch (error) {
+      logger.error('Exception in scheduleAutoReveal:', error);
+    }
+  }, timerSeconds * 1000);
+  
+  // Don't keep the process alive just for a pending reveal
+  timer.unref();
+}
+
+/**
+ * Re-render a session message with who has voted so far
+ * @param {Object} tenant - The workspace the session belongs to
+ * @param {string} sessionId - The session ID
+ * @param {string} botToken - Bot token for the workspace
+ * @returns {Promise<boolean>} Whether the message was updated
+ */
+async function refreshSessionMessage(tenant, sessionId, botToken) {
+  const { session } = await getSessionById(tenant, sessionId);
+  
+  if (!session || !session.message_ts) {
+    return false;
+  }
+  
+  const round = getSessionRound(session);
+  const { success, votes } = await getSessionVotes(tenant, sessionId, { round });
+  
+  if (!success) {
+    return false;
+  }
+  
+  const voters = await Promise.all((votes || []).map(async vote => ({
+    userId: vote.user_id,
+    name: vote.username,
+    avatarUrl: await getUserAvatar(tenant.teamId, vote.user_id, botToken)
+  })));
+  
+  const message = createPokerSessionMessage(
+    session.created_by || 'unknown',
+    session.issue,
+    session.id,
+    getSessionDeck(session),
+    {
+      voters,
+      round,
+      preview: session.issue_preview,
+      queue: getQueueProgress(session),
+      // The timer only covers the first round
+      timerEndsAt: round === 1 ? session.timer_ends_at : null
+    }
+  );
+  
+  const { success: updated } = await updateMessage(session.message_channel, session.message_ts, message, botToken);
+  return updated;
+}
+
+/**
+ * Show a voter's first vote in a round on the session message: a reaction, and their avatar among the voters
+ * This runs after Slack has been acknowledged, so failures are logged rather than reported.
+ * @param {Object} params - Vote details
+ * @param {Object} params.tenant - The workspace the session belongs to
+ * @param {string} params.sessionId - The session ID
+ * @param {string} params.channelId - The channel the voting message is in
+ * @param {string} params.messageTs - The voting message's timestamp
+ * @returns {Promise<void>}
+ */
+async function showFirstVote({ tenant, sessionId, channelId, messageTs }) {
+  try {
+    const botToken = await getBotToken(tenant.teamId);
+    
+    if (channelId && messageTs) {
+      await addReaction(channelId, messageTs, null, botToken);
+    }
+    
+    await refreshSessionMessage(tenant, sessionId, botToken);
+  } catch (err) {
+    logger.error('Error showing vote on the session message:', err);
+  }
+}
+
+/**
+ * Build the result snapshot stored when a session is revealed
+ * @param {Array} votes - The votes from the round being revealed
+ * @param {Object} deck - The session's deck
+ * @param {number} round - The round being revealed
+ * @returns {Object} Snapshot of the votes and statistics
+ */
+function buildResultSnapshot(votes, deck, round) {
+  const snapshotVotes = (votes || []).map(vote => ({
+    user_id: vote.user_id,
+    username: vote.username,
+    vote: vote.vote,
+    special: vote.special || null
+  }));
+  
+  return {
+    round,
+    votes: snapshotVotes,
+    statistics: calculateVoteStatistics(snapshotVotes.filter(vote => !vote.special), deck)
+  };
+}
+
+/**
+ * Handle the `/poker deck` subcommands for managing estimation decks
+ * @param {Object} command - The parsed command (see handlePokerCommand)
+ * @returns {Promise<boolean>} Whether the response was delivered
+ */
+async function handleDeckCommand({ body, args, reply, replyWithHelp }) {
+  const { team_id, channel_id, user_id, response_url } = body;
+  const [action = 'list', rawName, ...valueWords] = args;
+  const name = (rawName || '').toLowerCase();
+  
+  switch (action) {
+    case 'list': {
+      const { decks } = await listDecks(team_id);
+      const { deck: channelDeck } = await getChannelDeck(team_id, channel_id);
+      return sendDelayedResponse(response_url, formatDeckList(decks, channelDeck.name));
+    }
+    
+    case 'create': {
+      if (!isValidDeckName(name)) {
+        return replyWithHelp('deck', "Please provide a deck name using lowercase letters, numbers, `-` or `_`.");
+      }
+      
+      if (getBuiltInDeck(name)) {
+        return reply(`Error: \`${name}\` is a built-in deck. Please pick a different name.`);
+      }
+      
+      const parsed = parseDeckValues(valueWords.join(' '));
+      
+      if (!parsed.success) {
+        return replyWithHelp('deck', parsed.error);
+      }
+      
+      const { success, error } = await saveCustomDeck(team_id, name, parsed.values, user_id);
+      
+      if (!success) {
+        logger.error('Error saving deck:', error);
+        return reply("Error: Could not save the deck.");
+      }
+      
+      return reply(`:white_check_mark: Deck \`${name}\` saved with cards: ${parsed.values.join(', ')}`);
+    }
+    
+    case 'default': {
+      const { deck } = await getDeck(team_id, name);
+      
+      if (!deck) {
+        return reply(`Error: Unknown deck \`${rawName || ''}\`. Type \`/poker deck list\` to see the available decks.`);
+      }
+      
+      const { success, error } = await setChannelDefaultDeck(team_id, channel_id, deck.name);
+      
+      if (!success) {
+        logger.error('Error setting channel deck:', error);
+        return reply("Error: Could not update the channel's default deck.");
+      }
+      
+      return reply(`:white_check_mark: New sessions in this channel will use the \`${deck.name}\` deck.`);
+    }
+    
+    case 'delete': {
+      if (getBuiltInDeck(name)) {
+        return reply(`Error: \`${name}\` is a built-in deck and cannot be deleted.`);
+      }
+      
+      const { success, error } = await deleteCustomDeck(team_id, name);
+      
+      if (!success) {
+        logger.error('Error deleting deck:', error);
+        return reply("Error: Could not delete the deck.");
+      }
+      
+      return reply(`:wastebasket: Deck \`${name}\` deleted.`);
+    }
+    
+    default:
+      return replyWithHelp('deck', `\`${action}\` isn't a deck command.`);
+  }
+}
+
+/**
+ * Format a session's results for its current round, with how earlier rounds compare
+ * @param {Object} session - The session
+ * @param {Array} votes - The session's votes from every round
+ * @param {string} userId - The user who revealed the votes
+ * @param {Object} options - Extra options passed on to formatPokerResults
+ * @returns {Object} The current round's votes and the results message
+ */
+function formatSessionResults(session, votes, userId, options = {}) {
+  const round = getSessionRound(session);
+  const rounds = groupVotesByRound(votes).filter(entry => entry.round <= round);
+  const current = rounds.find(entry => entry.round === round);
+  const roundVotes = current ? current.votes : [];
+  
+  const message = formatPokerResults(roundVotes, session.issue, session.id, userId, {
+    deck: getSessionDeck(session),
+    rounds,
+    round,
+    ...options
+  });
+  
+  return { votes: roundVotes, message };
+}
+
+/**
+ * Reveal a session's votes, replacing its voting message with the results
+ * Open sessions move to revealed with a snapshot of the result; revealing an
+ * already revealed session just shows it again.
+ * @param {Object} session - The session to reveal
+ * @param {string} userId - The user revealing the votes
+ * @param {string} botToken - Bot token for the workspace
+ * @returns {Promise<Object>} Result with the results message and whether the session message was replaced
+ */
+async function revealSessionResults(session, userId, botToken) {
+  // Earlier rounds are loaded too, to show how the estimates converged
+  const { success, votes: allVotes, error } = await getSessionVotes(getRowTenant(session), session.id);
+  
+  if (!success) {
+    logger.error('Error retrieving votes:', error);
+    return { success: false, error: "Error: Could not retrieve votes for the current session." };
+  }
+  
+  const { votes, message } = formatSessionResults(session, allVotes, userId);
+  const hasVotes = votes.length > 0;
+  
+  // Lock in the result; revealing an already revealed session just shows it again
+  if (hasVotes && getSessionStatus(session) === SESSION_STATUS.OPEN) {
+    const snapshot = buildResultSnapshot(votes, getSessionDeck(session), getSessionRound(session));
+    const revealed = await revealSession(getRowTenant(session), session.id, userId, snapshot);
+    
+    if (!revealed.success) {
+      logger.log('Could not mark session as revealed:', revealed.error);
+    }
+  }
+  
+  // Replace the voting buttons with the results so the stale message can't take votes
+  if (hasVotes && session.message_ts) {
+    const updated = await updateMessage(session.message_channel, session.message_ts, message, botToken);
+    
+    if (updated.success) {
+      // Add reaction to indicate session ended (using workspace-specific token)
+      await addReaction(session.message_channel, session.message_ts, SESSION_REVEALED_REACTION, botToken);
+      return { success: true, message, hasVotes, updated: true };
+    }
+    
+    logger.log('Falling back to response_url for results:', updated.error);
+  }
+  
+  return { success: true, message, hasVotes, updated: false };
+}
+
+/**
+ * Check whether a user may manage the workspace's issue trackers
+ * Tracker settings hold API tokens and decide where they're sent, so only workspace admins and owners,
+ * or whoever installed the app, can see or change them.
+ * @param {string} teamId - Slack team ID
+ * @param {string} userId - Slack user ID
+ * @param {string} botToken - Bot token for the workspace
+ * @returns {Promise<boolean>} Whether the user may use `/poker config`
+ */
+async function canConfigureIntegrations(teamId, userId, botToken) {
+  const { installation } = await getTeamInstallation(teamId);
+  
+  if (installation?.installer_user_id && installation.installer_user_id === userId) {
+    return true;
+  }
+  
+  return isWorkspaceAdmin(userId, botToken);
+}
+
+/**
+ * Handle `/poker config` for connecting issue trackers to the workspace
+ * @param {Object} command - The parsed command (see handlePokerCommand)
+ * @returns {Promise<boolean>} Whether the response was delivered
+ */
+async function handleConfigCommand({ body, args, botToken, reply, replyWithHelp }) {
+  const { team_id, user_id } = body;
+  const [providerName, ...settings] = args;
+  const available = listProviderNames().map(name => `\`${name}\``).join(', ');
+  
+  if (!await canConfigureIntegrations(team_id, user_id, botToken)) {
+    return reply('Error: Only workspace admins and whoever installed the app can manage issue trackers.');
+  }
+  
+  if (!providerName) {
+    const { integrations } = await listIntegrations(team_id);
+    const lines = integrations
+      .filter(integration => getProvider(integration.provider))
+      .map(integration => {
+        const provider = getProvider(integration.provider);
+        return `• *${provider.label}*: ${describeConfig(provider, integration.config)}`;
+      });
+    
+    if (lines.length === 0) {
+      return reply(`No issue trackers are connected. Connect one with \`/poker config [tracker] key=value ...\` (trackers: ${available}).`);
+    }
+    
+    return reply(`*Connected issue trackers:*\n${lines.join('\n')}`);
+  }
+  
+  const provider = getProvider(providerName);
+  
+  if (!provider) {
+    return replyWithHelp('config', `Unknown issue tracker \`${providerName}\`. Available trackers: ${available}.`);
+  }
+  
+  const usage = `Usage: \`/poker config ${provider.name} ${Object.keys(provider.CONFIG_KEYS).map(key => `${key}=...`).join(' ')}\` or \`/poker config ${provider.name} remove\``;
+  
+  if (settings[0] === 'remove') {
+    const { success, error } = await deleteIntegration(team_id, provider.name);
+    
+    if (!success) {
+      logger.error('Error removing integration:', error);
+      return reply(`Error: Could not disconnect ${provider.label}.`);
+    }
+    
+    return reply(`:wastebasket: ${provider.label} disconnected.`);
+  }
+  
+  const { config: existing } = await getIntegration(team_id, provider.name);
+  
+  if (settings.length === 0) {
+    return reply(existing
+      ? `*${provider.label}:* ${describeConfig(provider, existing)}\n${usage}`
+      : `${provider.label} isn't connected. ${usage}`);
+  }
+  
+  const parsed = parseKeyValueArgs(settings);
+  
+  if (!parsed.success) {
+    return reply(`Error: \`${parsed.invalid}\` should be written as \`key=value\`. ${usage}`);
+  }
+  
+  const updated = applyConfigUpdates(provider, existing, parsed.values);
+  
+  if (!updated.success) {
+    return reply(`Error: ${updated.error} ${usage}`);
+  }
+  
+  const { success, error } = await saveIntegration(team_id, provider.name, updated.config, user_id);
+  
+  if (!success) {
+    logger.error('Error saving integration:', error);
+    return reply(`Error: Could not save the ${provider.label} settings.`);
+  }
+  
+  return reply(`:white_check_mark: ${provider.label} settings saved: ${describeConfig(provider, updated.config)}`);
+}
+
+/**
+ * Describe what happened when a final estimate was written to an issue tracker
+ * @param {Object} sync - Result from syncFinalEstimate
+ * @returns {string|null} A note for the facilitator, or null if the issue isn't in a connected tracker
+ */
+function describeSyncResult(sync) {
+  if (!sync || !sync.attempted) {
+    return null;
+  }
+  
+  if (sync.success) {
+    return `:link: Updated ${sync.reference.key} in ${sync.label}.`;
+  }
+  
+  return `:warning: The final estimate was saved, but ${sync.label} could not be updated: ${sync.error}`;
+}
+
+/**
+ * Record a session's final estimate and announce it in the channel
+ * @param {Object} session - The session being decided
+ * @param {string|number} estimate - The agreed estimate
+ * @param {string} userId - The user who decided on the estimate
+ * @param {string} botToken - Bot token for the workspace
+ * @param {string} teamId - Slack team ID, used to find the workspace's issue trackers
+ * @returns {Promise<Object>} Result with the updated results message (for revealed sessions),
+ *   the confirmation message, whether it was posted and a note about the tracker update
+ *   (a queued session also starts the next issue in its queue)
+ */
+async function recordFinalEstimate(session, estimate, userId, botToken, teamId) {
+  const { success, session: closedSession, error } = await setFinalEstimate(getRowTenant(session), session.id, estimate, userId);
+  
+  if (!success) {
+    logger.error('Error saving final estimate:', error);
+    return { success: false, error: "Error: Could not save the final estimate." };
+  }
+  
+  const confirmation = formatFinalEstimateConfirmation(session.issue, estimate, userId);
+  const posted = await postMessage(
+    session.message_channel || session.channel,
+    session.thread_ts ? { ...confirmation, thread_ts: session.thread_ts } : confirmation,
+    botToken
+  );
+  
+  if (!posted.success) {
+    logger.log('Could not post final estimate confirmation:', posted.error);
+  }
+  
+  // Swap the buttons under the results for the decision
+  let results = null;
+  
+  if (getSessionStatus(session) === SESSION_STATUS.REVEALED) {
+    results = await renderSessionResults(closedSession || session, {
+      outcome: `:white_check_mark: <@${userId}> accepted an estimate of *${formatVoteValue(estimate)}*.`
+    });
+  }
+  
+  // Copy the estimate into the issue tracker the issue came from
+  const sync = await syncFinalEstimate(teamId, session.issue, estimate);
+  
+  if (sync.attempted && !sync.success) {
+    logger.log('Could not write final estimate to tracker:', sync.error);
+  }
+  
+  // Queued issues move straight on to the next one
+  if (getQueueProgress(session)) {
+    await advanceQueue(session, { estimate }, botToken);
+  }
+  
+  return { success: true, results, confirmation, posted: posted.success, syncNote: describeSyncResult(sync) };
+}
+
+/**
+ * Handle `/poker accept [estimate]`, recording the final estimate of the channel's session
+ * Without an estimate, the suggested estimate from the revealed results is used.
+ * @param {Object} command - The parsed command (see handlePokerCommand)
+ * @returns {Promise<boolean>} Whether the response was delivered
+ */
+async function handleAcceptCommand({ body, args, botToken, reply, replyWithHelp }) {
+  const { channel_id, user_id, team_id, response_url, thread_ts } = body;
+  
+  const { success, session } = await getLatestSessionForChannel(getCommandTenant(body), channel_id, thread_ts || null);
+  
+  if (!success || !session) {
+    return reply("No active planning poker session found for this channel.");
+  }
+  
+  if (getSessionStatus(session) === SESSION_STATUS.CLOSED) {
+    if (session.final_estimate !== null && session.final_estimate !== undefined) {
+      return reply(`The latest session already has a final estimate of *${formatVoteValue(session.final_estimate)}*.`);
+    }
+    
+    return reply("No active planning poker session found for this channel.");
+  }
+  
+  const rawEstimate = args.join(' ').trim();
+  const snapshot = session.result_snapshot;
+  
+  // A Re-vote leaves the previous round's snapshot in place, so only suggest from the round on show
+  const revealed = getSessionStatus(session) === SESSION_STATUS.REVEALED && snapshot?.round === getSessionRound(session);
+  const suggested = revealed ? snapshot.statistics?.suggested : null;
+  
+  if (!rawEstimate && !revealed) {
+    return replyWithHelp('accept', "The votes haven't been revealed yet, so please provide the agreed estimate.");
+  }
+  
+  if (!rawEstimate && (suggested === null || suggested === undefined)) {
+    return replyWithHelp('accept', "These votes have no suggested estimate, so please provide the agreed estimate.");
+  }
+  
+  const estimate = rawEstimate ? normalizeCardValue(rawEstimate) : suggested;
+  const deck = getSessionDeck(session);
+  
+  // Teams may settle between cards on numeric decks, but other decks must use a card
+  if (!isAcceptableEstimate(deck, estimate)) {
+    return reply(`Error: \`${rawEstimate || estimate}\` isn't a card in this session's deck (${deck.values.join(', ')}).`);
+  }
+  
+  const recorded = await recordFinalEstimate(session, estimate, user_id, botToken, team_id);
+  
+  if (!recorded.success) {
+    return reply(recorded.error);
+  }
+  
+  if (recorded.results && session.message_ts) {
+    await updateMessage(session.message_channel, session.message_ts, recorded.results, botToken);
+  }
+  
+  if (!recorded.posted) {
+    await sendDelayedResponse(response_url, recorded.confirmation);
+  }
+  
+  if (recorded.syncNote) {
+    await reply(recorded.syncNote);
+  }
+  
+  return true;
+}
+
+/**
+ * Handle `/poker queue`, which estimates a list of issues one after another
+ * Issues go one per line after `queue`; without any, a form asks for them.
+ * `/poker queue cancel` stops the channel's queue.
+ * @param {Object} command - The parsed command (see handlePokerCommand)
+ * @returns {Promise<boolean>} Whether the response was delivered
+ */
+async function handleQueueCommand({ body, rest: list, flags, botToken, reply, replyWithHelp }) {
+  const { channel_id, user_id, team_id, trigger_id, response_url } = body;
+  const deckName = flags.deck || null;
+  
+  if (list === 'cancel') {
+    return handleQueueCancel(getCommandTenant(body), channel_id, reply);
+  }
+  
+  const deckResult = await resolveDeck(team_id, channel_id, deckName);
+  
+  if (!deckResult.deck) {
+    return reply(`Error: Unknown deck \`${deckName}\`. Type \`/poker deck list\` to see the available decks.`);
+  }
+  
+  if (!list) {
+    const opened = await openView(trigger_id, createQueueModal(channel_id, deckName), botToken);
+    
+    if (!opened.success) {
+      return replyWithHelp('queue', "Could not open the queue form. List the issues after the command instead, one per line.");
+    }
+    
+    return true;
+  }
+  
+  const issues = parseQueueItems(list);
+  
+  if (issues.length > MAX_QUEUE_ITEMS) {
+    return reply(`Error: A queue can hold up to ${MAX_QUEUE_ITEMS} issues, but ${issues.length} were listed.`);
+  }
+  
+  const started = await startQueue({
+    tenant: getCommandTenant(body),
+    channelId: channel_id,
+    userId: user_id,
+    issues,
+    deck: deckResult.deck,
+    botToken,
+    responseUrl: response_url
+  });
+  
+  if (!started.success) {
+    return reply(started.error);
+  }
+  
+  return true;
+}
+
+/**
+ * Stop the workspace's backlog queue in a channel; the session being voted on stays open
+ * @param {Object} tenant - The workspace running the command
+ * @param {string} channelId - The channel ID
+ * @param {Function} reply - Sends an ephemeral reply to the user
+ * @returns {Promise<boolean>} Whether the response was delivered
+ */
+async function handleQueueCancel(tenant, channelId, reply) {
+  const { success, queue } = await getActiveQueueForChannel(tenant, channelId);
+  
+  if (!success || !queue) {
+    return reply("There's no backlog queue running in this channel.");
+  }
+  
+  const cancelled = await cancelQueue(tenant, queue.id);
+  
+  if (!cancelled.success) {
+    return reply("Error: Could not cancel the backlog queue.");
+  }
+  
+  const remaining = queue.items.length - queue.position - 1;
+  return reply(`:stop_sign: Backlog queue cancelled. ${remaining} queued ${remaining === 1 ? 'issue was' : 'issues were'} not started.`);
+}
+
+/**
+ * Store a backlog queue for a channel and start voting on its first issue
+ * The channel's previous queue, if any, is replaced.
+ * @param {Object} params - Queue details
+ * @param {Object} params.tenant - The workspace the queue belongs to
+ * @param {string} params.channelId - The channel ID
+ * @param {string} params.userId - The user who queued the issues
+ * @param {Array<string>} params.issues - The issues in order
+ * @param {Object} params.deck - The deck every session in the queue votes with
+ * @param {string} params.botToken - Bot token for the workspace
+ * @param {string} params.responseUrl - Optional response_url to fall back to if the bot can't post
+ * @returns {Promise<Object>} Result with the first session ID, or an error message for the user
+ */
+async function startQueue({ tenant, channelId, userId, issues, deck, botToken, responseUrl = null }) {
+  const { queue: previousQueue } = await getActiveQueueForChannel(tenant, channelId);
+  
+  if (previousQueue) {
+    const cancelled = await cancelQueue(tenant, previousQueue.id);
+    
+    if (!cancelled.success) {
+      logger.log('Could not cancel previous queue:', cancelled.error);
+    }
+  }
+  
+  const { success, queue, error } = await createQueue(tenant, channelId, issues, { deck, userId });
+  
+  if (!success) {
+    logger.error('Error creating queue:', error);
+    return { success: false, error: "Error: Could not create the backlog queue." };
+  }
+  
+  return startQueueItem(queue, 0, { tenant, botToken, responseUrl });
+}
+
+/**
+ * Start the session for one issue in a backlog queue and mark it as the queue's current issue
+ * @param {Object} queue - The queue row
+ * @param {number} index - The 0-based index of the issue to start
+ * @param {Object} context - Workspace details
+ * @param {Object} context.tenant - The workspace the queue belongs to
+ * @param {string} context.botToken - Bot token for the workspace
+ * @param {string} context.responseUrl - Optional response_url to fall back to if the bot can't post
+ * @returns {Promise<Object>} Result with the session ID, or an error message for the user
+ */
+async function startQueueItem(queue, index, { tenant, botToken, responseUrl = null }) {
+  const started = await startSession({
+    tenant,
+    channelId: queue.channel,
+    userId: queue.created_by,
+    issue: queue.items[index].issue,
+    deck: getSessionDeck(queue),
+    botToken,
+    responseUrl,
+    queue: { id: queue.id, position: index + 1, size: queue.items.length }
+  });
+  
+  if (!started.success) {
+    return started;
+  }
+  
+  const items = queue.items.map((item, itemIndex) => (
+    itemIndex === index ? { ...item, session_id: started.sessionId } : item
+  ));
+  const updated = await updateQueue(tenant, queue.id, { items, position: index });
+  
+  if (!updated.success) {
+    logger.error('Error updating queue position:', updated.error);
+  }
+  
+  return started;
+}
+
+/**
+ * Record how a queued session ended and move the queue on,
+ * posting a summary of every issue once the last one is done
+ * @param {Object} session - The queued session that just ended
+ * @param {Object} outcome - The accepted `estimate`, or `skipped: true`
+ * @param {string} botToken - Bot token for the workspace
+ * @returns {Promise<Object>} Result saying whether the queue moved on and whether it finished
+ */
+async function advanceQueue(session, outcome, botToken) {
+  const tenant = getRowTenant(session);
+  const { queue } = await getQueueById(tenant, session.queue_id);
+  const index = session.queue_position - 1;
+  
+  // Cancelled queues and sessions from earlier in the queue leave the queue where it is
+  if (!queue || queue.status !== QUEUE_STATUS.ACTIVE || queue.position !== index) {
+    return { success: true, advanced: false };
+  }
+  
+  const items = queue.items.map((item, itemIndex) => {
+    if (itemIndex !== index) {
+      return item;
+    }
+    
+    return outcome.skipped
+      ? { ...item, skipped: true }
+      : { ...item, final_estimate: outcome.estimate };
+  });
+  const finished = index + 1 >= items.length;
+  
+  const updated = await updateQueue(tenant, queue.id, finished
+    ? { items, status: QUEUE_STATUS.FINISHED, finished_at: new Date().toISOString() }
+    : { items });
+  
+  if (!updated.success) {
+    logger.error('Error updating queue:', updated.error);
+    return { success: false, advanced: false };
+  }
+  
+  if (finished) {
+    const posted = await postMessage(queue.channel, formatQueueSummary({ ...queue, items }), botToken);
+    
+    if (!posted.success) {
+      logger.log('Could not post queue summary:', posted.error);
+    }
+    
+    return { success: true, advanced: true, finished: true };
+  }
+  
+  const started = await startQueueItem({ ...queue, items }, index + 1, { tenant, botToken });
+  
+  if (!started.success) {
+    logger.error('Error starting next queued session:', started.error);
+  }
+  
+  return { success: started.success, advanced: started.success, finished: false };
+}
+
+/**
+ * Handle `/poker sessions`, listing the channel's running sessions (including threaded ones) with their IDs
+ * @param {Object} command - The parsed command (see handlePokerCommand)
+ * @returns {Promise<boolean>} Whether the response was delivered
+ */
+async function handleSessionsCommand({ body, reply }) {
+  const { channel_id, response_url } = body;
+  const { success, sessions } = await listOpenSessionsForChannel(getCommandTenant(body), channel_id);
+  
+  if (!success) {
+    return reply("Error: Could not list the sessions in this channel.");
+  }
+  
+  return sendDelayedResponse(response_url, formatSessionList(sessions));
+}
+
+/**
+ * Load a page of a channel's past sessions, formatted for `/poker history`
+ * @param {Object} tenant - The workspace the channel belongs to
+ * @param {string} channelId - The channel ID
+ * @param {Object} page - The search terms, page size and offset
+ * @returns {Promise<Object>} Result with the formatted page
+ */
+async function loadHistoryPage(tenant, channelId, { query = '', limit, offset = 0 }) {
+  // Ask for one extra session to find out whether there's an older page
+  const { success, sessions } = await listSessionsForChannel(tenant, channelId, {
+    limit: limit + 1,
+    offset,
+    search: query.split(/\s+/).filter(Boolean)
+  });
+  
+  if (!success) {
+    return { success: false };
+  }
+  
+  return {
+    success: true,
+    message: formatSessionHistory(sessions.slice(0, limit), { query, limit, offset, hasMore: sessions.length > limit })
+  };
+}
+
+/**
+ * Handle `/poker history [n] [search terms]`, listing the channel's past sessions a page at a time
+ * @param {Object} command - The parsed command (see handlePokerCommand)
+ * @returns {Promise<boolean>} Whether the response was delivered
+ */
+async function handleHistoryCommand({ body, args, reply, replyWithHelp }) {
+  const { channel_id, response_url } = body;
+  const counted = /^\d+$/.test(args[0] || '');
+  const limit = counted ? Number(args[0]) : DEFAULT_HISTORY_PAGE_SIZE;
+  const query = (counted ? args.slice(1) : args).join(' ');
+  
+  if (limit < 1 || limit > MAX_HISTORY_SESSIONS) {
+    return replyWithHelp('history', `Please ask for between 1 and ${MAX_HISTORY_SESSIONS} sessions.`);
+  }
+  
+  if (query.length > MAX_HISTORY_SEARCH_LENGTH) {
+    return replyWithHelp('history', `Please search for at most ${MAX_HISTORY_SEARCH_LENGTH} characters.`);
+  }
+  
+  const page = await loadHistoryPage(getCommandTenant(body), channel_id, { query, limit });
+  
+  if (!page.success) {
+    return reply("Error: Could not load this channel's sessions.");
+  }
+  
+  return sendDelayedResponse(response_url, page.message);
+}
+
+/**
+ * Handle `/poker export [csv|json] [from date] [to date]`, replying with a short-lived download link
+ * Exports from Slack only cover the channel the command was typed in.
+ * @param {Object} command - The parsed command (see handlePokerCommand)
+ * @returns {Promise<boolean>} Whether the response was delivered
+ */
+async function handleExportCommand({ body, args, reply, replyWithHelp }) {
+  const { channel_id, response_url } = body;
+  const words = [...args];
+  const format = EXPORT_FORMATS[(words[0] || '').toLowerCase()] ? words.shift().toLowerCase() : 'csv';
+  const [from = null, to = null, ...extra] = words;
+  
+  if (extra.length > 0) {
+    return replyWithHelp('export', `\`${extra[0]}\` isn't a format or date.`);
+  }
+  
+  const range = resolveDateRange(from, to);
+  
+  if (!range.success) {
+    return replyWithHelp('export', range.error);
+  }
+  
+  const now = Math.floor(Date.now() / 1000);
+  const token = process.env.BASE_URL ? createExportToken({ ...getCommandTenant(body), channelId: channel_id, from, to, format }, { now }) : null;
+  
+  if (!token) {
+    logger.error('Exports need ADMIN_KEY and BASE_URL to be set');
+    return reply("Error: Exports aren't set up on this server yet.");
+  }
+  
+  return sendDelayedResponse(response_url, formatExportLink(buildExportUrl(token), {
+    format,
+    from,
+    to,
+    expiresAt: new Date((now + EXPORT_LINK_TTL_SECONDS) * 1000).toISOString()
+  }));
+}
+
+/**
+ * Find the session a command refers to: the one named by ID, or else the thread's or channel's latest
+ * @param {Object} body - Slash command request body
+ * @param {string} sessionId - A session ID typed after the command, if any
+ * @returns {Promise<Object>} Result with the session, or an error message for the user if there isn't a running one
+ */
+async function findCommandSession(body, sessionId) {
+  const { channel_id, thread_ts } = body;
+  const tenant = getCommandTenant(body);
+  
+  if (sessionId) {
+    const { success, session } = await getSessionById(tenant, sessionId);
+    
+    // Sessions can only be reached from their own channel
+    if (success && (!session || session.channel !== channel_id)) {
+      return { session: null, error: `No planning poker session \`${sessionId}\` was found in this channel. Type \`/poker sessions\` to list them.` };
+    }
+    
+    if (success && getSessionStatus(session) !== SESSION_STATUS.CLOSED) {
+      return { session };
+    }
+  } else {
+    const { success, session } = await getLatestSessionForChannel(tenant, channel_id, thread_ts || null);
+    
+    if (success && session && getSessionStatus(session) !== SESSION_STATUS.CLOSED) {
+      return { session };
+    }
+  }
+  
+  return { session: null, error: "No active planning poker session found for this channel." };
+}
+
+/**
+ * Handle `/poker reveal [session ID]` (and `/poker-reveal`), revealing a session's votes
+ * @param {Object} command - The parsed command (see handlePokerCommand)
+ * @returns {Promise<boolean>} Whether the response was delivered
+ */
+async function handleRevealCommand({ body, rest, botToken, reply }) {
+  const { session, error } = await findCommandSession(body, rest);
+  
+  if (!session) {
+    return reply(error);
+  }
+  
+  const revealed = await revealSessionResults(session, body.user_id, botToken);
+  
+  if (!revealed.success) {
+    return reply(revealed.error);
+  }
+  
+  if (revealed.updated) {
+    return true;
+  }
+  
+  return sendDelayedResponse(body.response_url, revealed.message);
+}
+
+/**
+ * Handle `/poker cancel [session ID]`, ending a session without an estimate
+ * A cancelled session in a backlog queue moves the queue on to its next issue.
+ * @param {Object} command - The parsed command (see handlePokerCommand)
+ * @returns {Promise<boolean>} Whether the response was delivered
+ */
+async function handleCancelCommand({ body, rest, botToken, reply }) {
+  const { session, error } = await findCommandSession(body, rest);
+  
+  if (!session) {
+    return reply(error);
+  }
+  
+  const closed = await closeSession(getRowTenant(session), session.id);
+  
+  if (!closed.success) {
+    logger.error('Error cancelling session:', closed.error);
+    return reply("Error: Could not cancel the session.");
+  }
+  
+  const updated = await updateMessage(session.message_channel, session.message_ts, formatCancelledSession(session, body.user_id), botToken);
+  
+  if (getQueueProgress(session)) {
+    await advanceQueue(session, { skipped: true }, botToken);
+  }
+  
+  return updated.success ? true : reply(`:no_entry_sign: Voting on ${session.issue} was cancelled.`);
+}
+
+/**
+ * Handle the /poker-reveal slash command
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+async function handlePokerRevealCommand(req, res) {
+  try {
+    logger.log('Received reveal command');
+    
+    const { response_url, team_id, text } = req.body;
+    
+    // Get workspace-specific bot token
+    const botToken = await getBotToken(team_id);
+    
+    // Acknowledge receipt immediately
+    res.status(200).send();
+    
+    // `/poker-reveal [session ID]` works the same as `/poker reveal [session ID]`
+    return await handleRevealCommand({
+      body: req.body,
+      rest: (text || '').trim(),
+      botToken,
+      reply: message => sendDelayedResponse(response_url, { 
+        response_type: "ephemeral",
+        text: message 
+      })
+    });
+  } catch (err) {
+    logger.error('Error in handlePokerRevealCommand:', err);
+    
+    // If we have a response_url, use it to send an error message
+    if (req.body && req.body.response_url) {
+      return sendDelayedResponse(req.body.response_url, { 
+        text: "Sorry, there was an error processing your command. Please try again." 
+      });
+    }
+    
+    return false;
+  }
+}
+
+/**
+ * Build the results message for a revealed session
+ * @param {Object} session - The revealed session
+ * @param {Object} options - Options passed on to formatPokerResults
+ * @returns {Promise<Object|null>} The results message, or null if the votes can't be loaded
+ */
+async function renderSessionResults(session, options = {}) {
+  const { success, votes, error } = await getSessionVotes(getRowTenant(session), session.id);
+  
+  if (!success) {
+    logger.error('Error retrieving votes:', error);
+    return null;
+  }
+  
+  return formatSessionResults(session, votes, session.revealed_by || null, options).message;
+}
+
+/**
+ * Handle the Reveal votes button on a session message
+ * @param {Object} context - The session action context
+ * @returns {Promise<boolean>} Whether the action completed
+ */
+async function handleRevealAction({ payload, session, userId, botToken, respond }) {
+  const revealed = await revealSessionResults(session, userId, botToken);
+  
+  if (!revealed.success) {
+    return respond(revealed.error);
+  }
+  
+  if (!revealed.hasVotes) {
+    return respond("No votes have been cast yet. Reveal the results once the team has voted.");
+  }
+  
+  if (revealed.updated) {
+    return true;
+  }
+  
+  return sendDelayedResponse(payload.response_url, { ...revealed.message, replace_original: true });
+}
+
+/**
+ * Handle the Re-vote button on a results message
+ * @param {Object} context - The session action context
+ * @returns {Promise<boolean>} Whether the action completed
+ */
+async function handleRevoteAction({ payload, session, botToken, respond }) {
+  if (getSessionStatus(session) !== SESSION_STATUS.REVEALED) {
+    return respond("Voting is still open for this session.");
+  }
+  
+  // Earlier rounds' votes are kept; the new round starts with an empty tally
+  const { success, session: reopened, error } = await startNewRound(getRowTenant(session), session.id);
+  
+  if (!success) {
+    logger.error('Error starting a new round:', error);
+    return respond("Error: Could not start a new vote for this session.");
+  }
+  
+  const message = createPokerSessionMessage(
+    session.created_by || 'unknown',
+    session.issue,
+    session.id,
+    getSessionDeck(session),
+    { voters: [], round: getSessionRound(reopened), preview: session.issue_preview, queue: getQueueProgress(session) }
+  );
+  
+  if (session.message_ts) {
+    const updated = await updateMessage(session.message_channel, session.message_ts, message, botToken);
+    
+    if (updated.success) {
+      return true;
+    }
+  }
+  
+  return sendDelayedResponse(payload.response_url, { ...message, replace_original: true });
+}
 
-const { getBotTokenForTeam } = require('./oauthController');
-const logger = require('../utils/logger');
-const axios = require('axios'); // Added axios import
+/**
+ * Handle the Accept estimate button on a results message
+ * @param {Object} context - The session action context
+ * @returns {Promise<boolean>} Whether the action completed
+ */
+async function handleAcceptAction({ payload, session, value, userId, botToken, respond }) {
+  if (getSessionStatus(session) !== SESSION_STATUS.REVEALED) {
+    return respond("Reveal the votes before accepting an estimate.");
+  }
+  
+  // The button's value comes back from Slack, so check it like a typed estimate
+  if (!isAcceptableEstimate(getSessionDeck(session), value.estimate)) {
+    return respond("Error: That estimate isn't a card in this session's deck.");
+  }
+  
+  const recorded = await recordFinalEstimate(session, value.estimate, userId, botToken, payload.team?.id);
+  
+  if (!recorded.success) {
+    return respond(recorded.error);
+  }
+  
+  if (!recorded.posted) {
+    await sendDelayedResponse(payload.response_url, { ...recorded.confirmation, replace_original: false });
+  }
+  
+  if (recorded.results) {
+    await sendDelayedResponse(payload.response_url, { ...recorded.results, replace_original: true });
+  } else {
+    await respond("Error: Could not retrieve votes for this session.");
+  }
+  
+  if (recorded.syncNote) {
+    await respond(recorded.syncNote);
+  }
+  
+  return true;
+}
 
 /**
- * Get bot token for the current workspace
- * @param {string} teamId - Slack team ID
- * @returns {Promise<string>} Bot token for the workspace
+ * Close a session the team is moving on from, noting on its results that it was left undecided
+ * @param {Object} session - The session being moved on from
+ * @param {string} userId - The user moving on
+ * @param {string} botToken - Bot token for the workspace
+ * @returns {Promise<void>}
  */
-async function getBotToken(teamId) {
-  if (!teamId) {
-    return process.env.SLACK_BOT_TOKEN; // Fallback to default token
+async function moveOnFromSession(session, userId, botToken) {
+  if (getSessionStatus(session) === SESSION_STATUS.CLOSED) {
+    return;
   }
   
-  const workspaceToken = await getBotTokenForTeam(teamId);
-  return workspaceToken || process.env.SLACK_BOT_TOKEN; // Fallback if not found
+  const closed = await closeSession(getRowTenant(session), session.id);
+  
+  // Show on the old results what happened to them
+  if (closed.success && getSessionStatus(session) === SESSION_STATUS.REVEALED && session.message_ts) {
+    const message = await renderSessionResults(closed.session || session, {
+      outcome: `:fast_forward: <@${userId}> moved on to the next issue.`
+    });
+    
+    if (message) {
+      await updateMessage(session.message_channel, session.message_ts, message, botToken);
+    }
+  }
 }
 
 /**
- * Handle the /poker slash command
- * @param {Object} req - Express request object
+ * Handle the Next issue button on a results message
+ * Queued sessions skip to the next issue in the queue; otherwise the facilitator is asked for one.
+ * @param {Object} context - The session action context
+ * @returns {Promise<boolean>} Whether the action completed
+ */
+async function handleNextIssueAction({ payload, session, userId, botToken, respond }) {
+  if (getQueueProgress(session)) {
+    const { queue } = await getQueueById(getRowTenant(session), session.queue_id);
+    
+    if (queue && queue.status === QUEUE_STATUS.ACTIVE) {
+      await moveOnFromSession(session, userId, botToken);
+      
+      const advanced = await advanceQueue(session, { skipped: true }, botToken);
+      return advanced.success ? true : respond("Error: Could not start the next issue in the queue.");
+    }
+  }
+  
+  // The trigger ID expires after a few seconds, so open the modal before doing anything slow
+  const channelId = payload.channel?.id || session.channel;
+  const opened = await openView(payload.trigger_id, createNextIssueModal(channelId, session.id), botToken);
+  
+  if (!opened.success) {
+    return respond("Error: Could not open the next issue form. Start the next session with `/poker [issue]`.");
+  }
+  
+  return true;
+}
+
+/**
+ * Handle the Newer and Older buttons on `/poker history`, replacing the list with that page
+ * @param {Object} action - The button click (see handleHistoryAction)
+ * @returns {Promise<boolean>} Whether the page was shown
+ */
+async function handleHistoryPageAction({ payload, value, respond }) {
+  const page = await loadHistoryPage(getPayloadTenant(payload), payload.channel?.id, {
+    query: String(value.query || '').slice(0, MAX_HISTORY_SEARCH_LENGTH),
+    limit: Math.min(Math.max(Number(value.limit) || DEFAULT_HISTORY_PAGE_SIZE, 1), MAX_HISTORY_SESSIONS),
+    offset: Math.max(Number(value.offset) || 0, 0)
+  });
+  
+  if (!page.success) {
+    return respond("Error: Could not load this channel's sessions.");
+  }
+  
+  return sendDelayedResponse(payload.response_url, { ...page.message, replace_original: true });
+}
+
+/**
+ * Handle Show details on `/poker history`, showing the session's full results to the user
+ * Only rounds that were revealed are shown, so votes from an abandoned re-vote stay secret.
+ * @param {Object} action - The button click (see handleHistoryAction)
+ * @returns {Promise<boolean>} Whether the results were shown
+ */
+async function handleHistoryDetailsAction({ payload, value, respond }) {
+  const { session } = await getSessionById(getPayloadTenant(payload), value.sessionId);
+  
+  // Sessions can only be looked at from their own channel
+  if (!session || session.channel !== payload.channel?.id) {
+    return respond(":grey_question: This planning poker session no longer exists.");
+  }
+  
+  if (!session.result_snapshot) {
+    return respond(":see_no_evil: The votes for this session were never revealed.");
+  }
+  
+  const { success, votes, error } = await getSessionVotes(getRowTenant(session), session.id);
+  
+  if (!success) {
+    logger.error('Error retrieving votes:', error);
+    return respond("Error: Could not retrieve the votes for this session.");
+  }
+  
+  const hasEstimate = session.final_estimate !== null && session.final_estimate !== undefined;
+  const setBy = session.final_estimate_by ? ` (set by <@${session.final_estimate_by}>)` : '';
+  const { message } = formatSessionResults({ ...session, round: session.result_snapshot.round }, votes, session.revealed_by, {
+    actions: false,
+    outcome: hasEstimate ? `:white_check_mark: Final estimate: *${formatVoteValue(session.final_estimate)}*${setBy}` : null
+  });
+  
+  return sendDelayedResponse(payload.response_url, { ...message, response_type: "ephemeral", replace_original: false });
+}
+
+const HISTORY_ACTION_HANDLERS = {
+  [HISTORY_ACTIONS.PAGE]: handleHistoryPageAction,
+  [HISTORY_ACTIONS.DETAILS]: handleHistoryDetailsAction
+};
+
+/**
+ * Handle a button click on `/poker history` results
+ * @param {Object} payload - The block_actions payload
+ * @param {Object} action - The clicked action
  * @param {Object} res - Express response object
+ * @returns {Promise<boolean>} Whether the action completed
  */
-async function handlePokerCommand(req, res) {
+async function handleHistoryAction(payload, action, res) {
+  let value;
+  
   try {
-    logger.log('Received poker command:', JSON.stringify(req.body));
-    
-    const { text, user_id, channel_id, response_url, team_id } = req.body;
+    value = JSON.parse(action.value);
+  } catch (e) {
+    return res.status(200).json({ 
+      text: "Error: Invalid action data." 
+    });
+  }
+  
+  // Acknowledge receipt immediately; everything else is reported through response_url
+  res.status(200).send();
+  
+  const respond = text => sendDelayedResponse(payload.response_url, { 
+    response_type: "ephemeral",
+    replace_original: false,
+    text 
+  });
+  
+  try {
+    return await HISTORY_ACTION_HANDLERS[action.action_id]({ payload, value, respond });
+  } catch (err) {
+    logger.error('Error in handleHistoryAction:', err);
+    return respond("Sorry, there was an error processing your action. Please try again.");
+  }
+}
+
+// Subcommands of `/poker`; any other first word starts a session with the text as the issue
+const POKER_SUBCOMMANDS = {
+  help: handleHelpCommand,
+  reveal: handleRevealCommand,
+  accept: handleAcceptCommand,
+  cancel: handleCancelCommand,
+  history: handleHistoryCommand,
+  export: handleExportCommand,
+  sessions: handleSessionsCommand,
+  queue: handleQueueCommand,
+  deck: handleDeckCommand,
+  config: handleConfigCommand
+};
+
+// Facilitator buttons on the session and results messages, keyed by action ID
+const SESSION_ACTION_HANDLERS = {
+  [SESSION_ACTIONS.REVEAL]: handleRevealAction,
+  [SESSION_ACTIONS.REVOTE]: handleRevoteAction,
+  [SESSION_ACTIONS.ACCEPT]: handleAcceptAction,
+  [SESSION_ACTIONS.NEXT_ISSUE]: handleNextIssueAction
+};
+
+/**
+ * Handle a facilitator button click
+ * @param {Object} payload - The block_actions payload
+ * @param {Object} action - The clicked action
+ * @param {Object} res - Express response object
+ * @returns {Promise<boolean>} Whether the action completed
+ */
+async function handleSessionAction(payload, action, res) {
+  let value;
+  
+  try {
+    value = JSON.parse(action.value);
+  } catch (e) {
+    return res.status(200).json({ 
+      text: "Error: Invalid action data." 
+    });
+  }
+  
+  // Acknowledge receipt immediately; everything else is reported through response_url
+  res.status(200).send();
+  
+  const respond = text => sendDelayedResponse(payload.response_url, { 
+    response_type: "ephemeral",
+    replace_original: false,
+    text 
+  });
+  
+  try {
+    const { session } = await getSessionById(getPayloadTenant(payload), value.sessionId);
     
-    // Get workspace-specific bot token
-    const botToken = await getBotToken(team_id);
+    if (!session) {
+      return respond(":grey_question: This planning poker session no longer exists.");
+    }
     
-    // Acknowledge receipt immediately
-    res.status(200).send();
-  
-    // For /poker command, text is required
-    if (!text) {
-      return sendDelayedResponse(response_url, { 
-        response_type: "ephemeral",
-        text: "Please provide an issue description or link. Usage: `/poker [issue]`" 
-      });
+    if (getSessionStatus(session) === SESSION_STATUS.CLOSED) {
+      return respond(":lock: This planning poker session has already ended.");
     }
     
-    // Create a new session
-    const { success, sessionId, error } = await createSession(channel_id, text);
+    return await SESSION_ACTION_HANDLERS[action.action_id]({
+      payload,
+      session,
+      value,
+      userId: payload.user.id,
+      botToken: await getBotToken(payload.team?.id),
+      respond
+    });
+  } catch (err) {
+    logger.error('Error in handleSessionAction:', err);
+    return respond("Sorry, there was an error processing your action. Please try again.");
+  }
+}
+
+/**
+ * Handle the next issue modal being submitted
+ * @param {Object} payload - The view_submission payload
+ * @param {Object} res - Express response object
+ * @returns {Promise<boolean>} Whether the next session was started
+ */
+async function handleNextIssueSubmission(payload, res) {
+  const { view } = payload;
+  const issue = (view.state?.values?.next_issue_input?.issue?.value || '').trim();
+  
+  if (!issue) {
+    return res.status(200).json({
+      response_action: "errors",
+      errors: { next_issue_input: "Please describe the next issue." }
+    });
+  }
+  
+  // Close the modal straight away
+  res.status(200).send();
+  
+  try {
+    const { channelId, sessionId } = JSON.parse(view.private_metadata || '{}');
+    const userId = payload.user.id;
+    const tenant = getPayloadTenant(payload);
+    const teamId = tenant.teamId;
+    const botToken = await getBotToken(teamId);
     
-    if (!success) {
-      logger.error('Error creating session:', error);
-      return sendDelayedResponse(response_url, { 
-        response_type: "ephemeral",
-        text: "Error: Could not create a new planning poker session." 
-      });
-    }
+    const { session: previousSession } = await getSessionById(tenant, sessionId);
     
-    // Send the response with voting buttons
-    const message = createPokerSessionMessage(user_id, text, sessionId);
-    const delayedSuccess = await sendDelayedResponse(response_url, message);
+    // Keep voting with the same deck as the previous issue
+    const deck = previousSession
+      ? getSessionDeck(previousSession)
+      : (await getChannelDeck(teamId, channelId)).deck;
     
-    // Add reaction to indicate session started (using workspace-specific token)
-    if (delayedSuccess) {
-      await addReaction(channel_id, null, null, botToken);
+    if (previousSession) {
+      await moveOnFromSession(previousSession, userId, botToken);
     }
     
-    return delayedSuccess;
-  } catch (err) {
-    logger.error('Error in handlePokerCommand:', err);
+    // Stay in the thread when the previous session ran in one
+    const threadTs = previousSession ? previousSession.thread_ts || null : null;
+    const started = await startSession({ tenant, channelId, userId, issue, deck, botToken, threadTs });
     
-    // If we have a response_url, use it to send an error message
-    if (req.body && req.body.response_url) {
-      return sendDelayedResponse(req.body.response_url, { 
-        response_type: "ephemeral",
-        text: "Sorry, there was an error processing your command. Please try again." 
-      });
+    if (!started.success) {
+      logger.error('Error starting next session:', started.error);
+      return false;
     }
     
+    return true;
+  } catch (err) {
+    logger.error('Error in handleNextIssueSubmission:', err);
     return false;
   }
 }
 
 /**
- * Handle the /poker-reveal slash command
- * @param {Object} req - Express request object
+ * Handle the queue modal being submitted
+ * @param {Object} payload - The view_submission payload
  * @param {Object} res - Express response object
+ * @returns {Promise<boolean>} Whether the queue was started
  */
-async function handlePokerRevealCommand(req, res) {
+async function handleQueueSubmission(payload, res) {
+  const { view } = payload;
+  const issues = parseQueueItems(view.state?.values?.queue_input?.issues?.value);
+  
+  if (issues.length === 0 || issues.length > MAX_QUEUE_ITEMS) {
+    return res.status(200).json({
+      response_action: "errors",
+      errors: {
+        queue_input: issues.length === 0
+          ? "Please list at least one issue."
+          : `A queue can hold up to ${MAX_QUEUE_ITEMS} issues.`
+      }
+    });
+  }
+  
+  // Close the modal straight away
+  res.status(200).send();
+  
   try {
-    logger.log('Received reveal command');
-    
-    const { channel_id, response_url, team_id, user_id } = req.body;
-    
-    // Get workspace-specific bot token
-    const botToken = await getBotToken(team_id);
-    
-    // Acknowledge receipt immediately
-    res.status(200).send();
-    
-    // Get the latest session for this channel
-    const { success, session, error } = await getLatestSessionForChannel(channel_id);
+    const { channelId, deckName } = JSON.parse(view.private_metadata || '{}');
+    const tenant = getPayloadTenant(payload);
+    const teamId = tenant.teamId;
+    const botToken = await getBotToken(teamId);
+    const { deck } = await resolveDeck(teamId, channelId, deckName);
     
-    if (!success || !session) {
-      return sendDelayedResponse(response_url, { 
-        response_type: "ephemeral",
-        text: "No active planning poker session found for this channel." 
-      });
+    if (!deck) {
+      logger.error('Deck for queue no longer exists:', deckName);
+      return false;
     }
     
-    // Get votes for the session
-    const { success: votesSuccess, votes, error: votesError } = await getSessionVotes(session.id);
+    const started = await startQueue({ tenant, channelId, userId: payload.user.id, issues, deck, botToken });
     
-    if (!votesSuccess) {
-      logger.error('Error retrieving votes:', votesError);
-      return sendDelayedResponse(response_url, { 
-        response_type: "ephemeral",
-        text: "Error: Could not retrieve votes for the current session." 
-      });
+    if (!started.success) {
+      logger.error('Error starting queue:', started.error);
+      return false;
     }
     
-    // Format and send the results
-    const message = formatPokerResults(votes, session.issue, session.id, user_id);
-    const delayedSuccess = await sendDelayedResponse(response_url, message);
+    return true;
+  } catch (err) {
+    logger.error('Error in handleQueueSubmission:', err);
+    return false;
+  }
+}
+
+/**
+ * Handle the message shortcut that starts a session in the thread of the chosen message
+ * The message text is used as the issue, and the session runs alongside the channel's other sessions.
+ * @param {Object} payload - The message_action payload
+ * @param {Object} res - Express response object
+ * @returns {Promise<boolean>} Whether the session was started
+ */
+async function handleThreadSessionShortcut(payload, res) {
+  // Acknowledge receipt immediately
+  res.status(200).send();
+  
+  const respond = text => sendDelayedResponse(payload.response_url, { 
+    response_type: "ephemeral",
+    text 
+  });
+  
+  try {
+    const { message, channel, user } = payload;
+    const tenant = getPayloadTenant(payload);
+    const teamId = tenant.teamId;
+    const issue = (message?.text || '').trim();
     
-    // Add reaction to indicate session ended (using workspace-specific token)
-    if (delayedSuccess) {
-      await addReaction(channel_id, null, null, botToken);
+    if (!issue) {
+      return respond("This message has no text to estimate. Use the shortcut on a message describing the issue.");
     }
     
-    return delayedSuccess;
-  } catch (err) {
-    logger.error('Error in handlePokerRevealCommand:', err);
+    const { deck } = await getChannelDeck(teamId, channel.id);
     
-    // If we have a response_url, use it to send an error message
-    if (req.body && req.body.response_url) {
-      return sendDelayedResponse(req.body.response_url, { 
-        text: "Sorry, there was an error processing your command. Please try again." 
-      });
+    const started = await startSession({
+      tenant,
+      channelId: channel.id,
+      userId: user.id,
+      issue,
+      deck,
+      botToken: await getBotToken(teamId),
+      // Replies to a threaded message go in the same thread
+      threadTs: message.thread_ts || message.ts
+    });
+    
+    if (!started.success) {
+      return respond(started.error);
     }
     
-    return false;
+    return true;
+  } catch (err) {
+    logger.error('Error in handleThreadSessionShortcut:', err);
+    return respond("Sorry, there was an error starting the session. Please try again.");
+  }
+}
+
+/**
+ * Explain why a session can't take a vote
+ * @param {Object|null} session - The session being voted on
+ * @returns {string|null} A message for the voter, or null if the vote is allowed
+ */
+function getVoteRejection(session) {
+  if (!session) {
+    return ":grey_question: This planning poker session no longer exists. Start a new one with `/poker [issue]`.";
+  }
+  
+  switch (getSessionStatus(session)) {
+    case SESSION_STATUS.OPEN:
+      return null;
+    case SESSION_STATUS.REVEALED:
+      return ":eyes: The votes for this session have already been revealed, so it isn't taking new votes.";
+    default:
+      return ":lock: This planning poker session has ended and no longer accepts votes. Start a new one with `/poker [issue]`.";
   }
 }
 
@@ -175,13 +1820,32 @@ async function handleInteractiveActions(req, res) {
     
     const payload = JSON.parse(req.body.payload);
     
+    if (payload.type === 'message_action') {
+      if (payload.callback_id === THREAD_SESSION_CALLBACK_ID) {
+        return handleThreadSessionShortcut(payload, res);
+      }
+      
+      return res.status(200).send();
+    }
+    
+    if (payload.type === 'view_submission') {
+      if (payload.view?.callback_id === NEXT_ISSUE_CALLBACK_ID) {
+        return handleNextIssueSubmission(payload, res);
+      }
+      
+      if (payload.view?.callback_id === QUEUE_CALLBACK_ID) {
+        return handleQueueSubmission(payload, res);
+      }
+      
+      return res.status(200).send();
+    }
+    
     // Extract action data based on payload type
     let voteData;
     let userId;
     let userName;
     let channelId;
     let messageTs;
-    let teamId;
     
     if (payload.type === 'interactive_message') {
       // Legacy format
@@ -212,7 +1876,6 @@ async function handleInteractiveActions(req, res) {
       userName = payload.user.name;
       channelId = payload.channel?.id;
       messageTs = payload.message_ts || (payload.original_message && payload.original_message.ts);
-      teamId = payload.team.id;
     } 
     else if (payload.type === 'block_actions') {
       // Block Kit format
@@ -224,15 +1887,28 @@ async function handleInteractiveActions(req, res) {
       
       const action = payload.actions[0];
       
+      // Facilitator buttons (reveal, re-vote, accept, next issue) have their own handlers
+      if (SESSION_ACTION_HANDLERS[action.action_id]) {
+        return handleSessionAction(payload, action, res);
+      }
+      
+      // Buttons on `/poker history` results (paging and details)
+      if (HISTORY_ACTION_HANDLERS[action.action_id]) {
+        return handleHistoryAction(payload, action, res);
+      }
+      
+      // Buttons carry a value, select menus carry the selected option's value
+      const actionValue = action.value || action.selected_option?.value;
+      
       // Check if this is a vote action (action_id should start with "vote_")
-      if (!action.action_id.startsWith('vote_') || !action.value) {
+      if (!action.action_id.startsWith('vote_') || !actionValue) {
         return res.status(200).json({ 
           text: "Error: Unsupported action." 
         });
       }
       
       try {
-        voteData = JSON.parse(action.value);
+        voteData = JSON.parse(actionValue);
       } catch (e) {
         return res.status(200).json({ 
           text: "Error: Invalid vote data." 
@@ -243,7 +1919,6 @@ async function handleInteractiveActions(req, res) {
       userName = payload.user.username || payload.user.name;
       channelId = payload.channel?.id;
       messageTs = payload.message?.ts || payload.container?.message_ts;
-      teamId = payload.team.id;
     } 
     else {
       return res.status(200).json({ 
@@ -251,15 +1926,65 @@ async function handleInteractiveActions(req, res) {
       });
     }
     
+    const tenant = getPayloadTenant(payload);
+    
+    // Sessions are only looked up within the caller's workspace, so a vote needs one
+    if (!isValidTenant(tenant)) {
+      logger.log('Rejected vote without a team:', voteData.sessionId);
+      return res.status(200).json({ 
+        text: "Error: Could not tell which workspace this vote came from." 
+      });
+    }
+    
+    // Only open sessions take votes; older messages may still show buttons.
+    // The lookup is scoped to the caller's workspace, so another workspace's session IDs aren't found.
+    const { success: lookupSuccess, session, error: lookupError } = await getSessionById(tenant, voteData.sessionId);
+    
+    if (!lookupSuccess) {
+      logger.error('Error retrieving session:', lookupError);
+      return res.status(200).json({ 
+        text: "Error: Could not save your vote." 
+      });
+    }
+    
+    if (!session) {
+      logger.log('Rejected vote for a session not found in the workspace:', voteData.sessionId);
+    }
+    
+    const rejection = getVoteRejection(session);
+    
+    if (rejection) {
+      return res.status(200).json({ 
+        response_type: "ephemeral",
+        replace_original: false,
+        text: rejection 
+      });
+    }
+    
+    // Only the session's cards and the special cards can be voted, whatever the payload says
+    if (!isValidVote(getSessionDeck(session), voteData.vote)) {
+      logger.log('Rejected a vote that is not on the session\'s deck:', voteData.sessionId);
+      return res.status(200).json({ 
+        response_type: "ephemeral",
+        replace_original: false,
+        text: "Error: That card is not in this session's deck." 
+      });
+    }
+    
+    // Votes count towards the session's current round
+    const round = getSessionRound(session);
+    
     // Check if user has already voted to provide better feedback
-    const { success: checkSuccess, hasVoted } = await hasUserVoted(voteData.sessionId, userId);
+    const { success: checkSuccess, hasVoted } = await hasUserVoted(tenant, voteData.sessionId, userId, round);
     
     // Save the vote
     const { success, error } = await saveVote(
+      tenant,
       voteData.sessionId, 
       userId, 
       voteData.vote,
-      userName
+      userName,
+      round
     );
     
     if (!success) {
@@ -269,16 +1994,10 @@ async function handleInteractiveActions(req, res) {
       });
     }
     
-    // Add a reaction to the message ONLY if this is the user's first vote
-    if (channelId && messageTs && !(checkSuccess && hasVoted)) {
-      const botToken = await getBotToken(teamId);
-      await addReaction(channelId, messageTs, null, botToken);
-    }
-    
     // Send a confirmation message with appropriate wording
     const voteAction = (checkSuccess && hasVoted) ? 'has been updated' : 'has been recorded';
     
-    let messageText = `Your vote (${voteData.vote}) ${voteAction}.`;
+    let messageText = `Your vote (${formatVoteValue(voteData.vote)}) ${voteAction}.`;
     
     if (checkSuccess && hasVoted) {
       messageText = `:arrows_counterclockwise: ${messageText}`;
@@ -286,31 +2005,40 @@ async function handleInteractiveActions(req, res) {
       messageText = `:white_check_mark: ${messageText}`;
     }
     
-    // Check if we have a response_url available (should be available in both payload types)
+    // Acknowledge before updating the session message, which takes several Slack API calls and
+    // could miss Slack's 3-second deadline. Without a response_url the confirmation is the acknowledgment.
     if (payload.response_url) {
-      // Send an immediate acknowledgment
       res.status(200).send();
-      
-      // Then send the detailed message via the response_url
+    } else {
+      res.status(200).json({ 
+        response_type: "ephemeral",
+        replace_original: false,
+        text: messageText
+      });
+    }
+    
+    let confirmed = true;
+    
+    // Then send the detailed message via the response_url
+    if (payload.response_url) {
       try {
         await axios.post(payload.response_url, {
           response_type: "ephemeral",
           replace_original: false,
           text: messageText
         });
-        return true;
       } catch (error) {
         logger.error('Error sending message via response_url:', error);
-        return false;
+        confirmed = false;
       }
-    } else {
-      // Fallback to direct response if no response_url is available
-      return res.status(200).json({ 
-        response_type: "ephemeral",
-        replace_original: false,
-        text: messageText
-      });
     }
+    
+    // Only a user's first vote in the round adds a reaction and changes who is shown as having voted
+    if (!(checkSuccess && hasVoted)) {
+      await showFirstVote({ tenant, sessionId: voteData.sessionId, channelId, messageTs });
+    }
+    
+    return confirmed;
   } catch (err) {
     logger.error('Error in handleInteractiveActions:', err);
     return res.status(200).json({ 
@@ -1,6 +1,8 @@
-// Export the Supabase client
+// Export the Supabase client and the storage repositories
 const supabase = require('./supabase');
+const repositories = require('./repositories');
 
 module.exports = {
-  supabase
+  supabase,
+  repositories
 };
@@ -0,0 +1,21 @@
+/**
+ * Repositories for sessions, votes, installations, decks, channel settings, backlog queues and
+ * issue tracker integrations
+ *
+ * The backend is chosen with the STORAGE_BACKEND environment variable: `supabase` (the default) or
+ * `memory`. Services go through these repositories instead of querying Supabase, so they run
+ * unchanged against either backend.
+ */
+const { getStorageBackend } = require('../storageBackend');
+
+const backend = getStorageBackend();
+
+// Only load the chosen backend
+const repositories = backend === 'memory'
+  ? require('./memory').createMemoryRepositories()
+  : require('./supabase').createSupabaseRepositories();
+
+module.exports = {
+  backend,
+  ...repositories
+};
@@ -0,0 +1,408 @@
+/**
+ * In-memory repositories
+ * Their methods take the same arguments as the Supabase repositories' (see ./supabase.js) and resolve
+ * to the same `{ data, error }` results, but everything is kept in the process: data is lost on restart
+ * and isn't shared between processes, so this backend is meant for local development and tests.
+ */
+const { assertValidTenant, belongsToTenant } = require('../../utils/tenant');
+
+/**
+ * Copy a row so callers can't change what's stored, and stored rows can't change what callers hold
+ * @param {Object} row - The row
+ * @returns {Object} The copy
+ */
+function copyRow(row) {
+  return structuredClone(row);
+}
+
+/**
+ * Copy some of a row's columns
+ * @param {Object} row - The row
+ * @param {Array<string>} columns - The columns to keep
+ * @returns {Object} The selected columns
+ */
+function pickColumns(row, columns) {
+  return Object.fromEntries(columns.map(column => [column, row[column] ?? null]));
+}
+
+/**
+ * Turn a timestamp column into milliseconds, so timestamps written in different formats compare correctly
+ * @param {string|null} value - ISO timestamp
+ * @returns {number} Milliseconds since the epoch, or NaN for missing values
+ */
+function toTime(value) {
+  return value ? Date.parse(value) : NaN;
+}
+
+/**
+ * Sort rows by a column
+ * Rows with equal values keep the order they were stored in, newest last when ascending and newest
+ * first when descending.
+ * @param {Array<Object>} rows - The rows, in the order they were stored
+ * @param {string} column - The column to sort by
+ * @param {boolean} ascending - Whether to sort smallest first
+ * @returns {Array<Object>} The sorted rows
+ */
+function sortRows(rows, column, ascending) {
+  const ordered = ascending ? [...rows] : [...rows].reverse();
+
+  return ordered.sort((a, b) => {
+    if (a[column] === b[column]) {
+      return 0;
+    }
+
+    return (a[column] < b[column] ? -1 : 1) * (ascending ? 1 : -1);
+  });
+}
+
+/**
+ * Build a filter for a tenant's rows
+ * The tenant is checked up front, so reading an empty table without one fails like it does in Supabase.
+ * @param {Object} tenant - The tenant
+ * @returns {Function} Predicate matching the tenant's rows
+ * @throws {Error} If the tenant doesn't identify a workspace
+ */
+function ownedBy(tenant) {
+  assertValidTenant(tenant);
+  return row => belongsToTenant(row, tenant);
+}
+
+/**
+ * Build the error Postgres would return for a duplicate primary key
+ * @param {string} table - The table name
+ * @returns {Object} The error
+ */
+function duplicateKeyError(table) {
+  return { code: '23505', message: `duplicate key value violates unique constraint "${table}_pkey"` };
+}
+
+/**
+ * Create empty in-memory repositories
+ * @returns {Object} The `sessions`, `votes`, `installations`, `decks`, `channelSettings`, `queues` and
+ * `integrations` repositories, and `reset` to empty them
+ */
+function createMemoryRepositories() {
+  // Rows keyed by their primary key; Maps keep insertion order, which breaks ties when sorting
+  const tables = {
+    sessions: new Map(),
+    votes: new Map(),
+    installations: new Map(),
+    purges: new Map(),
+    decks: new Map(),
+    channelSettings: new Map(),
+    queues: new Map(),
+    integrations: new Map()
+  };
+  let nextVoteId = 1;
+
+  /**
+   * Get the sessions a tenant can see
+   * @param {Object} tenant - The workspace (`teamId`, `enterpriseId`)
+   * @returns {Array<Object>} The stored sessions
+   */
+  function tenantSessions(tenant) {
+    return [...tables.sessions.values()].filter(ownedBy(tenant));
+  }
+
+  const sessions = {
+    async insert(row) {
+      if (tables.sessions.has(row.id)) {
+        return { data: null, error: duplicateKeyError('sessions') };
+      }
+
+      tables.sessions.set(row.id, copyRow(row));
+      return { data: null, error: null };
+    },
+
+    async findById(tenant, sessionId) {
+      const data = tenantSessions(tenant).filter(session => session.id === sessionId);
+      return { data: data.slice(0, 1).map(copyRow), error: null };
+    },
+
+    async findLatest(tenant, channelId, threadTs) {
+      const data = tenantSessions(tenant).filter(session =>
+        session.channel === channelId && (session.thread_ts ?? null) === (threadTs ?? null));
+
+      return { data: sortRows(data, 'created_at', false).slice(0, 1).map(copyRow), error: null };
+    },
+
+    async listByStatus(tenant, channelId, statuses, limit) {
+      const data = tenantSessions(tenant).filter(session =>
+        session.channel === channelId && statuses.includes(session.status));
+
+      return { data: sortRows(data, 'created_at', false).slice(0, limit).map(copyRow), error: null };
+    },
+
+    async listForChannel(tenant, channelId, { search = [], limit, offset }) {
+      const terms = search.map(term => term.toLowerCase());
+      const data = tenantSessions(tenant).filter(session =>
+        session.channel === channelId &&
+        terms.every(term => (session.issue || '').toLowerCase().includes(term)));
+
+      return { data: sortRows(data, 'created_at', false).slice(offset, offset + limit).map(copyRow), error: null };
+    },
+
+    async listInRange(filters, { limit, offset }) {
+      const data = (filters.tenant ? tenantSessions(filters.tenant) : [...tables.sessions.values()]).filter(session =>
+        (!filters.channelId || session.channel === filters.channelId) &&
+        (!filters.from || toTime(session.created_at) >= toTime(filters.from)) &&
+        (!filters.until || toTime(session.created_at) < toTime(filters.until)));
+
+      return { data: sortRows(data, 'created_at', true).slice(offset, offset + limit).map(copyRow), error: null };
+    },
+
+    async update(tenant, sessionId, fields) {
+      tenantSessions(tenant)
+        .filter(session => session.id === sessionId)
+        .forEach(session => Object.assign(session, copyRow(fields)));
+
+      return { data: null, error: null };
+    },
+
+    async updateIfStatus(tenant, sessionId, status, fields) {
+      const data = tenantSessions(tenant).filter(session => session.id === sessionId && session.status === status);
+      data.forEach(session => Object.assign(session, copyRow(fields)));
+
+      return { data: data.map(copyRow), error: null };
+    }
+  };
+
+  const votes = {
+    async upsert(row) {
+      const key = `${row.session_id}:${row.user_id}:${row.round}`;
+      const existing = tables.votes.get(key);
+
+      if (existing) {
+        Object.assign(existing, copyRow(row));
+      } else {
+        tables.votes.set(key, { id: nextVoteId++, created_at: new Date().toISOString(), ...copyRow(row) });
+      }
+
+      return { data: null, error: null };
+    },
+
+    async findUserVote(tenant, sessionId, userId, round) {
+      const data = [...tables.votes.values()].filter(ownedBy(tenant)).filter(vote =>
+        vote.session_id === sessionId && vote.user_id === userId && vote.round === round);
+
+      return { data: data.slice(0, 1).map(vote => pickColumns(vote, ['user_id'])), error: null };
+    },
+
+    async listForSession(tenant, sessionId, { round } = {}) {
+      const data = [...tables.votes.values()].filter(ownedBy(tenant)).filter(vote =>
+        vote.session_id === sessionId && (!round || vote.round === round));
+
+      return { data: data.map(copyRow), error: null };
+    },
+
+    async listForSessions(sessionIds, tenant, { limit, offset }) {
+      const data = [...tables.votes.values()].filter(tenant ? ownedBy(tenant) : () => true).filter(vote =>
+        sessionIds.includes(vote.session_id));
+
+      return { data: sortRows(data, 'id', true).slice(offset, offset + limit).map(copyRow), error: null };
+    },
+
+    async count(tenant, sessionId) {
+      const count = [...tables.votes.values()].filter(ownedBy(tenant)).filter(vote => vote.session_id === sessionId).length;
+
+      return { data: null, count, error: null };
+    }
+  };
+
+  const installations = {
+    async upsert(row) {
+      tables.installations.set(row.team_id, { ...tables.installations.get(row.team_id), ...copyRow(row) });
+      return { data: null, error: null };
+    },
+
+    async findByTeamId(teamId) {
+      const installation = tables.installations.get(teamId);
+      return { data: installation ? [copyRow(installation)] : [], error: null };
+    },
+
+    async updateIfExpiry(teamId, fields, expectedExpiresAt) {
+      const installation = tables.installations.get(teamId);
+
+      // Like SQL, a missing expiry never equals anything
+      if (!installation || toTime(installation.token_expires_at) !== toTime(expectedExpiresAt)) {
+        return { data: [], error: null };
+      }
+
+      Object.assign(installation, copyRow(fields));
+      return { data: [{ team_id: teamId }], error: null };
+    },
+
+    async listExpiring(before) {
+      const data = [...tables.installations.values()].filter(installation =>
+        installation.refresh_token != null && toTime(installation.token_expires_at) <= before.getTime());
+
+      return {
+        data: sortRows(data, 'token_expires_at', true).map(installation => pickColumns(installation, ['team_id', 'token_expires_at'])),
+        error: null
+      };
+    },
+
+    async list() {
+      return {
+        data: sortRows([...tables.installations.values()], 'installed_at', false)
+          .map(installation => pickColumns(installation, ['team_id', 'team_name', 'installed_at', 'scope'])),
+        error: null
+      };
+    },
+
+    async remove(teamId) {
+      tables.installations.delete(teamId);
+      return { data: null, error: null };
+    },
+
+    async upsertPurge(row) {
+      tables.purges.set(row.team_id, { ...tables.purges.get(row.team_id), ...copyRow(row) });
+      return { data: null, error: null };
+    },
+
+    async removePendingPurge(teamId) {
+      const purge = tables.purges.get(teamId);
+
+      if (purge && purge.purged_at == null) {
+        tables.purges.delete(teamId);
+      }
+
+      return { data: null, error: null };
+    },
+
+    async listDuePurges(now) {
+      const data = [...tables.purges.values()].filter(purge =>
+        purge.purged_at == null && toTime(purge.purge_after) <= now.getTime());
+
+      return { data: data.map(copyRow), error: null };
+    },
+
+    async updatePurge(teamId, fields) {
+      const purge = tables.purges.get(teamId);
+
+      if (purge) {
+        Object.assign(purge, copyRow(fields));
+      }
+
+      return { data: null, error: null };
+    }
+  };
+
+  /**
+   * Insert a row, or merge it into the stored row with the same key like an upsert does
+   * @param {Map} table - The table
+   * @param {string} key - The row's unique key
+   * @param {Object} row - The row's columns
+   * @returns {Object} Result with no error
+   */
+  function upsertRow(table, key, row) {
+    table.set(key, { ...table.get(key), ...copyRow(row) });
+    return { data: null, error: null };
+  }
+
+  /**
+   * Get a workspace's rows from a table
+   * @param {Map} table - The table
+   * @param {string} teamId - Slack team ID
+   * @returns {Array<Object>} The stored rows
+   */
+  function teamRows(table, teamId) {
+    return [...table.values()].filter(row => row.team_id === teamId);
+  }
+
+  const decks = {
+    async upsert(row) {
+      return upsertRow(tables.decks, `${row.team_id}:${row.name}`, row);
+    },
+
+    async findByName(teamId, name) {
+      const deck = tables.decks.get(`${teamId}:${name}`);
+      return { data: deck ? [copyRow(deck)] : [], error: null };
+    },
+
+    async listForTeam(teamId) {
+      return { data: sortRows(teamRows(tables.decks, teamId), 'name', true).map(copyRow), error: null };
+    },
+
+    async remove(teamId, name) {
+      tables.decks.delete(`${teamId}:${name}`);
+      return { data: null, error: null };
+    }
+  };
+
+  const channelSettings = {
+    async upsert(row) {
+      return upsertRow(tables.channelSettings, `${row.team_id}:${row.channel}`, row);
+    },
+
+    async findDefaultDeck(teamId, channelId) {
+      const settings = tables.channelSettings.get(`${teamId}:${channelId}`);
+      return { data: settings ? [pickColumns(settings, ['default_deck'])] : [], error: null };
+    }
+  };
+
+  const queues = {
+    async insert(row) {
+      if (tables.queues.has(row.id)) {
+        return { data: null, error: duplicateKeyError('session_queues') };
+      }
+
+      tables.queues.set(row.id, copyRow(row));
+      return { data: null, error: null };
+    },
+
+    async findById(tenant, queueId) {
+      const data = [...tables.queues.values()].filter(ownedBy(tenant)).filter(queue => queue.id === queueId);
+      return { data: data.map(copyRow), error: null };
+    },
+
+    async findLatestInChannel(tenant, channelId, status) {
+      const data = [...tables.queues.values()].filter(ownedBy(tenant)).filter(queue =>
+        queue.channel === channelId && queue.status === status);
+
+      return { data: sortRows(data, 'created_at', false).slice(0, 1).map(copyRow), error: null };
+    },
+
+    async updateForTenant(tenant, queueId, fields) {
+      [...tables.queues.values()].filter(ownedBy(tenant))
+        .filter(queue => queue.id === queueId)
+        .forEach(queue => Object.assign(queue, copyRow(fields)));
+
+      return { data: null, error: null };
+    }
+  };
+
+  const integrations = {
+    async upsert(row) {
+      return upsertRow(tables.integrations, `${row.team_id}:${row.provider}`, row);
+    },
+
+    async findByProvider(teamId, provider) {
+      const integration = tables.integrations.get(`${teamId}:${provider}`);
+      return { data: integration ? [copyRow(integration)] : [], error: null };
+    },
+
+    async listForTeam(teamId) {
+      return { data: sortRows(teamRows(tables.integrations, teamId), 'provider', true).map(copyRow), error: null };
+    },
+
+    async remove(teamId, provider) {
+      tables.integrations.delete(`${teamId}:${provider}`);
+      return { data: null, error: null };
+    }
+  };
+
+  /**
+   * Delete everything stored, e.g. between tests
+   */
+  function reset() {
+    Object.values(tables).forEach(table => table.clear());
+    nextVoteId = 1;
+  }
+
+  return { sessions, votes, installations, decks, channelSettings, queues, integrations, reset };
+}
+
+module.exports = {
+  createMemoryRepositories
+};
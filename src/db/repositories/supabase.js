@@ -0,0 +1,606 @@
+/**
+ * Supabase repositories
+ * Every method resolves to a Supabase-style result (`{ data, error }`, or `{ count, error }` for counts).
+ */
+const supabase = require('../supabase');
+const { scopeToTenant } = require('../../utils/tenant');
+
+/**
+ * Escape the characters `ilike` treats as wildcards, so search terms match literally
+ * @param {string} term - The search term
+ * @returns {string} The escaped term
+ */
+function escapeLikePattern(term) {
+  return term.replace(/[\\%_]/g, '\\$&');
+}
+
+/**
+ * Create the repositories backed by a Supabase client
+ * @param {Object} client - Supabase client (defaults to the app's client)
+ * @returns {Object} The `sessions`, `votes`, `installations`, `decks`, `channelSettings`, `queues` and `integrations` repositories
+ */
+function createSupabaseRepositories(client = supabase) {
+  /**
+   * Start a query on the sessions a tenant can see
+   * @param {Object} tenant - The workspace (`teamId`, `enterpriseId`)
+   * @returns {Object} Supabase query builder
+   */
+  function selectTenantSessions(tenant) {
+    return scopeToTenant(client.from('sessions').select('*'), tenant);
+  }
+
+  const sessions = {
+    /**
+     * Insert a session
+     * @param {Object} row - The session's columns
+     * @returns {Promise<Object>} Result with any error
+     */
+    insert(row) {
+      return client
+        .from('sessions')
+        .insert(row);
+    },
+
+    /**
+     * Find a tenant's session by ID
+     * @param {Object} tenant - The workspace (`teamId`, `enterpriseId`)
+     * @param {string} sessionId - The session ID
+     * @returns {Promise<Object>} Result with the matching sessions (none or one)
+     */
+    findById(tenant, sessionId) {
+      return selectTenantSessions(tenant)
+        .eq('id', sessionId)
+        .limit(1);
+    },
+
+    /**
+     * Find the newest session in a channel, or in a thread in the channel
+     * @param {Object} tenant - The workspace (`teamId`, `enterpriseId`)
+     * @param {string} channelId - The channel ID
+     * @param {string|null} threadTs - The thread's parent message ts; null only matches sessions outside threads
+     * @returns {Promise<Object>} Result with the matching sessions (none or one)
+     */
+    findLatest(tenant, channelId, threadTs) {
+      const query = selectTenantSessions(tenant)
+        .eq('channel', channelId);
+
+      return (threadTs ? query.eq('thread_ts', threadTs) : query.is('thread_ts', null))
+        .order('created_at', { ascending: false })
+        .limit(1);
+    },
+
+    /**
+     * List a channel's sessions in some statuses, newest first
+     * @param {Object} tenant - The workspace (`teamId`, `enterpriseId`)
+     * @param {string} channelId - The channel ID
+     * @param {Array<string>} statuses - The statuses to include
+     * @param {number} limit - The most sessions to return
+     * @returns {Promise<Object>} Result with the sessions
+     */
+    listByStatus(tenant, channelId, statuses, limit) {
+      return selectTenantSessions(tenant)
+        .eq('channel', channelId)
+        .in('status', statuses)
+        .order('created_at', { ascending: false })
+        .limit(limit);
+    },
+
+    /**
+     * List a channel's sessions, newest first
+     * @param {Object} tenant - The workspace (`teamId`, `enterpriseId`)
+     * @param {string} channelId - The channel ID
+     * @param {Object} options - Query settings
+     * @param {Array<string>} options.search - Words that must all appear in the issue text (case-insensitive)
+     * @param {number} options.limit - The most sessions to return
+     * @param {number} options.offset - How many of the newest sessions to skip
+     * @returns {Promise<Object>} Result with the sessions
+     */
+    listForChannel(tenant, channelId, { search = [], limit, offset }) {
+      let query = selectTenantSessions(tenant)
+        .eq('channel', channelId);
+
+      search.forEach(term => {
+        query = query.ilike('issue', `%${escapeLikePattern(term)}%`);
+      });
+
+      return query
+        .order('created_at', { ascending: false })
+        .range(offset, offset + limit - 1);
+    },
+
+    /**
+     * List sessions started in a time range, oldest first
+     * @param {Object} filters - Which sessions to list (`tenant`, `channelId`, `from`, `until`), each optional
+     * @param {Object} options - Paging settings (`limit`, `offset`)
+     * @returns {Promise<Object>} Result with the sessions
+     */
+    listInRange(filters, { limit, offset }) {
+      let query = client
+        .from('sessions')
+        .select('*');
+
+      if (filters.tenant) {
+        query = scopeToTenant(query, filters.tenant);
+      }
+
+      if (filters.channelId) {
+        query = query.eq('channel', filters.channelId);
+      }
+
+      if (filters.from) {
+        query = query.gte('created_at', filters.from);
+      }
+
+      if (filters.until) {
+        query = query.lt('created_at', filters.until);
+      }
+
+      return query
+        .order('created_at', { ascending: true })
+        .range(offset, offset + limit - 1);
+    },
+
+    /**
+     * Update a tenant's session
+     * @param {Object} tenant - The workspace (`teamId`, `enterpriseId`)
+     * @param {string} sessionId - The session ID
+     * @param {Object} fields - The columns to set
+     * @returns {Promise<Object>} Result with any error
+     */
+    update(tenant, sessionId, fields) {
+      return scopeToTenant(client
+        .from('sessions')
+        .update(fields), tenant)
+        .eq('id', sessionId);
+    },
+
+    /**
+     * Update a tenant's session only if it is still in the given status
+     * @param {Object} tenant - The workspace (`teamId`, `enterpriseId`)
+     * @param {string} sessionId - The session ID
+     * @param {string} status - The status the session must be in
+     * @param {Object} fields - The columns to set
+     * @returns {Promise<Object>} Result with the updated sessions (none if the status had changed)
+     */
+    updateIfStatus(tenant, sessionId, status, fields) {
+      return scopeToTenant(client
+        .from('sessions')
+        .update(fields), tenant)
+        .eq('id', sessionId)
+        .eq('status', status)
+        .select();
+    }
+  };
+
+  const votes = {
+    /**
+     * Insert a vote, replacing the user's earlier vote in the same round of the session
+     * @param {Object} row - The vote's columns
+     * @returns {Promise<Object>} Result with any error
+     */
+    upsert(row) {
+      return client
+        .from('votes')
+        .upsert(row, {
+          onConflict: 'session_id,user_id,round',
+          returning: 'minimal'
+        });
+    },
+
+    /**
+     * Find a user's vote in a round of a tenant's session
+     * @param {Object} tenant - The workspace (`teamId`, `enterpriseId`)
+     * @param {string} sessionId - The session ID
+     * @param {string} userId - The user ID
+     * @param {number} round - The voting round
+     * @returns {Promise<Object>} Result with the matching votes' user IDs (none or one)
+     */
+    findUserVote(tenant, sessionId, userId, round) {
+      return scopeToTenant(client
+        .from('votes')
+        .select('user_id'), tenant)
+        .eq('session_id', sessionId)
+        .eq('user_id', userId)
+        .eq('round', round)
+        .limit(1);
+    },
+
+    /**
+     * List the votes in a tenant's session
+     * @param {Object} tenant - The workspace (`teamId`, `enterpriseId`)
+     * @param {string} sessionId - The session ID
+     * @param {Object} options - Optional filters
+     * @param {number} options.round - Only list votes from this round
+     * @returns {Promise<Object>} Result with the votes
+     */
+    listForSession(tenant, sessionId, { round } = {}) {
+      const query = scopeToTenant(client
+        .from('votes')
+        .select('*'), tenant)
+        .eq('session_id', sessionId);
+
+      return round ? query.eq('round', round) : query;
+    },
+
+    /**
+     * List a page of the votes in many sessions, ordered by ID
+     * @param {Array<string>} sessionIds - The session IDs
+     * @param {Object|null} tenant - Only list this workspace's votes; null lists every workspace's
+     * @param {Object} options - Paging settings (`limit`, `offset`)
+     * @returns {Promise<Object>} Result with the votes
+     */
+    listForSessions(sessionIds, tenant, { limit, offset }) {
+      let query = client
+        .from('votes')
+        .select('*');
+
+      if (tenant) {
+        query = scopeToTenant(query, tenant);
+      }
+
+      return query
+        .in('session_id', sessionIds)
+        .order('id', { ascending: true })
+        .range(offset, offset + limit - 1);
+    },
+
+    /**
+     * Count the votes in a tenant's session
+     * @param {Object} tenant - The workspace (`teamId`, `enterpriseId`)
+     * @param {string} sessionId - The session ID
+     * @returns {Promise<Object>} Result with the count
+     */
+    count(tenant, sessionId) {
+      return scopeToTenant(client
+        .from('votes')
+        .select('*', { count: 'exact', head: true }), tenant)
+        .eq('session_id', sessionId);
+    }
+  };
+
+  const installations = {
+    /**
+     * Insert a workspace's installation, replacing any earlier one
+     * @param {Object} row - The installation's columns
+     * @returns {Promise<Object>} Result with any error
+     */
+    upsert(row) {
+      return client
+        .from('team_installations')
+        .upsert(row, {
+          onConflict: 'team_id',
+          returning: 'minimal'
+        });
+    },
+
+    /**
+     * Find a workspace's installation
+     * @param {string} teamId - Slack team ID
+     * @returns {Promise<Object>} Result with the matching installations (none or one)
+     */
+    findByTeamId(teamId) {
+      return client
+        .from('team_installations')
+        .select('*')
+        .eq('team_id', teamId)
+        .limit(1);
+    },
+
+    /**
+     * Update a workspace's tokens only if the stored expiry still matches
+     * @param {string} teamId - Slack team ID
+     * @param {Object} fields - The columns to set
+     * @param {string} expectedExpiresAt - The expiry the installation must still have
+     * @returns {Promise<Object>} Result with the updated installations' team IDs (none if the expiry had changed)
+     */
+    updateIfExpiry(teamId, fields, expectedExpiresAt) {
+      return client
+        .from('team_installations')
+        .update(fields)
+        .eq('team_id', teamId)
+        .eq('token_expires_at', expectedExpiresAt)
+        .select('team_id');
+    },
+
+    /**
+     * List the installations with a refresh token whose bot token expires by a given time, soonest first
+     * @param {Date} before - The cutoff time
+     * @returns {Promise<Object>} Result with the installations' team IDs and expiry times
+     */
+    listExpiring(before) {
+      return client
+        .from('team_installations')
+        .select('team_id, token_expires_at')
+        .not('refresh_token', 'is', null)
+        .lte('token_expires_at', before.toISOString())
+        .order('token_expires_at', { ascending: true });
+    },
+
+    /**
+     * List every installation, newest first
+     * @returns {Promise<Object>} Result with the installations' team IDs, names, install times and scopes
+     */
+    list() {
+      return client
+        .from('team_installations')
+        .select('team_id, team_name, installed_at, scope')
+        .order('installed_at', { ascending: false });
+    },
+
+    /**
+     * Delete a workspace's installation
+     * @param {string} teamId - Slack team ID
+     * @returns {Promise<Object>} Result with any error
+     */
+    remove(teamId) {
+      return client
+        .from('team_installations')
+        .delete()
+        .eq('team_id', teamId);
+    },
+
+    /**
+     * Insert a workspace's pending purge, replacing any earlier one
+     * @param {Object} row - The purge's columns
+     * @returns {Promise<Object>} Result with any error
+     */
+    upsertPurge(row) {
+      return client
+        .from('workspace_purges')
+        .upsert(row, {
+          onConflict: 'team_id',
+          returning: 'minimal'
+        });
+    },
+
+    /**
+     * Delete a workspace's purge if it hasn't run yet
+     * @param {string} teamId - Slack team ID
+     * @returns {Promise<Object>} Result with any error
+     */
+    removePendingPurge(teamId) {
+      return client
+        .from('workspace_purges')
+        .delete()
+        .eq('team_id', teamId)
+        .is('purged_at', null);
+    },
+
+    /**
+     * List the purges that haven't run and are due by a given time
+     * @param {Date} now - The current time
+     * @returns {Promise<Object>} Result with the purges
+     */
+    listDuePurges(now) {
+      return client
+        .from('workspace_purges')
+        .select('*')
+        .is('purged_at', null)
+        .lte('purge_after', now.toISOString());
+    },
+
+    /**
+     * Update a workspace's purge
+     * @param {string} teamId - Slack team ID
+     * @param {Object} fields - The columns to set
+     * @returns {Promise<Object>} Result with any error
+     */
+    updatePurge(teamId, fields) {
+      return client
+        .from('workspace_purges')
+        .update(fields)
+        .eq('team_id', teamId);
+    }
+  };
+
+  const decks = {
+    /**
+     * Insert a workspace's custom deck, replacing any earlier deck with the same name
+     * @param {Object} row - The deck's columns
+     * @returns {Promise<Object>} Result with any error
+     */
+    upsert(row) {
+      return client
+        .from('decks')
+        .upsert(row, {
+          onConflict: 'team_id,name',
+          returning: 'minimal'
+        });
+    },
+
+    /**
+     * Find a workspace's custom deck by name
+     * @param {string} teamId - Slack team ID
+     * @param {string} name - The deck name
+     * @returns {Promise<Object>} Result with the matching decks (none or one)
+     */
+    findByName(teamId, name) {
+      return client
+        .from('decks')
+        .select('*')
+        .eq('team_id', teamId)
+        .eq('name', name)
+        .limit(1);
+    },
+
+    /**
+     * List a workspace's custom decks by name
+     * @param {string} teamId - Slack team ID
+     * @returns {Promise<Object>} Result with the decks
+     */
+    listForTeam(teamId) {
+      return client
+        .from('decks')
+        .select('*')
+        .eq('team_id', teamId)
+        .order('name', { ascending: true });
+    },
+
+    /**
+     * Delete a workspace's custom deck
+     * @param {string} teamId - Slack team ID
+     * @param {string} name - The deck name
+     * @returns {Promise<Object>} Result with any error
+     */
+    remove(teamId, name) {
+      return client
+        .from('decks')
+        .delete()
+        .eq('team_id', teamId)
+        .eq('name', name);
+    }
+  };
+
+  const channelSettings = {
+    /**
+     * Insert a channel's settings, replacing any earlier ones
+     * @param {Object} row - The settings' columns
+     * @returns {Promise<Object>} Result with any error
+     */
+    upsert(row) {
+      return client
+        .from('channel_settings')
+        .upsert(row, {
+          onConflict: 'team_id,channel',
+          returning: 'minimal'
+        });
+    },
+
+    /**
+     * Find the name of a channel's default deck
+     * @param {string} teamId - Slack team ID
+     * @param {string} channelId - The channel ID
+     * @returns {Promise<Object>} Result with the matching settings' `default_deck` (none or one)
+     */
+    findDefaultDeck(teamId, channelId) {
+      return client
+        .from('channel_settings')
+        .select('default_deck')
+        .eq('team_id', teamId)
+        .eq('channel', channelId)
+        .limit(1);
+    }
+  };
+
+  const queues = {
+    /**
+     * Insert a backlog queue
+     * @param {Object} row - The queue's columns
+     * @returns {Promise<Object>} Result with any error
+     */
+    insert(row) {
+      return client
+        .from('session_queues')
+        .insert(row);
+    },
+
+    /**
+     * Find a tenant's queue by ID
+     * @param {Object} tenant - The workspace (`teamId`, `enterpriseId`)
+     * @param {string} queueId - The queue ID
+     * @returns {Promise<Object>} Result with the matching queues (none or one)
+     */
+    findById(tenant, queueId) {
+      return scopeToTenant(client
+        .from('session_queues')
+        .select('*'), tenant)
+        .eq('id', queueId)
+        .limit(1);
+    },
+
+    /**
+     * Find a tenant's newest queue in a channel with the given status
+     * @param {Object} tenant - The workspace (`teamId`, `enterpriseId`)
+     * @param {string} channelId - The channel ID
+     * @param {string} status - The queue status
+     * @returns {Promise<Object>} Result with the matching queues (none or one)
+     */
+    findLatestInChannel(tenant, channelId, status) {
+      return scopeToTenant(client
+        .from('session_queues')
+        .select('*'), tenant)
+        .eq('channel', channelId)
+        .eq('status', status)
+        .order('created_at', { ascending: false })
+        .limit(1);
+    },
+
+    /**
+     * Update a tenant's queue
+     * @param {Object} tenant - The workspace (`teamId`, `enterpriseId`)
+     * @param {string} queueId - The queue ID
+     * @param {Object} fields - The columns to set
+     * @returns {Promise<Object>} Result with any error
+     */
+    updateForTenant(tenant, queueId, fields) {
+      return scopeToTenant(client
+        .from('session_queues')
+        .update(fields), tenant)
+        .eq('id', queueId);
+    }
+  };
+
+  const integrations = {
+    /**
+     * Insert a workspace's tracker settings, replacing any earlier ones for the same tracker
+     * @param {Object} row - The integration's columns
+     * @returns {Promise<Object>} Result with any error
+     */
+    upsert(row) {
+      return client
+        .from('integrations')
+        .upsert(row, {
+          onConflict: 'team_id,provider',
+          returning: 'minimal'
+        });
+    },
+
+    /**
+     * Find a workspace's settings for a tracker
+     * @param {string} teamId - Slack team ID
+     * @param {string} provider - The tracker name
+     * @returns {Promise<Object>} Result with the matching integrations (none or one)
+     */
+    findByProvider(teamId, provider) {
+      return client
+        .from('integrations')
+        .select('*')
+        .eq('team_id', teamId)
+        .eq('provider', provider)
+        .limit(1);
+    },
+
+    /**
+     * List a workspace's trackers, ordered by name
+     * @param {string} teamId - Slack team ID
+     * @returns {Promise<Object>} Result with the integrations
+     */
+    listForTeam(teamId) {
+      return client
+        .from('integrations')
+        .select('*')
+        .eq('team_id', teamId)
+        .order('provider', { ascending: true });
+    },
+
+    /**
+     * Delete a workspace's settings for a tracker
+     * @param {string} teamId - Slack team ID
+     * @param {string} provider - The tracker name
+     * @returns {Promise<Object>} Result with any error
+     */
+    remove(teamId, provider) {
+      return client
+        .from('integrations')
+        .delete()
+        .eq('team_id', teamId)
+        .eq('provider', provider);
+    }
+  };
+
+  return { sessions, votes, installations, decks, channelSettings, queues, integrations };
+}
+
+module.exports = {
+  createSupabaseRepositories
+};
@@ -0,0 +1,30 @@
+// Storage backend selection
+const dotenv = require('dotenv');
+
+// Load env vars if not already loaded
+if (!process.env.STORAGE_BACKEND) {
+  dotenv.config();
+}
+
+// Backends sessions, votes and installations can be stored in
+const STORAGE_BACKENDS = ['supabase', 'memory'];
+
+/**
+ * Get the storage backend chosen with the STORAGE_BACKEND environment variable
+ * @returns {string} The backend name (defaults to `supabase`)
+ * @throws {Error} If STORAGE_BACKEND names an unknown backend
+ */
+function getStorageBackend() {
+  const backend = (process.env.STORAGE_BACKEND || 'supabase').trim().toLowerCase();
+
+  if (!STORAGE_BACKENDS.includes(backend)) {
+    throw new Error(`Unknown STORAGE_BACKEND "${process.env.STORAGE_BACKEND}"; use one of: ${STORAGE_BACKENDS.join(', ')}`);
+  }
+
+  return backend;
+}
+
+module.exports = {
+  STORAGE_BACKENDS,
+  getStorageBackend
+};
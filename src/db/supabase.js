@@ -1,13 +1,30 @@
 // Supabase client setup
 const { createClient } = require('@supabase/supabase-js');
 const dotenv = require('dotenv');
+const { getStorageBackend } = require('./storageBackend');
 
 // Load env vars if not already loaded
 if (!process.env.SUPABASE_URL) {
   dotenv.config();
 }
 
+/**
+ * Create a stand-in for the client when running on the in-memory backend without a Supabase project
+ * The services only use the repositories, so nothing queries this client except the scheduled jobs,
+ * which always need Supabase and fail with this error without it.
+ * @returns {Object} An object whose `from` throws
+ */
+function createUnconfiguredClient() {
+  return {
+    from() {
+      throw new Error('Supabase is not configured; set SUPABASE_URL and SUPABASE_KEY');
+    }
+  };
+}
+
 // Create and export the Supabase client
-const supabase = createClient(process.env.SUPABASE_URL, process.env.SUPABASE_KEY);
+const supabase = !process.env.SUPABASE_URL && getStorageBackend() === 'memory'
+  ? createUnconfiguredClient()
+  : createClient(process.env.SUPABASE_URL, process.env.SUPABASE_KEY);
 
 module.exports = supabase;
@@ -0,0 +1,365 @@
+const axios = require('axios');
+const { WRITE_TIMEOUT_MS, PREVIEW_TIMEOUT_MS, trimBaseUrl, describeHttpError, postGraphql } = require('./http');
+
+const name = 'github';
+const label = 'GitHub';
+
+const DEFAULT_API_URL = 'https://api.github.com';
+const DEFAULT_LABEL_FORMAT = 'estimate: {estimate}';
+const DEFAULT_PROJECT_FIELD = 'Estimate';
+
+// How an accepted estimate is recorded on the issue
+const MODES = {
+  LABEL: 'label',
+  PROJECT: 'project'
+};
+
+// Settings users can set with `/poker config github key=value`, mapped to config properties
+const CONFIG_KEYS = {
+  token: 'apiToken',
+  api: 'apiUrl',
+  mode: 'mode',
+  label: 'labelFormat',
+  project: 'projectUrl',
+  field: 'projectField'
+};
+
+const REQUIRED_CONFIG = ['apiToken'];
+const SECRET_CONFIG = ['apiToken'];
+
+// Changing the API URL clears the saved token, see applyConfigUpdates
+const ENDPOINT_CONFIG = ['apiUrl'];
+
+// Public issues can be previewed before the workspace connects GitHub
+const PUBLIC_PREVIEWS = true;
+
+const ISSUE_URL_PATTERN = /https?:\/\/([^\s/>|]+)\/([\w.-]+)\/([\w.-]+)\/(issues|pull)\/(\d+)/g;
+const PROJECT_URL_PATTERN = /\/(orgs|users)\/([\w.-]+)\/projects\/(\d+)/;
+
+/**
+ * Get the REST API base URL, which is overridable for GitHub Enterprise Server
+ * @param {Object} config - The workspace's GitHub settings
+ * @returns {string} The API base URL without a trailing slash
+ */
+function getApiUrl(config) {
+  return trimBaseUrl(config.apiUrl || DEFAULT_API_URL);
+}
+
+/**
+ * Get the GraphQL endpoint that belongs to the configured REST API
+ * GitHub Enterprise Server serves REST from /api/v3 and GraphQL from /api/graphql.
+ * @param {Object} config - The workspace's GitHub settings
+ * @returns {string} The GraphQL endpoint
+ */
+function getGraphqlUrl(config) {
+  const apiUrl = getApiUrl(config);
+  return /\/api\/v3$/.test(apiUrl) ? apiUrl.replace(/\/v3$/, '/graphql') : `${apiUrl}/graphql`;
+}
+
+/**
+ * Get the hosts whose issue URLs belong to the configured GitHub
+ * github.com links only count for the default API; with GitHub Enterprise Server, an estimate for a
+ * github.com issue would otherwise be written to the Enterprise issue with the same repository and number.
+ * @param {Object} config - The workspace's GitHub settings
+ * @returns {Array<string>} Lowercase host names
+ */
+function getWebHosts(config) {
+  try {
+    const host = new URL(getApiUrl(config)).host.toLowerCase();
+    return host === 'api.github.com' ? ['github.com'] : [host];
+  } catch (error) {
+    // No issue links can be matched to an unparseable API URL
+    return [];
+  }
+}
+
+/**
+ * Find a GitHub issue or pull request URL in session issue text
+ * @param {string} text - The session issue text
+ * @param {Object} config - The workspace's GitHub settings
+ * @returns {Object|null} The repository, number and URL, or null if the text has no GitHub issue
+ */
+function parseIssueReference(text, config = {}) {
+  const hosts = getWebHosts(config);
+
+  for (const match of (text || '').matchAll(ISSUE_URL_PATTERN)) {
+    const [url, host, owner, repo, type, number] = match;
+
+    if (hosts.includes(host.toLowerCase())) {
+      return {
+        key: `${owner}/${repo}#${number}`,
+        owner,
+        repo,
+        number: Number(number),
+        isPullRequest: type === 'pull',
+        url
+      };
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Parse a GitHub Projects URL such as https://github.com/orgs/acme/projects/3
+ * @param {string} url - The project URL
+ * @returns {Object|null} The owner type, login and project number, or null if the URL isn't a project
+ */
+function parseProjectUrl(url) {
+  const match = (url || '').match(PROJECT_URL_PATTERN);
+
+  if (!match) {
+    return null;
+  }
+
+  return {
+    ownerType: match[1] === 'orgs' ? 'organization' : 'user',
+    login: match[2],
+    number: Number(match[3])
+  };
+}
+
+/**
+ * Check settings that depend on each other
+ * @param {Object} config - The workspace's GitHub settings
+ * @returns {string|null} A description of the problem, or null if the settings are usable
+ */
+function validateConfig(config) {
+  const mode = config.mode || MODES.LABEL;
+
+  if (!Object.values(MODES).includes(mode)) {
+    return `GitHub \`mode\` must be \`${MODES.LABEL}\` or \`${MODES.PROJECT}\`.`;
+  }
+
+  if (config.labelFormat && !config.labelFormat.includes('{estimate}')) {
+    return 'The GitHub `label` must include `{estimate}` where the estimate goes.';
+  }
+
+  if (mode === MODES.PROJECT && !parseProjectUrl(config.projectUrl)) {
+    return 'GitHub `project` must be a project URL like https://github.com/orgs/acme/projects/3.';
+  }
+
+  return null;
+}
+
+/**
+ * Build the headers for the GitHub API
+ * @param {Object} config - The workspace's GitHub settings
+ * @returns {Object} Request headers
+ */
+function getHeaders(config) {
+  return {
+    ...(config.apiToken ? { 'Authorization': `Bearer ${config.apiToken}` } : {}),
+    'Accept': 'application/vnd.github+json',
+    'X-GitHub-Api-Version': '2022-11-28'
+  };
+}
+
+/**
+ * Describe an issue or pull request's state the way GitHub shows it
+ * @param {Object} issue - The issue from the REST API
+ * @returns {string} The state, e.g. `Open`, `Closed`, `Draft` or `Merged`
+ */
+function describeState(issue) {
+  if (issue.pull_request && issue.pull_request.merged_at) {
+    return 'Merged';
+  }
+
+  if (issue.draft && issue.state === 'open') {
+    return 'Draft';
+  }
+
+  return issue.state === 'closed' ? 'Closed' : 'Open';
+}
+
+/**
+ * Fetch the issue's title, state, assignees and description for the session message
+ * @param {Object} reference - The issue from parseIssueReference
+ * @param {Object} config - The workspace's GitHub settings (may be empty for public repositories)
+ * @returns {Promise<Object>} Result with the issue preview
+ */
+async function fetchPreview(reference, config) {
+  try {
+    const { data } = await axios.get(
+      `${getApiUrl(config)}/repos/${reference.owner}/${reference.repo}/issues/${reference.number}`,
+      { headers: getHeaders(config), timeout: PREVIEW_TIMEOUT_MS }
+    );
+    const assignees = (data.assignees || []).map(user => user.login);
+
+    return {
+      success: true,
+      preview: {
+        key: reference.key,
+        title: data.title,
+        url: data.html_url || reference.url,
+        status: describeState(data),
+        assignee: assignees.length > 0 ? assignees.join(', ') : null,
+        description: data.body || null
+      }
+    };
+  } catch (error) {
+    return { success: false, error: describeHttpError(error, label) };
+  }
+}
+
+/**
+ * Build a pattern matching any label written with the configured format
+ * @param {string} format - Label format containing `{estimate}`
+ * @returns {RegExp} Pattern for estimate labels
+ */
+function getLabelPattern(format) {
+  const [prefix, suffix] = format.split('{estimate}')
+    .map(part => part.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'));
+  return new RegExp(`^${prefix}.+${suffix}$`, 'i');
+}
+
+/**
+ * Replace any earlier estimate label on the issue with one for the new estimate
+ * @param {Object} reference - The issue from parseIssueReference
+ * @param {string|number} estimate - The accepted estimate
+ * @param {Object} config - The workspace's GitHub settings
+ * @returns {Promise<void>} Resolves once the labels are updated
+ */
+async function applyEstimateLabel(reference, estimate, config) {
+  const format = config.labelFormat || DEFAULT_LABEL_FORMAT;
+  const newLabel = format.replace('{estimate}', String(estimate));
+  const pattern = getLabelPattern(format);
+  const labelsUrl = `${getApiUrl(config)}/repos/${reference.owner}/${reference.repo}/issues/${reference.number}/labels`;
+  const options = { headers: getHeaders(config), timeout: WRITE_TIMEOUT_MS };
+
+  const { data: labels } = await axios.get(labelsUrl, { ...options, params: { per_page: 100 } });
+  const currentNames = (labels || []).map(item => item.name);
+
+  for (const oldLabel of currentNames.filter(labelName => pattern.test(labelName) && labelName !== newLabel)) {
+    await axios.delete(`${labelsUrl}/${encodeURIComponent(oldLabel)}`, options);
+  }
+
+  if (!currentNames.includes(newLabel)) {
+    await axios.post(labelsUrl, { labels: [newLabel] }, options);
+  }
+}
+
+/**
+ * Run a GraphQL request against the configured GitHub
+ * @param {Object} config - The workspace's GitHub settings
+ * @param {string} query - The GraphQL query or mutation
+ * @param {Object} variables - Query variables
+ * @returns {Promise<Object>} The response data
+ */
+function graphql(config, query, variables) {
+  return postGraphql(getGraphqlUrl(config), query, variables, getHeaders(config));
+}
+
+/**
+ * Set the project's number field for the issue, adding the issue to the project if needed
+ * @param {Object} reference - The issue from parseIssueReference
+ * @param {number} points - The accepted estimate
+ * @param {Object} config - The workspace's GitHub settings
+ * @returns {Promise<string|null>} A description of a configuration problem, or null on success
+ */
+async function setProjectField(reference, points, config) {
+  const project = parseProjectUrl(config.projectUrl);
+  const fieldName = config.projectField || DEFAULT_PROJECT_FIELD;
+
+  const lookup = await graphql(config, `
+    query($login: String!, $number: Int!, $field: String!, $owner: String!, $repo: String!, $issue: Int!) {
+      owner: ${project.ownerType}(login: $login) {
+        projectV2(number: $number) {
+          id
+          field(name: $field) { ... on ProjectV2Field { id dataType } }
+        }
+      }
+      repository(owner: $owner, name: $repo) {
+        issueOrPullRequest(number: $issue) { ... on Issue { id } ... on PullRequest { id } }
+      }
+    }`, {
+    login: project.login,
+    number: project.number,
+    field: fieldName,
+    owner: reference.owner,
+    repo: reference.repo,
+    issue: reference.number
+  });
+
+  const projectNode = lookup.owner && lookup.owner.projectV2;
+  const content = lookup.repository && lookup.repository.issueOrPullRequest;
+
+  if (!projectNode) {
+    return `GitHub project ${config.projectUrl} was not found`;
+  }
+
+  if (!projectNode.field || projectNode.field.dataType !== 'NUMBER') {
+    return `GitHub project ${config.projectUrl} has no number field called "${fieldName}"`;
+  }
+
+  if (!content) {
+    return `${reference.key} was not found on GitHub`;
+  }
+
+  // Adding an item that's already in the project returns the existing item
+  const added = await graphql(config, `
+    mutation($projectId: ID!, $contentId: ID!) {
+      addProjectV2ItemById(input: { projectId: $projectId, contentId: $contentId }) { item { id } }
+    }`, { projectId: projectNode.id, contentId: content.id });
+
+  await graphql(config, `
+    mutation($projectId: ID!, $itemId: ID!, $fieldId: ID!, $value: Float!) {
+      updateProjectV2ItemFieldValue(input: {
+        projectId: $projectId, itemId: $itemId, fieldId: $fieldId, value: { number: $value }
+      }) { projectV2Item { id } }
+    }`, {
+    projectId: projectNode.id,
+    itemId: added.addProjectV2ItemById.item.id,
+    fieldId: projectNode.field.id,
+    value: points
+  });
+
+  return null;
+}
+
+/**
+ * Record an accepted estimate on a GitHub issue or pull request,
+ * either as a label or as a GitHub Projects number field
+ * @param {Object} reference - The issue from parseIssueReference
+ * @param {string|number} estimate - The accepted estimate
+ * @param {Object} config - The workspace's GitHub settings
+ * @returns {Promise<Object>} Result of the operation, with a readable error on failure
+ */
+async function writeEstimate(reference, estimate, config) {
+  try {
+    if ((config.mode || MODES.LABEL) === MODES.LABEL) {
+      await applyEstimateLabel(reference, estimate, config);
+      return { success: true };
+    }
+
+    const points = Number(estimate);
+
+    if (estimate === null || estimate === '' || !Number.isFinite(points)) {
+      return { success: false, error: `GitHub project fields must be numbers, but the estimate was \`${estimate}\`` };
+    }
+
+    const problem = await setProjectField(reference, points, config);
+    return problem ? { success: false, error: problem } : { success: true };
+  } catch (error) {
+    return { success: false, error: error.isAxiosError ? describeHttpError(error, label) : `GitHub returned an error: ${error.message}` };
+  }
+}
+
+module.exports = {
+  name,
+  label,
+  MODES,
+  DEFAULT_API_URL,
+  DEFAULT_LABEL_FORMAT,
+  DEFAULT_PROJECT_FIELD,
+  CONFIG_KEYS,
+  REQUIRED_CONFIG,
+  SECRET_CONFIG,
+  ENDPOINT_CONFIG,
+  PUBLIC_PREVIEWS,
+  parseIssueReference,
+  parseProjectUrl,
+  fetchPreview,
+  validateConfig,
+  writeEstimate
+};
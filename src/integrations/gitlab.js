@@ -0,0 +1,222 @@
+const axios = require('axios');
+const { WRITE_TIMEOUT_MS, PREVIEW_TIMEOUT_MS, trimBaseUrl, describeHttpError } = require('./http');
+
+const name = 'gitlab';
+const label = 'GitLab';
+
+const DEFAULT_BASE_URL = 'https://gitlab.com';
+
+// Weights used for T-shirt sizes unless the workspace sets its own with `weights=`
+const DEFAULT_WEIGHT_MAP = 'XS:1,S:2,M:3,L:5,XL:8,XXL:13';
+
+// Settings users can set with `/poker config gitlab key=value`, mapped to config properties
+const CONFIG_KEYS = {
+  url: 'baseUrl',
+  token: 'accessToken',
+  weights: 'weightMap'
+};
+
+const REQUIRED_CONFIG = ['accessToken'];
+const SECRET_CONFIG = ['accessToken'];
+
+// Changing the GitLab URL clears the saved token, see applyConfigUpdates
+const ENDPOINT_CONFIG = ['baseUrl'];
+
+// Public gitlab.com issues can be previewed before the workspace connects GitLab
+const PUBLIC_PREVIEWS = true;
+
+// Project paths can be nested in subgroups; older issue URLs have no `/-/` segment
+const ISSUE_URL_PATTERN = /https?:\/\/([^\s/>|]+)\/((?:[\w.-]+\/)+?[\w.-]+)\/(?:-\/)?(?:issues|work_items)\/(\d+)/g;
+
+/**
+ * Get the GitLab instance URL, which is overridable for self-hosted GitLab
+ * @param {Object} config - The workspace's GitLab settings
+ * @returns {string} The instance URL without a trailing slash
+ */
+function getBaseUrl(config) {
+  return trimBaseUrl(config.baseUrl || DEFAULT_BASE_URL);
+}
+
+/**
+ * Get the host of the configured GitLab instance
+ * @param {Object} config - The workspace's GitLab settings
+ * @returns {string|null} Lowercase host, or null if the URL can't be parsed
+ */
+function getHost(config) {
+  try {
+    return new URL(getBaseUrl(config)).host.toLowerCase();
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Find a GitLab issue URL on the configured instance in session issue text
+ * @param {string} text - The session issue text
+ * @param {Object} config - The workspace's GitLab settings
+ * @returns {Object|null} The project path, issue number and URL, or null if the text has no GitLab issue
+ */
+function parseIssueReference(text, config = {}) {
+  const host = getHost(config);
+
+  for (const match of (text || '').matchAll(ISSUE_URL_PATTERN)) {
+    const [url, urlHost, projectPath, iid] = match;
+
+    if (urlHost.toLowerCase() === host) {
+      return { key: `${projectPath}#${iid}`, projectPath, iid: Number(iid), url };
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Parse a weight mapping such as `XS:1,S:2,M:3`
+ * @param {string} text - The mapping
+ * @returns {Object|null} Weights keyed by uppercase card value, or null if the mapping is invalid
+ */
+function parseWeightMap(text) {
+  const weights = {};
+
+  for (const pair of String(text).split(',').filter(Boolean)) {
+    const match = pair.trim().match(/^([^:]+):(\d+)$/);
+
+    if (!match) {
+      return null;
+    }
+
+    weights[match[1].trim().toUpperCase()] = Number(match[2]);
+  }
+
+  return weights;
+}
+
+/**
+ * Check settings that depend on each other
+ * @param {Object} config - The workspace's GitLab settings
+ * @returns {string|null} A description of the problem, or null if the settings are usable
+ */
+function validateConfig(config) {
+  if (!getHost(config)) {
+    return 'GitLab `url` must be the address of your GitLab, like https://gitlab.example.com.';
+  }
+
+  if (config.weightMap && !parseWeightMap(config.weightMap)) {
+    return 'GitLab `weights` must look like `XS:1,S:2,M:3`, with a whole number for each card.';
+  }
+
+  return null;
+}
+
+/**
+ * Turn an accepted estimate into a GitLab weight
+ * Cards in the weight mapping (T-shirt sizes by default) use their mapped weight.
+ * @param {string|number} estimate - The accepted estimate
+ * @param {Object} config - The workspace's GitLab settings
+ * @returns {Object} The weight, or an error message if the estimate can't be used as one
+ */
+function toWeight(estimate, config) {
+  const weights = parseWeightMap(config.weightMap || DEFAULT_WEIGHT_MAP) || {};
+  const mapped = weights[String(estimate).toUpperCase()];
+
+  if (mapped !== undefined) {
+    return { weight: mapped };
+  }
+
+  const number = Number(estimate);
+
+  if (estimate === null || estimate === '' || !Number.isInteger(number) || number < 0) {
+    return {
+      error: `GitLab weights must be whole numbers, but the estimate was \`${estimate}\` (add it to the mapping with \`/poker config gitlab weights=...\`)`
+    };
+  }
+
+  return { weight: number };
+}
+
+/**
+ * Get the API URL for an issue
+ * @param {Object} reference - The issue from parseIssueReference
+ * @param {Object} config - The workspace's GitLab settings
+ * @returns {string} The issue's REST API URL
+ */
+function getIssueApiUrl(reference, config) {
+  return `${getBaseUrl(config)}/api/v4/projects/${encodeURIComponent(reference.projectPath)}/issues/${reference.iid}`;
+}
+
+/**
+ * Build the headers for the GitLab API
+ * @param {Object} config - The workspace's GitLab settings
+ * @returns {Object} Request headers
+ */
+function getHeaders(config) {
+  return config.accessToken ? { 'PRIVATE-TOKEN': config.accessToken } : {};
+}
+
+/**
+ * Fetch the issue's title, state, assignees and description for the session message
+ * @param {Object} reference - The issue from parseIssueReference
+ * @param {Object} config - The workspace's GitLab settings (may be empty for public projects)
+ * @returns {Promise<Object>} Result with the issue preview
+ */
+async function fetchPreview(reference, config) {
+  try {
+    const { data } = await axios.get(getIssueApiUrl(reference, config), { headers: getHeaders(config), timeout: PREVIEW_TIMEOUT_MS });
+    const assignees = (data.assignees || []).map(user => user.name);
+
+    return {
+      success: true,
+      preview: {
+        key: reference.key,
+        title: data.title,
+        url: data.web_url || reference.url,
+        status: data.state === 'closed' ? 'Closed' : 'Open',
+        assignee: assignees.length > 0 ? assignees.join(', ') : null,
+        description: data.description || null
+      }
+    };
+  } catch (error) {
+    return { success: false, error: describeHttpError(error, label) };
+  }
+}
+
+/**
+ * Write an accepted estimate to the issue's weight
+ * @param {Object} reference - The issue from parseIssueReference
+ * @param {string|number} estimate - The accepted estimate
+ * @param {Object} config - The workspace's GitLab settings
+ * @returns {Promise<Object>} Result of the operation, with a readable error on failure
+ */
+async function writeEstimate(reference, estimate, config) {
+  const { weight, error } = toWeight(estimate, config);
+
+  if (error) {
+    return { success: false, error };
+  }
+
+  try {
+    await axios.put(getIssueApiUrl(reference, config), { weight }, { headers: getHeaders(config), timeout: WRITE_TIMEOUT_MS });
+
+    return { success: true };
+  } catch (requestError) {
+    return { success: false, error: describeHttpError(requestError, label) };
+  }
+}
+
+module.exports = {
+  name,
+  label,
+  DEFAULT_BASE_URL,
+  DEFAULT_WEIGHT_MAP,
+  CONFIG_KEYS,
+  REQUIRED_CONFIG,
+  SECRET_CONFIG,
+  ENDPOINT_CONFIG,
+  PUBLIC_PREVIEWS,
+  parseIssueReference,
+  parseWeightMap,
+  fetchPreview,
+  validateConfig,
+  toWeight,
+  writeEstimate
+};
@@ -0,0 +1,91 @@
+/**
+ * Shared HTTP helpers for issue tracker integrations
+ */
+
+const axios = require('axios');
+
+// Writes happen after Slack has been acknowledged, but should still give up eventually
+const WRITE_TIMEOUT_MS = 10000;
+
+// Previews hold up posting the session message, so they get much less time
+const PREVIEW_TIMEOUT_MS = 1500;
+
+/**
+ * Remove a trailing slash from a base URL
+ * @param {string} url - The base URL
+ * @returns {string} The URL without a trailing slash
+ */
+function trimBaseUrl(url) {
+  return String(url || '').replace(/\/+$/, '');
+}
+
+/**
+ * Describe a failed tracker request in a sentence a facilitator can act on
+ * @param {Error} error - The axios error
+ * @param {string} label - The tracker's display name (e.g. `Jira`)
+ * @returns {string} Description of the failure
+ */
+function describeHttpError(error, label) {
+  if (error.response) {
+    const { status, data } = error.response;
+    const details = [];
+
+    if (data && Array.isArray(data.errorMessages)) {
+      details.push(...data.errorMessages);
+    }
+
+    if (data && data.errors && typeof data.errors === 'object' && !Array.isArray(data.errors)) {
+      details.push(...Object.values(data.errors));
+    } else if (data && Array.isArray(data.errors)) {
+      details.push(...data.errors.map(item => item.message || String(item)));
+    }
+
+    if (data && typeof data.message === 'string') {
+      details.push(data.message);
+    } else if (data && data.message && typeof data.message === 'object') {
+      // GitLab reports validation errors as { message: { field: ['problem'] } }
+      details.push(...Object.entries(data.message).map(([field, problems]) => `${field} ${[].concat(problems).join(', ')}`));
+    }
+
+    if (data && typeof data.error === 'string') {
+      details.push(data.error);
+    }
+
+    const suffix = details.length > 0 ? `: ${details.join('; ')}` : '';
+    return `${label} responded with ${status}${suffix}`;
+  }
+
+  if (error.code === 'ECONNABORTED') {
+    return `${label} did not respond in time`;
+  }
+
+  return `Could not reach ${label} (${error.message})`;
+}
+
+/**
+ * Run a GraphQL request, treating errors in the response body as failures
+ * GraphQL APIs usually answer 200 even when the query failed.
+ * @param {string} url - The GraphQL endpoint
+ * @param {string} query - The GraphQL query or mutation
+ * @param {Object} variables - Query variables
+ * @param {Object} headers - Request headers, including auth
+ * @param {number} timeout - Milliseconds to wait for a response
+ * @returns {Promise<Object>} The response data
+ */
+async function postGraphql(url, query, variables, headers, timeout = WRITE_TIMEOUT_MS) {
+  const { data } = await axios.post(url, { query, variables }, { headers, timeout });
+
+  if (data.errors && data.errors.length > 0) {
+    throw new Error(data.errors.map(item => item.message).join('; '));
+  }
+
+  return data.data;
+}
+
+module.exports = {
+  WRITE_TIMEOUT_MS,
+  PREVIEW_TIMEOUT_MS,
+  trimBaseUrl,
+  describeHttpError,
+  postGraphql
+};
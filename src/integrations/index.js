@@ -0,0 +1,119 @@
+/**
+ * Issue tracker integrations: settings, issue previews and estimate write-back
+ * The supported trackers are registered in ./providers.
+ */
+
+const { PROVIDERS, getProvider, listProviderNames, findIssueReference } = require('./providers');
+const { fetchIssuePreview, linkIssueText } = require('./previews');
+const { listIntegrations } = require('../services/integrationService');
+
+/**
+ * Apply `key=value` settings to a tracker's existing configuration
+ * Changing where the tracker is hosted (its ENDPOINT_CONFIG) drops the saved token unless a new one is given too.
+ * @param {Object} provider - The tracker module
+ * @param {Object} existing - The current settings (may be null)
+ * @param {Object} updates - Settings typed by the user, keyed by their user-facing names
+ * @returns {Object} Result with the new settings, or an error message when invalid
+ */
+function applyConfigUpdates(provider, existing, updates) {
+  const config = { ...(existing || {}) };
+  const unknown = Object.keys(updates).filter(key => !provider.CONFIG_KEYS[key]);
+
+  if (unknown.length > 0) {
+    return {
+      success: false,
+      error: `Unknown ${provider.label} setting \`${unknown[0]}\`. Available settings: ${Object.keys(provider.CONFIG_KEYS).join(', ')}.`
+    };
+  }
+
+  Object.entries(updates).forEach(([key, value]) => {
+    config[provider.CONFIG_KEYS[key]] = value;
+  });
+
+  const userKeyFor = property => Object.keys(provider.CONFIG_KEYS).find(key => provider.CONFIG_KEYS[key] === property);
+
+  // A saved token must not be sent to a different host, so moving the tracker means entering it again
+  const movedEndpoint = provider.ENDPOINT_CONFIG.find(property => (config[property] ?? null) !== (existing?.[property] ?? null));
+  const clearedSecrets = movedEndpoint
+    ? provider.SECRET_CONFIG.filter(property => existing?.[property] && !updates[userKeyFor(property)])
+    : [];
+
+  clearedSecrets.forEach(property => {
+    delete config[property];
+  });
+
+  if (clearedSecrets.length > 0) {
+    return {
+      success: false,
+      error: `Changing \`${userKeyFor(movedEndpoint)}\` clears the saved ${provider.label} ${clearedSecrets.map(userKeyFor).join(' and ')}, so set ${clearedSecrets.map(property => `\`${userKeyFor(property)}\``).join(' and ')} again.`
+    };
+  }
+
+  const missing = provider.REQUIRED_CONFIG.filter(property => !config[property]);
+
+  if (missing.length > 0) {
+    return {
+      success: false,
+      error: `${provider.label} needs ${missing.map(property => `\`${userKeyFor(property)}\``).join(' and ')} to be set.`
+    };
+  }
+
+  const problem = provider.validateConfig ? provider.validateConfig(config) : null;
+
+  if (problem) {
+    return { success: false, error: problem };
+  }
+
+  return { success: true, config };
+}
+
+/**
+ * Describe a tracker's settings without revealing secrets
+ * @param {Object} provider - The tracker module
+ * @param {Object} config - The tracker's settings
+ * @returns {string} Settings as `key=value` pairs
+ */
+function describeConfig(provider, config) {
+  return Object.entries(provider.CONFIG_KEYS)
+    .filter(([, property]) => config[property] !== undefined && config[property] !== null)
+    .map(([key, property]) => {
+      const value = provider.SECRET_CONFIG.includes(property) ? '••••••' : config[property];
+      return `${key}=${value}`;
+    })
+    .join(' ');
+}
+
+/**
+ * Write a session's final estimate to the tracker its issue belongs to
+ * @param {string} teamId - Slack team ID
+ * @param {string} issue - The session issue text
+ * @param {string|number} estimate - The accepted estimate
+ * @returns {Promise<Object>} Whether a tracker issue was found, and the result of writing to it
+ */
+async function syncFinalEstimate(teamId, issue, estimate) {
+  const { success, integrations } = await listIntegrations(teamId);
+
+  if (!success) {
+    return { attempted: true, success: false, label: 'your issue tracker', error: 'Could not load the workspace\'s tracker settings' };
+  }
+
+  const match = findIssueReference(integrations, issue);
+
+  if (!match) {
+    return { attempted: false };
+  }
+
+  const result = await match.provider.writeEstimate(match.reference, estimate, match.config);
+  return { attempted: true, label: match.provider.label, reference: match.reference, ...result };
+}
+
+module.exports = {
+  PROVIDERS,
+  getProvider,
+  listProviderNames,
+  applyConfigUpdates,
+  describeConfig,
+  fetchIssuePreview,
+  linkIssueText,
+  syncFinalEstimate
+};
@@ -0,0 +1,162 @@
+const axios = require('axios');
+const { WRITE_TIMEOUT_MS, PREVIEW_TIMEOUT_MS, trimBaseUrl, describeHttpError } = require('./http');
+
+const name = 'jira';
+const label = 'Jira';
+
+// Story points field on most Jira Cloud sites; other sites can configure their own
+const DEFAULT_STORY_POINTS_FIELD = 'customfield_10016';
+
+// Settings users can set with `/poker config jira key=value`, mapped to config properties
+const CONFIG_KEYS = {
+  url: 'baseUrl',
+  email: 'email',
+  token: 'apiToken',
+  field: 'storyPointsField'
+};
+
+const REQUIRED_CONFIG = ['baseUrl', 'apiToken'];
+const SECRET_CONFIG = ['apiToken'];
+
+// Changing the site URL clears the saved API token, see applyConfigUpdates
+const ENDPOINT_CONFIG = ['baseUrl'];
+
+// A bare key is only an issue when it's the whole text or its first word, so "Fix UTF-8 decoding" isn't
+const ISSUE_KEY_PATTERN = /^\s*([A-Z][A-Z0-9_]+-\d+)(?=[\s:]|$)/;
+const ISSUE_URL_PATTERN = /https?:\/\/([^\s/>|]+)[^\s>|]*?\/browse\/([A-Z][A-Z0-9_]+-\d+)/g;
+
+/**
+ * Get the host of the configured Jira site
+ * @param {Object} config - The workspace's Jira settings
+ * @returns {string|null} Lowercase host, or null if no site is configured or its URL can't be parsed
+ */
+function getHost(config) {
+  try {
+    return config.baseUrl ? new URL(trimBaseUrl(config.baseUrl)).host.toLowerCase() : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Find an issue on the configured Jira site in session issue text, either as a /browse/ URL or a
+ * leading key like `PLAT-123`
+ * @param {string} text - The session issue text
+ * @param {Object} config - The workspace's Jira settings
+ * @returns {Object|null} The issue key and URL, or null if the text has no Jira issue
+ */
+function parseIssueReference(text, config = {}) {
+  const source = text || '';
+  const host = getHost(config);
+
+  // Neither URLs nor bare keys can be recognized without knowing which site they belong to
+  if (!host) {
+    return null;
+  }
+
+  for (const match of source.matchAll(ISSUE_URL_PATTERN)) {
+    const [url, urlHost, key] = match;
+
+    if (urlHost.toLowerCase() === host) {
+      return { key, url };
+    }
+  }
+
+  const keyMatch = source.match(ISSUE_KEY_PATTERN);
+
+  if (keyMatch) {
+    return { key: keyMatch[1], url: `${trimBaseUrl(config.baseUrl)}/browse/${keyMatch[1]}` };
+  }
+
+  return null;
+}
+
+/**
+ * Build the auth header for the Jira REST API
+ * Jira Cloud uses an account email with an API token, Jira Server/Data Center a personal access token
+ * @param {Object} config - The workspace's Jira settings
+ * @returns {Object} Request headers
+ */
+function getHeaders(config) {
+  const authorization = config.email
+    ? `Basic ${Buffer.from(`${config.email}:${config.apiToken}`).toString('base64')}`
+    : `Bearer ${config.apiToken}`;
+
+  return {
+    'Authorization': authorization,
+    'Content-Type': 'application/json',
+    'Accept': 'application/json'
+  };
+}
+
+/**
+ * Fetch the issue's summary, status, assignee and description for the session message
+ * @param {Object} reference - The issue from parseIssueReference
+ * @param {Object} config - The workspace's Jira settings
+ * @returns {Promise<Object>} Result with the issue preview
+ */
+async function fetchPreview(reference, config) {
+  try {
+    const { data } = await axios.get(
+      `${trimBaseUrl(config.baseUrl)}/rest/api/2/issue/${encodeURIComponent(reference.key)}`,
+      { params: { fields: 'summary,status,assignee,description' }, headers: getHeaders(config), timeout: PREVIEW_TIMEOUT_MS }
+    );
+    const fields = data.fields || {};
+
+    return {
+      success: true,
+      preview: {
+        key: data.key || reference.key,
+        title: fields.summary,
+        url: `${trimBaseUrl(config.baseUrl)}/browse/${data.key || reference.key}`,
+        status: fields.status ? fields.status.name : null,
+        assignee: fields.assignee ? fields.assignee.displayName : null,
+        description: typeof fields.description === 'string' ? fields.description : null
+      }
+    };
+  } catch (error) {
+    return { success: false, error: describeHttpError(error, label) };
+  }
+}
+
+/**
+ * Write an accepted estimate to the issue's story points field
+ * @param {Object} reference - The issue from parseIssueReference
+ * @param {string|number} estimate - The accepted estimate
+ * @param {Object} config - The workspace's Jira settings
+ * @returns {Promise<Object>} Result of the operation, with a readable error on failure
+ */
+async function writeEstimate(reference, estimate, config) {
+  const points = Number(estimate);
+
+  if (estimate === null || estimate === '' || !Number.isFinite(points)) {
+    return { success: false, error: `Jira story points must be a number, but the estimate was \`${estimate}\`` };
+  }
+
+  const field = config.storyPointsField || DEFAULT_STORY_POINTS_FIELD;
+
+  try {
+    await axios.put(
+      `${trimBaseUrl(config.baseUrl)}/rest/api/2/issue/${encodeURIComponent(reference.key)}`,
+      { fields: { [field]: points } },
+      { headers: getHeaders(config), timeout: WRITE_TIMEOUT_MS }
+    );
+
+    return { success: true };
+  } catch (error) {
+    return { success: false, error: describeHttpError(error, label) };
+  }
+}
+
+module.exports = {
+  name,
+  label,
+  DEFAULT_STORY_POINTS_FIELD,
+  CONFIG_KEYS,
+  REQUIRED_CONFIG,
+  SECRET_CONFIG,
+  ENDPOINT_CONFIG,
+  parseIssueReference,
+  fetchPreview,
+  writeEstimate
+};
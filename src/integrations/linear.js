@@ -0,0 +1,194 @@
+const { PREVIEW_TIMEOUT_MS, describeHttpError, postGraphql } = require('./http');
+
+const name = 'linear';
+const label = 'Linear';
+
+const DEFAULT_API_URL = 'https://api.linear.app/graphql';
+
+// Settings users can set with `/poker config linear key=value`, mapped to config properties
+const CONFIG_KEYS = {
+  token: 'apiKey',
+  api: 'apiUrl'
+};
+
+const REQUIRED_CONFIG = ['apiKey'];
+const SECRET_CONFIG = ['apiKey'];
+
+// Changing the API URL clears the saved token, see applyConfigUpdates
+const ENDPOINT_CONFIG = ['apiUrl'];
+
+// Estimate values for each of Linear's team estimation types; `extended` adds the larger values
+const ESTIMATION_SCALES = {
+  exponential: { values: [1, 2, 4, 8, 16], extended: [32, 64] },
+  fibonacci: { values: [1, 2, 3, 5, 8], extended: [13, 21] },
+  linear: { values: [1, 2, 3, 4, 5], extended: [6, 7] },
+  tShirt: { values: [1, 2, 3, 5, 8], extended: [13, 21], sizes: ['XS', 'S', 'M', 'L', 'XL', 'XXL', 'XXXL'] }
+};
+
+// Like Jira keys, an identifier only counts as the whole text or its first word
+const ISSUE_KEY_PATTERN = /^\s*([A-Z][A-Z0-9]{0,6}-\d+)(?=[\s:]|$)/;
+const ISSUE_URL_PATTERN = /https?:\/\/linear\.app\/[\w-]+\/issue\/([A-Z][A-Z0-9]{0,6}-\d+)[^\s>|]*/;
+
+/**
+ * Find a Linear issue in session issue text, either as a linear.app URL or a leading identifier like `ENG-482`
+ * @param {string} text - The session issue text
+ * @returns {Object|null} The issue identifier (and URL when given), or null if the text has no Linear issue
+ */
+function parseIssueReference(text) {
+  const source = text || '';
+  const urlMatch = source.match(ISSUE_URL_PATTERN);
+
+  if (urlMatch) {
+    return { key: urlMatch[1], url: urlMatch[0] };
+  }
+
+  const keyMatch = source.match(ISSUE_KEY_PATTERN);
+  return keyMatch ? { key: keyMatch[1], url: null } : null;
+}
+
+/**
+ * Run a GraphQL request against the configured Linear endpoint
+ * @param {Object} config - The workspace's Linear settings
+ * @param {string} query - The GraphQL query or mutation
+ * @param {Object} variables - Query variables
+ * @param {number} timeout - Milliseconds to wait for a response (defaults to the write timeout)
+ * @returns {Promise<Object>} The response data
+ */
+function graphql(config, query, variables, timeout) {
+  return postGraphql(config.apiUrl || DEFAULT_API_URL, query, variables, {
+    // Personal API keys are sent as-is (OAuth tokens can be saved with their `Bearer ` prefix)
+    'Authorization': config.apiKey,
+    'Content-Type': 'application/json'
+  }, timeout);
+}
+
+/**
+ * Describe a failed Linear request
+ * @param {Error} error - The axios or GraphQL error
+ * @returns {string} Description of the failure
+ */
+function describeError(error) {
+  return error.isAxiosError ? describeHttpError(error, label) : `Linear returned an error: ${error.message}`;
+}
+
+/**
+ * Fetch the issue's title, state, assignee and description for the session message
+ * @param {Object} reference - The issue from parseIssueReference
+ * @param {Object} config - The workspace's Linear settings
+ * @returns {Promise<Object>} Result with the issue preview
+ */
+async function fetchPreview(reference, config) {
+  try {
+    const data = await graphql(config, `
+      query($id: String!) {
+        issue(id: $id) { identifier title url description state { name } assignee { name } }
+      }`, { id: reference.key }, PREVIEW_TIMEOUT_MS);
+
+    if (!data.issue) {
+      return { success: false, error: `${reference.key} was not found in Linear` };
+    }
+
+    const { issue } = data;
+
+    return {
+      success: true,
+      preview: {
+        key: issue.identifier,
+        title: issue.title,
+        url: issue.url,
+        status: issue.state ? issue.state.name : null,
+        assignee: issue.assignee ? issue.assignee.name : null,
+        description: issue.description || null
+      }
+    };
+  } catch (error) {
+    return { success: false, error: describeError(error) };
+  }
+}
+
+/**
+ * Convert an accepted estimate to a value on the team's estimation scale
+ * @param {string|number} estimate - The accepted estimate
+ * @param {Object} team - The Linear team's key and estimation settings
+ * @returns {Object} The estimate value, or an error message if it isn't on the scale
+ */
+function toScaleValue(estimate, team) {
+  const type = team.issueEstimationType;
+  const scale = ESTIMATION_SCALES[type];
+
+  if (!scale) {
+    return { error: `${team.key} doesn't use estimates in Linear` };
+  }
+
+  const numbers = [...scale.values, ...(team.issueEstimationExtended ? scale.extended : [])];
+  const values = team.issueEstimationAllowZero ? [0, ...numbers] : numbers;
+  const sizes = scale.sizes ? scale.sizes.slice(0, numbers.length) : null;
+
+  if (sizes && sizes.includes(String(estimate).toUpperCase())) {
+    return { value: numbers[sizes.indexOf(String(estimate).toUpperCase())] };
+  }
+
+  const number = Number(estimate);
+
+  if (estimate !== null && estimate !== '' && values.includes(number)) {
+    return { value: number };
+  }
+
+  return { error: `\`${estimate}\` isn't on ${team.key}'s ${type} estimate scale (${(sizes || values).join(', ')})` };
+}
+
+/**
+ * Write an accepted estimate to the issue's estimate field,
+ * using the value that matches the team's estimation scale
+ * @param {Object} reference - The issue from parseIssueReference
+ * @param {string|number} estimate - The accepted estimate
+ * @param {Object} config - The workspace's Linear settings
+ * @returns {Promise<Object>} Result of the operation, with a readable error on failure
+ */
+async function writeEstimate(reference, estimate, config) {
+  try {
+    const data = await graphql(config, `
+      query($id: String!) {
+        issue(id: $id) {
+          id
+          team { key issueEstimationType issueEstimationAllowZero issueEstimationExtended }
+        }
+      }`, { id: reference.key });
+
+    if (!data.issue) {
+      return { success: false, error: `${reference.key} was not found in Linear` };
+    }
+
+    const { value, error } = toScaleValue(estimate, data.issue.team);
+
+    if (error) {
+      return { success: false, error };
+    }
+
+    const updated = await graphql(config, `
+      mutation($id: String!, $estimate: Int!) {
+        issueUpdate(id: $id, input: { estimate: $estimate }) { success }
+      }`, { id: data.issue.id, estimate: value });
+
+    return updated.issueUpdate && updated.issueUpdate.success
+      ? { success: true }
+      : { success: false, error: 'Linear did not accept the update' };
+  } catch (error) {
+    return { success: false, error: describeError(error) };
+  }
+}
+
+module.exports = {
+  name,
+  label,
+  DEFAULT_API_URL,
+  ESTIMATION_SCALES,
+  CONFIG_KEYS,
+  REQUIRED_CONFIG,
+  SECRET_CONFIG,
+  ENDPOINT_CONFIG,
+  parseIssueReference,
+  fetchPreview,
+  toScaleValue,
+  writeEstimate
+};
@@ -0,0 +1,205 @@
+const axios = require('axios');
+const dns = require('dns');
+const http = require('http');
+const https = require('https');
+const net = require('net');
+const { PREVIEW_TIMEOUT_MS, describeHttpError } = require('./http');
+
+// Pages are only read for their <head>, so there's no need to download large ones
+const MAX_PAGE_BYTES = 512 * 1024;
+
+const HTML_ENTITIES = {
+  amp: '&',
+  lt: '<',
+  gt: '>',
+  quot: '"',
+  apos: '\'',
+  nbsp: ' '
+};
+
+// Addresses that aren't on the public internet: this machine, private networks, carrier-grade NAT,
+// link-local (including cloud metadata services), benchmarking, multicast and reserved ranges
+const PRIVATE_ADDRESSES = new net.BlockList();
+[
+  ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16],
+  ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.168.0.0', 16], ['198.18.0.0', 15], ['224.0.0.0', 3]
+].forEach(([network, prefix]) => PRIVATE_ADDRESSES.addSubnet(network, prefix, 'ipv4'));
+[
+  ['::', 127], ['64:ff9b::', 96], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]
+].forEach(([network, prefix]) => PRIVATE_ADDRESSES.addSubnet(network, prefix, 'ipv6'));
+
+/**
+ * Check whether an IP address is on this machine or a private network
+ * @param {string} address - An IPv4 or IPv6 address
+ * @returns {boolean} Whether the address is private; anything that isn't an IP address counts as private
+ */
+function isPrivateAddress(address) {
+  const family = net.isIP(address);
+
+  if (family === 0) {
+    return true;
+  }
+
+  return PRIVATE_ADDRESSES.check(address, family === 4 ? 'ipv4' : 'ipv6');
+}
+
+/**
+ * Check whether a URL points at this machine or a private network
+ * Issue text is typed by users, so it must not be used to reach internal services.
+ * Only literal addresses and local host names are caught here; `lookupPublicAddress` catches
+ * host names that resolve to private addresses when the request connects.
+ * @param {Object} url - The parsed URL (anything with a `hostname`)
+ * @returns {boolean} Whether the URL is private
+ */
+function isPrivateUrl(url) {
+  const host = url.hostname.replace(/^\[|\]$/g, '').toLowerCase();
+
+  if (host === 'localhost' || host.endsWith('.localhost') || host.endsWith('.internal') || host.endsWith('.local')) {
+    return true;
+  }
+
+  return net.isIP(host) !== 0 && isPrivateAddress(host);
+}
+
+/**
+ * Resolve a host name like `dns.lookup`, failing if any of its addresses is private
+ * Used as the sockets' lookup, so the addresses checked are the ones connected to,
+ * including after redirects and if the name's records change between requests.
+ * @param {string} hostname - The host name
+ * @param {Object} options - `dns.lookup` options
+ * @param {Function} callback - Called like `dns.lookup`'s callback
+ */
+function lookupPublicAddress(hostname, options, callback) {
+  dns.lookup(hostname, { ...options, all: true }, (error, addresses) => {
+    if (error) {
+      return callback(error);
+    }
+
+    if (addresses.length === 0 || addresses.some(({ address }) => isPrivateAddress(address))) {
+      return callback(new Error(`${hostname} resolves to a private address`));
+    }
+
+    if (options.all) {
+      return callback(null, addresses);
+    }
+
+    return callback(null, addresses[0].address, addresses[0].family);
+  });
+}
+
+const httpAgent = new http.Agent({ lookup: lookupPublicAddress });
+const httpsAgent = new https.Agent({ lookup: lookupPublicAddress });
+
+/**
+ * Decode the HTML entities that commonly appear in titles and meta tags
+ * @param {string} text - Text from an HTML attribute or element
+ * @returns {string} Decoded text
+ */
+function decodeEntities(text) {
+  return text.replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (entity, code) => {
+    if (code[0] === '#') {
+      const value = code[1].toLowerCase() === 'x' ? parseInt(code.slice(2), 16) : parseInt(code.slice(1), 10);
+      return Number.isFinite(value) ? String.fromCodePoint(value) : entity;
+    }
+
+    return HTML_ENTITIES[code.toLowerCase()] !== undefined ? HTML_ENTITIES[code.toLowerCase()] : entity;
+  });
+}
+
+/**
+ * Read a `<meta>` tag's content by its `property` or `name` attribute
+ * @param {string} html - The page HTML
+ * @param {string} key - The property or name, e.g. `og:title`
+ * @returns {string|null} The decoded content, or null if the page doesn't have the tag
+ */
+function readMetaTag(html, key) {
+  for (const [tag] of html.matchAll(/<meta\b[^>]*>/gi)) {
+    const attributes = {};
+
+    for (const [, attribute, doubleQuoted, singleQuoted] of tag.matchAll(/([a-z:-]+)\s*=\s*(?:"([^"]*)"|'([^']*)')/gi)) {
+      attributes[attribute.toLowerCase()] = doubleQuoted !== undefined ? doubleQuoted : singleQuoted;
+    }
+
+    if ((attributes.property || attributes.name || '').toLowerCase() === key && attributes.content) {
+      return decodeEntities(attributes.content).trim();
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Build a preview from a page's Open Graph tags, falling back to its <title>
+ * @param {string} html - The page HTML
+ * @param {string} url - The page URL
+ * @returns {Object|null} The preview, or null if the page has no title
+ */
+function parsePreview(html, url) {
+  const titleMatch = html.match(/<title[^>]*>([^<]*)<\/title>/i);
+  const title = readMetaTag(html, 'og:title') || (titleMatch ? decodeEntities(titleMatch[1]).trim() : null);
+
+  if (!title) {
+    return null;
+  }
+
+  return {
+    key: null,
+    title,
+    url: readMetaTag(html, 'og:url') || url,
+    status: null,
+    assignee: null,
+    description: readMetaTag(html, 'og:description') || readMetaTag(html, 'description'),
+    source: readMetaTag(html, 'og:site_name')
+  };
+}
+
+/**
+ * Fetch a preview of any web page from its Open Graph tags
+ * @param {string} url - The page URL
+ * @returns {Promise<Object>} Result with the page preview
+ */
+async function fetchPreview(url) {
+  let parsed;
+
+  try {
+    parsed = new URL(url);
+  } catch (error) {
+    return { success: false, error: 'Not a valid URL' };
+  }
+
+  if (!['http:', 'https:'].includes(parsed.protocol) || isPrivateUrl(parsed)) {
+    return { success: false, error: 'Previews are only fetched for public web pages' };
+  }
+
+  try {
+    const response = await axios.get(parsed.href, {
+      headers: { 'Accept': 'text/html' },
+      responseType: 'text',
+      maxContentLength: MAX_PAGE_BYTES,
+      maxRedirects: 3,
+      httpAgent,
+      httpsAgent,
+      beforeRedirect: options => {
+        if (isPrivateUrl(options)) {
+          throw new Error('redirected to a private address');
+        }
+      },
+      timeout: PREVIEW_TIMEOUT_MS
+    });
+
+    const contentType = String(response.headers['content-type'] || '');
+    const preview = contentType.includes('html') ? parsePreview(String(response.data), parsed.href) : null;
+
+    return preview ? { success: true, preview } : { success: false, error: 'The page has no title' };
+  } catch (error) {
+    return { success: false, error: describeHttpError(error, parsed.host) };
+  }
+}
+
+module.exports = {
+  isPrivateAddress,
+  isPrivateUrl,
+  lookupPublicAddress,
+  parsePreview,
+  fetchPreview
+};
@@ -0,0 +1,218 @@
+/**
+ * Issue previews for the session message
+ * A session's issue text is matched against the workspace's trackers (and
+ * public GitHub/GitLab URLs), falling back to a web page's Open Graph tags.
+ * Lookups are cached and time-boxed because they hold up posting the session.
+ */
+
+const { getProvider, listProviderNames, findIssueReference } = require('./providers');
+const openGraph = require('./openGraph');
+const { PREVIEW_TIMEOUT_MS } = require('./http');
+const { listIntegrations } = require('../services/integrationService');
+const logger = require('../utils/logger');
+
+// The whole lookup, including loading tracker settings, must finish well inside Slack's 3 seconds
+const PREVIEW_BUDGET_MS = PREVIEW_TIMEOUT_MS + 500;
+
+const CACHE_TTL_MS = 10 * 60 * 1000;
+const CACHE_MAX_ENTRIES = 500;
+const MAX_DESCRIPTION_LENGTH = 280;
+
+// Previews by tracker issue or page URL, with when they expire
+const previewCache = new Map();
+
+/**
+ * Get a cached preview if it hasn't expired
+ * @param {string} key - The cache key
+ * @returns {Object|undefined} The cached preview
+ */
+function getCachedPreview(key) {
+  const entry = previewCache.get(key);
+
+  if (!entry) {
+    return undefined;
+  }
+
+  if (entry.expiresAt <= Date.now()) {
+    previewCache.delete(key);
+    return undefined;
+  }
+
+  return entry.preview;
+}
+
+/**
+ * Cache a preview, dropping the oldest entry once the cache is full
+ * @param {string} key - The cache key
+ * @param {Object} preview - The preview to cache
+ */
+function cachePreview(key, preview) {
+  if (previewCache.size >= CACHE_MAX_ENTRIES && !previewCache.has(key)) {
+    previewCache.delete(previewCache.keys().next().value);
+  }
+
+  previewCache.set(key, { preview, expiresAt: Date.now() + CACHE_TTL_MS });
+}
+
+/**
+ * Shorten a description to a couple of lines of plain text
+ * @param {string} text - The issue description (Markdown, Jira markup or HTML)
+ * @returns {string|null} The trimmed description, or null if there isn't one
+ */
+function trimDescription(text) {
+  const plain = String(text || '')
+    .replace(/<!--[\s\S]*?-->/g, ' ')
+    .replace(/<[^>]+>/g, ' ')
+    .replace(/\s+/g, ' ')
+    .trim();
+
+  if (!plain) {
+    return null;
+  }
+
+  if (plain.length <= MAX_DESCRIPTION_LENGTH) {
+    return plain;
+  }
+
+  const cut = plain.slice(0, MAX_DESCRIPTION_LENGTH);
+  const lastSpace = cut.lastIndexOf(' ');
+  return `${(lastSpace > MAX_DESCRIPTION_LENGTH / 2 ? cut.slice(0, lastSpace) : cut).replace(/[\s.,;:]+$/, '')}…`;
+}
+
+/**
+ * Find the first web URL in issue text, including Slack's `<url>` and `<url|label>` forms
+ * @param {string} text - The session issue text
+ * @returns {string|null} The URL, or null if the text has none
+ */
+function findUrl(text) {
+  const match = (text || '').match(/https?:\/\/[^\s<>|]+/);
+  return match ? match[0] : null;
+}
+
+/**
+ * Work out which tracker (or web page) the issue text refers to
+ * Public GitHub and GitLab URLs are previewed even if the workspace hasn't connected them.
+ * @param {string} teamId - Slack team ID
+ * @param {string} text - The session issue text
+ * @returns {Promise<Object|null>} A cache key and a function fetching the preview, or null if there's nothing to preview
+ */
+async function findPreviewSource(teamId, text) {
+  const { success, integrations } = await listIntegrations(teamId);
+  const configured = success ? integrations : [];
+  const connectedNames = configured.map(integration => integration.provider);
+  const publicTrackers = listProviderNames()
+    .filter(name => getProvider(name).PUBLIC_PREVIEWS && !connectedNames.includes(name))
+    .map(name => ({ provider: name, config: {} }));
+
+  const candidates = [...configured, ...publicTrackers]
+    .filter(({ provider }) => getProvider(provider) && getProvider(provider).fetchPreview);
+  const match = findIssueReference(candidates, text);
+
+  if (match) {
+    return {
+      key: `${teamId}|${match.provider.name}|${match.reference.key}`,
+      fetch: async () => {
+        const result = await match.provider.fetchPreview(match.reference, match.config);
+        return result.success ? { source: match.provider.label, ...result.preview } : result;
+      }
+    };
+  }
+
+  const url = findUrl(text);
+
+  if (url) {
+    return {
+      key: `web|${url}`,
+      fetch: async () => {
+        const result = await openGraph.fetchPreview(url);
+        return result.success ? { ...result.preview, source: result.preview.source || new URL(url).host } : result;
+      }
+    };
+  }
+
+  return null;
+}
+
+/**
+ * Look up the issue behind a session's text
+ * Never throws and never takes longer than the preview budget: a missing
+ * preview just means the session message shows the text as typed.
+ * @param {string} teamId - Slack team ID
+ * @param {string} text - The session issue text
+ * @returns {Promise<Object|null>} The preview (key, title, url, status, assignee, description, source), or null
+ */
+async function fetchIssuePreview(teamId, text) {
+  let timer;
+
+  const lookup = (async () => {
+    const source = await findPreviewSource(teamId, text);
+
+    if (!source) {
+      return null;
+    }
+
+    const cached = getCachedPreview(source.key);
+
+    if (cached) {
+      return cached;
+    }
+
+    const result = await source.fetch();
+
+    if (result.success === false) {
+      logger.log('Could not fetch issue preview:', result.error);
+      return null;
+    }
+
+    const preview = { ...result, description: trimDescription(result.description) };
+    cachePreview(source.key, preview);
+    return preview;
+  })().catch(error => {
+    logger.error('Exception in fetchIssuePreview:', error);
+    return null;
+  });
+
+  const timeout = new Promise(resolve => {
+    timer = setTimeout(() => {
+      logger.log('Issue preview timed out for:', text);
+      resolve(null);
+    }, PREVIEW_BUDGET_MS);
+  });
+
+  try {
+    return await Promise.race([lookup, timeout]);
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+/**
+ * Escape text for use inside a Slack link label
+ * @param {string} text - The raw text
+ * @returns {string} The escaped text
+ */
+function escapeLinkText(text) {
+  return String(text).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/\|/g, '/');
+}
+
+/**
+ * Turn issue text that is only a tracker key (e.g. `ENG-482`) into a link with the issue title
+ * @param {string} text - The session issue text
+ * @param {Object|null} preview - The issue preview
+ * @returns {string} The issue text to store on the session
+ */
+function linkIssueText(text, preview) {
+  if (!preview || !preview.key || !preview.url || (text || '').trim() !== preview.key) {
+    return text;
+  }
+
+  return `<${preview.url}|${escapeLinkText(`${preview.key}: ${preview.title}`)}>`;
+}
+
+module.exports = {
+  PREVIEW_BUDGET_MS,
+  previewCache,
+  trimDescription,
+  fetchIssuePreview,
+  linkIssueText
+};
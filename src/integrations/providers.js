@@ -0,0 +1,69 @@
+/**
+ * Registry of the supported issue trackers
+ * Each tracker module exports its name, display label, the settings it accepts
+ * and functions to recognize its issues and write an accepted estimate back.
+ * A tracker may also export `validateConfig(config)` to check settings that
+ * depend on each other, and `fetchPreview(reference, config)` to describe an
+ * issue in the session message. Trackers with `PUBLIC_PREVIEWS` set can be
+ * previewed from public URLs before the workspace has connected them.
+ */
+
+const jira = require('./jira');
+const github = require('./github');
+const gitlab = require('./gitlab');
+const linear = require('./linear');
+
+const PROVIDERS = {
+  [jira.name]: jira,
+  [github.name]: github,
+  [gitlab.name]: gitlab,
+  [linear.name]: linear
+};
+
+/**
+ * Get a tracker integration by name
+ * @param {string} name - The tracker name (e.g. `jira`)
+ * @returns {Object|null} The tracker module, or null if unknown
+ */
+function getProvider(name) {
+  const key = (name || '').toLowerCase();
+  return Object.prototype.hasOwnProperty.call(PROVIDERS, key) ? PROVIDERS[key] : null;
+}
+
+/**
+ * List the names of the supported trackers
+ * @returns {Array<string>} Tracker names
+ */
+function listProviderNames() {
+  return Object.keys(PROVIDERS);
+}
+
+/**
+ * Find the tracker issue a session is about
+ * Several trackers can recognize a bare key like `ENG-482`, so a tracker that found
+ * its own URL in the text wins over one that only matched the key. Otherwise trackers are tried in
+ * the order of `PROVIDERS` (Jira, GitHub, GitLab, then Linear), whatever order the settings are stored in.
+ * @param {Array<Object>} integrations - The workspace's trackers with their settings
+ * @param {string} text - The session issue text
+ * @returns {Object|null} The tracker module, its settings and the issue reference
+ */
+function findIssueReference(integrations, text) {
+  const providerNames = listProviderNames();
+  const matches = [...integrations]
+    .sort((a, b) => providerNames.indexOf(a.provider) - providerNames.indexOf(b.provider))
+    .map(({ provider: providerName, config }) => {
+      const provider = getProvider(providerName);
+      const reference = provider ? provider.parseIssueReference(text, config) : null;
+      return reference ? { provider, config, reference } : null;
+    })
+    .filter(Boolean);
+
+  return matches.find(match => match.reference.url && (text || '').includes(match.reference.url)) || matches[0] || null;
+}
+
+module.exports = {
+  PROVIDERS,
+  getProvider,
+  listProviderNames,
+  findIssueReference
+};
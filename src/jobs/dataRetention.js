@@ -86,6 +86,19 @@ async function cleanupOldData(days = 30) {
       logger.log(`Successfully deleted any orphaned votes older than ${formattedCutoffDate}`);
     }
     
+    // Backlog queues keep the text of every queued issue, so they expire with their sessions
+    const { error: queuesError } = await supabase
+      .from('session_queues')
+      .delete()
+      .lt('created_at', formattedCutoffDate);
+      
+    if (queuesError) {
+      logger.error('Error deleting old queues:', queuesError);
+      // Non-critical error, continue
+    } else {
+      logger.log(`Successfully deleted any queues older than ${formattedCutoffDate}`);
+    }
+    
     logger.log('Data retention cleanup job completed successfully');
     return { success: true };
   } catch (error) {
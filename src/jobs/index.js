@@ -5,6 +5,9 @@
  * It determines which job to run based on environment variables or command line arguments.
  */
 const { cleanupOldData } = require('./dataRetention');
+const { purgeWorkspaces } = require('./workspacePurge');
+const { reencryptTokens } = require('./tokenReencryption');
+const { refreshExpiringTokens } = require('./tokenRefresh');
 const logger = require('../utils/logger');
 
 // Get the job name from command line arguments or environment variables
@@ -21,6 +24,18 @@ async function runJob(name) {
         await cleanupOldData(retentionDays);
         break;
         
+      case 'workspacePurge':
+        await purgeWorkspaces();
+        break;
+        
+      case 'tokenReencryption':
+        await reencryptTokens();
+        break;
+        
+      case 'tokenRefresh':
+        await refreshExpiringTokens();
+        break;
+        
       // Add other jobs here as needed
       
       default:
@@ -0,0 +1,212 @@
+/**
+ * Token Re-encryption Job
+ * 
+ * This job encrypts bot and refresh tokens, and issue tracker API tokens, stored before token encryption
+ * was enabled, and re-encrypts tokens stored with an older key after a key rotation. Reads handle
+ * plaintext tokens and every configured key, so the app keeps running while this job works through the tables.
+ */
+const { supabase } = require('../db');
+const { getProvider } = require('../integrations/providers');
+const { getSecretContext } = require('../services/integrationService');
+const { getCurrentKeyId, encryptToken, decryptToken, needsReencryption } = require('../utils/tokenEncryption');
+const logger = require('../utils/logger');
+
+// Installations read per query
+const BATCH_SIZE = 100;
+
+/**
+ * Re-encrypt one installation's bot and refresh tokens with the current key
+ * @param {Object} row - The installation's team ID, stored tokens and key ID
+ * @returns {Promise<{success: boolean, error?: Error}>} Result of the operation
+ */
+async function reencryptInstallation(row) {
+  // Refresh tokens are bound to `<team ID>:refresh`, as in teamService
+  const refreshContext = `${row.team_id}:refresh`;
+  const bot = encryptToken(decryptToken(row.bot_token, row.token_key_id, row.team_id), row.team_id);
+  const refresh = row.refresh_token
+    ? encryptToken(decryptToken(row.refresh_token, row.token_key_id, refreshContext), refreshContext)
+    : { value: null };
+  
+  // Only replace the value that was read, so a reinstall or token refresh in the meantime isn't overwritten
+  const { error } = await supabase
+    .from('team_installations')
+    .update({ bot_token: bot.value, refresh_token: refresh.value, token_key_id: bot.keyId })
+    .eq('team_id', row.team_id)
+    .eq('bot_token', row.bot_token);
+    
+  if (error) {
+    logger.error(`Error re-encrypting token for team ${row.team_id}:`, error);
+    return { success: false, error };
+  }
+  
+  return { success: true };
+}
+
+/**
+ * Get the secret settings an issue tracker row holds
+ * @param {Object} row - The integration's team ID, provider and settings
+ * @returns {Array<string>} The config properties holding secrets
+ */
+function getStoredSecrets(row) {
+  const secrets = getProvider(row.provider)?.SECRET_CONFIG || [];
+  return secrets.filter(property => row.config && row.config[property] !== undefined && row.config[property] !== null);
+}
+
+/**
+ * Re-encrypt one issue tracker's API tokens with the current key
+ * @param {Object} row - The integration's team ID, provider, settings, key ID and update time
+ * @returns {Promise<{success: boolean, error?: Error}>} Result of the operation
+ */
+async function reencryptIntegration(row) {
+  const config = { ...row.config };
+  let keyId = null;
+  
+  getStoredSecrets(row).forEach(property => {
+    // Secrets are bound to `<team ID>:<provider>:<property>`, as in integrationService
+    const context = getSecretContext(row.team_id, row.provider, property);
+    const encrypted = encryptToken(decryptToken(config[property], row.token_key_id, context), context);
+    config[property] = encrypted.value;
+    keyId = encrypted.keyId;
+  });
+  
+  // Only replace the settings that were read, so settings saved in the meantime aren't overwritten
+  const { error } = await supabase
+    .from('integrations')
+    .update({ config, token_key_id: keyId })
+    .eq('team_id', row.team_id)
+    .eq('provider', row.provider)
+    .eq('updated_at', row.updated_at);
+    
+  if (error) {
+    logger.error(`Error re-encrypting ${row.provider} token for team ${row.team_id}:`, error);
+    return { success: false, error };
+  }
+  
+  return { success: true };
+}
+
+/**
+ * Read a table in batches and re-encrypt the rows that need it
+ * @param {Object} options - What to read and how to re-encrypt it
+ * @param {string} options.table - The table
+ * @param {string} options.columns - The columns to read
+ * @param {Array<string>} options.orderBy - Columns that order the rows uniquely, so batches don't overlap
+ * @param {Function} options.shouldReencrypt - Whether a row has tokens to re-encrypt
+ * @param {Function} options.reencrypt - Re-encrypts a row
+ * @param {Function} options.describe - Names a row in log messages
+ * @param {number} options.batchSize - Rows read per query
+ * @returns {Promise<{success: boolean, migrated: number, failed: number, error?: Error}>} Result of the operation
+ */
+async function reencryptTable({ table, columns, orderBy, shouldReencrypt, reencrypt, describe, batchSize }) {
+  let migrated = 0;
+  let failed = 0;
+  
+  for (let offset = 0; ; offset += batchSize) {
+    const query = orderBy.reduce(
+      (ordered, column) => ordered.order(column, { ascending: true }),
+      supabase.from(table).select(columns)
+    );
+    const { data, error } = await query.range(offset, offset + batchSize - 1);
+      
+    if (error) {
+      logger.error(`Error reading ${table}:`, error);
+      return { success: false, error, migrated, failed };
+    }
+    
+    for (const row of (data || []).filter(shouldReencrypt)) {
+      try {
+        const result = await reencrypt(row);
+        
+        if (result.success) {
+          migrated++;
+        } else {
+          failed++;
+        }
+      } catch (err) {
+        // E.g. the row's key was removed before it was migrated; keep going with the others
+        logger.error(`Could not re-encrypt token for ${describe(row)}:`, err);
+        failed++;
+      }
+    }
+    
+    if (!data || data.length < batchSize) {
+      break;
+    }
+  }
+  
+  return { success: true, migrated, failed };
+}
+
+/**
+ * Re-encrypt every bot and tracker token that is plaintext or encrypted with an older key
+ * @param {Object} options - Job options
+ * @param {number} options.batchSize - Installations read per query
+ * @returns {Promise<{success: boolean, migrated?: number, failed?: number, error?: Error}>} Result of the operation
+ */
+async function reencryptTokens({ batchSize = BATCH_SIZE } = {}) {
+  try {
+    const currentKeyId = getCurrentKeyId();
+    
+    if (!currentKeyId) {
+      const error = new Error('TOKEN_ENCRYPTION_KEYS is not set');
+      logger.error('Cannot re-encrypt tokens:', error.message);
+      return { success: false, error };
+    }
+    
+    logger.log(`Starting token re-encryption job (current key: ${currentKeyId})...`);
+    
+    const installations = await reencryptTable({
+      table: 'team_installations',
+      columns: 'team_id, bot_token, refresh_token, token_key_id',
+      orderBy: ['team_id'],
+      shouldReencrypt: row => needsReencryption(row.bot_token, row.token_key_id),
+      reencrypt: reencryptInstallation,
+      describe: row => `team ${row.team_id}`,
+      batchSize
+    });
+    
+    if (installations.error) {
+      return installations;
+    }
+    
+    const integrations = await reencryptTable({
+      table: 'integrations',
+      columns: 'team_id, provider, config, token_key_id, updated_at',
+      orderBy: ['team_id', 'provider'],
+      shouldReencrypt: row => getStoredSecrets(row).some(property => needsReencryption(row.config[property], row.token_key_id)),
+      reencrypt: reencryptIntegration,
+      describe: row => `${row.provider} in team ${row.team_id}`,
+      batchSize
+    });
+    
+    const migrated = installations.migrated + integrations.migrated;
+    const failed = installations.failed + integrations.failed;
+    
+    if (integrations.error) {
+      return { success: false, error: integrations.error, migrated, failed };
+    }
+    
+    logger.log(`Token re-encryption job completed: ${migrated} migrated, ${failed} failed`);
+    return { success: failed === 0, migrated, failed };
+  } catch (error) {
+    logger.error('Error in token re-encryption job:', error);
+    return { success: false, error };
+  }
+}
+
+// If this file is run directly (e.g., from a scheduled job)
+if (require.main === module) {
+  reencryptTokens()
+    .then(result => {
+      logger.log('Job execution result:', result);
+      process.exit(result.success ? 0 : 1);
+    })
+    .catch(err => {
+      logger.error('Unhandled error in job execution:', err);
+      process.exit(1);
+    });
+}
+
+module.exports = {
+  reencryptTokens
+};
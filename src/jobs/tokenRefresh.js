@@ -0,0 +1,72 @@
+/**
+ * Token Refresh Job
+ * 
+ * With token rotation enabled, Slack bot tokens expire after 12 hours. Tokens are refreshed
+ * when a request needs them, but this job refreshes tokens that are close to expiry ahead of
+ * time, so workspaces that go quiet for a while come back to a working token.
+ */
+const { getTeamInstallation, listExpiringInstallations } = require('../services/teamService');
+const { refreshBotToken } = require('../services/tokenRefreshService');
+const logger = require('../utils/logger');
+
+/**
+ * Refresh every bot token that expires within the given window
+ * @param {number} withinMinutes - Refresh tokens expiring within this many minutes (default: 60)
+ * @returns {Promise<{success: boolean, refreshed?: number, failed?: number, error?: Error}>} Result of the operation
+ */
+async function refreshExpiringTokens(withinMinutes = 60) {
+  try {
+    logger.log(`Starting token refresh job (tokens expiring within ${withinMinutes} minutes)...`);
+    
+    const before = new Date(Date.now() + withinMinutes * 60 * 1000);
+    const { success, installations, error } = await listExpiringInstallations(before);
+    
+    if (!success) {
+      return { success: false, error };
+    }
+    
+    let refreshed = 0;
+    let failed = 0;
+    
+    for (const { team_id: teamId } of installations) {
+      const lookup = await getTeamInstallation(teamId);
+      
+      if (!lookup.success || !lookup.installation) {
+        // Uninstalled since it was listed, or unreadable; either way there's nothing to refresh
+        failed += lookup.success ? 0 : 1;
+        continue;
+      }
+      
+      const result = await refreshBotToken(lookup.installation);
+      
+      if (result.success) {
+        refreshed++;
+      } else {
+        failed++;
+      }
+    }
+    
+    logger.log(`Token refresh job completed: ${refreshed} refreshed, ${failed} failed`);
+    return { success: failed === 0, refreshed, failed };
+  } catch (error) {
+    logger.error('Error in token refresh job:', error);
+    return { success: false, error };
+  }
+}
+
+// If this file is run directly (e.g., from a scheduled job)
+if (require.main === module) {
+  refreshExpiringTokens()
+    .then(result => {
+      logger.log('Job execution result:', result);
+      process.exit(result.success ? 0 : 1);
+    })
+    .catch(err => {
+      logger.error('Unhandled error in job execution:', err);
+      process.exit(1);
+    });
+}
+
+module.exports = {
+  refreshExpiringTokens
+};
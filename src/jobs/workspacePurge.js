@@ -0,0 +1,113 @@
+/**
+ * Workspace Purge Job
+ * 
+ * This job deletes the data of workspaces that uninstalled the app or revoked its token,
+ * once their grace period has passed.
+ */
+const { supabase } = require('../db');
+const {
+  getTeamInstallation,
+  cancelWorkspacePurge,
+  listDueWorkspacePurges,
+  markWorkspacePurged
+} = require('../services/teamService');
+const logger = require('../utils/logger');
+
+// Tables holding workspace data, keyed by `team_id`; votes go before the sessions they belong to
+const WORKSPACE_TABLES = ['integrations', 'votes', 'sessions', 'session_queues', 'channel_settings', 'decks'];
+
+/**
+ * Delete one workspace's data
+ * @param {string} teamId - Slack team ID
+ * @returns {Promise<{success: boolean, error?: Error}>} Result of the operation
+ */
+async function purgeWorkspace(teamId) {
+  for (const table of WORKSPACE_TABLES) {
+    const { error } = await supabase
+      .from(table)
+      .delete()
+      .eq('team_id', teamId);
+      
+    if (error) {
+      logger.error(`Error deleting ${table} for team ${teamId}:`, error);
+      return { success: false, error };
+    }
+  }
+  
+  return markWorkspacePurged(teamId);
+}
+
+/**
+ * Purge every workspace whose grace period has ended
+ * @param {Date} now - The current time (defaults to the system clock)
+ * @returns {Promise<{success: boolean, purged?: number, error?: Error}>} Result of the operation
+ */
+async function purgeWorkspaces(now = new Date()) {
+  try {
+    logger.log('Starting workspace purge job...');
+    
+    const { success, purges, error } = await listDueWorkspacePurges(now);
+    
+    if (!success) {
+      return { success: false, error };
+    }
+    
+    if (purges.length === 0) {
+      logger.log('No workspaces due for purge');
+      return { success: true, purged: 0 };
+    }
+    
+    let purged = 0;
+    let failed = false;
+    
+    for (const { team_id: teamId } of purges) {
+      // A workspace that reinstalled the app keeps its data, even if cancelling the purge failed at the time
+      const lookup = await getTeamInstallation(teamId);
+      
+      if (!lookup.success) {
+        failed = true;
+        continue;
+      }
+      
+      if (lookup.installation) {
+        logger.log(`Team ${teamId} has reinstalled the app; cancelling its purge`);
+        await cancelWorkspacePurge(teamId);
+        continue;
+      }
+      
+      const result = await purgeWorkspace(teamId);
+      
+      if (result.success) {
+        purged++;
+        logger.log(`Purged data for team ${teamId}`);
+      } else {
+        // Keep going so one failure doesn't hold up the other workspaces; the next run retries it
+        failed = true;
+      }
+    }
+    
+    logger.log(`Workspace purge job completed: ${purged} of ${purges.length} workspaces purged`);
+    return failed ? { success: false, purged, error: new Error('Some workspaces could not be purged') } : { success: true, purged };
+  } catch (error) {
+    logger.error('Error in workspace purge job:', error);
+    return { success: false, error };
+  }
+}
+
+// If this file is run directly (e.g., from a scheduled job)
+if (require.main === module) {
+  purgeWorkspaces()
+    .then(result => {
+      logger.log('Job execution result:', result);
+      process.exit(result.success ? 0 : 1);
+    })
+    .catch(err => {
+      logger.error('Unhandled error in job execution:', err);
+      process.exit(1);
+    });
+}
+
+module.exports = {
+  WORKSPACE_TABLES,
+  purgeWorkspaces
+};
@@ -0,0 +1,6 @@
+// Export middleware
+const verifySlackSignature = require('./verifySlackSignature');
+
+module.exports = {
+  ...verifySlackSignature
+};
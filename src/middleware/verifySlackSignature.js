@@ -0,0 +1,136 @@
+const crypto = require('crypto');
+const logger = require('../utils/logger');
+
+// Slack recommends rejecting requests whose timestamp is more than five minutes old
+const MAX_REQUEST_AGE_SECONDS = 60 * 5;
+
+const SIGNATURE_VERSION = 'v0';
+
+/**
+ * Get the configured signing secrets
+ * The previous secret is only set while a secret rotation is in progress
+ * @returns {Array<string>} Signing secrets to check, current secret first
+ */
+function getSigningSecrets() {
+  return [
+    process.env.SLACK_SIGNING_SECRET,
+    process.env.SLACK_SIGNING_SECRET_PREVIOUS
+  ].filter(Boolean);
+}
+
+/**
+ * Compute the Slack signature for a request body
+ * @param {string} secret - The signing secret
+ * @param {string} timestamp - The X-Slack-Request-Timestamp header value
+ * @param {string} rawBody - The raw request body
+ * @returns {string} Signature in the `v0=<hex>` format used by Slack
+ */
+function computeSignature(secret, timestamp, rawBody) {
+  const baseString = `${SIGNATURE_VERSION}:${timestamp}:${rawBody}`;
+  const hmac = crypto.createHmac('sha256', secret).update(baseString).digest('hex');
+  return `${SIGNATURE_VERSION}=${hmac}`;
+}
+
+/**
+ * Compare two signatures in constant time
+ * @param {string} expected - The computed signature
+ * @param {string} actual - The signature sent by the client
+ * @returns {boolean} True if the signatures match
+ */
+function signaturesMatch(expected, actual) {
+  const expectedBuffer = Buffer.from(expected, 'utf8');
+  const actualBuffer = Buffer.from(actual, 'utf8');
+
+  if (expectedBuffer.length !== actualBuffer.length) {
+    return false;
+  }
+
+  return crypto.timingSafeEqual(expectedBuffer, actualBuffer);
+}
+
+/**
+ * Verify a Slack request signature
+ * @param {Object} params - Verification parameters
+ * @param {string} params.signature - The X-Slack-Signature header value
+ * @param {string} params.timestamp - The X-Slack-Request-Timestamp header value
+ * @param {string} params.rawBody - The raw request body
+ * @param {Array<string>} params.secrets - Signing secrets to check against
+ * @param {number} params.now - Current time in seconds (defaults to the system clock)
+ * @returns {Object} Result with valid boolean and a reason when invalid
+ */
+function verifySignature({ signature, timestamp, rawBody, secrets, now = Math.floor(Date.now() / 1000) }) {
+  if (!secrets || secrets.length === 0) {
+    return { valid: false, reason: 'Signing secret is not configured' };
+  }
+
+  if (!signature || !timestamp) {
+    return { valid: false, reason: 'Missing Slack signature headers' };
+  }
+
+  const requestTime = parseInt(timestamp, 10);
+
+  if (Number.isNaN(requestTime) || Math.abs(now - requestTime) > MAX_REQUEST_AGE_SECONDS) {
+    return { valid: false, reason: 'Request timestamp is too old' };
+  }
+
+  const isValid = secrets.some(secret =>
+    signaturesMatch(computeSignature(secret, timestamp, rawBody || ''), signature)
+  );
+
+  if (!isValid) {
+    return { valid: false, reason: 'Invalid Slack signature' };
+  }
+
+  return { valid: true };
+}
+
+/**
+ * Express middleware that rejects requests not signed by Slack
+ * Relies on the body parsers storing the raw body on `req.rawBody`
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next function
+ */
+function verifySlackSignature(req, res, next) {
+  const secrets = getSigningSecrets();
+
+  if (secrets.length === 0) {
+    logger.error('SLACK_SIGNING_SECRET is not set. Rejecting Slack request.');
+  }
+
+  const { valid, reason } = verifySignature({
+    signature: req.get('X-Slack-Signature'),
+    timestamp: req.get('X-Slack-Request-Timestamp'),
+    rawBody: req.rawBody,
+    secrets
+  });
+
+  if (!valid) {
+    logger.warn(`Rejected Slack request to ${req.originalUrl}: ${reason}`);
+    return res.status(401).json({
+      error: 'invalid_signature',
+      message: reason
+    });
+  }
+
+  return next();
+}
+
+/**
+ * Body parser `verify` callback that keeps a copy of the raw body
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Buffer} buf - The raw body buffer
+ * @param {string} encoding - The body encoding
+ */
+function captureRawBody(req, res, buf, encoding) {
+  req.rawBody = buf.toString(encoding || 'utf8');
+}
+
+module.exports = {
+  MAX_REQUEST_AGE_SECONDS,
+  computeSignature,
+  verifySignature,
+  verifySlackSignature,
+  captureRawBody
+};
@@ -0,0 +1,8 @@
+const express = require('express');
+const router = express.Router();
+const { handleExportRequest } = require('../controllers/exportController');
+
+// Session and vote exports, authenticated by an export link or the admin key
+router.get('/export', handleExportRequest);
+
+module.exports = router;
@@ -5,6 +5,7 @@ const path = require('path');
 // Import route modules
 const slackRoutes = require('./slack');
 const oauthRoutes = require('./oauth');
+const exportRoutes = require('./export');
 
 // Root endpoint serves the landing page
 router.get('/', (req, res) => {
@@ -14,5 +15,6 @@ router.get('/', (req, res) => {
 // Mount routes
 router.use('/slack', slackRoutes);
 router.use('/slack', oauthRoutes); // OAuth routes under /slack
+router.use('/', exportRoutes);
 
 module.exports = router;
@@ -5,13 +5,13 @@ const {
   handlePokerRevealCommand, 
   handleInteractiveActions 
 } = require('../controllers/slackController');
-const logger = require('../utils/logger');
+const { handleSlackEvent } = require('../controllers/eventsController');
 
-// Slack verification endpoint
-router.post('/verify', (req, res) => {
-  logger.log('Received verification request:', req.body);
-  res.status(200).json({ challenge: req.body.challenge });
-});
+// Slack Events API endpoint
+router.post('/events', handleSlackEvent);
+
+// Former Events API request URL, kept for apps that are still configured with it
+router.post('/verify', handleSlackEvent);
 
 // Slack slash commands endpoint
 router.post('/commands', async (req, res) => {
@@ -0,0 +1,207 @@
+const repositories = require('../db/repositories');
+const logger = require('../utils/logger');
+const {
+  getBuiltInDeck,
+  getDefaultDeck,
+  listBuiltInDecks
+} = require('../utils/decks');
+
+/**
+ * Convert a custom deck row into a deck object
+ * @param {Object} row - Row from the decks table
+ * @returns {Object} Deck with name, values and builtIn flag
+ */
+function toDeck(row) {
+  return { name: row.name, values: row.values, builtIn: false };
+}
+
+/**
+ * Create or replace a custom deck for a workspace
+ * @param {string} teamId - Slack team ID
+ * @param {string} name - The deck name
+ * @param {Array} values - The deck's card values
+ * @param {string} userId - The user creating the deck
+ * @returns {Promise<Object>} Result of the operation
+ */
+async function saveCustomDeck(teamId, name, values, userId) {
+  try {
+    if (getBuiltInDeck(name)) {
+      return { success: false, error: `\`${name}\` is a built-in deck and cannot be replaced.` };
+    }
+
+    const { error } = await repositories.decks.upsert({
+      team_id: teamId,
+      name: name,
+      values: values,
+      created_by: userId,
+      updated_at: new Date().toISOString()
+    });
+
+    if (error) {
+      logger.error('Error saving custom deck:', error);
+      return { success: false, error };
+    }
+
+    return { success: true, deck: { name, values, builtIn: false } };
+  } catch (error) {
+    logger.error('Exception in saveCustomDeck:', error);
+    return { success: false, error };
+  }
+}
+
+/**
+ * Delete a custom deck from a workspace
+ * @param {string} teamId - Slack team ID
+ * @param {string} name - The deck name
+ * @returns {Promise<Object>} Result of the operation
+ */
+async function deleteCustomDeck(teamId, name) {
+  try {
+    const { error } = await repositories.decks.remove(teamId, name);
+
+    if (error) {
+      logger.error('Error deleting custom deck:', error);
+      return { success: false, error };
+    }
+
+    return { success: true };
+  } catch (error) {
+    logger.error('Exception in deleteCustomDeck:', error);
+    return { success: false, error };
+  }
+}
+
+/**
+ * Get a deck by name, checking built-in decks before the workspace's custom decks
+ * @param {string} teamId - Slack team ID
+ * @param {string} name - The deck name
+ * @returns {Promise<Object>} Result with the deck, or null if not found
+ */
+async function getDeck(teamId, name) {
+  try {
+    const builtInDeck = getBuiltInDeck(name);
+
+    if (builtInDeck) {
+      return { success: true, deck: builtInDeck };
+    }
+
+    if (!teamId) {
+      return { success: true, deck: null };
+    }
+
+    const { data, error } = await repositories.decks.findByName(teamId, name);
+
+    if (error) {
+      logger.error('Error fetching deck:', error);
+      return { success: false, error, deck: null };
+    }
+
+    if (!data || data.length === 0) {
+      return { success: true, deck: null };
+    }
+
+    return { success: true, deck: toDeck(data[0]) };
+  } catch (error) {
+    logger.error('Exception in getDeck:', error);
+    return { success: false, error, deck: null };
+  }
+}
+
+/**
+ * List the built-in decks and the workspace's custom decks
+ * @param {string} teamId - Slack team ID
+ * @returns {Promise<Object>} Result with the list of decks
+ */
+async function listDecks(teamId) {
+  try {
+    const decks = listBuiltInDecks();
+
+    if (!teamId) {
+      return { success: true, decks };
+    }
+
+    const { data, error } = await repositories.decks.listForTeam(teamId);
+
+    if (error) {
+      logger.error('Error listing decks:', error);
+      return { success: false, error, decks };
+    }
+
+    return { success: true, decks: decks.concat((data || []).map(toDeck)) };
+  } catch (error) {
+    logger.error('Exception in listDecks:', error);
+    return { success: false, error, decks: listBuiltInDecks() };
+  }
+}
+
+/**
+ * Set the default deck for a channel
+ * @param {string} teamId - Slack team ID
+ * @param {string} channelId - The channel ID
+ * @param {string} name - The deck name
+ * @returns {Promise<Object>} Result of the operation
+ */
+async function setChannelDefaultDeck(teamId, channelId, name) {
+  try {
+    const { error } = await repositories.channelSettings.upsert({
+      team_id: teamId,
+      channel: channelId,
+      default_deck: name,
+      updated_at: new Date().toISOString()
+    });
+
+    if (error) {
+      logger.error('Error setting channel default deck:', error);
+      return { success: false, error };
+    }
+
+    return { success: true };
+  } catch (error) {
+    logger.error('Exception in setChannelDefaultDeck:', error);
+    return { success: false, error };
+  }
+}
+
+/**
+ * Get the deck a channel uses by default
+ * Falls back to the default deck when the channel has none or it was deleted
+ * @param {string} teamId - Slack team ID
+ * @param {string} channelId - The channel ID
+ * @returns {Promise<Object>} Result with the channel's deck
+ */
+async function getChannelDeck(teamId, channelId) {
+  try {
+    if (!teamId) {
+      return { success: true, deck: getDefaultDeck() };
+    }
+
+    const { data, error } = await repositories.channelSettings.findDefaultDeck(teamId, channelId);
+
+    if (error) {
+      logger.error('Error fetching channel settings:', error);
+      return { success: false, error, deck: getDefaultDeck() };
+    }
+
+    const deckName = data && data.length > 0 ? data[0].default_deck : null;
+
+    if (!deckName) {
+      return { success: true, deck: getDefaultDeck() };
+    }
+
+    const { deck } = await getDeck(teamId, deckName);
+
+    return { success: true, deck: deck || getDefaultDeck() };
+  } catch (error) {
+    logger.error('Exception in getChannelDeck:', error);
+    return { success: false, error, deck: getDefaultDeck() };
+  }
+}
+
+module.exports = {
+  saveCustomDeck,
+  deleteCustomDeck,
+  getDeck,
+  listDecks,
+  setChannelDefaultDeck,
+  getChannelDeck
+};
@@ -0,0 +1,138 @@
+const { listSessionsInRange } = require('./sessionService');
+const { getVotesForSessions } = require('./voteService');
+const { groupVotesByRound } = require('../utils/sessionStatus');
+const logger = require('../utils/logger');
+
+// Most sessions one export can hold; narrow the date range for more
+const MAX_EXPORT_SESSIONS = 5000;
+
+// Sessions read per request while collecting an export
+const EXPORT_PAGE_SIZE = 1000;
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+/**
+ * Parse a `YYYY-MM-DD` date as the start of that day in UTC
+ * @param {string} text - The date
+ * @returns {Date|null} The date, or null if the text isn't a real date
+ */
+function parseDate(text) {
+  if (!DATE_PATTERN.test(text || '')) {
+    return null;
+  }
+
+  const date = new Date(`${text}T00:00:00.000Z`);
+
+  // Rejects dates like 2024-02-31, which Date would roll over into March
+  return !Number.isNaN(date.getTime()) && date.toISOString().startsWith(text) ? date : null;
+}
+
+/**
+ * Turn an inclusive `YYYY-MM-DD` date range into the timestamps sessions are filtered by
+ * Either end can be left out.
+ * @param {string} fromText - The first day to include
+ * @param {string} toText - The last day to include
+ * @returns {Object} The `from` and `until` (exclusive) ISO timestamps, or an error message
+ */
+function resolveDateRange(fromText, toText) {
+  const from = fromText ? parseDate(fromText) : null;
+  const to = toText ? parseDate(toText) : null;
+
+  if ((fromText && !from) || (toText && !to)) {
+    return { success: false, error: 'Dates must look like `2024-03-31`.' };
+  }
+
+  if (from && to && from > to) {
+    return { success: false, error: 'The start date must not be after the end date.' };
+  }
+
+  return {
+    success: true,
+    from: from ? from.toISOString() : null,
+    // The end date is included, so stop at the start of the next day
+    until: to ? new Date(to.getTime() + 24 * 60 * 60 * 1000).toISOString() : null
+  };
+}
+
+/**
+ * Get the rounds of a session that may be exported
+ * Only rounds up to the last one revealed are included, so votes nobody has seen yet stay secret:
+ * a session that was never revealed exports no votes. Snapshots from before re-voting have no round
+ * and always cover the first.
+ * @param {Object} session - The session
+ * @param {Array} votes - The session's votes from every round
+ * @returns {Array} The rounds with their votes, in order
+ */
+function getExportableRounds(session, votes) {
+  if (!session.result_snapshot) {
+    return [];
+  }
+
+  const revealedRound = session.result_snapshot.round || 1;
+  return groupVotesByRound(votes).filter(entry => entry.round <= revealedRound);
+}
+
+/**
+ * Collect sessions with their rounds of votes for an export
+ * @param {Object} filters - Which sessions to export
+ * @param {Object} filters.tenant - Only export this workspace's sessions; null exports every workspace's
+ * @param {string} filters.channelId - Only export this channel's sessions
+ * @param {string} filters.from - Only sessions started at or after this ISO timestamp
+ * @param {string} filters.until - Only sessions started before this ISO timestamp
+ * @returns {Promise<Object>} Result with the sessions (each with `rounds`) and whether the export was cut short
+ */
+async function getExportData(filters = {}) {
+  try {
+    const sessions = [];
+    let truncated = false;
+
+    // Read one session past the cap to find out whether the export was cut short
+    for (let offset = 0; sessions.length <= MAX_EXPORT_SESSIONS; offset += EXPORT_PAGE_SIZE) {
+      const { success, sessions: page, error } = await listSessionsInRange(filters, { limit: EXPORT_PAGE_SIZE, offset });
+
+      if (!success) {
+        return { success: false, error, sessions: [] };
+      }
+
+      sessions.push(...page);
+
+      if (page.length < EXPORT_PAGE_SIZE) {
+        break;
+      }
+    }
+
+    if (sessions.length > MAX_EXPORT_SESSIONS) {
+      sessions.length = MAX_EXPORT_SESSIONS;
+      truncated = true;
+    }
+
+    const { success, votes, error } = await getVotesForSessions(sessions.map(session => session.id), filters.tenant || null);
+
+    if (!success) {
+      return { success: false, error, sessions: [] };
+    }
+
+    const votesBySession = {};
+    votes.forEach(vote => {
+      (votesBySession[vote.session_id] = votesBySession[vote.session_id] || []).push(vote);
+    });
+
+    return {
+      success: true,
+      truncated,
+      sessions: sessions.map(session => ({
+        ...session,
+        rounds: getExportableRounds(session, votesBySession[session.id] || [])
+      }))
+    };
+  } catch (error) {
+    logger.error('Exception in getExportData:', error);
+    return { success: false, error, sessions: [] };
+  }
+}
+
+module.exports = {
+  MAX_EXPORT_SESSIONS,
+  resolveDateRange,
+  getExportData
+};
@@ -1,8 +1,16 @@
 // Export all services
 const sessionService = require('./sessionService');
 const voteService = require('./voteService');
+const deckService = require('./deckService');
+const integrationService = require('./integrationService');
+const queueService = require('./queueService');
+const exportService = require('./exportService');
 
 module.exports = {
   ...sessionService,
-  ...voteService
+  ...voteService,
+  ...deckService,
+  ...integrationService,
+  ...queueService,
+  ...exportService
 };
@@ -0,0 +1,163 @@
+const repositories = require('../db/repositories');
+const { getProvider } = require('../integrations/providers');
+const { encryptToken, decryptToken } = require('../utils/tokenEncryption');
+const logger = require('../utils/logger');
+
+/**
+ * Get the context a tracker secret is encrypted for, so it can't be decrypted as another workspace's,
+ * tracker's or setting's
+ * @param {string} teamId - Slack team ID
+ * @param {string} provider - The tracker name
+ * @param {string} property - The config property holding the secret
+ * @returns {string} The encryption context
+ */
+function getSecretContext(teamId, provider, property) {
+  return `${teamId}:${provider}:${property}`;
+}
+
+/**
+ * Encrypt the secrets in a tracker's settings (its `SECRET_CONFIG` properties) for storage
+ * Every secret is encrypted with the current key, so the row's `token_key_id` covers them all.
+ * @param {string} teamId - Slack team ID
+ * @param {string} provider - The tracker name
+ * @param {Object} config - Tracker settings with plaintext secrets
+ * @returns {Object} The `config` and `token_key_id` columns
+ */
+function encryptSecretColumns(teamId, provider, config) {
+  const secrets = getProvider(provider)?.SECRET_CONFIG || [];
+  const stored = { ...config };
+  let keyId = null;
+
+  secrets.filter(property => stored[property] !== undefined && stored[property] !== null).forEach(property => {
+    const encrypted = encryptToken(stored[property], getSecretContext(teamId, provider, property));
+    stored[property] = encrypted.value;
+    keyId = encrypted.keyId;
+  });
+
+  return { config: stored, token_key_id: keyId };
+}
+
+/**
+ * Decrypt the secrets in a stored tracker's settings
+ * Secrets stored before encryption was enabled are returned as they are.
+ * @param {Object} row - The integration row
+ * @returns {Object} Tracker settings with plaintext secrets
+ * @throws {Error} If a secret's key isn't configured or the value has been tampered with
+ */
+function decryptSecretColumns(row) {
+  const secrets = getProvider(row.provider)?.SECRET_CONFIG || [];
+  const config = { ...row.config };
+
+  secrets.filter(property => config[property] !== undefined && config[property] !== null).forEach(property => {
+    config[property] = decryptToken(config[property], row.token_key_id, getSecretContext(row.team_id, row.provider, property));
+  });
+
+  return config;
+}
+
+/**
+ * Create or replace a workspace's settings for an issue tracker
+ * API tokens and keys are encrypted with the current token encryption key before they're stored.
+ * @param {string} teamId - Slack team ID
+ * @param {string} provider - The tracker name (e.g. `jira`)
+ * @param {Object} config - Tracker settings and credentials
+ * @param {string} userId - The user saving the settings
+ * @returns {Promise<Object>} Result of the operation
+ */
+async function saveIntegration(teamId, provider, config, userId) {
+  try {
+    const { error } = await repositories.integrations.upsert({
+      team_id: teamId,
+      provider,
+      ...encryptSecretColumns(teamId, provider, config),
+      updated_by: userId,
+      updated_at: new Date().toISOString()
+    });
+
+    if (error) {
+      logger.error('Error saving integration:', error);
+      return { success: false, error };
+    }
+
+    return { success: true };
+  } catch (error) {
+    logger.error('Exception in saveIntegration:', error);
+    return { success: false, error };
+  }
+}
+
+/**
+ * Get a workspace's settings for an issue tracker
+ * @param {string} teamId - Slack team ID
+ * @param {string} provider - The tracker name
+ * @returns {Promise<Object>} Result with the settings, with secrets decrypted, or null if the tracker isn't set up
+ */
+async function getIntegration(teamId, provider) {
+  try {
+    const { data, error } = await repositories.integrations.findByProvider(teamId, provider);
+
+    if (error) {
+      logger.error('Error getting integration:', error);
+      return { success: false, error, config: null };
+    }
+
+    return { success: true, config: data && data.length > 0 ? decryptSecretColumns(data[0]) : null };
+  } catch (error) {
+    logger.error('Exception in getIntegration:', error);
+    return { success: false, error, config: null };
+  }
+}
+
+/**
+ * List the issue trackers a workspace has set up
+ * @param {string} teamId - Slack team ID
+ * @returns {Promise<Object>} Result with provider and config, with secrets decrypted, for each tracker
+ */
+async function listIntegrations(teamId) {
+  try {
+    const { data, error } = await repositories.integrations.listForTeam(teamId);
+
+    if (error) {
+      logger.error('Error listing integrations:', error);
+      return { success: false, error, integrations: [] };
+    }
+
+    return {
+      success: true,
+      integrations: (data || []).map(row => ({ provider: row.provider, config: decryptSecretColumns(row) }))
+    };
+  } catch (error) {
+    logger.error('Exception in listIntegrations:', error);
+    return { success: false, error, integrations: [] };
+  }
+}
+
+/**
+ * Remove a workspace's settings for an issue tracker
+ * @param {string} teamId - Slack team ID
+ * @param {string} provider - The tracker name
+ * @returns {Promise<Object>} Result of the operation
+ */
+async function deleteIntegration(teamId, provider) {
+  try {
+    const { error } = await repositories.integrations.remove(teamId, provider);
+
+    if (error) {
+      logger.error('Error deleting integration:', error);
+      return { success: false, error };
+    }
+
+    return { success: true };
+  } catch (error) {
+    logger.error('Exception in deleteIntegration:', error);
+    return { success: false, error };
+  }
+}
+
+module.exports = {
+  getSecretContext,
+  saveIntegration,
+  getIntegration,
+  listIntegrations,
+  deleteIntegration
+};
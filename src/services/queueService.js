@@ -0,0 +1,152 @@
+const crypto = require('crypto');
+const repositories = require('../db/repositories');
+const logger = require('../utils/logger');
+const { getTenantColumns } = require('../utils/tenant');
+
+// Lifecycle of a backlog queue
+const QUEUE_STATUS = {
+  ACTIVE: 'active',
+  FINISHED: 'finished',
+  CANCELLED: 'cancelled'
+};
+
+/**
+ * Create an ordered queue of issues to estimate one after another in a channel
+ * @param {Object} tenant - The workspace the queue belongs to (`teamId`, `enterpriseId`)
+ * @param {string} channelId - The channel ID
+ * @param {Array<string>} issues - The issues, in the order they'll be estimated
+ * @param {Object} options - Optional queue settings
+ * @param {Object} options.deck - The deck every session in the queue votes with
+ * @param {string} options.userId - The user who queued the issues
+ * @returns {Promise<Object>} Result with the new queue
+ */
+async function createQueue(tenant, channelId, issues, options = {}) {
+  try {
+    const queue = {
+      // Random IDs can't collide between queues started in the same millisecond
+      id: `queue-${crypto.randomUUID()}`,
+      ...getTenantColumns(tenant),
+      channel: channelId,
+      items: issues.map(issue => ({ issue, session_id: null, final_estimate: null, skipped: false })),
+      position: 0,
+      status: QUEUE_STATUS.ACTIVE,
+      deck_name: options.deck ? options.deck.name : null,
+      deck_values: options.deck ? options.deck.values : null,
+      created_by: options.userId || null,
+      created_at: new Date().toISOString()
+    };
+
+    const { error } = await repositories.queues.insert(queue);
+
+    if (error) {
+      logger.error('Error creating queue:', error);
+      return { success: false, error, queue: null };
+    }
+
+    return { success: true, queue };
+  } catch (error) {
+    logger.error('Exception in createQueue:', error);
+    return { success: false, error, queue: null };
+  }
+}
+
+/**
+ * Get a workspace's queue by ID
+ * @param {Object} tenant - The workspace the queue belongs to (`teamId`, `enterpriseId`)
+ * @param {string} queueId - The queue ID
+ * @returns {Promise<Object>} Result with the queue, or null if the workspace has no such queue
+ */
+async function getQueueById(tenant, queueId) {
+  try {
+    const { data, error } = await repositories.queues.findById(tenant, queueId);
+
+    if (error) {
+      logger.error('Error fetching queue:', error);
+      return { success: false, error, queue: null };
+    }
+
+    return { success: true, queue: data && data.length > 0 ? data[0] : null };
+  } catch (error) {
+    logger.error('Exception in getQueueById:', error);
+    return { success: false, error, queue: null };
+  }
+}
+
+/**
+ * Get the queue a workspace is currently working through in a channel
+ * @param {Object} tenant - The workspace the queue belongs to (`teamId`, `enterpriseId`)
+ * @param {string} channelId - The channel ID
+ * @returns {Promise<Object>} Result with the active queue, or null if there isn't one
+ */
+async function getActiveQueueForChannel(tenant, channelId) {
+  try {
+    const { data, error } = await repositories.queues.findLatestInChannel(tenant, channelId, QUEUE_STATUS.ACTIVE);
+
+    if (error) {
+      logger.error('Error fetching active queue:', error);
+      return { success: false, error, queue: null };
+    }
+
+    return { success: true, queue: data && data.length > 0 ? data[0] : null };
+  } catch (error) {
+    logger.error('Exception in getActiveQueueForChannel:', error);
+    return { success: false, error, queue: null };
+  }
+}
+
+/**
+ * Update a workspace's queue items, position or status
+ * @param {Object} tenant - The workspace the queue belongs to (`teamId`, `enterpriseId`)
+ * @param {string} queueId - The queue ID
+ * @param {Object} fields - The columns to update
+ * @returns {Promise<Object>} Result of the operation
+ */
+async function updateQueue(tenant, queueId, fields) {
+  try {
+    const { error } = await repositories.queues.updateForTenant(tenant, queueId, fields);
+
+    if (error) {
+      logger.error('Error updating queue:', error);
+      return { success: false, error };
+    }
+
+    return { success: true };
+  } catch (error) {
+    logger.error('Exception in updateQueue:', error);
+    return { success: false, error };
+  }
+}
+
+/**
+ * Stop a workspace's queue early; sessions that were already started are left as they are
+ * @param {Object} tenant - The workspace the queue belongs to (`teamId`, `enterpriseId`)
+ * @param {string} queueId - The queue ID
+ * @returns {Promise<Object>} Result of the operation
+ */
+async function cancelQueue(tenant, queueId) {
+  try {
+    const { error } = await repositories.queues.updateForTenant(tenant, queueId, {
+      status: QUEUE_STATUS.CANCELLED,
+      finished_at: new Date().toISOString()
+    });
+
+    if (error) {
+      logger.error('Error cancelling queue:', error);
+      return { success: false, error };
+    }
+
+    return { success: true };
+  } catch (error) {
+    logger.error('Exception in cancelQueue:', error);
+    return { success: false, error };
+  }
+}
+
+module.exports = {
+  QUEUE_STATUS,
+  createQueue,
+  getQueueById,
+  getActiveQueueForChannel,
+  updateQueue,
+  cancelQueue
+};
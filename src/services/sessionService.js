@@ -1,29 +1,68 @@
-const supabase = require('../db/supabase');
+const crypto = require('crypto');
+const repositories = require('../db/repositories');
 const logger = require('../utils/logger');
+const { getTenantColumns, getTenantKey } = require('../utils/tenant');
+const {
+  SESSION_STATUS,
+  getSessionStatus,
+  getSessionRound,
+  canTransition
+} = require('../utils/sessionStatus');
 
-// Track the latest session ID per channel in memory
+// Track the latest session ID per channel (and per thread, for threaded sessions) in memory
 const latestSessionPerChannel = {};
 
+/**
+ * Get the key a session is tracked under
+ * Channel sessions are keyed by tenant and channel; sessions started in a thread by tenant, channel and thread.
+ * @param {Object} tenant - The workspace the channel belongs to (`teamId`, `enterpriseId`)
+ * @param {string} channelId - The channel ID
+ * @param {string|null} threadTs - The ts of the thread's parent message, for threaded sessions
+ * @returns {string} The session key
+ */
+function getSessionKey(tenant, channelId, threadTs = null) {
+  const channelKey = `${getTenantKey(tenant)}:${channelId}`;
+  return threadTs ? `${channelKey}:${threadTs}` : channelKey;
+}
+
 /**
  * Create a new planning poker session
+ * @param {Object} tenant - The workspace the session belongs to (`teamId`, `enterpriseId`)
  * @param {string} channelId - The channel ID
  * @param {string} issue - The issue text
+ * @param {Object} options - Optional session settings
+ * @param {Object} options.deck - The deck to vote with (name and values)
+ * @param {string} options.userId - The user who started the session
+ * @param {Object} options.issuePreview - Details of the issue fetched from its tracker
+ * @param {Object} options.queue - The queue the issue belongs to (ID, 1-based position and size)
+ * @param {string} options.threadTs - The thread the session runs in, if it was started in one
+ * @param {string} options.timerEndsAt - When the votes are revealed automatically (ISO timestamp)
  * @returns {Promise<Object>} Result with session ID
  */
-async function createSession(channelId, issue) {
+async function createSession(tenant, channelId, issue, options = {}) {
   try {
-    // Generate a unique session ID
-    const sessionId = `sess-${Date.now()}`;
-    
-    // Save the session to Supabase
-    const { error } = await supabase
-      .from('sessions')
-      .insert({ 
-        id: sessionId, 
-        channel: channelId, 
-        issue: issue,
-        created_at: new Date().toISOString()
-      });
+    // Random IDs can't collide across workspaces or between sessions started in the same millisecond
+    const sessionId = `sess-${crypto.randomUUID()}`;
+    
+    // Save the session
+    const { error } = await repositories.sessions.insert({ 
+      id: sessionId, 
+      ...getTenantColumns(tenant),
+      channel: channelId, 
+      issue: issue,
+      status: SESSION_STATUS.OPEN,
+      round: 1,
+      deck_name: options.deck ? options.deck.name : null,
+      deck_values: options.deck ? options.deck.values : null,
+      created_by: options.userId || null,
+      issue_preview: options.issuePreview || null,
+      queue_id: options.queue ? options.queue.id : null,
+      queue_position: options.queue ? options.queue.position : null,
+      queue_size: options.queue ? options.queue.size : null,
+      thread_ts: options.threadTs || null,
+      timer_ends_at: options.timerEndsAt || null,
+      created_at: new Date().toISOString()
+    });
     
     if (error) {
       logger.error('Error creating session:', error);
@@ -31,7 +70,7 @@ async function createSession(channelId, issue) {
     }
     
     // Update the in-memory cache
-    latestSessionPerChannel[channelId] = sessionId;
+    latestSessionPerChannel[getSessionKey(tenant, channelId, options.threadTs)] = sessionId;
     
     return { success: true, sessionId };
   } catch (error) {
@@ -41,19 +80,20 @@ async function createSession(channelId, issue) {
 }
 
 /**
- * Get the latest session for a channel
+ * Get the latest session for a channel, or for a thread in the channel
+ * Sessions started in threads run alongside the channel's session, so each is looked up separately.
+ * @param {Object} tenant - The workspace the channel belongs to (`teamId`, `enterpriseId`)
  * @param {string} channelId - The channel ID
+ * @param {string|null} threadTs - The ts of the thread's parent message, to find a threaded session
  * @returns {Promise<Object>} Result with session data
  */
-async function getLatestSessionForChannel(channelId) {
+async function getLatestSessionForChannel(tenant, channelId, threadTs = null) {
   try {
+    const key = getSessionKey(tenant, channelId, threadTs);
+    
     // Check in-memory cache first
-    if (latestSessionPerChannel[channelId]) {
-      const { data, error } = await supabase
-        .from('sessions')
-        .select('*')
-        .eq('id', latestSessionPerChannel[channelId])
-        .limit(1);
+    if (latestSessionPerChannel[key]) {
+      const { data, error } = await repositories.sessions.findById(tenant, latestSessionPerChannel[key]);
       
       if (!error && data && data.length > 0) {
         return { success: true, session: data[0] };
@@ -62,12 +102,7 @@ async function getLatestSessionForChannel(channelId) {
     }
     
     // Query the database for the latest session
-    const { data, error } = await supabase
-      .from('sessions')
-      .select('*')
-      .eq('channel', channelId)
-      .order('created_at', { ascending: false })
-      .limit(1);
+    const { data, error } = await repositories.sessions.findLatest(tenant, channelId, threadTs);
     
     if (error) {
       logger.error('Error fetching latest session:', error);
@@ -79,7 +114,7 @@ async function getLatestSessionForChannel(channelId) {
     }
     
     // Update the in-memory cache
-    latestSessionPerChannel[channelId] = data[0].id;
+    latestSessionPerChannel[key] = data[0].id;
     
     return { success: true, session: data[0] };
   } catch (err) {
@@ -88,8 +123,270 @@ async function getLatestSessionForChannel(channelId) {
   }
 }
 
+/**
+ * List the sessions in a channel that haven't ended, including those running in threads
+ * @param {Object} tenant - The workspace the channel belongs to (`teamId`, `enterpriseId`)
+ * @param {string} channelId - The channel ID
+ * @returns {Promise<Object>} Result with the sessions, newest first
+ */
+async function listOpenSessionsForChannel(tenant, channelId) {
+  try {
+    const { data, error } = await repositories.sessions.listByStatus(tenant, channelId, [SESSION_STATUS.OPEN, SESSION_STATUS.REVEALED], 20);
+    
+    if (error) {
+      logger.error('Error listing open sessions:', error);
+      return { success: false, error, sessions: [] };
+    }
+    
+    return { success: true, sessions: data || [] };
+  } catch (err) {
+    logger.error('Exception in listOpenSessionsForChannel:', err);
+    return { success: false, error: err, sessions: [] };
+  }
+}
+
+/**
+ * List a channel's sessions, newest first
+ * @param {Object} tenant - The workspace the channel belongs to (`teamId`, `enterpriseId`)
+ * @param {string} channelId - The channel ID
+ * @param {Object} options - Optional query settings
+ * @param {number} options.limit - The most sessions to return (defaults to 10)
+ * @param {number} options.offset - How many of the newest sessions to skip, for paging
+ * @param {Array<string>} options.search - Words that must all appear in the issue text (case-insensitive)
+ * @returns {Promise<Object>} Result with the sessions
+ */
+async function listSessionsForChannel(tenant, channelId, options = {}) {
+  const limit = options.limit || 10;
+  const offset = options.offset || 0;
+  
+  try {
+    const { data, error } = await repositories.sessions.listForChannel(tenant, channelId, {
+      search: options.search || [],
+      limit,
+      offset
+    });
+    
+    if (error) {
+      logger.error('Error listing sessions:', error);
+      return { success: false, error, sessions: [] };
+    }
+    
+    return { success: true, sessions: data || [] };
+  } catch (err) {
+    logger.error('Exception in listSessionsForChannel:', err);
+    return { success: false, error: err, sessions: [] };
+  }
+}
+
+/**
+ * List sessions started in a time range, oldest first, optionally only in one workspace or channel
+ * @param {Object} filters - Which sessions to list
+ * @param {Object} filters.tenant - Only list this workspace's sessions; leave out to list every workspace's
+ * @param {string} filters.channelId - Only list this channel's sessions
+ * @param {string} filters.from - Only sessions started at or after this ISO timestamp
+ * @param {string} filters.until - Only sessions started before this ISO timestamp
+ * @param {Object} options - Paging settings
+ * @param {number} options.limit - The most sessions to return (defaults to 1000)
+ * @param {number} options.offset - How many of the oldest sessions to skip
+ * @returns {Promise<Object>} Result with the sessions
+ */
+async function listSessionsInRange(filters = {}, options = {}) {
+  const limit = options.limit || 1000;
+  const offset = options.offset || 0;
+  
+  try {
+    const { data, error } = await repositories.sessions.listInRange(filters, { limit, offset });
+    
+    if (error) {
+      logger.error('Error listing sessions in range:', error);
+      return { success: false, error, sessions: [] };
+    }
+    
+    return { success: true, sessions: data || [] };
+  } catch (err) {
+    logger.error('Exception in listSessionsInRange:', err);
+    return { success: false, error: err, sessions: [] };
+  }
+}
+
+/**
+ * Get a session by ID
+ * Sessions belonging to another workspace are treated as missing.
+ * @param {Object} tenant - The workspace asking for the session (`teamId`, `enterpriseId`)
+ * @param {string} sessionId - The session ID
+ * @returns {Promise<Object>} Result with session data
+ */
+async function getSessionById(tenant, sessionId) {
+  try {
+    const { data, error } = await repositories.sessions.findById(tenant, sessionId);
+    
+    if (error) {
+      logger.error('Error fetching session:', error);
+      return { success: false, error, session: null };
+    }
+    
+    if (!data || data.length === 0) {
+      return { success: true, session: null };
+    }
+    
+    return { success: true, session: data[0] };
+  } catch (err) {
+    logger.error('Exception in getSessionById:', err);
+    return { success: false, error: err, session: null };
+  }
+}
+
+/**
+ * Store where the session message was posted so it can be updated later
+ * @param {Object} tenant - The workspace the session belongs to (`teamId`, `enterpriseId`)
+ * @param {string} sessionId - The session ID
+ * @param {string} channelId - The channel the message was posted in
+ * @param {string} messageTs - The message timestamp
+ * @returns {Promise<Object>} Result of the operation
+ */
+async function setSessionMessage(tenant, sessionId, channelId, messageTs) {
+  try {
+    const { error } = await repositories.sessions.update(tenant, sessionId, { 
+      message_channel: channelId, 
+      message_ts: messageTs 
+    });
+    
+    if (error) {
+      logger.error('Error saving session message:', error);
+      return { success: false, error };
+    }
+    
+    return { success: true };
+  } catch (err) {
+    logger.error('Exception in setSessionMessage:', err);
+    return { success: false, error: err };
+  }
+}
+
+/**
+ * Move a session to a new status
+ * The update only applies if the status hasn't changed since it was read,
+ * so two people revealing at once can't both win.
+ * @param {Object} tenant - The workspace the session belongs to (`teamId`, `enterpriseId`)
+ * @param {string} sessionId - The session ID
+ * @param {string} toStatus - The requested status
+ * @param {Object|Function} fields - Extra columns to set along with the status,
+ *   or a function building them from the current session
+ * @returns {Promise<Object>} Result with the updated session
+ */
+async function transitionSession(tenant, sessionId, toStatus, fields = {}) {
+  try {
+    const { success, session, error } = await getSessionById(tenant, sessionId);
+    
+    if (!success) {
+      return { success: false, error, session: null };
+    }
+    
+    if (!session) {
+      return { success: false, error: 'session_not_found', session: null };
+    }
+    
+    const fromStatus = getSessionStatus(session);
+    
+    if (!canTransition(fromStatus, toStatus)) {
+      return { success: false, error: 'invalid_transition', session };
+    }
+    
+    const { data, error: updateError } = await repositories.sessions.updateIfStatus(tenant, sessionId, fromStatus, {
+      status: toStatus,
+      ...(typeof fields === 'function' ? fields(session) : fields)
+    });
+    
+    if (updateError) {
+      logger.error('Error updating session status:', updateError);
+      return { success: false, error: updateError, session };
+    }
+    
+    if (!data || data.length === 0) {
+      return { success: false, error: 'concurrent_transition', session };
+    }
+    
+    return { success: true, session: data[0] };
+  } catch (err) {
+    logger.error('Exception in transitionSession:', err);
+    return { success: false, error: err, session: null };
+  }
+}
+
+/**
+ * Reveal a session's votes, storing a snapshot of the result
+ * @param {Object} tenant - The workspace the session belongs to (`teamId`, `enterpriseId`)
+ * @param {string} sessionId - The session ID
+ * @param {string} userId - The user revealing the votes
+ * @param {Object} snapshot - The revealed votes and statistics
+ * @returns {Promise<Object>} Result with the updated session
+ */
+async function revealSession(tenant, sessionId, userId, snapshot) {
+  return transitionSession(tenant, sessionId, SESSION_STATUS.REVEALED, {
+    revealed_at: new Date().toISOString(),
+    revealed_by: userId,
+    result_snapshot: snapshot
+  });
+}
+
+/**
+ * Reopen a revealed session for another round of voting
+ * Votes are keyed by round, so earlier rounds are kept.
+ * @param {Object} tenant - The workspace the session belongs to (`teamId`, `enterpriseId`)
+ * @param {string} sessionId - The session ID
+ * @returns {Promise<Object>} Result with the updated session
+ */
+async function startNewRound(tenant, sessionId) {
+  return transitionSession(tenant, sessionId, SESSION_STATUS.OPEN, session => ({
+    round: getSessionRound(session) + 1,
+    revealed_at: null,
+    revealed_by: null
+  }));
+}
+
+/**
+ * Close a session so it no longer accepts votes
+ * @param {Object} tenant - The workspace the session belongs to (`teamId`, `enterpriseId`)
+ * @param {string} sessionId - The session ID
+ * @returns {Promise<Object>} Result with the updated session
+ */
+async function closeSession(tenant, sessionId) {
+  return transitionSession(tenant, sessionId, SESSION_STATUS.CLOSED, {
+    closed_at: new Date().toISOString()
+  });
+}
+
+/**
+ * Record the team's agreed final estimate and close the session
+ * @param {Object} tenant - The workspace the session belongs to (`teamId`, `enterpriseId`)
+ * @param {string} sessionId - The session ID
+ * @param {string|number} estimate - The agreed estimate
+ * @param {string} userId - The user who decided on the estimate
+ * @returns {Promise<Object>} Result with the updated session
+ */
+async function setFinalEstimate(tenant, sessionId, estimate, userId) {
+  const now = new Date().toISOString();
+  
+  return transitionSession(tenant, sessionId, SESSION_STATUS.CLOSED, {
+    closed_at: now,
+    final_estimate: estimate,
+    final_estimate_by: userId,
+    final_estimate_at: now
+  });
+}
+
 module.exports = {
   createSession,
   getLatestSessionForChannel,
+  listOpenSessionsForChannel,
+  listSessionsForChannel,
+  listSessionsInRange,
+  getSessionById,
+  setSessionMessage,
+  transitionSession,
+  revealSession,
+  startNewRound,
+  closeSession,
+  setFinalEstimate,
   latestSessionPerChannel
 };
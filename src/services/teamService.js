@@ -1,29 +1,49 @@
-const supabase = require('../db/supabase');
+const repositories = require('../db/repositories');
+const { encryptToken, decryptToken } = require('../utils/tokenEncryption');
 const logger = require('../utils/logger');
 
+// Days an uninstalled workspace's data is kept, in case the app is reinstalled
+const WORKSPACE_PURGE_GRACE_DAYS = 7;
+
+/**
+ * Encrypt a workspace's bot and refresh tokens for storage
+ * Both are encrypted with the current key, so the row's `token_key_id` covers both.
+ * @param {string} teamId - Slack team ID
+ * @param {string} botToken - The bot token
+ * @param {string|null} refreshToken - The refresh token, when token rotation is enabled
+ * @returns {Object} The `bot_token`, `refresh_token` and `token_key_id` columns
+ */
+function encryptTokenColumns(teamId, botToken, refreshToken) {
+  const bot = encryptToken(botToken, teamId);
+  const refresh = encryptToken(refreshToken ?? null, `${teamId}:refresh`);
+  
+  return {
+    bot_token: bot.value,
+    refresh_token: refresh.value,
+    token_key_id: bot.keyId
+  };
+}
+
 /**
  * Save team installation data
+ * The bot and refresh tokens are encrypted with the current token encryption key before they're stored.
  * @param {Object} installation - Installation data from Slack OAuth
  * @returns {Promise<Object>} Result of the operation
  */
 async function saveTeamInstallation(installation) {
   try {
-    const { error } = await supabase
-      .from('team_installations')
-      .upsert({
-        team_id: installation.team_id,
-        team_name: installation.team_name,
-        bot_token: installation.bot_token,
-        bot_user_id: installation.bot_user_id,
-        scope: installation.scope,
-        installed_at: installation.installed_at,
-        installer_user_id: installation.installer_user_id,
-        app_id: installation.app_id,
-        updated_at: new Date().toISOString()
-      }, {
-        onConflict: 'team_id',
-        returning: 'minimal'
-      });
+    const { error } = await repositories.installations.upsert({
+      team_id: installation.team_id,
+      team_name: installation.team_name,
+      ...encryptTokenColumns(installation.team_id, installation.bot_token, installation.refresh_token),
+      token_expires_at: installation.token_expires_at ?? null,
+      bot_user_id: installation.bot_user_id,
+      scope: installation.scope,
+      installed_at: installation.installed_at,
+      installer_user_id: installation.installer_user_id,
+      app_id: installation.app_id,
+      updated_at: new Date().toISOString()
+    });
     
     if (error) {
       logger.error('Error saving team installation:', error);
@@ -40,15 +60,11 @@ async function saveTeamInstallation(installation) {
 /**
  * Get team installation data
  * @param {string} teamId - Slack team ID
- * @returns {Promise<Object>} Installation data or null
+ * @returns {Promise<Object>} Installation data, with the bot and refresh tokens decrypted, or null
  */
 async function getTeamInstallation(teamId) {
   try {
-    const { data, error } = await supabase
-      .from('team_installations')
-      .select('*')
-      .eq('team_id', teamId)
-      .limit(1);
+    const { data, error } = await repositories.installations.findByTeamId(teamId);
     
     if (error) {
       logger.error('Error getting team installation:', error);
@@ -59,13 +75,77 @@ async function getTeamInstallation(teamId) {
       return { success: true, installation: null };
     }
     
-    return { success: true, installation: data[0] };
+    const installation = data[0];
+    
+    return {
+      success: true,
+      installation: {
+        ...installation,
+        bot_token: decryptToken(installation.bot_token, installation.token_key_id, installation.team_id),
+        refresh_token: installation.refresh_token
+          ? decryptToken(installation.refresh_token, installation.token_key_id, `${installation.team_id}:refresh`)
+          : null
+      }
+    };
   } catch (error) {
     logger.error('Exception in getTeamInstallation:', error);
     return { success: false, error, installation: null };
   }
 }
 
+/**
+ * Store a workspace's rotated tokens
+ * The update only applies while the stored expiry still matches `expectedExpiresAt`, so when two
+ * processes refresh the same token, only the first one's tokens are kept.
+ * @param {string} teamId - Slack team ID
+ * @param {Object} tokens - The new tokens
+ * @param {string} tokens.botToken - The new bot token
+ * @param {string} tokens.refreshToken - The new refresh token
+ * @param {string} tokens.expiresAt - When the new bot token expires (ISO timestamp)
+ * @param {string} expectedExpiresAt - The expiry of the token that was refreshed
+ * @returns {Promise<Object>} Result with whether the tokens were stored
+ */
+async function updateTeamTokens(teamId, { botToken, refreshToken, expiresAt }, expectedExpiresAt) {
+  try {
+    const { data, error } = await repositories.installations.updateIfExpiry(teamId, {
+      ...encryptTokenColumns(teamId, botToken, refreshToken),
+      token_expires_at: expiresAt,
+      updated_at: new Date().toISOString()
+    }, expectedExpiresAt);
+    
+    if (error) {
+      logger.error('Error updating team tokens:', error);
+      return { success: false, error, updated: false };
+    }
+    
+    return { success: true, updated: Boolean(data && data.length > 0) };
+  } catch (error) {
+    logger.error('Exception in updateTeamTokens:', error);
+    return { success: false, error, updated: false };
+  }
+}
+
+/**
+ * List the workspaces whose rotating bot token expires before a given time
+ * @param {Date} before - The cutoff time
+ * @returns {Promise<Object>} Result with the installations' team IDs and expiry times
+ */
+async function listExpiringInstallations(before) {
+  try {
+    const { data, error } = await repositories.installations.listExpiring(before);
+    
+    if (error) {
+      logger.error('Error listing expiring installations:', error);
+      return { success: false, error, installations: [] };
+    }
+    
+    return { success: true, installations: data || [] };
+  } catch (error) {
+    logger.error('Exception in listExpiringInstallations:', error);
+    return { success: false, error, installations: [] };
+  }
+}
+
 /**
  * Remove team installation (for uninstalls)
  * @param {string} teamId - Slack team ID
@@ -73,10 +153,7 @@ async function getTeamInstallation(teamId) {
  */
 async function removeTeamInstallation(teamId) {
   try {
-    const { error } = await supabase
-      .from('team_installations')
-      .delete()
-      .eq('team_id', teamId);
+    const { error } = await repositories.installations.remove(teamId);
     
     if (error) {
       logger.error('Error removing team installation:', error);
@@ -96,10 +173,7 @@ async function removeTeamInstallation(teamId) {
  */
 async function listTeamInstallations() {
   try {
-    const { data, error } = await supabase
-      .from('team_installations')
-      .select('team_id, team_name, installed_at, scope')
-      .order('installed_at', { ascending: false });
+    const { data, error } = await repositories.installations.list();
     
     if (error) {
       logger.error('Error listing team installations:', error);
@@ -113,9 +187,114 @@ async function listTeamInstallations() {
   }
 }
 
+/**
+ * Schedule a workspace's data to be deleted after the grace period
+ * Scheduling again (e.g. when Slack retries the event) just moves the purge date.
+ * @param {string} teamId - Slack team ID
+ * @param {string} reason - Why the data is being purged, e.g. the Slack event type
+ * @param {Object} options - Optional settings
+ * @param {number} options.graceDays - Days to wait before purging
+ * @returns {Promise<Object>} Result with when the purge is due
+ */
+async function scheduleWorkspacePurge(teamId, reason, options = {}) {
+  const graceDays = options.graceDays ?? WORKSPACE_PURGE_GRACE_DAYS;
+  const now = new Date();
+  const purgeAfter = new Date(now.getTime() + graceDays * 24 * 60 * 60 * 1000).toISOString();
+  
+  try {
+    const { error } = await repositories.installations.upsertPurge({
+      team_id: teamId,
+      reason,
+      requested_at: now.toISOString(),
+      purge_after: purgeAfter,
+      purged_at: null
+    });
+    
+    if (error) {
+      logger.error('Error scheduling workspace purge:', error);
+      return { success: false, error };
+    }
+    
+    return { success: true, purgeAfter };
+  } catch (error) {
+    logger.error('Exception in scheduleWorkspacePurge:', error);
+    return { success: false, error };
+  }
+}
+
+/**
+ * Cancel a workspace's pending purge, e.g. because the app was reinstalled
+ * @param {string} teamId - Slack team ID
+ * @returns {Promise<Object>} Result of the operation
+ */
+async function cancelWorkspacePurge(teamId) {
+  try {
+    const { error } = await repositories.installations.removePendingPurge(teamId);
+    
+    if (error) {
+      logger.error('Error cancelling workspace purge:', error);
+      return { success: false, error };
+    }
+    
+    return { success: true };
+  } catch (error) {
+    logger.error('Exception in cancelWorkspacePurge:', error);
+    return { success: false, error };
+  }
+}
+
+/**
+ * List the workspace purges whose grace period has ended
+ * @param {Date} now - The current time (defaults to the system clock)
+ * @returns {Promise<Object>} Result with the due purges
+ */
+async function listDueWorkspacePurges(now = new Date()) {
+  try {
+    const { data, error } = await repositories.installations.listDuePurges(now);
+    
+    if (error) {
+      logger.error('Error listing workspace purges:', error);
+      return { success: false, error, purges: [] };
+    }
+    
+    return { success: true, purges: data || [] };
+  } catch (error) {
+    logger.error('Exception in listDueWorkspacePurges:', error);
+    return { success: false, error, purges: [] };
+  }
+}
+
+/**
+ * Record that a workspace's data has been purged
+ * @param {string} teamId - Slack team ID
+ * @returns {Promise<Object>} Result of the operation
+ */
+async function markWorkspacePurged(teamId) {
+  try {
+    const { error } = await repositories.installations.updatePurge(teamId, { purged_at: new Date().toISOString() });
+    
+    if (error) {
+      logger.error('Error marking workspace purged:', error);
+      return { success: false, error };
+    }
+    
+    return { success: true };
+  } catch (error) {
+    logger.error('Exception in markWorkspacePurged:', error);
+    return { success: false, error };
+  }
+}
+
 module.exports = {
+  WORKSPACE_PURGE_GRACE_DAYS,
   saveTeamInstallation,
   getTeamInstallation,
   removeTeamInstallation,
-  listTeamInstallations
+  updateTeamTokens,
+  listExpiringInstallations,
+  listTeamInstallations,
+  scheduleWorkspacePurge,
+  cancelWorkspacePurge,
+  listDueWorkspacePurges,
+  markWorkspacePurged
 };
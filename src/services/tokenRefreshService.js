@@ -0,0 +1,105 @@
+const axios = require('axios');
+const { getTeamInstallation, updateTeamTokens } = require('./teamService');
+const logger = require('../utils/logger');
+
+// Refresh bot tokens this long before they expire, so a token never expires mid-request
+const TOKEN_REFRESH_MARGIN_SECONDS = 5 * 60;
+
+// Refreshes in progress, by team ID, so concurrent requests share one refresh
+const inFlightRefreshes = new Map();
+
+/**
+ * Check whether a workspace's bot token needs refreshing
+ * Tokens from apps without token rotation have no expiry and never need it.
+ * @param {Object} installation - The workspace's installation
+ * @param {number} now - Current time in milliseconds (defaults to the system clock)
+ * @returns {boolean} True if the token expires within the refresh margin
+ */
+function isTokenExpiring(installation, now = Date.now()) {
+  if (!installation.refresh_token || !installation.token_expires_at) {
+    return false;
+  }
+  
+  return new Date(installation.token_expires_at).getTime() - TOKEN_REFRESH_MARGIN_SECONDS * 1000 <= now;
+}
+
+/**
+ * Exchange a workspace's refresh token for a new bot token and store it
+ * @param {Object} installation - The workspace's installation, with its decrypted refresh token
+ * @returns {Promise<Object>} Result with the new bot token
+ */
+async function exchangeRefreshToken(installation) {
+  const teamId = installation.team_id;
+  
+  try {
+    const params = new URLSearchParams({
+      client_id: process.env.SLACK_CLIENT_ID,
+      client_secret: process.env.SLACK_CLIENT_SECRET,
+      grant_type: 'refresh_token',
+      refresh_token: installation.refresh_token
+    });
+    
+    const { data } = await axios.post('https://slack.com/api/oauth.v2.access', params, {
+      headers: {
+        'Content-Type': 'application/x-www-form-urlencoded'
+      }
+    });
+    
+    if (!data.ok) {
+      logger.error(`Token refresh failed for team ${teamId}:`, data.error);
+      return { success: false, error: data.error, botToken: null };
+    }
+    
+    const expiresAt = new Date(Date.now() + data.expires_in * 1000).toISOString();
+    const saved = await updateTeamTokens(teamId, {
+      botToken: data.access_token,
+      refreshToken: data.refresh_token,
+      expiresAt
+    }, installation.token_expires_at);
+    
+    if (!saved.success) {
+      logger.error(`Failed to store refreshed token for team ${teamId}:`, saved.error);
+      // The new token still works for this request even though it couldn't be stored
+      return { success: true, botToken: data.access_token, expiresAt };
+    }
+    
+    if (!saved.updated) {
+      // Another process refreshed the token first; use the tokens it stored
+      const latest = await getTeamInstallation(teamId);
+      
+      if (!latest.success || !latest.installation) {
+        return { success: false, error: latest.error || 'installation_removed', botToken: null };
+      }
+      
+      return { success: true, botToken: latest.installation.bot_token, expiresAt: latest.installation.token_expires_at };
+    }
+    
+    return { success: true, botToken: data.access_token, expiresAt };
+  } catch (error) {
+    logger.error('Exception in exchangeRefreshToken:', error);
+    return { success: false, error, botToken: null };
+  }
+}
+
+/**
+ * Refresh a workspace's bot token
+ * Concurrent calls for the same workspace share a single request to Slack.
+ * @param {Object} installation - The workspace's installation, with its decrypted refresh token
+ * @returns {Promise<Object>} Result with the new bot token
+ */
+function refreshBotToken(installation) {
+  const teamId = installation.team_id;
+  
+  if (!inFlightRefreshes.has(teamId)) {
+    const refresh = exchangeRefreshToken(installation).finally(() => inFlightRefreshes.delete(teamId));
+    inFlightRefreshes.set(teamId, refresh);
+  }
+  
+  return inFlightRefreshes.get(teamId);
+}
+
+module.exports = {
+  TOKEN_REFRESH_MARGIN_SECONDS,
+  isTokenExpiring,
+  refreshBotToken
+};
@@ -1,28 +1,39 @@
-const supabase = require('../db/supabase');
+const repositories = require('../db/repositories');
 const logger = require('../utils/logger');
+const { isSpecialCard } = require('../utils/decks');
+const { getTenantColumns } = require('../utils/tenant');
+
+// Sessions looked up per query, keeping the `in` filter's URL short
+const SESSION_ID_CHUNK_SIZE = 100;
+
+// Rows fetched per request; Supabase caps responses at 1000 rows by default
+const VOTE_PAGE_SIZE = 1000;
 
 /**
  * Save a vote to the database
+ * @param {Object} tenant - The workspace the session belongs to (`teamId`, `enterpriseId`)
  * @param {string} sessionId - The session ID
  * @param {string} userId - The user ID
- * @param {number} vote - The vote value
+ * @param {number|string} vote - The vote value, or a special card key
  * @param {string} username - The username
+ * @param {number} round - The voting round (defaults to the first round)
  * @returns {Promise<Object>} Result of the operation
  */
-async function saveVote(sessionId, userId, vote, username) {
+async function saveVote(tenant, sessionId, userId, vote, username, round = 1) {
   try {
-    // Use upsert operation with on_conflict to update existing votes
-    const { error } = await supabase
-      .from('votes')
-      .upsert({ 
-        session_id: sessionId, 
-        user_id: userId, 
-        vote: vote,
-        username: username
-      }, {
-        onConflict: 'session_id,user_id',
-        returning: 'minimal'
-      });
+    // Special cards are stored separately so they never mix with estimates
+    const special = isSpecialCard(vote);
+    
+    // Upsert so a user's earlier vote in the same round is replaced
+    const { error } = await repositories.votes.upsert({ 
+      session_id: sessionId, 
+      ...getTenantColumns(tenant),
+      user_id: userId, 
+      vote: special ? null : vote,
+      special: special ? vote : null,
+      username: username,
+      round
+    });
       
     if (error) {
       logger.error('Error saving vote:', error);
@@ -37,19 +48,16 @@ async function saveVote(sessionId, userId, vote, username) {
 }
 
 /**
- * Check if a user has already voted in a session
+ * Check if a user has already voted in a round of a session
+ * @param {Object} tenant - The workspace the session belongs to (`teamId`, `enterpriseId`)
  * @param {string} sessionId - The session ID
  * @param {string} userId - The user ID
+ * @param {number} round - The voting round (defaults to the first round)
  * @returns {Promise<Object>} Result with hasVoted boolean
  */
-async function hasUserVoted(sessionId, userId) {
+async function hasUserVoted(tenant, sessionId, userId, round = 1) {
   try {
-    const { data, error } = await supabase
-      .from('votes')
-      .select('user_id')
-      .eq('session_id', sessionId)
-      .eq('user_id', userId)
-      .limit(1);
+    const { data, error } = await repositories.votes.findUserVote(tenant, sessionId, userId, round);
 
     if (error) {
       logger.error('Error checking if user voted:', error);
@@ -64,17 +72,17 @@ async function hasUserVoted(sessionId, userId) {
 }
 
 /**
- * Get all votes for a session
+ * Get the votes for a session
+ * @param {Object} tenant - The workspace the session belongs to (`teamId`, `enterpriseId`)
  * @param {string} sessionId - The session ID
+ * @param {Object} options - Optional filters
+ * @param {number} options.round - Only return votes from this round (all rounds when omitted)
  * @returns {Promise<Object>} Result with votes and session data
  */
-async function getSessionVotes(sessionId) {
+async function getSessionVotes(tenant, sessionId, options = {}) {
   try {
     // Get votes for the session
-    const { data, error } = await supabase
-      .from('votes')
-      .select('*')
-      .eq('session_id', sessionId);
+    const { data, error } = await repositories.votes.listForSession(tenant, sessionId, { round: options.round });
 
     if (error) {
       logger.error('Error fetching votes:', error);
@@ -82,11 +90,7 @@ async function getSessionVotes(sessionId) {
     }
 
     // Get session details
-    const { data: sessionData, error: sessionError } = await supabase
-      .from('sessions')
-      .select('*')
-      .eq('id', sessionId)
-      .limit(1);
+    const { data: sessionData, error: sessionError } = await repositories.sessions.findById(tenant, sessionId);
     
     if (sessionError) {
       logger.error('Error fetching session:', sessionError);
@@ -104,17 +108,52 @@ async function getSessionVotes(sessionId) {
   }
 }
 
+/**
+ * Get the votes of many sessions at once, in every round
+ * @param {Array<string>} sessionIds - The session IDs
+ * @param {Object|null} tenant - Only return this workspace's votes; null returns every workspace's
+ * @returns {Promise<Object>} Result with the votes
+ */
+async function getVotesForSessions(sessionIds, tenant = null) {
+  const votes = [];
+  
+  try {
+    for (let start = 0; start < sessionIds.length; start += SESSION_ID_CHUNK_SIZE) {
+      const chunk = sessionIds.slice(start, start + SESSION_ID_CHUNK_SIZE);
+      
+      // Keep reading pages until one comes back short
+      for (let offset = 0; ; offset += VOTE_PAGE_SIZE) {
+        const { data, error } = await repositories.votes.listForSessions(chunk, tenant, { limit: VOTE_PAGE_SIZE, offset });
+        
+        if (error) {
+          logger.error('Error fetching votes for sessions:', error);
+          return { success: false, error, votes: [] };
+        }
+        
+        votes.push(...(data || []));
+        
+        if (!data || data.length < VOTE_PAGE_SIZE) {
+          break;
+        }
+      }
+    }
+    
+    return { success: true, votes };
+  } catch (error) {
+    logger.error('Exception in getVotesForSessions:', error);
+    return { success: false, error, votes: [] };
+  }
+}
+
 /**
  * Count votes for a session
+ * @param {Object} tenant - The workspace the session belongs to (`teamId`, `enterpriseId`)
  * @param {string} sessionId - The session ID
  * @returns {Promise<Object>} Result with vote count
  */
-async function countVotes(sessionId) {
+async function countVotes(tenant, sessionId) {
   try {
-    const { count, error } = await supabase
-      .from('votes')
-      .select('*', { count: 'exact', head: true })
-      .eq('session_id', sessionId);
+    const { count, error } = await repositories.votes.count(tenant, sessionId);
       
     if (error) {
       logger.error('Error counting votes:', error);
@@ -131,6 +170,7 @@ async function countVotes(sessionId) {
 module.exports = {
   saveVote,
   getSessionVotes,
+  getVotesForSessions,
   countVotes,
   hasUserVoted
 };
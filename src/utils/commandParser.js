@@ -0,0 +1,126 @@
+/**
+ * Pull `--name value` (or `--name=value`) flags off the start of slash command text
+ * Flags are only read before the rest of the text, so an issue like "Fix --timer bug" keeps its words.
+ * A `--` ends the flags early, for text that itself starts with a flag-like word.
+ * @param {string} text - The raw command text
+ * @param {Array<string>} flagNames - The flag names without dashes
+ * @returns {Object} The flag values by name, the text after them, and whether a `--` ended them
+ */
+function extractFlags(text, flagNames) {
+  const flags = {};
+  let remaining = (text || '').trim();
+  let match;
+
+  while ((match = remaining.match(/^--([\w-]+)(?:=|[ \t]+)(\S+)(?:\s+|$)/)) && flagNames.includes(match[1])) {
+    flags[match[1]] = match[2];
+    remaining = remaining.slice(match[0].length);
+  }
+
+  const separator = remaining.match(/^--(?:\s+|$)/);
+
+  return {
+    flags,
+    text: (separator ? remaining.slice(separator[0].length) : remaining).trim(),
+    separated: Boolean(separator)
+  };
+}
+
+/**
+ * Parse `key=value` words into an object
+ * Values containing spaces can be quoted, e.g. `label="estimate: {estimate}"`
+ * (Slack's curly quotes are accepted too).
+ * @param {Array<string>} words - Words from slash command text
+ * @returns {Object} Result with the parsed settings, or the first word that isn't `key=value`
+ */
+function parseKeyValueArgs(words) {
+  const values = {};
+  const source = (words || []).join(' ');
+  const pattern = /\s*([a-z_]+)=(?:"([^"]*)"|“([^”]*)”|(\S+))/iy;
+  let index = 0;
+
+  while (index < source.length) {
+    pattern.lastIndex = index;
+    const match = pattern.exec(source);
+
+    if (!match) {
+      return { success: false, invalid: source.slice(index).trim().split(/\s+/)[0], values };
+    }
+
+    const quoted = match[2] !== undefined ? match[2] : match[3];
+    values[match[1].toLowerCase()] = quoted !== undefined ? quoted : match[4];
+    index = pattern.lastIndex;
+  }
+
+  return { success: true, values };
+}
+
+/**
+ * Hide credentials typed into slash command text before it is logged
+ * @param {string} text - The raw command text
+ * @returns {string} The text with secret values replaced
+ */
+function redactSecrets(text) {
+  return (text || '').replace(/\b(token|secret|password)=\S+/gi, '$1=[redacted]');
+}
+
+/**
+ * Split a pasted backlog into one issue per line
+ * List markers (`-`, `*`, `•`, `1.`, `2)`) are dropped, as are blank lines.
+ * @param {string} text - Newline-separated issues
+ * @returns {Array<string>} The issues in order
+ */
+function parseQueueItems(text) {
+  return (text || '')
+    .split(/\r?\n/)
+    .map(line => line.trim().replace(/^(?:[-*•]|\d+[.)])\s+/, '').trim())
+    .filter(Boolean);
+}
+
+/**
+ * Split slash command text into a subcommand, its arguments and any `--flags`
+ * Subcommands are matched exactly (lowercase), and text that doesn't start with one is left whole as
+ * an issue to estimate, so "Export reports to PDF" isn't taken for `/poker export`. Flags are read
+ * before the subcommand or its arguments, or before the issue, and everything after a `--` is text.
+ * @param {string} text - The raw command text
+ * @param {Array<string>} subcommands - The known subcommand names
+ * @param {Array<string>} flagNames - Flags to read from the start of the text, without dashes
+ * @returns {Object} The subcommand (or null), the words and text following it, and the flag values by name
+ */
+function parseCommand(text, subcommands, flagNames = []) {
+  const leading = extractFlags(text, flagNames);
+  const [first] = leading.text.split(/\s+/);
+  const subcommand = !leading.separated && subcommands.includes(first) ? first : null;
+
+  if (!subcommand) {
+    return { subcommand, args: leading.text ? leading.text.split(/\s+/) : [], rest: leading.text, flags: leading.flags };
+  }
+
+  const { flags, text: rest } = extractFlags(leading.text.slice(first.length), flagNames);
+
+  return { subcommand, args: rest ? rest.split(/\s+/) : [], rest, flags: { ...leading.flags, ...flags } };
+}
+
+/**
+ * Parse a duration such as `90s`, `5m` or `5` (minutes)
+ * @param {string} text - The duration
+ * @returns {number|null} The duration in seconds, or null if the text isn't a duration
+ */
+function parseDuration(text) {
+  const match = String(text || '').trim().toLowerCase().match(/^(\d+)\s*(s|sec|secs|m|min|mins)?$/);
+
+  if (!match) {
+    return null;
+  }
+
+  const amount = Number(match[1]);
+  return match[2] && match[2].startsWith('s') ? amount : amount * 60;
+}
+
+module.exports = {
+  extractFlags,
+  parseKeyValueArgs,
+  redactSecrets,
+  parseQueueItems,
+  parseCommand,
+  parseDuration
+};
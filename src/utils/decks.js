@@ -0,0 +1,280 @@
+/**
+ * Estimation deck definitions and helpers
+ */
+
+const DEFAULT_DECK_NAME = 'standard';
+
+// Slack allows at most 25 elements in a single actions block
+const MAX_BUTTONS_PER_ACTIONS_BLOCK = 25;
+
+// Slack allows at most 100 options in a static select menu
+const MAX_DECK_SIZE = 100;
+
+const BUILT_IN_DECKS = {
+  standard: [1, 2, 3, 5, 8],
+  fibonacci: [0, 1, 2, 3, 5, 8, 13, 21],
+  tshirt: ['XS', 'S', 'M', 'L', 'XL', 'XXL'],
+  powers: [1, 2, 4, 8, 16, 32]
+};
+
+// Non-numeric cards offered alongside every deck
+const SPECIAL_CARDS = {
+  unsure: { key: 'unsure', label: '?', emoji: ':question:', singular: 'needs more info', plural: 'need more info' },
+  coffee: { key: 'coffee', label: ':coffee:', emoji: ':coffee:', singular: 'needs a break', plural: 'need a break' },
+  too_big: { key: 'too_big', label: 'Too big', emoji: ':elephant:', singular: 'thinks this must be split', plural: 'think this must be split' }
+};
+
+/**
+ * Get a special card by its key
+ * @param {string} key - The special card key (e.g. `unsure`)
+ * @returns {Object|null} The special card, or null if the key isn't a special card
+ */
+function getSpecialCard(key) {
+  if (typeof key !== 'string' || !Object.prototype.hasOwnProperty.call(SPECIAL_CARDS, key)) {
+    return null;
+  }
+
+  return SPECIAL_CARDS[key];
+}
+
+/**
+ * Check whether a vote value is a special card
+ * @param {string|number} value - The vote value
+ * @returns {boolean} True if the value is a special card key
+ */
+function isSpecialCard(value) {
+  return getSpecialCard(value) !== null;
+}
+
+/**
+ * List the special cards in the order they are shown
+ * @returns {Array<Object>} Special cards
+ */
+function listSpecialCards() {
+  return Object.values(SPECIAL_CARDS);
+}
+
+/**
+ * Format a vote value for display, using the label for special cards
+ * @param {string|number} value - The vote value
+ * @returns {string} Display text for the vote
+ */
+function formatVoteValue(value) {
+  const specialCard = getSpecialCard(value);
+  return specialCard ? specialCard.label : String(value);
+}
+
+/**
+ * Get a built-in deck by name
+ * @param {string} name - The deck name
+ * @returns {Object|null} Deck with name, values and builtIn flag, or null if not found
+ */
+function getBuiltInDeck(name) {
+  const key = (name || '').toLowerCase();
+
+  if (!Object.prototype.hasOwnProperty.call(BUILT_IN_DECKS, key)) {
+    return null;
+  }
+
+  return { name: key, values: [...BUILT_IN_DECKS[key]], builtIn: true };
+}
+
+/**
+ * Get the default deck used when a channel has not picked one
+ * @returns {Object} The default deck
+ */
+function getDefaultDeck() {
+  return getBuiltInDeck(DEFAULT_DECK_NAME);
+}
+
+/**
+ * List all built-in decks
+ * @returns {Array<Object>} Built-in decks
+ */
+function listBuiltInDecks() {
+  return Object.keys(BUILT_IN_DECKS).map(getBuiltInDeck);
+}
+
+/**
+ * Check whether a deck name is valid for a custom deck
+ * @param {string} name - The deck name
+ * @returns {boolean} True if the name can be used
+ */
+function isValidDeckName(name) {
+  return /^[a-z0-9][a-z0-9_-]{0,31}$/.test(name || '');
+}
+
+/**
+ * Normalize a single card value, turning numeric strings into numbers
+ * @param {string|number} value - The raw card value
+ * @returns {string|number} The normalized card value
+ */
+function normalizeCardValue(value) {
+  const trimmed = String(value).trim();
+
+  if (/^-?\d+(\.\d+)?$/.test(trimmed)) {
+    return Number(trimmed);
+  }
+
+  return trimmed;
+}
+
+/**
+ * Parse a list of card values typed by a user (e.g. "1, 2, 3, 5" or "S M L")
+ * @param {string} text - The raw values text
+ * @returns {Object} Result with values, or an error message when invalid
+ */
+function parseDeckValues(text) {
+  const values = (text || '')
+    .split(/[\s,]+/)
+    .filter(Boolean)
+    .map(normalizeCardValue);
+
+  if (values.length < 2) {
+    return { success: false, error: 'A deck needs at least two cards.' };
+  }
+
+  if (values.length > MAX_DECK_SIZE) {
+    return { success: false, error: `A deck can have at most ${MAX_DECK_SIZE} cards.` };
+  }
+
+  const seen = new Set(values.map(String));
+  if (seen.size !== values.length) {
+    return { success: false, error: 'Each card in a deck must be unique.' };
+  }
+
+  const reserved = values.find(value => isSpecialCard(value) || value === '?');
+  if (reserved !== undefined) {
+    return { success: false, error: `\`${reserved}\` is reserved for the special cards.` };
+  }
+
+  if (values.some(value => String(value).length > 10)) {
+    return { success: false, error: 'Card values can be at most 10 characters long.' };
+  }
+
+  return { success: true, values };
+}
+
+/**
+ * Get the deck a session was started with
+ * @param {Object} session - Session row
+ * @returns {Object} The session's deck, or the default deck for older sessions
+ */
+function getSessionDeck(session) {
+  if (session && Array.isArray(session.deck_values) && session.deck_values.length > 0) {
+    return { name: session.deck_name || 'custom', values: session.deck_values };
+  }
+
+  return getDefaultDeck();
+}
+
+/**
+ * Check whether a value is one of a deck's cards
+ * @param {Object} deck - The deck
+ * @param {string|number} value - The value to look for
+ * @returns {boolean} True if the value is a card in the deck
+ */
+function isDeckCard(deck, value) {
+  if (typeof value !== 'string' && typeof value !== 'number') {
+    return false;
+  }
+
+  return deck.values.map(String).includes(String(value));
+}
+
+/**
+ * Check whether a vote value can be cast in a session
+ * Votes must be one of the deck's cards or a special card.
+ * @param {Object} deck - The session's deck
+ * @param {string|number} value - The vote value
+ * @returns {boolean} True if the vote can be saved
+ */
+function isValidVote(deck, value) {
+  return isDeckCard(deck, value) || isSpecialCard(value);
+}
+
+/**
+ * Check whether an estimate can be accepted as a session's final estimate
+ * Any card in the deck can be accepted. Teams may also settle between cards, but only on decks made
+ * entirely of numbers, and never on a negative number.
+ * @param {Object} deck - The session's deck
+ * @param {string|number} estimate - The proposed estimate
+ * @returns {boolean} True if the estimate can be accepted
+ */
+function isAcceptableEstimate(deck, estimate) {
+  if (estimate === null || estimate === undefined) {
+    return false;
+  }
+
+  if (isDeckCard(deck, estimate)) {
+    return true;
+  }
+
+  const value = normalizeCardValue(estimate);
+  const numericDeck = deck.values.every(card => typeof normalizeCardValue(card) === 'number');
+
+  return numericDeck && typeof value === 'number' && value >= 0;
+}
+
+/**
+ * Check whether a deck's cards fit into a single actions block of buttons
+ * @param {Object} deck - The deck
+ * @returns {boolean} True if the deck can be rendered as buttons
+ */
+function fitsInActionsBlock(deck) {
+  return deck.values.length <= MAX_BUTTONS_PER_ACTIONS_BLOCK;
+}
+
+/**
+ * Build a comparator that orders card values the way they appear in a deck
+ * Values that are not in the deck are sorted after the deck's cards
+ * @param {Array} deckValues - The deck's card values
+ * @returns {Function} Comparator for Array.prototype.sort
+ */
+function compareByDeckOrder(deckValues = []) {
+  const positions = deckValues.map(String);
+
+  return (a, b) => {
+    const indexA = positions.indexOf(String(a));
+    const indexB = positions.indexOf(String(b));
+
+    if (indexA !== -1 || indexB !== -1) {
+      if (indexA === -1) return 1;
+      if (indexB === -1) return -1;
+      return indexA - indexB;
+    }
+
+    const numberA = Number(a);
+    const numberB = Number(b);
+
+    if (!Number.isNaN(numberA) && !Number.isNaN(numberB)) {
+      return numberA - numberB;
+    }
+
+    return String(a).localeCompare(String(b));
+  };
+}
+
+module.exports = {
+  DEFAULT_DECK_NAME,
+  MAX_BUTTONS_PER_ACTIONS_BLOCK,
+  MAX_DECK_SIZE,
+  BUILT_IN_DECKS,
+  SPECIAL_CARDS,
+  getSpecialCard,
+  isSpecialCard,
+  listSpecialCards,
+  formatVoteValue,
+  getBuiltInDeck,
+  getDefaultDeck,
+  listBuiltInDecks,
+  isValidDeckName,
+  normalizeCardValue,
+  parseDeckValues,
+  getSessionDeck,
+  isDeckCard,
+  isValidVote,
+  isAcceptableEstimate,
+  fitsInActionsBlock,
+  compareByDeckOrder
+};
@@ -0,0 +1,156 @@
+/**
+ * Formatting for session and vote exports
+ */
+
+// Export file types, keyed by the name used in `/poker export` and the `format` query parameter
+const EXPORT_FORMATS = {
+  csv: { contentType: 'text/csv; charset=utf-8', extension: 'csv' },
+  json: { contentType: 'application/json; charset=utf-8', extension: 'json' }
+};
+
+// CSV columns, one row per vote; sessions without exported votes get a single row with blank vote columns
+const CSV_COLUMNS = [
+  'session_id',
+  'channel',
+  'issue',
+  'status',
+  'created_by',
+  'created_at',
+  'deck',
+  'final_estimate',
+  'final_estimate_by',
+  'final_estimate_at',
+  'round',
+  'user_id',
+  'username',
+  'vote',
+  'special',
+  'voted_at'
+];
+
+/**
+ * Quote a value for CSV when it needs it
+ * Values starting with `=`, `+`, `-` or `@` are prefixed with `'` so spreadsheets don't run them as formulas.
+ * @param {*} value - The cell value
+ * @returns {string} The CSV cell
+ */
+function toCsvCell(value) {
+  if (value === null || value === undefined) {
+    return '';
+  }
+
+  let text = String(value);
+
+  if (/^[=+\-@\t\r]/.test(text) && Number.isNaN(Number(text))) {
+    text = `'${text}`;
+  }
+
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Format exported sessions as CSV, one row per vote
+ * @param {Array} sessions - Sessions with their `rounds` of votes
+ * @returns {string} The CSV text
+ */
+function formatExportCsv(sessions) {
+  const rows = [];
+
+  (sessions || []).forEach(session => {
+    const sessionCells = [
+      session.id,
+      session.channel,
+      session.issue,
+      session.status,
+      session.created_by,
+      session.created_at,
+      session.deck_name,
+      session.final_estimate,
+      session.final_estimate_by,
+      session.final_estimate_at
+    ];
+    const votes = (session.rounds || []).flatMap(entry => entry.votes.map(vote => ({ ...vote, round: entry.round })));
+
+    if (votes.length === 0) {
+      rows.push([...sessionCells, '', '', '', '', '', '']);
+      return;
+    }
+
+    votes.forEach(vote => {
+      rows.push([...sessionCells, vote.round, vote.user_id, vote.username, vote.vote, vote.special, vote.created_at]);
+    });
+  });
+
+  return [CSV_COLUMNS, ...rows]
+    .map(row => row.map(toCsvCell).join(','))
+    .join('\r\n') + '\r\n';
+}
+
+/**
+ * Format exported sessions as JSON, with each session's rounds and votes nested inside it
+ * @param {Array} sessions - Sessions with their `rounds` of votes
+ * @param {Object} filters - The channel and date range the export covers
+ * @returns {string} The JSON text
+ */
+function formatExportJson(sessions, filters = {}) {
+  return JSON.stringify({
+    exported_at: new Date().toISOString(),
+    filters: {
+      channel: filters.channelId || null,
+      from: filters.from || null,
+      to: filters.to || null
+    },
+    sessions: (sessions || []).map(session => ({
+      id: session.id,
+      channel: session.channel,
+      thread_ts: session.thread_ts || null,
+      issue: session.issue,
+      status: session.status,
+      deck: session.deck_name ? { name: session.deck_name, values: session.deck_values } : null,
+      created_by: session.created_by || null,
+      created_at: session.created_at,
+      revealed_at: session.revealed_at || null,
+      closed_at: session.closed_at || null,
+      final_estimate: session.final_estimate ?? null,
+      final_estimate_by: session.final_estimate_by || null,
+      final_estimate_at: session.final_estimate_at || null,
+      rounds: (session.rounds || []).map(entry => ({
+        round: entry.round,
+        votes: entry.votes.map(vote => ({
+          user_id: vote.user_id,
+          username: vote.username,
+          vote: vote.vote ?? null,
+          special: vote.special || null,
+          voted_at: vote.created_at || null
+        }))
+      }))
+    }))
+  }, null, 2);
+}
+
+/**
+ * Name an export file after what it covers, e.g. `planning-poker-C123-from-2024-03-01-to-2024-03-31.csv`
+ * @param {Object} filters - The channel and date range the export covers
+ * @param {string} format - A key of EXPORT_FORMATS
+ * @returns {string} The file name
+ */
+function getExportFilename(filters, format) {
+  const parts = [
+    'planning-poker',
+    filters.channelId,
+    filters.from ? `from-${filters.from}` : null,
+    filters.to ? `to-${filters.to}` : null
+  ].filter(Boolean);
+
+  // Filters can come from query parameters, so keep only characters that are safe in a header
+  return `${parts.join('-').replace(/[^\w.-]/g, '_')}.${EXPORT_FORMATS[format].extension}`;
+}
+
+module.exports = {
+  EXPORT_FORMATS,
+  CSV_COLUMNS,
+  toCsvCell,
+  formatExportCsv,
+  formatExportJson,
+  getExportFilename
+};
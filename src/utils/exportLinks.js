@@ -0,0 +1,103 @@
+const crypto = require('crypto');
+
+// How long a download link from `/poker export` keeps working
+const EXPORT_LINK_TTL_SECONDS = 15 * 60;
+
+/**
+ * Get the secret export links are signed with
+ * Links are signed with the admin key, so rotating the key also revokes every outstanding link.
+ * @returns {string|null} The secret, or null if exports aren't configured
+ */
+function getExportSecret() {
+  return process.env.ADMIN_KEY || null;
+}
+
+/**
+ * Sign an encoded export token payload
+ * @param {string} secret - The signing secret
+ * @param {string} payload - The base64url-encoded payload
+ * @returns {string} The base64url-encoded signature
+ */
+function signPayload(secret, payload) {
+  return crypto.createHmac('sha256', secret).update(`export:${payload}`).digest('base64url');
+}
+
+/**
+ * Create a signed, expiring token describing an export
+ * @param {Object} filters - The export's workspace (`teamId`, `enterpriseId`), channel, date range (`YYYY-MM-DD`) and format
+ * @param {Object} options - Token options
+ * @param {number} options.ttlSeconds - How long the token stays valid
+ * @param {number} options.now - Current time in seconds (defaults to the system clock)
+ * @returns {string|null} The token, or null if exports aren't configured
+ */
+function createExportToken(filters, { ttlSeconds = EXPORT_LINK_TTL_SECONDS, now = Math.floor(Date.now() / 1000) } = {}) {
+  const secret = getExportSecret();
+
+  if (!secret) {
+    return null;
+  }
+
+  const payload = Buffer.from(JSON.stringify({
+    teamId: filters.teamId || null,
+    enterpriseId: filters.enterpriseId || null,
+    channelId: filters.channelId,
+    from: filters.from || null,
+    to: filters.to || null,
+    format: filters.format,
+    exp: now + ttlSeconds
+  })).toString('base64url');
+
+  return `${payload}.${signPayload(secret, payload)}`;
+}
+
+/**
+ * Check an export token's signature and expiry
+ * @param {string} token - The token from the download link
+ * @param {number} now - Current time in seconds (defaults to the system clock)
+ * @returns {Object} Result with the export's filters, or the reason the token was rejected
+ */
+function verifyExportToken(token, now = Math.floor(Date.now() / 1000)) {
+  const secret = getExportSecret();
+  const [payload, signature] = String(token || '').split('.');
+
+  if (!secret || !payload || !signature) {
+    return { valid: false, reason: 'Invalid export link' };
+  }
+
+  const expected = Buffer.from(signPayload(secret, payload));
+  const actual = Buffer.from(signature);
+
+  if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) {
+    return { valid: false, reason: 'Invalid export link' };
+  }
+
+  let filters;
+
+  try {
+    filters = JSON.parse(Buffer.from(payload, 'base64url').toString('utf8'));
+  } catch (error) {
+    return { valid: false, reason: 'Invalid export link' };
+  }
+
+  if (!filters.exp || filters.exp < now) {
+    return { valid: false, reason: 'This export link has expired. Run `/poker export` again for a new one.' };
+  }
+
+  return { valid: true, filters };
+}
+
+/**
+ * Build the download URL for an export token
+ * @param {string} token - The signed export token
+ * @returns {string} The download URL
+ */
+function buildExportUrl(token) {
+  return `${process.env.BASE_URL}/export?token=${encodeURIComponent(token)}`;
+}
+
+module.exports = {
+  EXPORT_LINK_TTL_SECONDS,
+  createExportToken,
+  verifyExportToken,
+  buildExportUrl
+};
@@ -1,8 +1,26 @@
 // Export utility functions
 const slackUtils = require('./slackUtils');
 const responseFormatters = require('./responseFormatters');
+const decks = require('./decks');
+const commandParser = require('./commandParser');
+const statistics = require('./statistics');
+const sessionStatus = require('./sessionStatus');
+const exportFormatters = require('./exportFormatters');
+const exportLinks = require('./exportLinks');
+const oauthState = require('./oauthState');
+const tokenEncryption = require('./tokenEncryption');
+const tenant = require('./tenant');
 
 module.exports = {
   ...slackUtils,
-  ...responseFormatters
+  ...responseFormatters,
+  ...decks,
+  ...commandParser,
+  ...statistics,
+  ...sessionStatus,
+  ...exportFormatters,
+  ...exportLinks,
+  ...oauthState,
+  ...tokenEncryption,
+  ...tenant
 };
@@ -0,0 +1,124 @@
+const crypto = require('crypto');
+
+// How long an install started from /slack/install can take to come back to the callback
+const OAUTH_STATE_TTL_SECONDS = 10 * 60;
+
+// Cookie binding an install's state to the browser that started it
+const OAUTH_STATE_COOKIE = 'slack_oauth_state';
+
+/**
+ * Get the secret OAuth states are signed with
+ * @returns {string|null} The secret, or null if OAuth isn't configured
+ */
+function getStateSecret() {
+  return process.env.SLACK_CLIENT_SECRET || null;
+}
+
+/**
+ * Sign an encoded OAuth state payload
+ * @param {string} secret - The signing secret
+ * @param {string} payload - The base64url-encoded payload
+ * @returns {string} The base64url-encoded signature
+ */
+function signPayload(secret, payload) {
+  return crypto.createHmac('sha256', secret).update(`oauth-state:${payload}`).digest('base64url');
+}
+
+/**
+ * Compare two strings without leaking where they differ
+ * @param {string} a - First string
+ * @param {string} b - Second string
+ * @returns {boolean} True if the strings are equal
+ */
+function safeEqual(a, b) {
+  const left = Buffer.from(a);
+  const right = Buffer.from(b);
+
+  return left.length === right.length && crypto.timingSafeEqual(left, right);
+}
+
+/**
+ * Create a signed, expiring OAuth state and the nonce to store in the browser's cookie
+ * @param {Object} options - State options
+ * @param {number} options.ttlSeconds - How long the state stays valid
+ * @param {number} options.now - Current time in seconds (defaults to the system clock)
+ * @returns {Object|null} The `state` for the authorize URL and the cookie's `nonce`, or null if OAuth isn't configured
+ */
+function createOAuthState({ ttlSeconds = OAUTH_STATE_TTL_SECONDS, now = Math.floor(Date.now() / 1000) } = {}) {
+  const secret = getStateSecret();
+
+  if (!secret) {
+    return null;
+  }
+
+  const nonce = crypto.randomBytes(16).toString('base64url');
+  const payload = Buffer.from(JSON.stringify({ nonce, exp: now + ttlSeconds })).toString('base64url');
+
+  return { state: `${payload}.${signPayload(secret, payload)}`, nonce };
+}
+
+/**
+ * Check an OAuth state's signature and expiry, and that it belongs to the browser's cookie
+ * @param {string} state - The `state` query parameter from the callback
+ * @param {string} cookieNonce - The nonce from the browser's state cookie
+ * @param {number} now - Current time in seconds (defaults to the system clock)
+ * @returns {Object} Whether the state is valid, and the reason if it isn't
+ */
+function verifyOAuthState(state, cookieNonce, now = Math.floor(Date.now() / 1000)) {
+  const secret = getStateSecret();
+  const [payload, signature] = String(state || '').split('.');
+
+  if (!secret || !payload || !signature || !safeEqual(signPayload(secret, payload), signature)) {
+    return { valid: false, reason: 'invalid' };
+  }
+
+  let claims;
+
+  try {
+    claims = JSON.parse(Buffer.from(payload, 'base64url').toString('utf8'));
+  } catch (error) {
+    return { valid: false, reason: 'invalid' };
+  }
+
+  if (!claims.exp || claims.exp < now) {
+    return { valid: false, reason: 'expired' };
+  }
+
+  if (!cookieNonce || !claims.nonce || !safeEqual(String(claims.nonce), String(cookieNonce))) {
+    return { valid: false, reason: 'browser_mismatch' };
+  }
+
+  return { valid: true };
+}
+
+/**
+ * Read a cookie from a request's Cookie header
+ * @param {Object} req - Express request object
+ * @param {string} name - The cookie name
+ * @returns {string|null} The cookie's value, or null if it isn't set
+ */
+function getCookie(req, name) {
+  const header = req.get('Cookie') || '';
+
+  for (const part of header.split(';')) {
+    const index = part.indexOf('=');
+
+    if (index !== -1 && part.slice(0, index).trim() === name) {
+      try {
+        return decodeURIComponent(part.slice(index + 1).trim());
+      } catch (error) {
+        return null;
+      }
+    }
+  }
+
+  return null;
+}
+
+module.exports = {
+  OAUTH_STATE_TTL_SECONDS,
+  OAUTH_STATE_COOKIE,
+  createOAuthState,
+  verifyOAuthState,
+  getCookie
+};
@@ -1,28 +1,373 @@
+const {
+  getDefaultDeck,
+  fitsInActionsBlock,
+  compareByDeckOrder,
+  listSpecialCards,
+  formatVoteValue
+} = require('./decks');
+const {
+  calculateVoteStatistics,
+  formatDistributionChart
+} = require('./statistics');
+const { SESSION_STATUS, getSessionStatus } = require('./sessionStatus');
+
+const GITHUB_ISSUE_URL_PATTERN = /^https?:\/\/github\.com\/([\w.-]+)\/([\w.-]+)\/(?:issues|pull)\/(\d+)\/?$/;
+
 /**
  * Format the issue text for display in Slack
+ * GitHub issue and pull request URLs are shown as `owner/repo#123` links.
  * @param {string} text - The raw issue text
  * @returns {string} Formatted issue text
  */
 function formatIssueText(text) {
+  const github = text.match(GITHUB_ISSUE_URL_PATTERN);
+  
+  if (github) {
+    return `<${text}|${github[1]}/${github[2]}#${github[3]}>`;
+  }
+  
   if (text.startsWith('http')) {
     return `<${text}>`;
   }
   return text;
 }
 
+/**
+ * Escape text from outside Slack so it can't be read as mrkdwn markup
+ * @param {string} text - The raw text
+ * @returns {string} The escaped text
+ */
+function escapeMrkdwn(text) {
+  return String(text).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+}
+
+/**
+ * Create the blocks previewing the issue being estimated
+ * @param {Object} preview - The issue preview (key, title, url, status, assignee, description, source)
+ * @returns {Array} Preview blocks, or an empty array if there's nothing to show
+ */
+function createIssuePreviewBlocks(preview) {
+  if (!preview || !preview.title) {
+    return [];
+  }
+
+  const heading = escapeMrkdwn(preview.key ? `${preview.key}: ${preview.title}` : preview.title).replace(/\|/g, '/');
+  const title = preview.url ? `*<${preview.url}|${heading}>*` : `*${heading}*`;
+  const description = preview.description ? `\n>${escapeMrkdwn(preview.description)}` : '';
+
+  // Web pages have no assignee, so only tracker issues say who they're with
+  const assignee = preview.assignee ? `Assignee: ${escapeMrkdwn(preview.assignee)}` : 'Unassigned';
+  const details = [
+    preview.source ? escapeMrkdwn(preview.source) : null,
+    preview.status ? `Status: *${escapeMrkdwn(preview.status)}*` : null,
+    preview.key ? assignee : null
+  ].filter(Boolean);
+
+  const blocks = [
+    {
+      type: "section",
+      block_id: "issue_preview",
+      text: {
+        type: "mrkdwn",
+        text: `${title}${description}`
+      }
+    }
+  ];
+
+  if (details.length > 0) {
+    blocks.push({
+      type: "context",
+      block_id: "issue_preview_details",
+      elements: [{ type: "mrkdwn", text: details.join(' • ') }]
+    });
+  }
+
+  return blocks;
+}
+
 /**
  * Generate voting buttons for a planning poker session
  * @param {string} sessionId - The session ID
+ * @param {Object} deck - The deck to vote with (defaults to the standard deck)
  * @returns {Array} Array of button actions
  */
-function generateVotingButtons(sessionId) {
+function generateVotingButtons(sessionId, deck = getDefaultDeck()) {
+  return deck.values.map(value => ({
+    name: "vote",
+    text: String(value),
+    type: "button",
+    value: JSON.stringify({ sessionId, vote: value })
+  }));
+}
+
+/**
+ * Create the Block Kit element(s) used to vote with a deck
+ * Decks that don't fit in one actions block are rendered as a select menu
+ * @param {string} sessionId - The session ID
+ * @param {Object} deck - The deck to vote with
+ * @returns {Array} Block Kit elements for the voting actions block
+ */
+function createVotingElements(sessionId, deck) {
+  if (fitsInActionsBlock(deck)) {
+    return deck.values.map(value => ({
+      type: "button",
+      text: {
+        type: "plain_text",
+        text: String(value)
+      },
+      value: JSON.stringify({ sessionId, vote: value }),
+      action_id: `vote_${value}`
+    }));
+  }
+
   return [
-    { name: "vote", text: "1", type: "button", value: JSON.stringify({ sessionId, vote: 1 }) },
-    { name: "vote", text: "2", type: "button", value: JSON.stringify({ sessionId, vote: 2 }) },
-    { name: "vote", text: "3", type: "button", value: JSON.stringify({ sessionId, vote: 3 }) },
-    { name: "vote", text: "5", type: "button", value: JSON.stringify({ sessionId, vote: 5 }) },
-    { name: "vote", text: "8", type: "button", value: JSON.stringify({ sessionId, vote: 8 }) }
+    {
+      type: "static_select",
+      action_id: "vote_select",
+      placeholder: {
+        type: "plain_text",
+        text: "Select a point value"
+      },
+      options: deck.values.map(value => ({
+        text: {
+          type: "plain_text",
+          text: String(value)
+        },
+        value: JSON.stringify({ sessionId, vote: value })
+      }))
+    }
+  ];
+}
+
+/**
+ * Create the buttons for the special, non-numeric cards
+ * @param {string} sessionId - The session ID
+ * @returns {Array} Block Kit button elements
+ */
+function createSpecialCardElements(sessionId) {
+  return listSpecialCards().map(card => ({
+    type: "button",
+    text: {
+      type: "plain_text",
+      text: card.label,
+      emoji: true
+    },
+    value: JSON.stringify({ sessionId, vote: card.key }),
+    action_id: `vote_special_${card.key}`
+  }));
+}
+
+// Slack allows at most 10 elements in a context block
+const MAX_VOTER_AVATARS = 8;
+
+// Action IDs of the facilitator buttons on the session and results messages
+const SESSION_ACTIONS = {
+  REVEAL: 'session_reveal',
+  REVOTE: 'session_revote',
+  ACCEPT: 'session_accept',
+  NEXT_ISSUE: 'session_next_issue'
+};
+
+// Action IDs of the buttons on `/poker history` results
+const HISTORY_ACTIONS = {
+  PAGE: 'history_page',
+  DETAILS: 'history_details'
+};
+
+// Callback ID of the modal asking for the next issue
+const NEXT_ISSUE_CALLBACK_ID = 'next_issue';
+
+// Callback ID of the modal collecting a backlog queue
+const QUEUE_CALLBACK_ID = 'poker_queue';
+
+// Callback ID of the message shortcut that starts a session in the message's thread
+const THREAD_SESSION_CALLBACK_ID = 'start_thread_session';
+
+// Queue summary lines per section, keeping each well under Slack's 3000 character limit
+const QUEUE_SUMMARY_LINES_PER_SECTION = 10;
+
+// Usage of each `/poker` subcommand, shown by `/poker help` and alongside usage errors
+const COMMAND_HELP = {
+  start: {
+    usage: ['/poker [issue]'],
+    description: "Start voting on an issue. `--deck [name]` picks the deck and `--timer [duration]` reveals the votes automatically (e.g. `90s` or `5m`, up to an hour).",
+    examples: ['/poker PROJ-12 Add single sign-on', '/poker --deck tshirt --timer 5m PROJ-12']
+  },
+  reveal: {
+    usage: ['/poker reveal', '/poker reveal [session ID]'],
+    description: "Reveal the votes of the latest session, or of a specific session (`/poker-reveal` works too).",
+    examples: ['/poker reveal', '/poker reveal sess-3f2b8c1e-9a4d-4c7e-b6f0-2d5e8a1c7b94']
+  },
+  accept: {
+    usage: ['/poker accept', '/poker accept [estimate]'],
+    description: "Record the final estimate of the latest session; without an estimate, the revealed votes' suggested one is used.",
+    examples: ['/poker accept', '/poker accept 5']
+  },
+  cancel: {
+    usage: ['/poker cancel', '/poker cancel [session ID]'],
+    description: "Stop the latest session (or a specific one) without an estimate. In a backlog queue, the next issue starts.",
+    examples: ['/poker cancel']
+  },
+  history: {
+    usage: ['/poker history', '/poker history [n] [search terms]'],
+    description: "Page through the channel's past sessions, `n` at a time (up to 25), optionally only those whose issue contains every search term.",
+    examples: ['/poker history 20', '/poker history 5 checkout']
+  },
+  sessions: {
+    usage: ['/poker sessions'],
+    description: "List the sessions still running in the channel, including those in threads, with their IDs.",
+    examples: ['/poker sessions']
+  },
+  queue: {
+    usage: ['/poker queue', '/poker queue [issues]', '/poker queue cancel'],
+    description: "Estimate a list of issues (one per line) in order, or open a form to paste them. `--deck [name]` picks the deck.",
+    examples: ['/poker queue --deck tshirt', '/poker queue cancel']
+  },
+  deck: {
+    usage: ['/poker deck list', '/poker deck create [name] [values]', '/poker deck default [name]', '/poker deck delete [name]'],
+    description: "Manage the workspace's estimation decks and the channel's default deck.",
+    examples: ['/poker deck create hours 1,2,4,8,16', '/poker deck default tshirt']
+  },
+  config: {
+    usage: ['/poker config', '/poker config [tracker] key=value ...', '/poker config [tracker] remove'],
+    description: "Connect Jira, GitHub, GitLab or Linear so accepted estimates are written back to the issue.",
+    examples: ['/poker config jira url=https://acme.atlassian.net email=pm@acme.com token=...']
+  },
+  export: {
+    usage: ['/poker export', '/poker export [csv|json] [from date] [to date]'],
+    description: "Download the channel's sessions, rounds, votes and final estimates as a spreadsheet (CSV, the default) or JSON, optionally between two dates.",
+    examples: ['/poker export', '/poker export json 2024-01-01 2024-03-31']
+  },
+  help: {
+    usage: ['/poker help', '/poker help [command]'],
+    description: "Show these commands, or the details of one of them.",
+    examples: ['/poker help queue']
+  }
+};
+
+/**
+ * Create a facilitator button
+ * @param {string} actionId - One of SESSION_ACTIONS
+ * @param {string} text - The button label
+ * @param {Object} value - Data passed back when the button is clicked
+ * @param {string} style - Optional button style (`primary` or `danger`)
+ * @returns {Object} Block Kit button element
+ */
+function createSessionButton(actionId, text, value, style = null) {
+  const button = {
+    type: "button",
+    text: {
+      type: "plain_text",
+      text,
+      emoji: true
+    },
+    value: JSON.stringify(value),
+    action_id: actionId
+  };
+
+  if (style) {
+    button.style = style;
+  }
+
+  return button;
+}
+
+/**
+ * Create the actions block with the Reveal votes button for a session message
+ * @param {string} sessionId - The session ID
+ * @returns {Object} Block Kit actions block
+ */
+function createSessionActionsBlock(sessionId) {
+  return {
+    type: "actions",
+    block_id: "session_actions",
+    elements: [
+      createSessionButton(SESSION_ACTIONS.REVEAL, "Reveal votes", { sessionId }, "primary")
+    ]
+  };
+}
+
+/**
+ * Create the actions block shown under a session's results
+ * @param {string} sessionId - The session ID
+ * @param {string|number|null} suggested - The suggested estimate, offered by the Accept button
+ * @returns {Object} Block Kit actions block
+ */
+function createResultsActionsBlock(sessionId, suggested) {
+  const elements = [
+    createSessionButton(SESSION_ACTIONS.REVOTE, "Re-vote", { sessionId })
+  ];
+
+  // Only offer to accept when there is an estimate to accept
+  if (suggested !== null && suggested !== undefined) {
+    elements.push(createSessionButton(
+      SESSION_ACTIONS.ACCEPT,
+      `Accept estimate (${suggested})`,
+      { sessionId, estimate: suggested },
+      "primary"
+    ));
+  }
+
+  elements.push(createSessionButton(SESSION_ACTIONS.NEXT_ISSUE, "Next issue", { sessionId }));
+
+  return {
+    type: "actions",
+    block_id: "results_actions",
+    elements
+  };
+}
+
+/**
+ * Create the context block showing who has voted, without their votes
+ * @param {Array} voters - Voters with userId, name and optional avatarUrl
+ * @returns {Object} Block Kit context block
+ */
+function createVoteProgressBlock(voters) {
+  const count = voters.length;
+  const elements = [
+    {
+      type: "mrkdwn",
+      text: count === 0 ? "No votes yet" : `*${count} vote${count === 1 ? '' : 's'} so far*`
+    }
   ];
+
+  voters.slice(0, MAX_VOTER_AVATARS).forEach(voter => {
+    if (voter.avatarUrl) {
+      elements.push({
+        type: "image",
+        image_url: voter.avatarUrl,
+        alt_text: voter.name || voter.userId
+      });
+    } else {
+      elements.push({
+        type: "plain_text",
+        text: voter.name || voter.userId
+      });
+    }
+  });
+
+  if (count > MAX_VOTER_AVATARS) {
+    elements.push({
+      type: "mrkdwn",
+      text: `+${count - MAX_VOTER_AVATARS} more`
+    });
+  }
+
+  return {
+    type: "context",
+    block_id: "vote_progress",
+    elements
+  };
+}
+
+/**
+ * Format a time so Slack shows it in each reader's own time zone
+ * @param {string} timestamp - ISO timestamp
+ * @returns {string} Slack date token, with a UTC fallback for clients that can't render it
+ */
+function formatSlackTime(timestamp) {
+  const date = new Date(timestamp);
+  return `<!date^${Math.floor(date.getTime() / 1000)}^{time}|${date.toISOString().slice(11, 16)} UTC>`;
 }
 
 /**
@@ -30,10 +375,21 @@ function generateVotingButtons(sessionId) {
  * @param {string} userId - The user who started the session
  * @param {string} issue - The issue text
  * @param {string} sessionId - The session ID
+ * @param {Object} deck - The deck to vote with (defaults to the standard deck)
+ * @param {Object} options - Optional message settings
+ * @param {Array} options.voters - Who has voted so far, shown when the message is live-updated
+ * @param {number} options.round - The voting round, shown from the second round on
+ * @param {Object} options.preview - Details of the issue, shown above the voting buttons
+ * @param {Object} options.queue - The issue's 1-based position and the size of its backlog queue
+ * @param {string} options.timerEndsAt - When the votes are revealed automatically (ISO timestamp)
  * @returns {Object} Formatted message for Slack
  */
-function createPokerSessionMessage(userId, issue, sessionId) {
+function createPokerSessionMessage(userId, issue, sessionId, deck = getDefaultDeck(), options = {}) {
   const formattedIssue = formatIssueText(issue);
+  const round = options.round || 1;
+  const question = round > 1
+    ? `:repeat: Round ${round}: how would you estimate this issue now?`
+    : ":thinking_face: How would you estimate this issue?";
   
   // Create blocks for the message
   const blocks = [
@@ -41,7 +397,9 @@ function createPokerSessionMessage(userId, issue, sessionId) {
       type: "section",
       text: {
         type: "mrkdwn",
-        text: ":thinking_face: How would you estimate this issue?"
+        text: options.queue
+          ? `${question} _(item ${options.queue.position} of ${options.queue.size})_`
+          : question
       }
     },
     {
@@ -51,71 +409,44 @@ function createPokerSessionMessage(userId, issue, sessionId) {
       type: "section",
       text: {
         type: "mrkdwn",
-        text: `*Issue:* ${formattedIssue}\n\nSelect a point value. Emoji reactions are used to represent each anonymous vote. Once everyone has voted, type \`/poker-reveal\` to review the results.`,
+        text: `*Issue:* ${formattedIssue}\n\nSelect a point value. Emoji reactions are used to represent each anonymous vote. Once everyone has voted, press *Reveal votes* (or type \`/poker-reveal\`) to review the results.`,
       }
     },
+    ...createIssuePreviewBlocks(options.preview),
     {
       type: "actions",
       block_id: "vote_actions",
-      elements: [
-        {
-          type: "button",
-          text: {
-            type: "plain_text",
-            text: "1"
-          },
-          value: JSON.stringify({ sessionId, vote: 1 }),
-          action_id: "vote_1"
-        },
-        {
-          type: "button",
-          text: {
-            type: "plain_text",
-            text: "2"
-          },
-          value: JSON.stringify({ sessionId, vote: 2 }),
-          action_id: "vote_2"
-        },
-        {
-          type: "button",
-          text: {
-            type: "plain_text",
-            text: "3"
-          },
-          value: JSON.stringify({ sessionId, vote: 3 }),
-          action_id: "vote_3"
-        },
-        {
-          type: "button",
-          text: {
-            type: "plain_text",
-            text: "5"
-          },
-          value: JSON.stringify({ sessionId, vote: 5 }),
-          action_id: "vote_5"
-        },
-        {
-          type: "button",
-          text: {
-            type: "plain_text",
-            text: "8"
-          },
-          value: JSON.stringify({ sessionId, vote: 8 }),
-          action_id: "vote_8"
-        }
-      ]
+      elements: createVotingElements(sessionId, deck)
     },
     {
-      type: "context",
-      elements: [
-        {
-          type: "mrkdwn",
-          text: `Voting started by <@${userId}> • Session ID: ${sessionId}`
-        }
-      ]
+      type: "actions",
+      block_id: "special_vote_actions",
+      elements: createSpecialCardElements(sessionId)
     }
   ];
 
+  if (options.voters) {
+    blocks.push(createVoteProgressBlock(options.voters));
+  }
+
+  blocks.push(createSessionActionsBlock(sessionId));
+
+  blocks.push({
+    type: "context",
+    elements: [
+      {
+        type: "mrkdwn",
+        text: [
+          `Voting started by <@${userId}>`,
+          round > 1 ? `Round ${round}` : null,
+          options.timerEndsAt ? `:hourglass_flowing_sand: Votes revealed at ${formatSlackTime(options.timerEndsAt)}` : null,
+          `Deck: ${deck.name}`,
+          `Session ID: ${sessionId}`
+        ].filter(Boolean).join(' • ')
+      }
+    ]
+  });
+
   return {
     response_type: "in_channel",
     attachments: [
@@ -127,15 +458,132 @@ function createPokerSessionMessage(userId, issue, sessionId) {
   };
 }
 
+/**
+ * Summarize the special cards played in a session
+ * @param {Array} specialVotes - Votes that used a special card
+ * @returns {string|null} Summary text, or null if no special cards were played
+ */
+function formatSpecialCardsText(specialVotes) {
+  if (!specialVotes || specialVotes.length === 0) {
+    return null;
+  }
+
+  const lines = listSpecialCards()
+    .map(card => {
+      const cardVotes = specialVotes.filter(vote => vote.special === card.key);
+      
+      if (cardVotes.length === 0) {
+        return null;
+      }
+      
+      const count = cardVotes.length;
+      const users = cardVotes.map(vote => vote.username || `<@${vote.user_id}>`);
+      const who = count === 1 ? `1 person ${card.singular}` : `${count} people ${card.plural}`;
+      
+      return `• ${card.emoji} ${who} (${users.join(', ')})`;
+    })
+    .filter(Boolean);
+
+  return `*Special cards:*\n${lines.join('\n')}`;
+}
+
+/**
+ * Create the summary blocks shown with revealed results: consensus badge,
+ * distribution chart and statistics
+ * @param {Array} estimateVotes - Votes that are estimates (no special cards)
+ * @param {Object} deck - The session's deck
+ * @returns {Array} Block Kit blocks, empty if there are no estimates
+ */
+function createStatisticsBlocks(estimateVotes, deck) {
+  const stats = calculateVoteStatistics(estimateVotes, deck);
+
+  if (!stats) {
+    return [];
+  }
+
+  const blocks = [];
+  const chart = formatDistributionChart(estimateVotes, deck);
+  const consensusText = stats.consensus
+    ? `${stats.consensus.emoji} *${stats.consensus.label}*`
+    : '';
+
+  blocks.push({
+    type: "section",
+    text: {
+      type: "mrkdwn",
+      text: `${consensusText}\n\`\`\`\n${chart}\n\`\`\``.trim()
+    }
+  });
+
+  const format = value => (value === null || value === undefined ? '–' : String(value));
+  const fields = [
+    `*Suggested estimate:*\n${format(stats.suggested)}`,
+    `*Spread:*\n${stats.min === stats.max ? format(stats.min) : `${format(stats.min)} – ${format(stats.max)}`}`,
+    `*Median:*\n${format(stats.median)}`,
+    `*Mode:*\n${stats.mode.join(', ')}`
+  ];
+
+  if (stats.numeric) {
+    fields.push(`*Average:*\n${format(stats.average)}`);
+    fields.push(`*Std deviation:*\n${format(stats.stdDev)}`);
+  }
+
+  blocks.push({
+    type: "section",
+    fields: fields.map(text => ({ type: "mrkdwn", text }))
+  });
+
+  return blocks;
+}
+
+/**
+ * Summarize how the estimates changed from one round to the next
+ * @param {Array<Object>} rounds - Rounds in order, each with its round number and votes
+ * @param {Object} deck - The session's deck
+ * @returns {string|null} Summary text, or null if there was only one round
+ */
+function formatRoundHistory(rounds, deck) {
+  if (!rounds || rounds.length < 2) {
+    return null;
+  }
+
+  const lines = rounds.map(({ round, votes }) => {
+    const estimates = votes
+      .filter(vote => !vote.special)
+      .map(vote => vote.vote)
+      .sort(compareByDeckOrder(deck.values));
+
+    if (estimates.length === 0) {
+      return `*Round ${round}:* _No estimates_`;
+    }
+
+    const stats = calculateVoteStatistics(votes.filter(vote => !vote.special), deck);
+    const values = estimates.map(value => `\`${value}\``).join(' ');
+    const consensus = stats.consensus ? ` — ${stats.consensus.emoji} ${stats.consensus.label}` : '';
+
+    return `*Round ${round}:* ${values}${consensus}`;
+  });
+
+  return `*How the votes converged:*\n${lines.join('\n')}`;
+}
+
 /**
  * Format the results of a planning poker session
  * @param {Array} votes - Array of votes with user info
  * @param {string} issue - The issue text
  * @param {string} sessionId - The session ID
  * @param {string} userId - The user ID of the person who revealed the votes
+ * @param {Object} options - Optional formatting settings
+ * @param {Object} options.deck - The session's deck, used to order the distribution
+ * @param {boolean} options.actions - Whether to show the Re-vote, Accept and Next issue buttons (default true)
+ * @param {string} options.outcome - What the team did with the results, shown in place of the buttons
+ * @param {Array<Object>} options.rounds - Every round's votes, used to show how the estimates converged
+ * @param {number} options.round - The round being revealed
  * @returns {Object} Formatted results message for Slack
  */
-function formatPokerResults(votes, issue, sessionId = 'N/A', userId = null) {
+function formatPokerResults(votes, issue, sessionId = 'N/A', userId = null, options = {}) {
+  const deck = options.deck || getDefaultDeck();
+
   if (!votes || votes.length === 0) {
     return {
       response_type: "ephemeral",
@@ -145,9 +593,13 @@ function formatPokerResults(votes, issue, sessionId = 'N/A', userId = null) {
 
   const formattedIssue = formatIssueText(issue);
   
+  // Special cards are reported on their own, outside the estimate distribution
+  const estimateVotes = votes.filter(vote => !vote.special);
+  const specialVotes = votes.filter(vote => vote.special);
+  
   // Count votes by value
   const voteCounts = {};
-  votes.forEach(vote => {
+  estimateVotes.forEach(vote => {
     if (!voteCounts[vote.vote]) {
       voteCounts[vote.vote] = { count: 0, users: [] };
     }
@@ -157,10 +609,16 @@ function formatPokerResults(votes, issue, sessionId = 'N/A', userId = null) {
   
   // Create vote distribution text in bullet format
   let voteDistributionText = "*Vote distribution:*\n";
-  Object.keys(voteCounts).sort((a, b) => a - b).forEach(value => {
+  Object.keys(voteCounts).sort(compareByDeckOrder(deck.values)).forEach(value => {
     const { count, users } = voteCounts[value];
     voteDistributionText += `• \`${value}\` - ${count} vote${count > 1 ? 's' : ''} (${users.join(', ')})\n`;
   });
+  
+  if (estimateVotes.length === 0) {
+    voteDistributionText += "_No estimates were cast._\n";
+  }
+  
+  const specialCardsText = formatSpecialCardsText(specialVotes);
 
   // Create blocks for rich formatting
   const blocks = [
@@ -183,15 +641,56 @@ function formatPokerResults(votes, issue, sessionId = 'N/A', userId = null) {
     }
   ];
 
+  blocks.push(...createStatisticsBlocks(estimateVotes, deck));
+
+  const roundHistoryText = formatRoundHistory(options.rounds, deck);
+
+  if (roundHistoryText) {
+    blocks.push({
+      type: "section",
+      block_id: "round_history",
+      text: {
+        type: "mrkdwn",
+        text: roundHistoryText
+      }
+    });
+  }
+
+  if (specialCardsText) {
+    blocks.push({
+      type: "section",
+      text: {
+        type: "mrkdwn",
+        text: specialCardsText
+      }
+    });
+  }
+
+  if (options.outcome) {
+    blocks.push({
+      type: "section",
+      block_id: "results_outcome",
+      text: {
+        type: "mrkdwn",
+        text: options.outcome
+      }
+    });
+  } else if (options.actions !== false) {
+    const statistics = calculateVoteStatistics(estimateVotes, deck);
+    blocks.push(createResultsActionsBlock(sessionId, statistics ? statistics.suggested : null));
+  }
+
   // Add context footer
   blocks.push({
     type: "context",
     elements: [
       {
         type: "mrkdwn",
-        text: userId 
-          ? `Votes revealed by <@${userId}> • Session ID: ${sessionId}`
-          : `Votes revealed • Session ID: ${sessionId}`
+        text: [
+          userId ? `Votes revealed by <@${userId}>` : 'Votes revealed',
+          options.round > 1 ? `Round ${options.round}` : null,
+          `Session ID: ${sessionId}`
+        ].filter(Boolean).join(' • ')
       }
     ]
   });
@@ -207,9 +706,541 @@ function formatPokerResults(votes, issue, sessionId = 'N/A', userId = null) {
   };
 }
 
+/**
+ * Format the channel announcement of a session's final estimate
+ * @param {string} issue - The issue text
+ * @param {string|number} estimate - The agreed estimate
+ * @param {string} userId - The user who decided on the estimate
+ * @returns {Object} Formatted message for Slack
+ */
+function formatFinalEstimateConfirmation(issue, estimate, userId) {
+  const text = `:white_check_mark: Final estimate for ${formatIssueText(issue)}: *${formatVoteValue(estimate)}* (set by <@${userId}>)`;
+
+  return {
+    response_type: "in_channel",
+    text,
+    blocks: [
+      {
+        type: "section",
+        text: {
+          type: "mrkdwn",
+          text
+        }
+      }
+    ]
+  };
+}
+
+/**
+ * Create the modal asking for the next issue to estimate
+ * @param {string} channelId - The channel the next session starts in
+ * @param {string} sessionId - The session being moved on from
+ * @returns {Object} Block Kit modal view
+ */
+function createNextIssueModal(channelId, sessionId) {
+  return {
+    type: "modal",
+    callback_id: NEXT_ISSUE_CALLBACK_ID,
+    private_metadata: JSON.stringify({ channelId, sessionId }),
+    title: {
+      type: "plain_text",
+      text: "Next issue"
+    },
+    submit: {
+      type: "plain_text",
+      text: "Start voting"
+    },
+    close: {
+      type: "plain_text",
+      text: "Cancel"
+    },
+    blocks: [
+      {
+        type: "input",
+        block_id: "next_issue_input",
+        label: {
+          type: "plain_text",
+          text: "What should the team estimate next?"
+        },
+        element: {
+          type: "plain_text_input",
+          action_id: "issue",
+          placeholder: {
+            type: "plain_text",
+            text: "Issue description or link"
+          }
+        }
+      }
+    ]
+  };
+}
+
+/**
+ * Create the modal collecting a list of issues to estimate in order
+ * @param {string} channelId - The channel the queue runs in
+ * @param {string|null} deckName - The deck requested with `--deck`, if any
+ * @returns {Object} Block Kit modal view
+ */
+function createQueueModal(channelId, deckName = null) {
+  return {
+    type: "modal",
+    callback_id: QUEUE_CALLBACK_ID,
+    private_metadata: JSON.stringify({ channelId, deckName }),
+    title: {
+      type: "plain_text",
+      text: "Queue issues"
+    },
+    submit: {
+      type: "plain_text",
+      text: "Start queue"
+    },
+    close: {
+      type: "plain_text",
+      text: "Cancel"
+    },
+    blocks: [
+      {
+        type: "input",
+        block_id: "queue_input",
+        label: {
+          type: "plain_text",
+          text: "Which issues should the team estimate?"
+        },
+        hint: {
+          type: "plain_text",
+          text: "One issue per line, in the order you want to estimate them."
+        },
+        element: {
+          type: "plain_text_input",
+          action_id: "issues",
+          multiline: true,
+          placeholder: {
+            type: "plain_text",
+            text: "PROJ-101\nPROJ-102\nhttps://github.com/acme/app/issues/7"
+          }
+        }
+      }
+    ]
+  };
+}
+
+/**
+ * Format the summary posted when a backlog queue has been worked through
+ * @param {Object} queue - The queue row, with each item's final estimate
+ * @returns {Object} Formatted message for Slack
+ */
+function formatQueueSummary(queue) {
+  const items = queue.items || [];
+  const estimated = items.filter(item => item.final_estimate !== null && item.final_estimate !== undefined);
+  const numeric = estimated.map(item => Number(item.final_estimate)).filter(Number.isFinite);
+
+  const lines = items.map((item, index) => {
+    let outcome = '_not estimated_';
+
+    if (item.final_estimate !== null && item.final_estimate !== undefined) {
+      outcome = `*${formatVoteValue(item.final_estimate)}*`;
+    } else if (item.skipped) {
+      outcome = '_skipped_';
+    }
+
+    return `${index + 1}. ${formatIssueText(item.issue)} — ${outcome}`;
+  });
+
+  const text = `:checkered_flag: Queue finished: ${estimated.length} of ${items.length} issues estimated.`;
+  const blocks = [
+    {
+      type: "section",
+      text: {
+        type: "mrkdwn",
+        text
+      }
+    }
+  ];
+
+  for (let start = 0; start < lines.length; start += QUEUE_SUMMARY_LINES_PER_SECTION) {
+    blocks.push({
+      type: "section",
+      text: {
+        type: "mrkdwn",
+        text: lines.slice(start, start + QUEUE_SUMMARY_LINES_PER_SECTION).join('\n')
+      }
+    });
+  }
+
+  // Only total the estimates when every one of them is a number
+  if (numeric.length > 0 && numeric.length === estimated.length) {
+    const total = Math.round(numeric.reduce((sum, value) => sum + value, 0) * 100) / 100;
+
+    blocks.push({
+      type: "context",
+      elements: [
+        {
+          type: "mrkdwn",
+          text: `Total: *${total}*`
+        }
+      ]
+    });
+  }
+
+  return {
+    response_type: "in_channel",
+    text,
+    blocks
+  };
+}
+
+/**
+ * Format the list of sessions still running in a channel
+ * @param {Array} sessions - Open and revealed sessions, newest first
+ * @returns {Object} Formatted ephemeral message for Slack
+ */
+function formatSessionList(sessions) {
+  if (!sessions || sessions.length === 0) {
+    return {
+      response_type: "ephemeral",
+      text: "No planning poker sessions are running in this channel. Start one with `/poker [issue]`."
+    };
+  }
+
+  const lines = sessions.map(session => {
+    const status = getSessionStatus(session) === SESSION_STATUS.REVEALED ? 'revealed' : 'voting';
+    const place = session.thread_ts ? ' _(in a thread)_' : '';
+    return `• \`${session.id}\` ${formatIssueText(session.issue)} — ${status}${place}`;
+  });
+
+  return {
+    response_type: "ephemeral",
+    blocks: [
+      {
+        type: "section",
+        text: {
+          type: "mrkdwn",
+          text: `*Sessions in this channel:*\n${lines.join('\n')}`
+        }
+      },
+      {
+        type: "context",
+        elements: [
+          {
+            type: "mrkdwn",
+            text: "Reveal one with `/poker-reveal [session ID]`."
+          }
+        ]
+      }
+    ]
+  };
+}
+
+/**
+ * Format the message that replaces a cancelled session's voting message
+ * @param {Object} session - The cancelled session
+ * @param {string} userId - The user who cancelled it
+ * @returns {Object} Formatted message for Slack
+ */
+function formatCancelledSession(session, userId) {
+  return {
+    response_type: "in_channel",
+    attachments: [
+      {
+        color: "#9E9E9E", // Grey: the session is over
+        blocks: [
+          {
+            type: "section",
+            text: {
+              type: "mrkdwn",
+              text: `:no_entry_sign: Voting on ${formatIssueText(session.issue)} was cancelled by <@${userId}>.`
+            }
+          },
+          {
+            type: "context",
+            elements: [
+              {
+                type: "mrkdwn",
+                text: `Session ID: ${session.id}`
+              }
+            ]
+          }
+        ]
+      }
+    ]
+  };
+}
+
+/**
+ * Describe one past session for `/poker history`: its date, votes, consensus and final estimate
+ * @param {Object} session - The session
+ * @returns {Object} Block Kit section, with a Show details button once the votes were revealed
+ */
+function createSessionHistoryBlock(session) {
+  const snapshot = session.result_snapshot;
+  const consensus = snapshot && snapshot.statistics ? snapshot.statistics.consensus : null;
+  const voteCount = snapshot ? (snapshot.votes || []).length : 0;
+  const details = [
+    session.created_at ? session.created_at.slice(0, 10) : null,
+    snapshot ? `${voteCount} vote${voteCount === 1 ? '' : 's'}` : '_votes not revealed_',
+    consensus ? `${consensus.emoji} ${consensus.label}` : null,
+    session.final_estimate !== null && session.final_estimate !== undefined
+      ? `Final estimate: *${formatVoteValue(session.final_estimate)}*`
+      : '_no final estimate_'
+  ].filter(Boolean);
+
+  const block = {
+    type: "section",
+    text: {
+      type: "mrkdwn",
+      text: `${formatIssueText(session.issue)}\n${details.join(' • ')}`
+    }
+  };
+
+  // Votes that were never revealed stay secret
+  if (snapshot) {
+    block.accessory = createSessionButton(HISTORY_ACTIONS.DETAILS, "Show details", { sessionId: session.id });
+  }
+
+  return block;
+}
+
+/**
+ * Format a page of a channel's past sessions
+ * @param {Array} sessions - The page's sessions, newest first
+ * @param {Object} page - Where the page is in the history
+ * @param {string} page.query - The search terms the sessions were filtered by, if any
+ * @param {number} page.limit - Sessions per page
+ * @param {number} page.offset - How many newer sessions come before this page
+ * @param {boolean} page.hasMore - Whether there are older sessions after this page
+ * @returns {Object} Formatted ephemeral message for Slack
+ */
+function formatSessionHistory(sessions, page = {}) {
+  const { query = '', limit = 10, offset = 0, hasMore = false } = page;
+
+  if (!sessions || sessions.length === 0) {
+    return {
+      response_type: "ephemeral",
+      text: query
+        ? `No planning poker sessions in this channel match "${escapeMrkdwn(query)}".`
+        : "No planning poker sessions have been run in this channel yet."
+    };
+  }
+
+  const heading = query ? `*Sessions matching "${escapeMrkdwn(query)}":*` : "*Past sessions in this channel:*";
+  const first = offset + 1;
+  const last = offset + sessions.length;
+  const blocks = [
+    {
+      type: "section",
+      text: {
+        type: "mrkdwn",
+        text: `${heading} _(${first === last ? first : `${first}–${last}`})_`
+      }
+    },
+    ...sessions.map(createSessionHistoryBlock)
+  ];
+
+  // Page buttons carry the search along so the next page uses the same filter
+  const pageButtons = [];
+
+  if (offset > 0) {
+    pageButtons.push(createSessionButton(HISTORY_ACTIONS.PAGE, "Newer", { query, limit, offset: Math.max(0, offset - limit) }));
+  }
+
+  if (hasMore) {
+    pageButtons.push(createSessionButton(HISTORY_ACTIONS.PAGE, "Older", { query, limit, offset: offset + limit }));
+  }
+
+  if (pageButtons.length > 0) {
+    blocks.push({
+      type: "actions",
+      block_id: "history_pages",
+      elements: pageButtons
+    });
+  }
+
+  return {
+    response_type: "ephemeral",
+    text: heading,
+    blocks
+  };
+}
+
+/**
+ * Format `/poker help`: every command, or the details of one of them
+ * Usage errors pass the problem along so it's shown above the relevant help.
+ * @param {string|null} topic - A subcommand (or `start`), or null for every command
+ * @param {string|null} error - What was wrong with the command, if it was a usage error
+ * @returns {Object} Formatted ephemeral message for Slack
+ */
+function formatHelp(topic = null, error = null) {
+  const help = topic ? COMMAND_HELP[topic] : null;
+  const blocks = [];
+
+  if (error) {
+    blocks.push({
+      type: "section",
+      text: {
+        type: "mrkdwn",
+        text: `:warning: ${error}`
+      }
+    });
+  }
+
+  if (help) {
+    blocks.push(
+      {
+        type: "section",
+        text: {
+          type: "mrkdwn",
+          text: `${help.usage.map(usage => `\`${usage}\``).join('\n')}\n${help.description}`
+        }
+      },
+      {
+        type: "context",
+        elements: [
+          {
+            type: "mrkdwn",
+            text: `Example: ${help.examples.map(example => `\`${example}\``).join(', ')} • Type \`/poker help\` for every command.`
+          }
+        ]
+      }
+    );
+  } else {
+    const lines = Object.values(COMMAND_HELP).map(entry => `• \`${entry.usage[0]}\` — ${entry.description}`);
+
+    blocks.push(
+      {
+        type: "section",
+        text: {
+          type: "mrkdwn",
+          text: `*Planning poker commands:*\n${lines.join('\n')}`
+        }
+      },
+      {
+        type: "context",
+        elements: [
+          {
+            type: "mrkdwn",
+            text: "Type `/poker help [command]` for details and examples. Any text that isn't a command starts a session."
+          }
+        ]
+      }
+    );
+  }
+
+  return {
+    response_type: "ephemeral",
+    text: error || 'Planning poker commands',
+    blocks
+  };
+}
+
+/**
+ * Format the ephemeral reply to `/poker export` with its download link
+ * @param {string} url - The download URL
+ * @param {Object} details - What the export covers
+ * @param {string} details.format - The file format
+ * @param {string} details.from - The first day included, if any
+ * @param {string} details.to - The last day included, if any
+ * @param {string} details.expiresAt - ISO timestamp when the link stops working
+ * @returns {Object} Formatted ephemeral message for Slack
+ */
+function formatExportLink(url, { format, from = null, to = null, expiresAt }) {
+  let range = '';
+
+  if (from && to) {
+    range = ` from ${from} to ${to}`;
+  } else if (from) {
+    range = ` since ${from}`;
+  } else if (to) {
+    range = ` up to ${to}`;
+  }
+
+  return {
+    response_type: "ephemeral",
+    text: `Your ${format.toUpperCase()} export is ready`,
+    blocks: [
+      {
+        type: "section",
+        text: {
+          type: "mrkdwn",
+          text: `:inbox_tray: Your export of this channel's sessions${range} is ready: <${url}|Download ${format.toUpperCase()}>`
+        }
+      },
+      {
+        type: "context",
+        elements: [
+          {
+            type: "mrkdwn",
+            text: `Anyone with the link can download the export until ${formatSlackTime(expiresAt)}.`
+          }
+        ]
+      }
+    ]
+  };
+}
+
+/**
+ * Format the list of decks available in a workspace
+ * @param {Array} decks - Built-in and custom decks
+ * @param {string} defaultDeckName - The channel's default deck name
+ * @returns {Object} Formatted ephemeral message for Slack
+ */
+function formatDeckList(decks, defaultDeckName) {
+  const lines = decks.map(deck => {
+    const marker = deck.name === defaultDeckName ? ' _(channel default)_' : '';
+    const kind = deck.builtIn ? 'built-in' : 'custom';
+    return `• *${deck.name}* (${kind})${marker}: ${deck.values.join(', ')}`;
+  });
+
+  return {
+    response_type: "ephemeral",
+    blocks: [
+      {
+        type: "section",
+        text: {
+          type: "mrkdwn",
+          text: `*Available decks:*\n${lines.join('\n')}`
+        }
+      },
+      {
+        type: "context",
+        elements: [
+          {
+            type: "mrkdwn",
+            text: "Create a deck with `/poker deck create [name] [values]`, set the channel default with `/poker deck default [name]`, or use one for a single session with `/poker --deck [name] [issue]`."
+          }
+        ]
+      }
+    ]
+  };
+}
+
 module.exports = {
+  SESSION_ACTIONS,
+  HISTORY_ACTIONS,
+  NEXT_ISSUE_CALLBACK_ID,
+  QUEUE_CALLBACK_ID,
+  THREAD_SESSION_CALLBACK_ID,
   formatIssueText,
+  createIssuePreviewBlocks,
   generateVotingButtons,
+  createVotingElements,
+  createSpecialCardElements,
+  createVoteProgressBlock,
+  createSessionActionsBlock,
+  createResultsActionsBlock,
+  formatSpecialCardsText,
+  createStatisticsBlocks,
+  formatRoundHistory,
   createPokerSessionMessage,
-  formatPokerResults
+  formatPokerResults,
+  formatFinalEstimateConfirmation,
+  createNextIssueModal,
+  createQueueModal,
+  formatQueueSummary,
+  formatSessionList,
+  formatCancelledSession,
+  createSessionHistoryBlock,
+  formatSessionHistory,
+  formatHelp,
+  formatExportLink,
+  formatDeckList
 };
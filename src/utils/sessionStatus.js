@@ -0,0 +1,91 @@
+/**
+ * Session lifecycle: open (taking votes) -> revealed (results shown) -> closed
+ * A revealed session can go back to open for another round of voting.
+ */
+
+const SESSION_STATUS = {
+  OPEN: 'open',
+  REVEALED: 'revealed',
+  CLOSED: 'closed'
+};
+
+// Allowed status changes, keyed by the current status
+const SESSION_TRANSITIONS = {
+  [SESSION_STATUS.OPEN]: [SESSION_STATUS.REVEALED, SESSION_STATUS.CLOSED],
+  [SESSION_STATUS.REVEALED]: [SESSION_STATUS.OPEN, SESSION_STATUS.CLOSED],
+  [SESSION_STATUS.CLOSED]: []
+};
+
+/**
+ * Get a session's status, treating rows from before statuses existed as open
+ * @param {Object} session - Session row
+ * @returns {string} The session status
+ */
+function getSessionStatus(session) {
+  return (session && session.status) || SESSION_STATUS.OPEN;
+}
+
+/**
+ * Check whether a session may move from one status to another
+ * @param {string} fromStatus - The current status
+ * @param {string} toStatus - The requested status
+ * @returns {boolean} True if the transition is allowed
+ */
+function canTransition(fromStatus, toStatus) {
+  return (SESSION_TRANSITIONS[fromStatus] || []).includes(toStatus);
+}
+
+/**
+ * Get the round a session is currently voting in
+ * @param {Object} session - Session row
+ * @returns {number} The current round, starting at 1
+ */
+function getSessionRound(session) {
+  return (session && session.round) || 1;
+}
+
+/**
+ * Split a session's votes into rounds
+ * @param {Array} votes - Votes from any number of rounds
+ * @returns {Array<Object>} Rounds in order, each with its round number and votes
+ */
+function groupVotesByRound(votes) {
+  const rounds = new Map();
+
+  (votes || []).forEach(vote => {
+    const round = vote.round || 1;
+
+    if (!rounds.has(round)) {
+      rounds.set(round, []);
+    }
+
+    rounds.get(round).push(vote);
+  });
+
+  return [...rounds.keys()]
+    .sort((a, b) => a - b)
+    .map(round => ({ round, votes: rounds.get(round) }));
+}
+
+/**
+ * Get where a session sits in its channel's backlog queue
+ * @param {Object} session - Session row
+ * @returns {Object|null} The queue ID, 1-based position and queue size, or null if the session isn't queued
+ */
+function getQueueProgress(session) {
+  if (!session || !session.queue_id) {
+    return null;
+  }
+
+  return { id: session.queue_id, position: session.queue_position, size: session.queue_size };
+}
+
+module.exports = {
+  SESSION_STATUS,
+  SESSION_TRANSITIONS,
+  getSessionStatus,
+  canTransition,
+  getSessionRound,
+  groupVotesByRound,
+  getQueueProgress
+};
@@ -2,6 +2,14 @@ const axios = require('axios');
 const voteEmojis = require('./emojiList.json');
 const logger = require('./logger');
 
+// Cache avatar URLs so live message updates don't look up every voter each time. Entries expire
+// because Slack stops serving a user's old image URL once they change their photo.
+const AVATAR_CACHE_TTL_MS = 60 * 60 * 1000;
+const AVATAR_CACHE_MAX_ENTRIES = 1000;
+
+// Avatar URLs by `<team ID>:<user ID>`, with when they expire
+const userAvatarCache = new Map();
+
 /**
  * Get a random emoji from the voteEmojis array
  * @returns {string} A random emoji name
@@ -83,9 +91,234 @@ async function sendDelayedResponse(responseUrl, message) {
   }
 }
 
+/**
+ * Remove response_url-only fields before sending a message through the Web API
+ * @param {Object} message - The formatted message
+ * @returns {Object} Message fields accepted by chat.postMessage and chat.update
+ */
+function toWebApiMessage(message) {
+  const { response_type, replace_original, delete_original, ...rest } = message;
+  return rest;
+}
+
+/**
+ * Call a Slack Web API method
+ * @param {string} method - The API method (e.g. `chat.postMessage`)
+ * @param {Object} body - The request body
+ * @param {string} botToken - Bot token for authentication
+ * @returns {Promise<Object>} The API response data
+ */
+async function callSlackApi(method, body, botToken = null) {
+  // Use provided bot token or fallback to environment variable
+  const token = botToken || process.env.SLACK_BOT_TOKEN;
+  
+  const response = await axios.post(`https://slack.com/api/${method}`, body, {
+    headers: {
+      'Authorization': `Bearer ${token}`,
+      'Content-Type': 'application/json; charset=utf-8'
+    }
+  });
+  
+  return response.data;
+}
+
+/**
+ * Post a message to a channel with chat.postMessage
+ * @param {string} channel - The channel ID
+ * @param {Object} message - The formatted message
+ * @param {string} botToken - Bot token for authentication
+ * @returns {Promise<Object>} Result with the posted message's channel and ts
+ */
+async function postMessage(channel, message, botToken = null) {
+  try {
+    const data = await callSlackApi('chat.postMessage', {
+      channel,
+      ...toWebApiMessage(message)
+    }, botToken);
+    
+    if (!data.ok) {
+      logger.log('Error posting message:', data.error);
+      return { success: false, error: data.error };
+    }
+    
+    return { success: true, channel: data.channel, ts: data.ts };
+  } catch (err) {
+    logger.error('Exception posting message:', err);
+    return { success: false, error: err };
+  }
+}
+
+/**
+ * Replace the content of an existing message with chat.update
+ * @param {string} channel - The channel ID
+ * @param {string} timestamp - The message timestamp
+ * @param {Object} message - The formatted message
+ * @param {string} botToken - Bot token for authentication
+ * @returns {Promise<Object>} Result of the operation
+ */
+async function updateMessage(channel, timestamp, message, botToken = null) {
+  try {
+    if (!channel || !timestamp) {
+      return { success: false, error: 'No message to update' };
+    }
+    
+    const data = await callSlackApi('chat.update', {
+      channel,
+      ts: timestamp,
+      ...toWebApiMessage(message)
+    }, botToken);
+    
+    if (!data.ok) {
+      logger.log('Error updating message:', data.error);
+      return { success: false, error: data.error };
+    }
+    
+    return { success: true };
+  } catch (err) {
+    logger.error('Exception updating message:', err);
+    return { success: false, error: err };
+  }
+}
+
+/**
+ * Open a modal with views.open
+ * @param {string} triggerId - The trigger ID from the interaction that opens the modal
+ * @param {Object} view - The modal view
+ * @param {string} botToken - Bot token for authentication
+ * @returns {Promise<Object>} Result of the operation
+ */
+async function openView(triggerId, view, botToken = null) {
+  try {
+    const data = await callSlackApi('views.open', {
+      trigger_id: triggerId,
+      view
+    }, botToken);
+    
+    if (!data.ok) {
+      logger.log('Error opening view:', data.error);
+      return { success: false, error: data.error };
+    }
+    
+    return { success: true };
+  } catch (err) {
+    logger.error('Exception opening view:', err);
+    return { success: false, error: err };
+  }
+}
+
+/**
+ * Get a cached avatar URL if it hasn't expired
+ * @param {string} key - The cache key
+ * @returns {string|undefined} The cached avatar URL
+ */
+function getCachedAvatar(key) {
+  const entry = userAvatarCache.get(key);
+
+  if (!entry) {
+    return undefined;
+  }
+
+  if (entry.expiresAt <= Date.now()) {
+    userAvatarCache.delete(key);
+    return undefined;
+  }
+
+  return entry.avatarUrl;
+}
+
+/**
+ * Cache an avatar URL, dropping the oldest entry once the cache is full
+ * @param {string} key - The cache key
+ * @param {string} avatarUrl - The avatar URL
+ */
+function cacheAvatar(key, avatarUrl) {
+  if (userAvatarCache.size >= AVATAR_CACHE_MAX_ENTRIES && !userAvatarCache.has(key)) {
+    userAvatarCache.delete(userAvatarCache.keys().next().value);
+  }
+
+  userAvatarCache.set(key, { avatarUrl, expiresAt: Date.now() + AVATAR_CACHE_TTL_MS });
+}
+
+/**
+ * Get a user's avatar URL with users.info
+ * @param {string} teamId - The workspace the user belongs to
+ * @param {string} userId - The user ID
+ * @param {string} botToken - Bot token for authentication
+ * @returns {Promise<string|null>} The avatar URL, or null if it can't be looked up
+ */
+async function getUserAvatar(teamId, userId, botToken = null) {
+  const cacheKey = `${teamId}:${userId}`;
+  const cached = getCachedAvatar(cacheKey);
+  
+  if (cached) {
+    return cached;
+  }
+  
+  try {
+    const token = botToken || process.env.SLACK_BOT_TOKEN;
+    const response = await axios.get('https://slack.com/api/users.info', {
+      params: { user: userId },
+      headers: { 'Authorization': `Bearer ${token}` }
+    });
+    
+    if (!response.data.ok) {
+      logger.log('Error fetching user info:', response.data.error);
+      return null;
+    }
+    
+    const avatarUrl = response.data.user?.profile?.image_48 || null;
+    
+    if (avatarUrl) {
+      cacheAvatar(cacheKey, avatarUrl);
+    }
+    
+    return avatarUrl;
+  } catch (err) {
+    logger.error('Exception fetching user info:', err);
+    return null;
+  }
+}
+
+/**
+ * Check with users.info whether a user is an admin or owner of their workspace
+ * Admin status isn't cached, so demoting someone takes effect straight away.
+ * @param {string} userId - The user ID
+ * @param {string} botToken - Bot token for authentication
+ * @returns {Promise<boolean>} True for admins and owners; false otherwise or if the user can't be looked up
+ */
+async function isWorkspaceAdmin(userId, botToken = null) {
+  try {
+    const token = botToken || process.env.SLACK_BOT_TOKEN;
+    const response = await axios.get('https://slack.com/api/users.info', {
+      params: { user: userId },
+      headers: { 'Authorization': `Bearer ${token}` }
+    });
+    
+    if (!response.data.ok) {
+      logger.log('Error fetching user info:', response.data.error);
+      return false;
+    }
+    
+    const { is_admin, is_owner, is_primary_owner } = response.data.user || {};
+    return Boolean(is_admin || is_owner || is_primary_owner);
+  } catch (err) {
+    logger.error('Exception fetching user info:', err);
+    return false;
+  }
+}
+
 module.exports = {
+  AVATAR_CACHE_TTL_MS,
+  AVATAR_CACHE_MAX_ENTRIES,
   voteEmojis,
+  userAvatarCache,
   getRandomEmoji,
   addReaction,
-  sendDelayedResponse
+  sendDelayedResponse,
+  callSlackApi,
+  postMessage,
+  updateMessage,
+  openView,
+  getUserAvatar,
+  isWorkspaceAdmin
 };
@@ -0,0 +1,250 @@
+/**
+ * Vote statistics used when revealing a planning poker session
+ */
+
+const CONSENSUS_LEVELS = {
+  unanimous: { level: 'unanimous', label: 'Unanimous', emoji: ':white_check_mark:' },
+  near: { level: 'near', label: 'Near consensus', emoji: ':large_yellow_circle:' },
+  wide: { level: 'wide', label: 'Wide disagreement', emoji: ':warning:' }
+};
+
+// Width of the longest bar in the distribution chart
+const CHART_WIDTH = 10;
+
+/**
+ * Check whether a value is a finite number (or a numeric string)
+ * @param {string|number} value - The value to check
+ * @returns {boolean} True if the value is numeric
+ */
+function isNumeric(value) {
+  return value !== null && value !== '' && Number.isFinite(Number(value));
+}
+
+/**
+ * Round a number to at most two decimal places
+ * @param {number} value - The value to round
+ * @returns {number} The rounded value
+ */
+function round(value) {
+  return Math.round(value * 100) / 100;
+}
+
+/**
+ * Calculate the average of a list of numbers
+ * @param {Array<number>} numbers - The numbers
+ * @returns {number} The average
+ */
+function mean(numbers) {
+  return numbers.reduce((sum, value) => sum + value, 0) / numbers.length;
+}
+
+/**
+ * Calculate the median of a list of numbers
+ * @param {Array<number>} numbers - The numbers
+ * @returns {number} The median
+ */
+function median(numbers) {
+  const sorted = [...numbers].sort((a, b) => a - b);
+  const middle = Math.floor(sorted.length / 2);
+
+  if (sorted.length % 2 === 0) {
+    return (sorted[middle - 1] + sorted[middle]) / 2;
+  }
+
+  return sorted[middle];
+}
+
+/**
+ * Calculate the population standard deviation of a list of numbers
+ * @param {Array<number>} numbers - The numbers
+ * @returns {number} The standard deviation
+ */
+function standardDeviation(numbers) {
+  const average = mean(numbers);
+  const variance = mean(numbers.map(value => (value - average) ** 2));
+  return Math.sqrt(variance);
+}
+
+/**
+ * Find the most common values
+ * @param {Array} values - The values
+ * @returns {Array} The most common values, in the order they first appear
+ */
+function modes(values) {
+  const counts = new Map();
+
+  values.forEach(value => {
+    const key = String(value);
+    counts.set(key, { value, count: (counts.has(key) ? counts.get(key).count : 0) + 1 });
+  });
+
+  const highest = Math.max(...[...counts.values()].map(entry => entry.count));
+
+  return [...counts.values()]
+    .filter(entry => entry.count === highest)
+    .map(entry => entry.value);
+}
+
+/**
+ * Find the deck card closest to a target
+ * Ties are broken towards the larger card, erring on the side of caution
+ * @param {number} target - The target value (a number, or a deck position for non-numeric decks)
+ * @param {Array} deckValues - The deck's card values
+ * @param {boolean} byPosition - Whether the target is a deck position rather than a card value
+ * @returns {string|number|null} The nearest card
+ */
+function snapToDeck(target, deckValues, byPosition = false) {
+  if (!deckValues || deckValues.length === 0) {
+    return null;
+  }
+
+  let nearest = null;
+  let nearestDistance = Infinity;
+
+  deckValues.forEach((value, index) => {
+    if (!byPosition && !isNumeric(value)) {
+      return;
+    }
+
+    const distance = Math.abs((byPosition ? index : Number(value)) - target);
+
+    if (distance <= nearestDistance) {
+      nearest = value;
+      nearestDistance = distance;
+    }
+  });
+
+  return nearest;
+}
+
+/**
+ * Determine how close the votes are to each other on the deck
+ * @param {number} spreadSteps - Number of deck positions between the lowest and highest vote
+ * @returns {Object} Consensus level with label and emoji
+ */
+function getConsensus(spreadSteps) {
+  if (spreadSteps === 0) {
+    return CONSENSUS_LEVELS.unanimous;
+  }
+
+  if (spreadSteps === 1) {
+    return CONSENSUS_LEVELS.near;
+  }
+
+  return CONSENSUS_LEVELS.wide;
+}
+
+/**
+ * Calculate the statistics for a set of estimate votes
+ * Numeric decks get the full set of numbers, other decks (e.g. T-shirt sizes)
+ * are measured by the position of each card in the deck.
+ * @param {Array} votes - Estimate votes (special cards must already be excluded)
+ * @param {Object} deck - The session's deck
+ * @returns {Object|null} Statistics, or null if there are no estimates
+ */
+function calculateVoteStatistics(votes, deck) {
+  const values = (votes || [])
+    .map(vote => vote.vote)
+    .filter(value => value !== null && value !== undefined);
+
+  if (values.length === 0) {
+    return null;
+  }
+
+  const deckValues = deck && deck.values ? deck.values : [];
+  const positionOf = value => deckValues.map(String).indexOf(String(value));
+  const positions = values.map(positionOf).filter(position => position !== -1);
+  const numeric = values.every(isNumeric);
+
+  const stats = {
+    count: values.length,
+    numeric,
+    average: null,
+    median: null,
+    mode: modes(values),
+    min: null,
+    max: null,
+    stdDev: null,
+    suggested: null,
+    consensus: null
+  };
+
+  if (numeric) {
+    const numbers = values.map(Number);
+
+    stats.average = round(mean(numbers));
+    stats.median = round(median(numbers));
+    stats.min = Math.min(...numbers);
+    stats.max = Math.max(...numbers);
+    stats.stdDev = round(standardDeviation(numbers));
+    stats.suggested = snapToDeck(mean(numbers), deckValues) ?? stats.median;
+  } else if (positions.length > 0) {
+    const sortedPositions = [...positions].sort((a, b) => a - b);
+
+    stats.median = deckValues[Math.round(median(positions))];
+    stats.min = deckValues[sortedPositions[0]];
+    stats.max = deckValues[sortedPositions[sortedPositions.length - 1]];
+    stats.suggested = snapToDeck(mean(positions), deckValues, true);
+  }
+
+  if (positions.length > 0) {
+    stats.consensus = getConsensus(Math.max(...positions) - Math.min(...positions));
+  } else if (numeric) {
+    // Votes from outside the deck can still be compared to each other
+    stats.consensus = getConsensus(new Set(values.map(String)).size - 1);
+  }
+
+  return stats;
+}
+
+/**
+ * Render a text bar chart of the vote distribution
+ * Every deck card between the lowest and highest vote is shown so gaps are visible
+ * @param {Array} votes - Estimate votes
+ * @param {Object} deck - The session's deck
+ * @returns {string} The chart as plain text lines
+ */
+function formatDistributionChart(votes, deck) {
+  const values = (votes || []).map(vote => vote.vote);
+
+  if (values.length === 0) {
+    return '';
+  }
+
+  const deckValues = deck && deck.values ? deck.values : [];
+  const counts = new Map();
+  values.forEach(value => counts.set(String(value), (counts.get(String(value)) || 0) + 1));
+
+  const deckKeys = deckValues.map(String);
+  const votedPositions = [...counts.keys()].map(key => deckKeys.indexOf(key)).filter(position => position !== -1);
+
+  let rows = [];
+  if (votedPositions.length > 0) {
+    rows = deckKeys.slice(Math.min(...votedPositions), Math.max(...votedPositions) + 1);
+  }
+
+  // Values outside the deck are appended after the deck's cards
+  [...counts.keys()].filter(key => !deckKeys.includes(key)).forEach(key => rows.push(key));
+
+  const highest = Math.max(...counts.values());
+  const labelWidth = Math.max(...rows.map(row => row.length));
+
+  return rows.map(row => {
+    const count = counts.get(row) || 0;
+    const barLength = Math.round((count / highest) * CHART_WIDTH);
+    const bar = '█'.repeat(barLength) + '░'.repeat(CHART_WIDTH - barLength);
+    return `${row.padEnd(labelWidth)} ${bar} ${count}`;
+  }).join('\n');
+}
+
+module.exports = {
+  CONSENSUS_LEVELS,
+  mean,
+  median,
+  standardDeviation,
+  modes,
+  snapToDeck,
+  getConsensus,
+  calculateVoteStatistics,
+  formatDistributionChart
+};
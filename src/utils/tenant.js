@@ -0,0 +1,125 @@
+/**
+ * Tenants: the Slack workspace (and Enterprise Grid organization) data belongs to
+ *
+ * A tenant is `{ teamId, enterpriseId }`. Data is always scoped by the workspace, even within an
+ * Enterprise Grid organization, so one workspace can never read another's sessions; the organization
+ * is only recorded alongside it.
+ */
+
+/**
+ * Get the tenant a slash command came from
+ * @param {Object} body - Slash command request body
+ * @returns {Object} The tenant
+ */
+function getCommandTenant(body) {
+  return {
+    teamId: body.team_id || null,
+    enterpriseId: body.enterprise_id || null
+  };
+}
+
+/**
+ * Get the tenant an interaction payload came from
+ * @param {Object} payload - Interaction payload (block actions, view submissions, shortcuts)
+ * @returns {Object} The tenant
+ */
+function getPayloadTenant(payload) {
+  return {
+    teamId: payload.team?.id || payload.user?.team_id || null,
+    enterpriseId: payload.enterprise?.id || payload.team?.enterprise_id || null
+  };
+}
+
+/**
+ * Get the tenant a stored row belongs to
+ * @param {Object} row - A row with `team_id` and `enterprise_id` columns, e.g. a session
+ * @returns {Object} The tenant
+ */
+function getRowTenant(row) {
+  return {
+    teamId: row.team_id || null,
+    enterpriseId: row.enterprise_id || null
+  };
+}
+
+/**
+ * Check that a tenant identifies a workspace
+ * @param {Object} tenant - The tenant
+ * @returns {boolean} True if data can be scoped to the tenant
+ */
+function isValidTenant(tenant) {
+  return Boolean(tenant && tenant.teamId);
+}
+
+/**
+ * Make sure data is never read or written without a tenant to scope it to
+ * @param {Object} tenant - The tenant
+ * @throws {Error} If the tenant doesn't identify a workspace
+ */
+function assertValidTenant(tenant) {
+  if (!isValidTenant(tenant)) {
+    throw new Error('A team ID is required to access sessions and votes');
+  }
+}
+
+/**
+ * Get the columns that record which tenant a new row belongs to
+ * @param {Object} tenant - The tenant
+ * @returns {Object} The `team_id` and `enterprise_id` columns
+ * @throws {Error} If the tenant doesn't identify a workspace
+ */
+function getTenantColumns(tenant) {
+  assertValidTenant(tenant);
+
+  return {
+    team_id: tenant.teamId || null,
+    enterprise_id: tenant.enterpriseId || null
+  };
+}
+
+/**
+ * Limit a query to a tenant's rows
+ * @param {Object} query - Supabase query builder
+ * @param {Object} tenant - The tenant
+ * @returns {Object} The scoped query
+ * @throws {Error} If the tenant doesn't identify a workspace
+ */
+function scopeToTenant(query, tenant) {
+  assertValidTenant(tenant);
+
+  return query.eq('team_id', tenant.teamId);
+}
+
+/**
+ * Check whether a row belongs to a tenant, matching it the way `scopeToTenant` filters queries
+ * @param {Object} row - A row with `team_id` and `enterprise_id` columns
+ * @param {Object} tenant - The tenant
+ * @returns {boolean} True if the row is the tenant's
+ * @throws {Error} If the tenant doesn't identify a workspace
+ */
+function belongsToTenant(row, tenant) {
+  assertValidTenant(tenant);
+
+  return row.team_id === tenant.teamId;
+}
+
+/**
+ * Get a short key identifying a tenant, e.g. for in-memory caches
+ * @param {Object} tenant - The tenant
+ * @returns {string} The key
+ */
+function getTenantKey(tenant) {
+  return `T:${tenant.teamId}`;
+}
+
+module.exports = {
+  getCommandTenant,
+  getPayloadTenant,
+  getRowTenant,
+  isValidTenant,
+  assertValidTenant,
+  getTenantColumns,
+  scopeToTenant,
+  belongsToTenant,
+  getTenantKey
+};
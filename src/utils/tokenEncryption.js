@@ -0,0 +1,167 @@
+const crypto = require('crypto');
+
+/**
+ * Envelope encryption for tokens stored in the database
+ *
+ * Each token is encrypted with its own random data key, and the data key is encrypted ("wrapped")
+ * with a key-encryption key from `TOKEN_ENCRYPTION_KEYS`. The ID of that key is stored next to the
+ * token, so keys can be rotated: add the new key, re-encrypt, then remove the old one.
+ */
+
+// Marks a stored value as encrypted; anything else is a token stored before encryption was enabled
+const ENCRYPTED_PREFIX = 'enc:v1:';
+
+const ALGORITHM = 'aes-256-gcm';
+const KEY_LENGTH = 32;
+const IV_LENGTH = 12;
+
+/**
+ * Read the key-encryption keys from `TOKEN_ENCRYPTION_KEYS`, a comma-separated list of `keyId:base64Key`
+ * @returns {Map<string, Buffer>} The keys by ID, in the order they're listed
+ */
+function getEncryptionKeys() {
+  const keys = new Map();
+
+  (process.env.TOKEN_ENCRYPTION_KEYS || '').split(',').map(entry => entry.trim()).filter(Boolean).forEach(entry => {
+    const index = entry.indexOf(':');
+    const keyId = index > 0 ? entry.slice(0, index).trim() : '';
+    const key = Buffer.from(entry.slice(index + 1).trim(), 'base64');
+
+    if (!keyId || key.length !== KEY_LENGTH) {
+      throw new Error(`Invalid TOKEN_ENCRYPTION_KEYS entry "${keyId || entry.slice(0, 8)}": expected keyId:base64 with a ${KEY_LENGTH}-byte key`);
+    }
+
+    keys.set(keyId, key);
+  });
+
+  return keys;
+}
+
+/**
+ * Get the ID of the key new tokens are encrypted with
+ * `TOKEN_ENCRYPTION_KEY_ID` picks it; otherwise the first key in `TOKEN_ENCRYPTION_KEYS` is used.
+ * @param {Map<string, Buffer>} keys - The configured keys
+ * @returns {string|null} The key ID, or null if encryption isn't configured
+ */
+function getCurrentKeyId(keys = getEncryptionKeys()) {
+  const keyId = process.env.TOKEN_ENCRYPTION_KEY_ID || keys.keys().next().value || null;
+
+  if (keyId && !keys.has(keyId)) {
+    throw new Error(`TOKEN_ENCRYPTION_KEY_ID "${keyId}" is not in TOKEN_ENCRYPTION_KEYS`);
+  }
+
+  return keyId;
+}
+
+/**
+ * Encrypt data with AES-256-GCM
+ * @param {Buffer} key - The key
+ * @param {Buffer} data - The data to encrypt
+ * @param {string} context - Associated data the ciphertext is bound to
+ * @returns {string} The IV, ciphertext and auth tag, base64url-encoded and joined with `.`
+ */
+function seal(key, data, context) {
+  const iv = crypto.randomBytes(IV_LENGTH);
+  const cipher = crypto.createCipheriv(ALGORITHM, key, iv);
+  cipher.setAAD(Buffer.from(context));
+  const ciphertext = Buffer.concat([cipher.update(data), cipher.final()]);
+
+  return [iv, ciphertext, cipher.getAuthTag()].map(part => part.toString('base64url')).join('.');
+}
+
+/**
+ * Decrypt data sealed with seal
+ * @param {Buffer} key - The key
+ * @param {string} sealed - The output of seal
+ * @param {string} context - The associated data the ciphertext was bound to
+ * @returns {Buffer} The decrypted data
+ */
+function unseal(key, sealed, context) {
+  const [iv, ciphertext, tag] = sealed.split('.').map(part => Buffer.from(part, 'base64url'));
+  const decipher = crypto.createDecipheriv(ALGORITHM, key, iv);
+  decipher.setAAD(Buffer.from(context));
+  decipher.setAuthTag(tag);
+
+  return Buffer.concat([decipher.update(ciphertext), decipher.final()]);
+}
+
+/**
+ * Check whether a stored token is encrypted
+ * @param {string} value - The stored value
+ * @returns {boolean} True if the value was written by encryptToken
+ */
+function isEncryptedToken(value) {
+  return typeof value === 'string' && value.startsWith(ENCRYPTED_PREFIX);
+}
+
+/**
+ * Encrypt a token for storage with the current key
+ * Without `TOKEN_ENCRYPTION_KEYS` the token is returned as is, with no key ID.
+ * @param {string} token - The plaintext token
+ * @param {string} context - What the token belongs to (e.g. the team ID); decryption fails for any other
+ * @returns {Object} The `value` to store and the `keyId` to store with it
+ */
+function encryptToken(token, context) {
+  const keys = getEncryptionKeys();
+  const keyId = getCurrentKeyId(keys);
+
+  if (!keyId || token === null || token === undefined) {
+    return { value: token, keyId: null };
+  }
+
+  const dataKey = crypto.randomBytes(KEY_LENGTH);
+  const wrappedKey = seal(keys.get(keyId), dataKey, `${keyId}:${context}`);
+  const sealedToken = seal(dataKey, Buffer.from(String(token), 'utf8'), context);
+
+  return { value: `${ENCRYPTED_PREFIX}${wrappedKey}:${sealedToken}`, keyId };
+}
+
+/**
+ * Decrypt a stored token
+ * Tokens stored before encryption was enabled are returned as they are.
+ * @param {string} value - The stored value
+ * @param {string} keyId - The key ID stored with the value
+ * @param {string} context - What the token belongs to, as passed to encryptToken
+ * @returns {string} The plaintext token
+ * @throws {Error} If the key isn't configured or the value has been tampered with
+ */
+function decryptToken(value, keyId, context) {
+  if (!isEncryptedToken(value)) {
+    return value;
+  }
+
+  const key = getEncryptionKeys().get(keyId);
+
+  if (!key) {
+    throw new Error(`Token encryption key "${keyId}" is not configured`);
+  }
+
+  const [wrappedKey, sealedToken] = value.slice(ENCRYPTED_PREFIX.length).split(':');
+  const dataKey = unseal(key, wrappedKey, `${keyId}:${context}`);
+
+  return unseal(dataKey, sealedToken, context).toString('utf8');
+}
+
+/**
+ * Check whether a stored token should be re-encrypted with the current key
+ * @param {string} value - The stored value
+ * @param {string} keyId - The key ID stored with the value
+ * @returns {boolean} True if the token is plaintext or encrypted with an older key
+ */
+function needsReencryption(value, keyId) {
+  const currentKeyId = getCurrentKeyId();
+
+  if (!currentKeyId || value === null || value === undefined) {
+    return false;
+  }
+
+  return !isEncryptedToken(value) || keyId !== currentKeyId;
+}
+
+module.exports = {
+  getCurrentKeyId,
+  isEncryptedToken,
+  encryptToken,
+  decryptToken,
+  needsReencryption
+};
@@ -0,0 +1,65 @@
+/**
+ * Helpers for sending signed requests to the Slack endpoints in tests
+ */
+const request = require('supertest');
+const { computeSignature } = require('../../src/middleware/verifySlackSignature');
+
+const TEST_SIGNING_SECRET = 'test-signing-secret';
+
+/**
+ * Build the Slack signature headers for a raw body
+ * @param {string} rawBody - The raw request body
+ * @param {Object} options - Signing options
+ * @param {string} options.secret - Signing secret to use
+ * @param {number} options.timestamp - Request timestamp in seconds
+ * @returns {Object} Signature headers
+ */
+function signatureHeaders(rawBody, { secret = TEST_SIGNING_SECRET, timestamp = Math.floor(Date.now() / 1000) } = {}) {
+  return {
+    'X-Slack-Request-Timestamp': String(timestamp),
+    'X-Slack-Signature': computeSignature(secret, String(timestamp), rawBody)
+  };
+}
+
+/**
+ * POST a signed form-encoded body, the way Slack sends commands and actions
+ * @param {Object} app - Express app
+ * @param {string} path - Request path
+ * @param {Object} body - Form fields
+ * @param {Object} options - Signing options passed to signatureHeaders
+ * @returns {Object} Supertest request
+ */
+function postSignedForm(app, path, body, options) {
+  const rawBody = new URLSearchParams(body).toString();
+
+  return request(app)
+    .post(path)
+    .set('Content-Type', 'application/x-www-form-urlencoded')
+    .set(signatureHeaders(rawBody, options))
+    .send(rawBody);
+}
+
+/**
+ * POST a signed JSON body, the way Slack sends Events API requests
+ * @param {Object} app - Express app
+ * @param {string} path - Request path
+ * @param {Object} body - JSON body
+ * @param {Object} options - Signing options passed to signatureHeaders
+ * @returns {Object} Supertest request
+ */
+function postSignedJson(app, path, body, options) {
+  const rawBody = JSON.stringify(body);
+
+  return request(app)
+    .post(path)
+    .set('Content-Type', 'application/json')
+    .set(signatureHeaders(rawBody, options))
+    .send(rawBody);
+}
+
+module.exports = {
+  TEST_SIGNING_SECRET,
+  signatureHeaders,
+  postSignedForm,
+  postSignedJson
+};
@@ -0,0 +1,28 @@
+/**
+ * Wait for work that carries on after a Slack request has been acknowledged
+ * @param {Function} assertion - Assertion that throws until the work is done
+ * @param {Object} options - Polling options
+ * @param {number} options.timeout - How long to keep trying, in milliseconds
+ * @param {number} options.interval - Delay between attempts, in milliseconds
+ * @returns {Promise<void>} Resolves once the assertion passes
+ */
+async function waitFor(assertion, { timeout = 1000, interval = 10 } = {}) {
+  const deadline = Date.now() + timeout;
+
+  for (;;) {
+    try {
+      assertion();
+      return;
+    } catch (error) {
+      if (Date.now() >= deadline) {
+        throw error;
+      }
+
+      await new Promise(resolve => setTimeout(resolve, interval));
+    }
+  }
+}
+
+module.exports = {
+  waitFor
+};
@@ -0,0 +1,104 @@
+const request = require('supertest');
+const app = require('../../../src/app');
+const { TEST_SIGNING_SECRET, postSignedJson } = require('../../helpers/slackRequest');
+const { waitFor } = require('../../helpers/waitFor');
+
+jest.mock('../../../src/services/teamService');
+
+const teamService = require('../../../src/services/teamService');
+
+/**
+ * Build an Events API callback body
+ * @param {Object} event - The event
+ * @returns {Object} The request body
+ */
+function eventCallback(event) {
+  return { type: 'event_callback', team_id: 'T123', api_app_id: 'A123', event };
+}
+
+describe('Events Routes', () => {
+  const originalSigningSecret = process.env.SLACK_SIGNING_SECRET;
+
+  beforeAll(() => {
+    process.env.SLACK_SIGNING_SECRET = TEST_SIGNING_SECRET;
+  });
+
+  afterAll(() => {
+    process.env.SLACK_SIGNING_SECRET = originalSigningSecret;
+  });
+
+  beforeEach(() => {
+    teamService.removeTeamInstallation.mockResolvedValue({ success: true });
+    teamService.scheduleWorkspacePurge.mockResolvedValue({ success: true, purgeAfter: '2024-03-08T00:00:00.000Z' });
+  });
+
+  describe('POST /slack/events', () => {
+    test('should answer the url_verification challenge', async () => {
+      const response = await postSignedJson(app, '/slack/events', { type: 'url_verification', challenge: 'abc123' });
+
+      expect(response.status).toBe(200);
+      expect(response.body).toEqual({ challenge: 'abc123' });
+    });
+
+    test('should reject unsigned requests', async () => {
+      const response = await request(app)
+        .post('/slack/events')
+        .send({ type: 'url_verification', challenge: 'abc123' });
+
+      expect(response.status).toBe(401);
+      expect(response.body.challenge).toBeUndefined();
+    });
+
+    test('should remove the installation and schedule a purge when the app is uninstalled', async () => {
+      const response = await postSignedJson(app, '/slack/events', eventCallback({ type: 'app_uninstalled' }));
+
+      expect(response.status).toBe(200);
+      await waitFor(() => {
+        expect(teamService.scheduleWorkspacePurge).toHaveBeenCalledWith('T123', 'app_uninstalled');
+      });
+      expect(teamService.removeTeamInstallation).toHaveBeenCalledWith('T123');
+    });
+
+    test('should still schedule a purge if removing the installation fails', async () => {
+      teamService.removeTeamInstallation.mockResolvedValue({ success: false, error: new Error('db down') });
+
+      await postSignedJson(app, '/slack/events', eventCallback({ type: 'app_uninstalled' }));
+
+      await waitFor(() => {
+        expect(teamService.scheduleWorkspacePurge).toHaveBeenCalledWith('T123', 'app_uninstalled');
+      });
+    });
+
+    test('should retire the workspace when its bot token is revoked', async () => {
+      await postSignedJson(app, '/slack/events', eventCallback({
+        type: 'tokens_revoked',
+        tokens: { oauth: [], bot: ['U0BOT'] }
+      }));
+
+      await waitFor(() => {
+        expect(teamService.scheduleWorkspacePurge).toHaveBeenCalledWith('T123', 'tokens_revoked');
+      });
+      expect(teamService.removeTeamInstallation).toHaveBeenCalledWith('T123');
+    });
+
+    test('should ignore revoked user tokens', async () => {
+      const response = await postSignedJson(app, '/slack/events', eventCallback({
+        type: 'tokens_revoked',
+        tokens: { oauth: ['U123'] }
+      }));
+
+      expect(response.status).toBe(200);
+      await new Promise(resolve => setTimeout(resolve, 20));
+      expect(teamService.removeTeamInstallation).not.toHaveBeenCalled();
+      expect(teamService.scheduleWorkspacePurge).not.toHaveBeenCalled();
+    });
+
+    test('should acknowledge and ignore unhandled event types', async () => {
+      const response = await postSignedJson(app, '/slack/events', eventCallback({ type: 'app_mention', text: 'hi' }));
+
+      expect(response.status).toBe(200);
+      await new Promise(resolve => setTimeout(resolve, 20));
+      expect(teamService.removeTeamInstallation).not.toHaveBeenCalled();
+    });
+  });
+});
@@ -0,0 +1,154 @@
+const request = require('supertest');
+const app = require('../../../src/app');
+const { createExportToken } = require('../../../src/utils/exportLinks');
+
+jest.mock('../../../src/services/sessionService');
+jest.mock('../../../src/services/voteService');
+
+const sessionService = require('../../../src/services/sessionService');
+const voteService = require('../../../src/services/voteService');
+
+describe('Export Routes', () => {
+  const originalAdminKey = process.env.ADMIN_KEY;
+
+  const session = {
+    id: 'sess-1',
+    channel: 'C123',
+    issue: 'PROJ-1',
+    status: 'closed',
+    round: 1,
+    deck_name: 'standard',
+    deck_values: [1, 2, 3, 5, 8],
+    created_by: 'U999',
+    created_at: '2024-03-01T10:00:00.000Z',
+    result_snapshot: { round: 1 },
+    final_estimate: 5
+  };
+
+  beforeEach(() => {
+    process.env.ADMIN_KEY = 'test-admin-key';
+    sessionService.listSessionsInRange.mockResolvedValue({ success: true, sessions: [session] });
+    voteService.getVotesForSessions.mockResolvedValue({
+      success: true,
+      votes: [{ session_id: 'sess-1', user_id: 'U1', username: 'ana', vote: 5, round: 1, created_at: '2024-03-01T10:01:00.000Z' }]
+    });
+  });
+
+  afterAll(() => {
+    process.env.ADMIN_KEY = originalAdminKey;
+  });
+
+  describe('GET /export', () => {
+    test('should reject requests without a link or the admin key', async () => {
+      const response = await request(app).get('/export');
+
+      expect(response.status).toBe(401);
+      expect(response.body.error).toBe('export_denied');
+      expect(sessionService.listSessionsInRange).not.toHaveBeenCalled();
+    });
+
+    test('should reject the wrong admin key', async () => {
+      const response = await request(app)
+        .get('/export')
+        .set('Authorization', 'Bearer wrong-key');
+
+      expect(response.status).toBe(401);
+    });
+
+    test('should export CSV with the admin key, filtered by the query', async () => {
+      const response = await request(app)
+        .get('/export?channel=C123&from=2024-03-01&to=2024-03-31')
+        .set('Authorization', 'Bearer test-admin-key');
+
+      expect(response.status).toBe(200);
+      expect(response.headers['content-type']).toBe('text/csv; charset=utf-8');
+      expect(response.headers['content-disposition'])
+        .toBe('attachment; filename="planning-poker-C123-from-2024-03-01-to-2024-03-31.csv"');
+      expect(response.headers['cache-control']).toBe('no-store');
+      expect(sessionService.listSessionsInRange).toHaveBeenCalledWith(
+        { tenant: null, channelId: 'C123', from: '2024-03-01T00:00:00.000Z', until: '2024-04-01T00:00:00.000Z' },
+        { limit: 1000, offset: 0 }
+      );
+      expect(response.text.split('\r\n')[1]).toContain('sess-1,C123,PROJ-1,closed');
+    });
+
+    test('should only export one workspace when the admin names a team', async () => {
+      const response = await request(app)
+        .get('/export?team=T123')
+        .set('Authorization', 'Bearer test-admin-key');
+
+      expect(response.status).toBe(200);
+      expect(sessionService.listSessionsInRange).toHaveBeenCalledWith(
+        expect.objectContaining({ tenant: { teamId: 'T123', enterpriseId: null } }),
+        expect.any(Object)
+      );
+      expect(voteService.getVotesForSessions).toHaveBeenCalledWith(['sess-1'], { teamId: 'T123', enterpriseId: null });
+    });
+
+    test('should export JSON', async () => {
+      const response = await request(app)
+        .get('/export?format=json')
+        .set('Authorization', 'Bearer test-admin-key');
+
+      expect(response.status).toBe(200);
+      expect(response.headers['content-type']).toBe('application/json; charset=utf-8');
+      expect(JSON.parse(response.text).sessions[0].rounds[0].votes[0]).toMatchObject({ user_id: 'U1', vote: 5 });
+    });
+
+    test('should reject unknown formats and bad dates', async () => {
+      const badFormat = await request(app)
+        .get('/export?format=xlsx')
+        .set('Authorization', 'Bearer test-admin-key');
+      const badDate = await request(app)
+        .get('/export?from=yesterday')
+        .set('Authorization', 'Bearer test-admin-key');
+
+      expect(badFormat.status).toBe(400);
+      expect(badFormat.body.error).toBe('invalid_format');
+      expect(badDate.status).toBe(400);
+      expect(badDate.body.error).toBe('invalid_date_range');
+    });
+
+    test('should export what a download link allows, ignoring the query', async () => {
+      const token = createExportToken({ teamId: 'T123', channelId: 'C123', from: null, to: '2024-03-31', format: 'json' });
+
+      const response = await request(app).get(`/export?token=${encodeURIComponent(token)}&channel=C999&team=T999`);
+
+      expect(response.status).toBe(200);
+      expect(response.headers['content-type']).toBe('application/json; charset=utf-8');
+      expect(sessionService.listSessionsInRange).toHaveBeenCalledWith(
+        { tenant: { teamId: 'T123', enterpriseId: null }, channelId: 'C123', from: null, until: '2024-04-01T00:00:00.000Z' },
+        { limit: 1000, offset: 0 }
+      );
+    });
+
+    test('should reject download links that do not name a workspace', async () => {
+      const token = createExportToken({ channelId: 'C123', format: 'csv' });
+
+      const response = await request(app).get(`/export?token=${encodeURIComponent(token)}`);
+
+      expect(response.status).toBe(403);
+      expect(sessionService.listSessionsInRange).not.toHaveBeenCalled();
+    });
+
+    test('should reject expired download links', async () => {
+      const token = createExportToken({ channelId: 'C123', format: 'csv' }, { now: Math.floor(Date.now() / 1000) - 3600 });
+
+      const response = await request(app).get(`/export?token=${encodeURIComponent(token)}`);
+
+      expect(response.status).toBe(403);
+      expect(response.body.message).toContain('expired');
+    });
+
+    test('should report database errors', async () => {
+      sessionService.listSessionsInRange.mockResolvedValue({ success: false, error: { message: 'Database error' }, sessions: [] });
+
+      const response = await request(app)
+        .get('/export')
+        .set('Authorization', 'Bearer test-admin-key');
+
+      expect(response.status).toBe(500);
+      expect(response.body.error).toBe('export_failed');
+    });
+  });
+});
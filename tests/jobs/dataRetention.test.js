@@ -76,6 +76,12 @@ describe('Data Retention Job', () => {
       delete: jest.fn().mockReturnThis(),
       lt: orphanedVotesLtSpy
     }));
+    
+    // Setup the mock chain for deleting old queues
+    supabase.from.mockImplementationOnce(() => ({
+      delete: jest.fn().mockReturnThis(),
+      lt: jest.fn().mockResolvedValue({ data: null, error: null })
+    }));
 
     // Call the function
     const result = await cleanupOldData();
@@ -85,6 +91,7 @@ describe('Data Retention Job', () => {
     expect(supabase.from).toHaveBeenNthCalledWith(2, 'votes');
     expect(supabase.from).toHaveBeenNthCalledWith(3, 'sessions');
     expect(supabase.from).toHaveBeenNthCalledWith(4, 'votes');
+    expect(supabase.from).toHaveBeenNthCalledWith(5, 'session_queues');
     
     // Verify select was called for sessions
     expect(selectSpy).toHaveBeenCalledWith('id');
@@ -137,6 +144,12 @@ describe('Data Retention Job', () => {
       delete: jest.fn().mockReturnThis(),
       lt: orphanedVotesLtSpy
     }));
+    
+    // Setup the mock chain for deleting old queues
+    supabase.from.mockImplementationOnce(() => ({
+      delete: jest.fn().mockReturnThis(),
+      lt: jest.fn().mockResolvedValue({ data: null, error: null })
+    }));
 
     // Call the function with custom days parameter (15 days)
     const result = await cleanupOldData(15);
@@ -307,6 +320,12 @@ describe('Data Retention Job', () => {
       delete: jest.fn().mockReturnThis(),
       lt: orphanedVotesLtSpy
     }));
+    
+    // Setup the mock chain for deleting old queues
+    supabase.from.mockImplementationOnce(() => ({
+      delete: jest.fn().mockReturnThis(),
+      lt: jest.fn().mockResolvedValue({ data: null, error: null })
+    }));
 
     // Call the function
     const result = await cleanupOldData();
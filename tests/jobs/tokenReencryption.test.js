@@ -0,0 +1,184 @@
+/**
+ * Tests for the token re-encryption job
+ */
+const { reencryptTokens } = require('../../src/jobs/tokenReencryption');
+const { supabase } = require('../../src/db');
+const { getSecretContext } = require('../../src/services/integrationService');
+const { encryptToken, decryptToken } = require('../../src/utils/tokenEncryption');
+
+// Mock the logger
+jest.mock('../../src/utils/logger', () => ({
+  log: jest.fn(),
+  error: jest.fn(),
+  warn: jest.fn(),
+  info: jest.fn()
+}));
+
+// Mock the Supabase client
+jest.mock('../../src/db', () => ({
+  supabase: {
+    from: jest.fn()
+  }
+}));
+
+const key = fill => Buffer.alloc(32, fill).toString('base64');
+
+describe('Token Re-encryption Job', () => {
+  let range;
+  let update;
+  let updateBotTokenEq;
+  let integrationUpdate;
+  let integrationUpdateEq;
+
+  /**
+   * Build a query builder whose methods all chain, resolving to the given result at the end
+   * @param {Object} result - What awaiting the query resolves to
+   * @returns {Object} The query builder
+   */
+  function chain(result) {
+    const query = { then: (resolve, reject) => Promise.resolve(result).then(resolve, reject) };
+    ['select', 'order', 'eq'].forEach(method => {
+      query[method] = jest.fn().mockReturnValue(query);
+    });
+    query.range = jest.fn().mockResolvedValue(result);
+    return query;
+  }
+
+  /**
+   * Serve installation and integration rows to the job's reads and capture its updates
+   * @param {Array<Array>} pages - The installation rows returned by each read
+   * @param {Array<Object>} integrations - The integration rows
+   */
+  function mockInstallations(pages, integrations = []) {
+    range = jest.fn();
+    pages.forEach(page => range.mockResolvedValueOnce({ data: page, error: null }));
+    updateBotTokenEq = jest.fn().mockResolvedValue({ error: null });
+    update = jest.fn().mockReturnValue({ eq: jest.fn().mockReturnValue({ eq: updateBotTokenEq }) });
+
+    const integrationRead = chain({ data: integrations, error: null });
+    integrationUpdateEq = jest.fn();
+    integrationUpdate = jest.fn(() => {
+      const query = chain({ error: null });
+      integrationUpdateEq = query.eq;
+      return query;
+    });
+
+    supabase.from.mockImplementation(table => (table === 'integrations'
+      ? { select: integrationRead.select, update: integrationUpdate }
+      : {
+        select: jest.fn().mockReturnValue({ order: jest.fn().mockReturnValue({ range }) }),
+        update
+      }));
+  }
+
+  beforeEach(() => {
+    process.env.TOKEN_ENCRYPTION_KEYS = `new:${key(1)},old:${key(2)}`;
+    delete process.env.TOKEN_ENCRYPTION_KEY_ID;
+  });
+
+  afterAll(() => {
+    delete process.env.TOKEN_ENCRYPTION_KEYS;
+    delete process.env.TOKEN_ENCRYPTION_KEY_ID;
+  });
+
+  test('should encrypt plaintext tokens and re-encrypt tokens under an older key', async () => {
+    process.env.TOKEN_ENCRYPTION_KEY_ID = 'old';
+    const old = encryptToken('xoxb-two', 'T2');
+    delete process.env.TOKEN_ENCRYPTION_KEY_ID;
+    const current = encryptToken('xoxb-three', 'T3');
+
+    mockInstallations([[
+      { team_id: 'T1', bot_token: 'xoxb-one', token_key_id: null },
+      { team_id: 'T2', bot_token: old.value, token_key_id: 'old' },
+      { team_id: 'T3', bot_token: current.value, token_key_id: 'new' }
+    ]]);
+
+    const result = await reencryptTokens();
+
+    expect(result).toEqual({ success: true, migrated: 2, failed: 0 });
+    expect(update).toHaveBeenCalledTimes(2);
+
+    const [first, second] = update.mock.calls.map(([fields]) => fields);
+    expect(first.token_key_id).toBe('new');
+    expect(decryptToken(first.bot_token, 'new', 'T1')).toBe('xoxb-one');
+    expect(decryptToken(second.bot_token, 'new', 'T2')).toBe('xoxb-two');
+  });
+
+  test('should re-encrypt refresh tokens along with bot tokens', async () => {
+    mockInstallations([[{ team_id: 'T1', bot_token: 'xoxe.xoxb-one', refresh_token: 'xoxe-1-one', token_key_id: null }]]);
+
+    await reencryptTokens();
+
+    const [fields] = update.mock.calls[0];
+    expect(decryptToken(fields.refresh_token, 'new', 'T1:refresh')).toBe('xoxe-1-one');
+  });
+
+  test('should only replace the token that was read', async () => {
+    mockInstallations([[{ team_id: 'T1', bot_token: 'xoxb-one', token_key_id: null }]]);
+
+    await reencryptTokens();
+
+    expect(updateBotTokenEq).toHaveBeenCalledWith('bot_token', 'xoxb-one');
+  });
+
+  test('should read installations in batches', async () => {
+    mockInstallations([
+      [{ team_id: 'T1', bot_token: 'xoxb-one', token_key_id: null }],
+      []
+    ]);
+
+    const result = await reencryptTokens({ batchSize: 1 });
+
+    expect(range).toHaveBeenNthCalledWith(1, 0, 0);
+    expect(range).toHaveBeenNthCalledWith(2, 1, 1);
+    expect(result.migrated).toBe(1);
+  });
+
+  test('should keep going when a token cannot be decrypted', async () => {
+    mockInstallations([[
+      { team_id: 'T1', bot_token: encryptToken('xoxb-one', 'T9').value, token_key_id: 'new' },
+      { team_id: 'T2', bot_token: 'xoxb-two', token_key_id: null }
+    ]]);
+    // T1 is encrypted for another team, so it needs re-encryption only under a different key
+    process.env.TOKEN_ENCRYPTION_KEY_ID = 'old';
+
+    const result = await reencryptTokens();
+
+    expect(result).toEqual({ success: false, migrated: 1, failed: 1 });
+  });
+
+  test('should encrypt plaintext tracker tokens and leave other settings as they are', async () => {
+    const jiraContext = getSecretContext('T1', 'jira', 'apiToken');
+    process.env.TOKEN_ENCRYPTION_KEY_ID = 'old';
+    const oldGithub = encryptToken('ghp-two', getSecretContext('T2', 'github', 'apiToken'));
+    delete process.env.TOKEN_ENCRYPTION_KEY_ID;
+
+    mockInstallations([[]], [
+      { team_id: 'T1', provider: 'jira', config: { baseUrl: 'https://jira.example.com', apiToken: 'jira-one' }, token_key_id: null, updated_at: '2024-03-01T10:00:00.000Z' },
+      { team_id: 'T2', provider: 'github', config: { apiToken: oldGithub.value }, token_key_id: 'old', updated_at: '2024-03-02T10:00:00.000Z' },
+      { team_id: 'T3', provider: 'jira', config: { baseUrl: 'https://jira.example.com' }, token_key_id: null, updated_at: '2024-03-03T10:00:00.000Z' }
+    ]);
+
+    const result = await reencryptTokens();
+
+    expect(result).toEqual({ success: true, migrated: 2, failed: 0 });
+    expect(integrationUpdate).toHaveBeenCalledTimes(2);
+
+    const [jira, github] = integrationUpdate.mock.calls.map(([fields]) => fields);
+    expect(jira.token_key_id).toBe('new');
+    expect(jira.config.baseUrl).toBe('https://jira.example.com');
+    expect(decryptToken(jira.config.apiToken, 'new', jiraContext)).toBe('jira-one');
+    expect(decryptToken(github.config.apiToken, 'new', getSecretContext('T2', 'github', 'apiToken'))).toBe('ghp-two');
+    expect(integrationUpdateEq).toHaveBeenCalledWith('updated_at', '2024-03-02T10:00:00.000Z');
+  });
+
+  test('should fail when no encryption key is configured', async () => {
+    delete process.env.TOKEN_ENCRYPTION_KEYS;
+
+    const result = await reencryptTokens();
+
+    expect(result.success).toBe(false);
+    expect(result.error.message).toContain('TOKEN_ENCRYPTION_KEYS');
+    expect(supabase.from).not.toHaveBeenCalled();
+  });
+});
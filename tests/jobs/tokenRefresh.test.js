@@ -0,0 +1,73 @@
+/**
+ * Tests for the token refresh job
+ */
+const { refreshExpiringTokens } = require('../../src/jobs/tokenRefresh');
+const teamService = require('../../src/services/teamService');
+const tokenRefreshService = require('../../src/services/tokenRefreshService');
+
+// Mock the logger
+jest.mock('../../src/utils/logger', () => ({
+  log: jest.fn(),
+  error: jest.fn(),
+  warn: jest.fn(),
+  info: jest.fn()
+}));
+
+jest.mock('../../src/services/teamService');
+jest.mock('../../src/services/tokenRefreshService');
+
+describe('Token Refresh Job', () => {
+  const installation = team => ({ team_id: team, bot_token: `xoxe.xoxb-${team}`, refresh_token: `xoxe-1-${team}` });
+
+  beforeEach(() => {
+    teamService.getTeamInstallation.mockImplementation(async teamId => ({ success: true, installation: installation(teamId) }));
+    tokenRefreshService.refreshBotToken.mockResolvedValue({ success: true, botToken: 'xoxe.xoxb-new' });
+  });
+
+  test('should refresh tokens expiring within the window', async () => {
+    teamService.listExpiringInstallations.mockResolvedValue({
+      success: true,
+      installations: [{ team_id: 'T1' }, { team_id: 'T2' }]
+    });
+    const before = Date.now();
+
+    const result = await refreshExpiringTokens(30);
+
+    const cutoff = teamService.listExpiringInstallations.mock.calls[0][0].getTime();
+    expect(cutoff).toBeGreaterThanOrEqual(before + 30 * 60 * 1000);
+    expect(tokenRefreshService.refreshBotToken).toHaveBeenCalledWith(installation('T1'));
+    expect(tokenRefreshService.refreshBotToken).toHaveBeenCalledWith(installation('T2'));
+    expect(result).toEqual({ success: true, refreshed: 2, failed: 0 });
+  });
+
+  test('should skip workspaces uninstalled since they were listed', async () => {
+    teamService.listExpiringInstallations.mockResolvedValue({ success: true, installations: [{ team_id: 'T1' }] });
+    teamService.getTeamInstallation.mockResolvedValue({ success: true, installation: null });
+
+    const result = await refreshExpiringTokens();
+
+    expect(tokenRefreshService.refreshBotToken).not.toHaveBeenCalled();
+    expect(result).toEqual({ success: true, refreshed: 0, failed: 0 });
+  });
+
+  test('should report failed refreshes and keep going', async () => {
+    teamService.listExpiringInstallations.mockResolvedValue({
+      success: true,
+      installations: [{ team_id: 'T1' }, { team_id: 'T2' }]
+    });
+    tokenRefreshService.refreshBotToken.mockResolvedValueOnce({ success: false, error: 'invalid_refresh_token' });
+
+    const result = await refreshExpiringTokens();
+
+    expect(result).toEqual({ success: false, refreshed: 1, failed: 1 });
+  });
+
+  test('should fail when the expiring installations cannot be listed', async () => {
+    const error = new Error('Connection failed');
+    teamService.listExpiringInstallations.mockResolvedValue({ success: false, error, installations: [] });
+
+    const result = await refreshExpiringTokens();
+
+    expect(result).toEqual({ success: false, error });
+  });
+});
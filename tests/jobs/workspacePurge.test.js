@@ -0,0 +1,103 @@
+/**
+ * Tests for the workspace purge job
+ */
+const { purgeWorkspaces, WORKSPACE_TABLES } = require('../../src/jobs/workspacePurge');
+const { supabase } = require('../../src/db');
+const teamService = require('../../src/services/teamService');
+
+// Mock the logger
+jest.mock('../../src/utils/logger', () => ({
+  log: jest.fn(),
+  error: jest.fn(),
+  warn: jest.fn(),
+  info: jest.fn()
+}));
+
+// Mock the Supabase client
+jest.mock('../../src/db', () => ({
+  supabase: {
+    from: jest.fn()
+  }
+}));
+
+jest.mock('../../src/services/teamService');
+
+describe('Workspace Purge Job', () => {
+  let deleteEq;
+
+  beforeEach(() => {
+    deleteEq = jest.fn().mockResolvedValue({ error: null });
+    supabase.from.mockReturnValue({ delete: jest.fn().mockReturnValue({ eq: deleteEq }) });
+    teamService.getTeamInstallation.mockResolvedValue({ success: true, installation: null });
+    teamService.markWorkspacePurged.mockResolvedValue({ success: true });
+    teamService.cancelWorkspacePurge.mockResolvedValue({ success: true });
+  });
+
+  test('should delete the data of workspaces due for purge', async () => {
+    teamService.listDueWorkspacePurges.mockResolvedValue({ success: true, purges: [{ team_id: 'T1' }] });
+    const now = new Date('2024-03-08T00:00:00.000Z');
+
+    const result = await purgeWorkspaces(now);
+
+    expect(teamService.listDueWorkspacePurges).toHaveBeenCalledWith(now);
+    WORKSPACE_TABLES.forEach(table => expect(supabase.from).toHaveBeenCalledWith(table));
+    expect(deleteEq).toHaveBeenCalledTimes(WORKSPACE_TABLES.length);
+    expect(deleteEq).toHaveBeenCalledWith('team_id', 'T1');
+    expect(teamService.markWorkspacePurged).toHaveBeenCalledWith('T1');
+    expect(result).toEqual({ success: true, purged: 1 });
+  });
+
+  test('should delete votes before the sessions they belong to', async () => {
+    teamService.listDueWorkspacePurges.mockResolvedValue({ success: true, purges: [{ team_id: 'T1' }] });
+
+    await purgeWorkspaces();
+
+    const tables = supabase.from.mock.calls.map(([table]) => table);
+    expect(tables).toContain('sessions');
+    expect(tables.indexOf('votes')).toBeLessThan(tables.indexOf('sessions'));
+  });
+
+  test('should do nothing when no purges are due', async () => {
+    teamService.listDueWorkspacePurges.mockResolvedValue({ success: true, purges: [] });
+
+    const result = await purgeWorkspaces();
+
+    expect(supabase.from).not.toHaveBeenCalled();
+    expect(result).toEqual({ success: true, purged: 0 });
+  });
+
+  test('should cancel the purge of a workspace that reinstalled the app', async () => {
+    teamService.listDueWorkspacePurges.mockResolvedValue({ success: true, purges: [{ team_id: 'T1' }] });
+    teamService.getTeamInstallation.mockResolvedValue({ success: true, installation: { team_id: 'T1' } });
+
+    const result = await purgeWorkspaces();
+
+    expect(supabase.from).not.toHaveBeenCalled();
+    expect(teamService.cancelWorkspacePurge).toHaveBeenCalledWith('T1');
+    expect(result).toEqual({ success: true, purged: 0 });
+  });
+
+  test('should keep purging other workspaces after a failure', async () => {
+    teamService.listDueWorkspacePurges.mockResolvedValue({
+      success: true,
+      purges: [{ team_id: 'T1' }, { team_id: 'T2' }]
+    });
+    deleteEq.mockResolvedValueOnce({ error: { message: 'Database error' } });
+
+    const result = await purgeWorkspaces();
+
+    expect(teamService.markWorkspacePurged).not.toHaveBeenCalledWith('T1');
+    expect(teamService.markWorkspacePurged).toHaveBeenCalledWith('T2');
+    expect(result.success).toBe(false);
+    expect(result.purged).toBe(1);
+  });
+
+  test('should fail when the due purges cannot be listed', async () => {
+    const error = new Error('Connection failed');
+    teamService.listDueWorkspacePurges.mockResolvedValue({ success: false, error, purges: [] });
+
+    const result = await purgeWorkspaces();
+
+    expect(result).toEqual({ success: false, error });
+  });
+});
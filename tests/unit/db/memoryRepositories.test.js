@@ -0,0 +1,399 @@
+const { createMemoryRepositories } = require('../../../src/db/repositories/memory');
+
+const tenant = { teamId: 'T123', enterpriseId: null };
+const otherTenant = { teamId: 'T456', enterpriseId: null };
+
+const session = (id, overrides = {}) => ({
+  id,
+  team_id: 'T123',
+  enterprise_id: null,
+  channel: 'C123',
+  issue: `Issue ${id}`,
+  status: 'open',
+  round: 1,
+  thread_ts: null,
+  created_at: '2024-03-01T10:00:00.000Z',
+  ...overrides
+});
+
+const vote = (sessionId, userId, overrides = {}) => ({
+  session_id: sessionId,
+  team_id: 'T123',
+  enterprise_id: null,
+  user_id: userId,
+  vote: 3,
+  special: null,
+  username: userId,
+  round: 1,
+  ...overrides
+});
+
+describe('Memory repositories', () => {
+  let repositories;
+
+  beforeEach(() => {
+    repositories = createMemoryRepositories();
+  });
+
+  describe('sessions', () => {
+    test('should find a session by ID within its tenant only', async () => {
+      await repositories.sessions.insert(session('s1'));
+
+      expect((await repositories.sessions.findById(tenant, 's1')).data).toEqual([session('s1')]);
+      expect((await repositories.sessions.findById(otherTenant, 's1')).data).toEqual([]);
+    });
+
+    test('should keep workspaces in the same Enterprise Grid organization apart', async () => {
+      await repositories.sessions.insert(session('s1', { team_id: 'T456', enterprise_id: 'E123' }));
+
+      expect((await repositories.sessions.findById({ teamId: 'T123', enterpriseId: 'E123' }, 's1')).data).toEqual([]);
+      expect((await repositories.sessions.findById({ teamId: 'T456', enterpriseId: 'E123' }, 's1')).data).toHaveLength(1);
+    });
+
+    test('should reject a duplicate ID', async () => {
+      await repositories.sessions.insert(session('s1'));
+
+      const { error } = await repositories.sessions.insert(session('s1'));
+
+      expect(error).toEqual(expect.objectContaining({ code: '23505' }));
+    });
+
+    test('should refuse to read without a tenant', async () => {
+      await expect(repositories.sessions.findById(null, 's1')).rejects.toThrow('team ID');
+    });
+
+    test('should not let callers change stored sessions', async () => {
+      const row = session('s1');
+      await repositories.sessions.insert(row);
+      row.issue = 'Changed';
+
+      const { data } = await repositories.sessions.findById(tenant, 's1');
+      data[0].status = 'closed';
+
+      expect((await repositories.sessions.findById(tenant, 's1')).data[0]).toEqual(expect.objectContaining({
+        issue: 'Issue s1',
+        status: 'open'
+      }));
+    });
+
+    test('should find the newest session in a channel or thread', async () => {
+      await repositories.sessions.insert(session('s1', { created_at: '2024-03-01T10:00:00.000Z' }));
+      await repositories.sessions.insert(session('s2', { created_at: '2024-03-02T10:00:00.000Z' }));
+      await repositories.sessions.insert(session('s3', { created_at: '2024-03-03T10:00:00.000Z', thread_ts: '111.222' }));
+
+      expect((await repositories.sessions.findLatest(tenant, 'C123', null)).data[0].id).toBe('s2');
+      expect((await repositories.sessions.findLatest(tenant, 'C123', '111.222')).data[0].id).toBe('s3');
+      expect((await repositories.sessions.findLatest(tenant, 'C999', null)).data).toEqual([]);
+    });
+
+    test('should prefer the later session when two start at the same time', async () => {
+      await repositories.sessions.insert(session('s1'));
+      await repositories.sessions.insert(session('s2'));
+
+      expect((await repositories.sessions.findLatest(tenant, 'C123', null)).data[0].id).toBe('s2');
+    });
+
+    test('should list sessions in some statuses, newest first', async () => {
+      await repositories.sessions.insert(session('s1', { created_at: '2024-03-01T10:00:00.000Z' }));
+      await repositories.sessions.insert(session('s2', { created_at: '2024-03-02T10:00:00.000Z', status: 'revealed' }));
+      await repositories.sessions.insert(session('s3', { created_at: '2024-03-03T10:00:00.000Z', status: 'closed' }));
+
+      const { data } = await repositories.sessions.listByStatus(tenant, 'C123', ['open', 'revealed'], 20);
+
+      expect(data.map(row => row.id)).toEqual(['s2', 's1']);
+    });
+
+    test('should search and page a channel\'s sessions', async () => {
+      await repositories.sessions.insert(session('s1', { issue: 'Login page', created_at: '2024-03-01T10:00:00.000Z' }));
+      await repositories.sessions.insert(session('s2', { issue: 'Login API', created_at: '2024-03-02T10:00:00.000Z' }));
+      await repositories.sessions.insert(session('s3', { issue: 'Signup page', created_at: '2024-03-03T10:00:00.000Z' }));
+
+      const search = await repositories.sessions.listForChannel(tenant, 'C123', { search: ['LOGIN'], limit: 10, offset: 0 });
+      const page = await repositories.sessions.listForChannel(tenant, 'C123', { search: [], limit: 1, offset: 1 });
+
+      expect(search.data.map(row => row.id)).toEqual(['s2', 's1']);
+      expect(page.data.map(row => row.id)).toEqual(['s2']);
+    });
+
+    test('should match search terms literally', async () => {
+      await repositories.sessions.insert(session('s1', { issue: '100% done' }));
+      await repositories.sessions.insert(session('s2', { issue: '100 done' }));
+
+      const { data } = await repositories.sessions.listForChannel(tenant, 'C123', { search: ['100%'], limit: 10, offset: 0 });
+
+      expect(data.map(row => row.id)).toEqual(['s1']);
+    });
+
+    test('should list sessions in a time range, oldest first, across tenants unless one is given', async () => {
+      await repositories.sessions.insert(session('s1', { created_at: '2024-03-03T10:00:00.000Z' }));
+      await repositories.sessions.insert(session('s2', { created_at: '2024-03-01T10:00:00.000Z', team_id: 'T456' }));
+      await repositories.sessions.insert(session('s3', { created_at: '2024-04-01T10:00:00.000Z' }));
+      const range = { from: '2024-03-01T00:00:00.000Z', until: '2024-04-01T00:00:00.000Z' };
+
+      const all = await repositories.sessions.listInRange(range, { limit: 10, offset: 0 });
+      const scoped = await repositories.sessions.listInRange({ ...range, tenant }, { limit: 10, offset: 0 });
+
+      expect(all.data.map(row => row.id)).toEqual(['s2', 's1']);
+      expect(scoped.data.map(row => row.id)).toEqual(['s1']);
+    });
+
+    test('should update a session within its tenant only', async () => {
+      await repositories.sessions.insert(session('s1'));
+
+      await repositories.sessions.update(otherTenant, 's1', { message_ts: '999.000' });
+      await repositories.sessions.update(tenant, 's1', { message_ts: '123.456' });
+
+      expect((await repositories.sessions.findById(tenant, 's1')).data[0].message_ts).toBe('123.456');
+    });
+
+    test('should only update a session that is still in the expected status', async () => {
+      await repositories.sessions.insert(session('s1'));
+
+      const first = await repositories.sessions.updateIfStatus(tenant, 's1', 'open', { status: 'revealed' });
+      const second = await repositories.sessions.updateIfStatus(tenant, 's1', 'open', { status: 'closed' });
+
+      expect(first.data).toEqual([expect.objectContaining({ id: 's1', status: 'revealed' })]);
+      expect(second.data).toEqual([]);
+    });
+  });
+
+  describe('votes', () => {
+    test('should replace a user\'s vote in the same round', async () => {
+      await repositories.votes.upsert(vote('s1', 'U1', { vote: 3 }));
+      await repositories.votes.upsert(vote('s1', 'U1', { vote: 5 }));
+      await repositories.votes.upsert(vote('s1', 'U1', { vote: 8, round: 2 }));
+
+      const { data } = await repositories.votes.listForSession(tenant, 's1');
+
+      expect(data.map(row => [row.round, row.vote])).toEqual([[1, 5], [2, 8]]);
+      expect(data[0]).toEqual(expect.objectContaining({ id: 1, created_at: expect.any(String) }));
+    });
+
+    test('should filter a session\'s votes by round', async () => {
+      await repositories.votes.upsert(vote('s1', 'U1'));
+      await repositories.votes.upsert(vote('s1', 'U1', { round: 2 }));
+
+      const { data } = await repositories.votes.listForSession(tenant, 's1', { round: 2 });
+
+      expect(data).toEqual([expect.objectContaining({ round: 2 })]);
+    });
+
+    test('should find a user\'s vote within its tenant only', async () => {
+      await repositories.votes.upsert(vote('s1', 'U1'));
+
+      expect((await repositories.votes.findUserVote(tenant, 's1', 'U1', 1)).data).toEqual([{ user_id: 'U1' }]);
+      expect((await repositories.votes.findUserVote(tenant, 's1', 'U1', 2)).data).toEqual([]);
+      expect((await repositories.votes.findUserVote(otherTenant, 's1', 'U1', 1)).data).toEqual([]);
+    });
+
+    test('should page the votes of many sessions in ID order', async () => {
+      await repositories.votes.upsert(vote('s1', 'U1'));
+      await repositories.votes.upsert(vote('s2', 'U1'));
+      await repositories.votes.upsert(vote('s3', 'U1'));
+      await repositories.votes.upsert(vote('s2', 'U2', { team_id: 'T456' }));
+
+      const all = await repositories.votes.listForSessions(['s1', 's2'], null, { limit: 10, offset: 0 });
+      const page = await repositories.votes.listForSessions(['s1', 's2'], tenant, { limit: 1, offset: 1 });
+
+      expect(all.data.map(row => row.id)).toEqual([1, 2, 4]);
+      expect(page.data.map(row => row.id)).toEqual([2]);
+    });
+
+    test('should count a session\'s votes', async () => {
+      await repositories.votes.upsert(vote('s1', 'U1'));
+      await repositories.votes.upsert(vote('s1', 'U2'));
+      await repositories.votes.upsert(vote('s2', 'U1'));
+
+      expect((await repositories.votes.count(tenant, 's1')).count).toBe(2);
+      expect((await repositories.votes.count(otherTenant, 's1')).count).toBe(0);
+    });
+  });
+
+  describe('installations', () => {
+    const installation = (teamId, overrides = {}) => ({
+      team_id: teamId,
+      team_name: `Team ${teamId}`,
+      bot_token: `xoxb-${teamId}`,
+      refresh_token: null,
+      token_expires_at: null,
+      scope: 'commands',
+      installed_at: '2024-03-01T10:00:00.000Z',
+      ...overrides
+    });
+
+    test('should replace a workspace\'s installation', async () => {
+      await repositories.installations.upsert(installation('T1'));
+      await repositories.installations.upsert(installation('T1', { bot_token: 'xoxb-new' }));
+
+      const { data } = await repositories.installations.findByTeamId('T1');
+
+      expect(data).toEqual([expect.objectContaining({ bot_token: 'xoxb-new' })]);
+    });
+
+    test('should only update tokens while the expiry still matches', async () => {
+      await repositories.installations.upsert(installation('T1', { token_expires_at: '2024-03-01T12:00:00.000Z' }));
+
+      const first = await repositories.installations.updateIfExpiry('T1', { bot_token: 'xoxe-1', token_expires_at: '2024-03-02T00:00:00.000Z' }, '2024-03-01T12:00:00+00:00');
+      const second = await repositories.installations.updateIfExpiry('T1', { bot_token: 'xoxe-2' }, '2024-03-01T12:00:00.000Z');
+
+      expect(first.data).toEqual([{ team_id: 'T1' }]);
+      expect(second.data).toEqual([]);
+      expect((await repositories.installations.findByTeamId('T1')).data[0].bot_token).toBe('xoxe-1');
+    });
+
+    test('should list rotating installations expiring by a time, soonest first', async () => {
+      await repositories.installations.upsert(installation('T1', { refresh_token: 'r1', token_expires_at: '2024-03-01T12:00:00.000Z' }));
+      await repositories.installations.upsert(installation('T2', { refresh_token: 'r2', token_expires_at: '2024-03-01T11:00:00.000Z' }));
+      await repositories.installations.upsert(installation('T3', { refresh_token: 'r3', token_expires_at: '2024-03-02T11:00:00.000Z' }));
+      await repositories.installations.upsert(installation('T4'));
+
+      const { data } = await repositories.installations.listExpiring(new Date('2024-03-01T12:00:00.000Z'));
+
+      expect(data).toEqual([
+        { team_id: 'T2', token_expires_at: '2024-03-01T11:00:00.000Z' },
+        { team_id: 'T1', token_expires_at: '2024-03-01T12:00:00.000Z' }
+      ]);
+    });
+
+    test('should list installations newest first without their tokens', async () => {
+      await repositories.installations.upsert(installation('T1', { installed_at: '2024-03-01T10:00:00.000Z' }));
+      await repositories.installations.upsert(installation('T2', { installed_at: '2024-03-02T10:00:00.000Z' }));
+
+      const { data } = await repositories.installations.list();
+
+      expect(data.map(row => row.team_id)).toEqual(['T2', 'T1']);
+      expect(data[0]).not.toHaveProperty('bot_token');
+    });
+
+    test('should remove an installation', async () => {
+      await repositories.installations.upsert(installation('T1'));
+
+      await repositories.installations.remove('T1');
+
+      expect((await repositories.installations.findByTeamId('T1')).data).toEqual([]);
+    });
+
+    test('should track workspace purges until they run', async () => {
+      const purge = teamId => ({ team_id: teamId, reason: 'app_uninstalled', purge_after: '2024-03-08T10:00:00.000Z', purged_at: null });
+      await repositories.installations.upsertPurge(purge('T1'));
+      await repositories.installations.upsertPurge(purge('T2'));
+      await repositories.installations.upsertPurge(purge('T3'));
+
+      await repositories.installations.updatePurge('T1', { purged_at: '2024-03-08T11:00:00.000Z' });
+      await repositories.installations.removePendingPurge('T1');
+      await repositories.installations.removePendingPurge('T2');
+
+      expect((await repositories.installations.listDuePurges(new Date('2024-03-07T00:00:00.000Z'))).data).toEqual([]);
+      expect((await repositories.installations.listDuePurges(new Date('2024-03-09T00:00:00.000Z'))).data).toEqual([purge('T3')]);
+    });
+  });
+
+  describe('decks', () => {
+    test('should replace a workspace\'s deck with the same name', async () => {
+      await repositories.decks.upsert({ team_id: 'T123', name: 'hours', values: [1, 2], created_by: 'U1' });
+      await repositories.decks.upsert({ team_id: 'T123', name: 'hours', values: [1, 2, 4] });
+
+      expect((await repositories.decks.findByName('T123', 'hours')).data).toEqual([
+        { team_id: 'T123', name: 'hours', values: [1, 2, 4], created_by: 'U1' }
+      ]);
+      expect((await repositories.decks.findByName('T456', 'hours')).data).toEqual([]);
+    });
+
+    test('should list a workspace\'s decks by name and delete them', async () => {
+      await repositories.decks.upsert({ team_id: 'T123', name: 'sizes', values: ['S', 'M'] });
+      await repositories.decks.upsert({ team_id: 'T123', name: 'hours', values: [1, 2] });
+      await repositories.decks.upsert({ team_id: 'T456', name: 'days', values: [1] });
+
+      expect((await repositories.decks.listForTeam('T123')).data.map(deck => deck.name)).toEqual(['hours', 'sizes']);
+
+      await repositories.decks.remove('T123', 'hours');
+
+      expect((await repositories.decks.listForTeam('T123')).data.map(deck => deck.name)).toEqual(['sizes']);
+    });
+  });
+
+  describe('channelSettings', () => {
+    test('should store one default deck per channel', async () => {
+      await repositories.channelSettings.upsert({ team_id: 'T123', channel: 'C123', default_deck: 'tshirt' });
+      await repositories.channelSettings.upsert({ team_id: 'T123', channel: 'C123', default_deck: 'hours' });
+
+      expect((await repositories.channelSettings.findDefaultDeck('T123', 'C123')).data).toEqual([{ default_deck: 'hours' }]);
+      expect((await repositories.channelSettings.findDefaultDeck('T123', 'C456')).data).toEqual([]);
+    });
+  });
+
+  describe('queues', () => {
+    const queue = (id, overrides = {}) => ({
+      id,
+      team_id: 'T123',
+      channel: 'C123',
+      items: [],
+      position: 0,
+      status: 'active',
+      created_at: '2024-03-01T10:00:00.000Z',
+      ...overrides
+    });
+
+    test('should find a workspace\'s newest queue in a channel', async () => {
+      await repositories.queues.insert(queue('q1'));
+      await repositories.queues.insert(queue('q2', { created_at: '2024-03-02T10:00:00.000Z' }));
+      await repositories.queues.insert(queue('q3', { created_at: '2024-03-03T10:00:00.000Z', status: 'cancelled' }));
+
+      expect((await repositories.queues.findLatestInChannel(tenant, 'C123', 'active')).data).toEqual([queue('q2', { created_at: '2024-03-02T10:00:00.000Z' })]);
+      expect((await repositories.queues.findLatestInChannel(otherTenant, 'C123', 'active')).data).toEqual([]);
+    });
+
+    test('should only let the workspace that owns a queue find it', async () => {
+      await repositories.queues.insert(queue('q1'));
+
+      expect((await repositories.queues.findById(tenant, 'q1')).data).toEqual([queue('q1')]);
+      expect((await repositories.queues.findById(otherTenant, 'q1')).data).toEqual([]);
+    });
+
+    test('should only let the workspace that owns a queue update it', async () => {
+      await repositories.queues.insert(queue('q1'));
+
+      await repositories.queues.updateForTenant(otherTenant, 'q1', { status: 'cancelled' });
+      expect((await repositories.queues.findById(tenant, 'q1')).data[0].status).toBe('active');
+
+      await repositories.queues.updateForTenant(tenant, 'q1', { status: 'cancelled', position: 2 });
+      expect((await repositories.queues.findById(tenant, 'q1')).data[0]).toEqual(expect.objectContaining({ status: 'cancelled', position: 2 }));
+    });
+
+    test('should reject a duplicate ID', async () => {
+      await repositories.queues.insert(queue('q1'));
+
+      expect((await repositories.queues.insert(queue('q1'))).error).toEqual(expect.objectContaining({ code: '23505' }));
+    });
+  });
+
+  describe('integrations', () => {
+    test('should store one configuration per workspace and tracker', async () => {
+      await repositories.integrations.upsert({ team_id: 'T123', provider: 'jira', config: { apiToken: 'a' } });
+      await repositories.integrations.upsert({ team_id: 'T123', provider: 'jira', config: { apiToken: 'b' } });
+      await repositories.integrations.upsert({ team_id: 'T123', provider: 'github', config: { apiToken: 'c' } });
+      await repositories.integrations.upsert({ team_id: 'T456', provider: 'jira', config: { apiToken: 'd' } });
+
+      expect((await repositories.integrations.findByProvider('T123', 'jira')).data[0].config).toEqual({ apiToken: 'b' });
+      expect((await repositories.integrations.listForTeam('T123')).data.map(row => row.provider)).toEqual(['github', 'jira']);
+
+      await repositories.integrations.remove('T123', 'jira');
+
+      expect((await repositories.integrations.findByProvider('T123', 'jira')).data).toEqual([]);
+      expect((await repositories.integrations.findByProvider('T456', 'jira')).data).toHaveLength(1);
+    });
+  });
+
+  describe('reset', () => {
+    test('should delete everything', async () => {
+      await repositories.sessions.insert(session('s1'));
+      await repositories.votes.upsert(vote('s1', 'U1'));
+
+      repositories.reset();
+      await repositories.votes.upsert(vote('s1', 'U1'));
+
+      expect((await repositories.sessions.findById(tenant, 's1')).data).toEqual([]);
+      expect((await repositories.votes.listForSession(tenant, 's1')).data).toEqual([expect.objectContaining({ id: 1 })]);
+    });
+  });
+});
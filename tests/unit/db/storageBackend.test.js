@@ -0,0 +1,80 @@
+const { STORAGE_BACKENDS, getStorageBackend } = require('../../../src/db/storageBackend');
+
+describe('Storage backend', () => {
+  const originalBackend = process.env.STORAGE_BACKEND;
+  const originalUrl = process.env.SUPABASE_URL;
+
+  const restore = (name, value) => {
+    if (value === undefined) {
+      delete process.env[name];
+    } else {
+      process.env[name] = value;
+    }
+  };
+
+  afterEach(() => {
+    restore('STORAGE_BACKEND', originalBackend);
+    restore('SUPABASE_URL', originalUrl);
+  });
+
+  describe('getStorageBackend', () => {
+    test('should default to Supabase', () => {
+      delete process.env.STORAGE_BACKEND;
+
+      expect(getStorageBackend()).toBe('supabase');
+    });
+
+    test('should accept any configured backend regardless of case', () => {
+      process.env.STORAGE_BACKEND = ' Memory ';
+
+      expect(getStorageBackend()).toBe('memory');
+      expect(STORAGE_BACKENDS).toEqual(['supabase', 'memory']);
+    });
+
+    test('should reject an unknown backend', () => {
+      process.env.STORAGE_BACKEND = 'mysql';
+
+      expect(() => getStorageBackend()).toThrow('Unknown STORAGE_BACKEND "mysql"; use one of: supabase, memory');
+    });
+  });
+
+  describe('repositories', () => {
+    test('should use the in-memory repositories when STORAGE_BACKEND is memory', () => {
+      process.env.STORAGE_BACKEND = 'memory';
+
+      jest.isolateModules(() => {
+        const repositories = require('../../../src/db/repositories');
+
+        expect(repositories.backend).toBe('memory');
+        expect(repositories.reset).toEqual(expect.any(Function));
+        expect(Object.keys(repositories)).toEqual(expect.arrayContaining([
+          'sessions', 'votes', 'installations', 'decks', 'channelSettings', 'queues', 'integrations'
+        ]));
+      });
+    });
+
+    test('should use the Supabase repositories by default', () => {
+      delete process.env.STORAGE_BACKEND;
+
+      jest.isolateModules(() => {
+        const repositories = require('../../../src/db/repositories');
+
+        expect(repositories.backend).toBe('supabase');
+        expect(repositories.reset).toBeUndefined();
+      });
+    });
+  });
+
+  describe('Supabase client', () => {
+    test('should not need a Supabase project on the in-memory backend', () => {
+      process.env.STORAGE_BACKEND = 'memory';
+      delete process.env.SUPABASE_URL;
+
+      jest.isolateModules(() => {
+        const supabase = require('../../../src/db/supabase');
+
+        expect(() => supabase.from('decks')).toThrow('Supabase is not configured');
+      });
+    });
+  });
+});
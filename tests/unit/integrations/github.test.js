@@ -0,0 +1,212 @@
+const nock = require('nock');
+const github = require('../../../src/integrations/github');
+
+const reference = { key: 'acme/app#12', owner: 'acme', repo: 'app', number: 12 };
+
+describe('GitHub integration', () => {
+  beforeEach(() => {
+    if (!nock.isActive()) {
+      nock.activate();
+    }
+    nock.disableNetConnect();
+  });
+
+  afterEach(() => {
+    nock.cleanAll();
+    nock.enableNetConnect();
+  });
+
+  describe('parseIssueReference', () => {
+    test('should find issue and pull request URLs', () => {
+      expect(github.parseIssueReference('Fix <https://github.com/acme/app/issues/12>', {})).toEqual({
+        key: 'acme/app#12',
+        owner: 'acme',
+        repo: 'app',
+        number: 12,
+        isPullRequest: false,
+        url: 'https://github.com/acme/app/issues/12'
+      });
+      expect(github.parseIssueReference('https://github.com/acme/app/pull/7', {})).toEqual(expect.objectContaining({
+        key: 'acme/app#7',
+        isPullRequest: true
+      }));
+    });
+
+    test('should recognize URLs on the configured GitHub Enterprise host', () => {
+      const config = { apiUrl: 'https://git.acme.dev/api/v3' };
+
+      expect(github.parseIssueReference('https://git.acme.dev/platform/api/issues/3', config).key).toBe('platform/api#3');
+      expect(github.parseIssueReference('https://git.acme.dev/platform/api/issues/3', {})).toBeNull();
+    });
+
+    test('should not take github.com URLs for issues on a GitHub Enterprise host', () => {
+      const config = { apiUrl: 'https://git.acme.dev/api/v3' };
+
+      expect(github.parseIssueReference('https://github.com/acme/api/issues/12', config)).toBeNull();
+    });
+
+    test('should ignore text without a GitHub issue', () => {
+      expect(github.parseIssueReference('PLAT-7 Fix login', {})).toBeNull();
+      expect(github.parseIssueReference('https://github.com/acme/app', {})).toBeNull();
+    });
+  });
+
+  describe('parseProjectUrl', () => {
+    test('should parse organization and user projects', () => {
+      expect(github.parseProjectUrl('https://github.com/orgs/acme/projects/3')).toEqual({ ownerType: 'organization', login: 'acme', number: 3 });
+      expect(github.parseProjectUrl('https://github.com/users/octocat/projects/1/views/2')).toEqual({ ownerType: 'user', login: 'octocat', number: 1 });
+      expect(github.parseProjectUrl('https://github.com/acme/app')).toBeNull();
+    });
+  });
+
+  describe('validateConfig', () => {
+    test('should accept the default label mode', () => {
+      expect(github.validateConfig({ apiToken: 'abc' })).toBeNull();
+    });
+
+    test('should reject label formats without a placeholder', () => {
+      expect(github.validateConfig({ apiToken: 'abc', labelFormat: 'estimate' })).toContain('{estimate}');
+    });
+
+    test('should require a project URL in project mode', () => {
+      expect(github.validateConfig({ apiToken: 'abc', mode: 'project' })).toContain('project URL');
+      expect(github.validateConfig({ apiToken: 'abc', mode: 'board' })).toContain('`mode`');
+    });
+  });
+
+  describe('fetchPreview', () => {
+    test('should describe merged pull requests', async () => {
+      nock('https://api.github.com')
+        .get('/repos/acme/app/issues/12')
+        .reply(200, {
+          title: 'Add SSO',
+          html_url: 'https://github.com/acme/app/pull/12',
+          state: 'closed',
+          pull_request: { merged_at: '2024-01-01T00:00:00Z' },
+          assignees: [{ login: 'ada' }, { login: 'grace' }],
+          body: null
+        });
+
+      const result = await github.fetchPreview(reference, {});
+
+      expect(result.preview).toEqual({
+        key: 'acme/app#12',
+        title: 'Add SSO',
+        url: 'https://github.com/acme/app/pull/12',
+        status: 'Merged',
+        assignee: 'ada, grace',
+        description: null
+      });
+    });
+  });
+
+  describe('writeEstimate with labels', () => {
+    const config = { apiToken: 'gh-token', apiUrl: 'https://ghe.example.com/api/v3/' };
+
+    test('should replace an old estimate label', async () => {
+      const api = nock('https://ghe.example.com', { reqheaders: { authorization: 'Bearer gh-token' } })
+        .get('/api/v3/repos/acme/app/issues/12/labels')
+        .query({ per_page: 100 })
+        .reply(200, [{ name: 'bug' }, { name: 'estimate: 3' }])
+        .delete('/api/v3/repos/acme/app/issues/12/labels/estimate%3A%203')
+        .reply(200, [])
+        .post('/api/v3/repos/acme/app/issues/12/labels', { labels: ['estimate: 5'] })
+        .reply(200, []);
+
+      const result = await github.writeEstimate(reference, 5, config);
+
+      expect(result).toEqual({ success: true });
+      expect(api.isDone()).toBe(true);
+    });
+
+    test('should use a custom label format', async () => {
+      const api = nock('https://ghe.example.com')
+        .get('/api/v3/repos/acme/app/issues/12/labels')
+        .query(true)
+        .reply(200, [{ name: 'size/M' }])
+        .delete('/api/v3/repos/acme/app/issues/12/labels/size%2FM')
+        .reply(200, [])
+        .post('/api/v3/repos/acme/app/issues/12/labels', { labels: ['size/L'] })
+        .reply(200, []);
+
+      const result = await github.writeEstimate(reference, 'L', { ...config, labelFormat: 'size/{estimate}' });
+
+      expect(result.success).toBe(true);
+      expect(api.isDone()).toBe(true);
+    });
+
+    test('should describe errors returned by GitHub', async () => {
+      nock('https://ghe.example.com')
+        .get('/api/v3/repos/acme/app/issues/12/labels')
+        .query(true)
+        .reply(404, { message: 'Not Found' });
+
+      const result = await github.writeEstimate(reference, 5, config);
+
+      expect(result).toEqual({ success: false, error: 'GitHub responded with 404: Not Found' });
+    });
+  });
+
+  describe('writeEstimate with a project field', () => {
+    const config = {
+      apiToken: 'gh-token',
+      mode: 'project',
+      projectUrl: 'https://github.com/orgs/acme/projects/3'
+    };
+
+    test('should set the number field on the project item', async () => {
+      const api = nock('https://api.github.com')
+        .post('/graphql', body => body.variables.login === 'acme' && body.variables.field === 'Estimate' && body.query.includes('organization(login: $login)'))
+        .reply(200, {
+          data: {
+            owner: { projectV2: { id: 'PVT_1', field: { id: 'PVTF_1', dataType: 'NUMBER' } } },
+            repository: { issueOrPullRequest: { id: 'I_1' } }
+          }
+        })
+        .post('/graphql', body => body.variables.projectId === 'PVT_1' && body.variables.contentId === 'I_1')
+        .reply(200, { data: { addProjectV2ItemById: { item: { id: 'PVTI_1' } } } })
+        .post('/graphql', body => body.variables.itemId === 'PVTI_1' && body.variables.fieldId === 'PVTF_1' && body.variables.value === 8)
+        .reply(200, { data: { updateProjectV2ItemFieldValue: { projectV2Item: { id: 'PVTI_1' } } } });
+
+      const result = await github.writeEstimate(reference, '8', config);
+
+      expect(result).toEqual({ success: true });
+      expect(api.isDone()).toBe(true);
+    });
+
+    test('should explain when the project has no matching number field', async () => {
+      nock('https://api.github.com')
+        .post('/graphql')
+        .reply(200, {
+          data: {
+            owner: { projectV2: { id: 'PVT_1', field: null } },
+            repository: { issueOrPullRequest: { id: 'I_1' } }
+          }
+        });
+
+      const result = await github.writeEstimate(reference, 8, config);
+
+      expect(result).toEqual({
+        success: false,
+        error: 'GitHub project https://github.com/orgs/acme/projects/3 has no number field called "Estimate"'
+      });
+    });
+
+    test('should report GraphQL errors', async () => {
+      nock('https://api.github.com')
+        .post('/graphql')
+        .reply(200, { errors: [{ message: 'Resource not accessible by integration' }] });
+
+      const result = await github.writeEstimate(reference, 8, config);
+
+      expect(result).toEqual({ success: false, error: 'GitHub returned an error: Resource not accessible by integration' });
+    });
+
+    test('should reject estimates that are not numbers', async () => {
+      const result = await github.writeEstimate(reference, 'XL', config);
+
+      expect(result.success).toBe(false);
+      expect(result.error).toBe('GitHub project fields must be numbers, but the estimate was `XL`');
+    });
+  });
+});
@@ -0,0 +1,131 @@
+const nock = require('nock');
+const gitlab = require('../../../src/integrations/gitlab');
+
+describe('GitLab integration', () => {
+  beforeEach(() => {
+    if (!nock.isActive()) {
+      nock.activate();
+    }
+    nock.disableNetConnect();
+  });
+
+  afterEach(() => {
+    nock.cleanAll();
+    nock.enableNetConnect();
+  });
+
+  describe('parseIssueReference', () => {
+    test('should find gitlab.com issue URLs in nested groups', () => {
+      expect(gitlab.parseIssueReference('Fix <https://gitlab.com/acme/platform/api/-/issues/42>', {})).toEqual({
+        key: 'acme/platform/api#42',
+        projectPath: 'acme/platform/api',
+        iid: 42,
+        url: 'https://gitlab.com/acme/platform/api/-/issues/42'
+      });
+    });
+
+    test('should find issue URLs without the /-/ segment', () => {
+      expect(gitlab.parseIssueReference('https://gitlab.com/acme/api/issues/7', {}).key).toBe('acme/api#7');
+    });
+
+    test('should only recognize the configured self-hosted host', () => {
+      const config = { baseUrl: 'https://git.acme.dev/' };
+
+      expect(gitlab.parseIssueReference('https://git.acme.dev/team/app/-/issues/3', config).key).toBe('team/app#3');
+      expect(gitlab.parseIssueReference('https://gitlab.com/team/app/-/issues/3', config)).toBeNull();
+    });
+
+    test('should ignore merge requests and other links', () => {
+      expect(gitlab.parseIssueReference('https://gitlab.com/acme/api/-/merge_requests/9', {})).toBeNull();
+      expect(gitlab.parseIssueReference('https://github.com/acme/api/issues/9', {})).toBeNull();
+    });
+  });
+
+  describe('toWeight', () => {
+    test('should map T-shirt sizes by default', () => {
+      expect(gitlab.toWeight('XL', {})).toEqual({ weight: 8 });
+      expect(gitlab.toWeight('s', {})).toEqual({ weight: 2 });
+    });
+
+    test('should use the workspace mapping', () => {
+      expect(gitlab.toWeight('M', { weightMap: 'S:1, M:2, L:4' })).toEqual({ weight: 2 });
+    });
+
+    test('should pass whole numbers through', () => {
+      expect(gitlab.toWeight(13, {})).toEqual({ weight: 13 });
+      expect(gitlab.toWeight('0', {})).toEqual({ weight: 0 });
+    });
+
+    test('should reject estimates that are not whole numbers', () => {
+      expect(gitlab.toWeight(0.5, {}).error).toContain('GitLab weights must be whole numbers, but the estimate was `0.5`');
+      expect(gitlab.toWeight('XXXL', {}).error).toContain('`XXXL`');
+    });
+  });
+
+  describe('validateConfig', () => {
+    test('should reject malformed weight mappings', () => {
+      expect(gitlab.validateConfig({ weightMap: 'S=1' })).toContain('`weights`');
+      expect(gitlab.validateConfig({ weightMap: 'S:1,M:2' })).toBeNull();
+    });
+
+    test('should reject URLs that are not addresses', () => {
+      expect(gitlab.validateConfig({ baseUrl: 'gitlab' })).toContain('`url`');
+    });
+  });
+
+  describe('fetchPreview', () => {
+    test('should fetch the issue title, state and assignees', async () => {
+      nock('https://gitlab.com')
+        .get('/api/v4/projects/acme%2Fapi/issues/7')
+        .reply(200, {
+          title: 'Rate limit the API',
+          web_url: 'https://gitlab.com/acme/api/-/issues/7',
+          state: 'opened',
+          assignees: [],
+          description: 'Too many requests'
+        });
+
+      const result = await gitlab.fetchPreview({ key: 'acme/api#7', projectPath: 'acme/api', iid: 7 }, {});
+
+      expect(result.preview).toEqual({
+        key: 'acme/api#7',
+        title: 'Rate limit the API',
+        url: 'https://gitlab.com/acme/api/-/issues/7',
+        status: 'Open',
+        assignee: null,
+        description: 'Too many requests'
+      });
+    });
+  });
+
+  describe('writeEstimate', () => {
+    const reference = { key: 'acme/platform/api#42', projectPath: 'acme/platform/api', iid: 42 };
+
+    test('should set the issue weight', async () => {
+      const api = nock('https://git.acme.dev', { reqheaders: { 'private-token': 'gl-token' } })
+        .put('/api/v4/projects/acme%2Fplatform%2Fapi/issues/42', { weight: 5 })
+        .reply(200, { iid: 42, weight: 5 });
+
+      const result = await gitlab.writeEstimate(reference, 'L', { baseUrl: 'https://git.acme.dev', accessToken: 'gl-token' });
+
+      expect(result).toEqual({ success: true });
+      expect(api.isDone()).toBe(true);
+    });
+
+    test('should describe validation errors returned by GitLab', async () => {
+      nock('https://gitlab.com')
+        .put('/api/v4/projects/acme%2Fplatform%2Fapi/issues/42')
+        .reply(400, { message: { weight: ['must be less than 100'] } });
+
+      const result = await gitlab.writeEstimate(reference, 200, { accessToken: 'gl-token' });
+
+      expect(result).toEqual({ success: false, error: 'GitLab responded with 400: weight must be less than 100' });
+    });
+
+    test('should not call GitLab for estimates without a weight', async () => {
+      const result = await gitlab.writeEstimate(reference, '?', { accessToken: 'gl-token' });
+
+      expect(result.success).toBe(false);
+    });
+  });
+});
@@ -0,0 +1,159 @@
+const {
+  getProvider,
+  listProviderNames,
+  applyConfigUpdates,
+  describeConfig,
+  syncFinalEstimate
+} = require('../../../src/integrations');
+const jira = require('../../../src/integrations/jira');
+const github = require('../../../src/integrations/github');
+const linear = require('../../../src/integrations/linear');
+const { listIntegrations } = require('../../../src/services/integrationService');
+
+jest.mock('../../../src/services/integrationService');
+
+describe('Integrations', () => {
+  describe('getProvider', () => {
+    test('should find trackers by name regardless of case', () => {
+      expect(getProvider('Jira')).toBe(jira);
+    });
+
+    test('should return null for unknown trackers', () => {
+      expect(getProvider('toString')).toBeNull();
+      expect(getProvider(undefined)).toBeNull();
+    });
+
+    test('should list tracker names', () => {
+      expect(listProviderNames()).toEqual(['jira', 'github', 'gitlab', 'linear']);
+    });
+  });
+
+  describe('applyConfigUpdates', () => {
+    test('should merge settings into the existing configuration', () => {
+      const result = applyConfigUpdates(jira, { baseUrl: 'https://jira.example.com', apiToken: 'abc' }, { field: 'customfield_10002' });
+
+      expect(result).toEqual({
+        success: true,
+        config: { baseUrl: 'https://jira.example.com', apiToken: 'abc', storyPointsField: 'customfield_10002' }
+      });
+    });
+
+    test('should reject unknown settings', () => {
+      const result = applyConfigUpdates(jira, null, { project: 'PLAT' });
+
+      expect(result.success).toBe(false);
+      expect(result.error).toBe('Unknown Jira setting `project`. Available settings: url, email, token, field.');
+    });
+
+    test('should require the tracker\'s mandatory settings', () => {
+      const result = applyConfigUpdates(jira, null, { email: 'po@example.com' });
+
+      expect(result).toEqual({ success: false, error: 'Jira needs `url` and `token` to be set.' });
+    });
+
+    test('should make the token be entered again when the tracker moves', () => {
+      const existing = { baseUrl: 'https://jira.example.com', apiToken: 'abc' };
+
+      expect(applyConfigUpdates(jira, existing, { url: 'https://attacker.example.com' })).toEqual({
+        success: false,
+        error: 'Changing `url` clears the saved Jira token, so set `token` again.'
+      });
+      expect(applyConfigUpdates(jira, existing, { url: 'https://jira2.example.com', token: 'def' })).toEqual({
+        success: true,
+        config: { baseUrl: 'https://jira2.example.com', apiToken: 'def' }
+      });
+      expect(applyConfigUpdates(jira, existing, { url: 'https://jira.example.com' }).success).toBe(true);
+    });
+
+    test('should clear the token when a custom API URL is first set', () => {
+      const result = applyConfigUpdates(github, { apiToken: 'abc' }, { api: 'https://github.example.com/api/v3' });
+
+      expect(result).toEqual({ success: false, error: 'Changing `api` clears the saved GitHub token, so set `token` again.' });
+      expect(applyConfigUpdates(linear, { apiKey: 'abc' }, { api: 'https://linear.example.com/graphql' }).success).toBe(false);
+    });
+
+    test('should apply tracker-specific validation', () => {
+      const result = applyConfigUpdates(github, null, { token: 'abc', mode: 'project' });
+
+      expect(result.success).toBe(false);
+      expect(result.error).toContain('project URL');
+    });
+  });
+
+  describe('describeConfig', () => {
+    test('should mask secrets', () => {
+      expect(describeConfig(jira, { baseUrl: 'https://jira.example.com', apiToken: 'abc' }))
+        .toBe('url=https://jira.example.com token=••••••');
+    });
+  });
+
+  describe('syncFinalEstimate', () => {
+    test('should skip issues that belong to no configured tracker', async () => {
+      listIntegrations.mockResolvedValue({ success: true, integrations: [] });
+
+      await expect(syncFinalEstimate('T123', 'PLAT-7 Fix login', 5)).resolves.toEqual({ attempted: false });
+    });
+
+    test('should write the estimate to the matching tracker', async () => {
+      const config = { baseUrl: 'https://jira.example.com', apiToken: 'abc' };
+      listIntegrations.mockResolvedValue({ success: true, integrations: [{ provider: 'jira', config }] });
+      const writeEstimate = jest.spyOn(jira, 'writeEstimate').mockResolvedValue({ success: true });
+
+      const result = await syncFinalEstimate('T123', 'PLAT-7 Fix login', 5);
+
+      expect(listIntegrations).toHaveBeenCalledWith('T123');
+      expect(writeEstimate).toHaveBeenCalledWith({ key: 'PLAT-7', url: 'https://jira.example.com/browse/PLAT-7' }, 5, config);
+      expect(result).toEqual(expect.objectContaining({ attempted: true, success: true, label: 'Jira' }));
+
+      writeEstimate.mockRestore();
+    });
+
+    test('should prefer the tracker whose URL is in the issue text', async () => {
+      listIntegrations.mockResolvedValue({
+        success: true,
+        integrations: [
+          { provider: 'jira', config: { baseUrl: 'https://jira.example.com', apiToken: 'abc' } },
+          { provider: 'linear', config: { apiKey: 'key' } }
+        ]
+      });
+      const writeEstimate = jest.spyOn(linear, 'writeEstimate').mockResolvedValue({ success: true });
+
+      const result = await syncFinalEstimate('T123', '<https://linear.app/acme/issue/ENG-4/fix|ENG-4: Fix>', 3);
+
+      expect(writeEstimate).toHaveBeenCalledWith(expect.objectContaining({ key: 'ENG-4' }), 3, { apiKey: 'key' });
+      expect(result.label).toBe('Linear');
+
+      writeEstimate.mockRestore();
+    });
+
+    test('should send bare keys to Jira when both Jira and Linear are connected, in any stored order', async () => {
+      const jiraIntegration = { provider: 'jira', config: { baseUrl: 'https://jira.example.com', apiToken: 'abc' } };
+      const linearIntegration = { provider: 'linear', config: { apiKey: 'key' } };
+      const jiraWrite = jest.spyOn(jira, 'writeEstimate').mockResolvedValue({ success: true });
+      const linearWrite = jest.spyOn(linear, 'writeEstimate').mockResolvedValue({ success: true });
+
+      for (const integrations of [[jiraIntegration, linearIntegration], [linearIntegration, jiraIntegration]]) {
+        listIntegrations.mockResolvedValue({ success: true, integrations });
+
+        const result = await syncFinalEstimate('T123', 'ENG-482 Fix login', 3);
+
+        expect(result.label).toBe('Jira');
+      }
+
+      expect(jiraWrite).toHaveBeenCalledTimes(2);
+      expect(linearWrite).not.toHaveBeenCalled();
+
+      jiraWrite.mockRestore();
+      linearWrite.mockRestore();
+    });
+
+    test('should report settings that could not be loaded', async () => {
+      listIntegrations.mockResolvedValue({ success: false, error: new Error('db'), integrations: [] });
+
+      const result = await syncFinalEstimate('T123', 'PLAT-7', 5);
+
+      expect(result.attempted).toBe(true);
+      expect(result.success).toBe(false);
+    });
+  });
+});
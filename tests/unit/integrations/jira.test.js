@@ -0,0 +1,138 @@
+const nock = require('nock');
+const jira = require('../../../src/integrations/jira');
+
+const config = {
+  baseUrl: 'https://jira.example.com/',
+  email: 'po@example.com',
+  apiToken: 'secret-token'
+};
+
+describe('Jira integration', () => {
+  beforeEach(() => {
+    if (!nock.isActive()) {
+      nock.activate();
+    }
+    nock.disableNetConnect();
+  });
+
+  afterEach(() => {
+    nock.cleanAll();
+    nock.enableNetConnect();
+  });
+
+  describe('parseIssueReference', () => {
+    test('should find an issue URL on the configured site', () => {
+      expect(jira.parseIssueReference('Review <https://jira.example.com/browse/PLAT-123|login>', config)).toEqual({
+        key: 'PLAT-123',
+        url: 'https://jira.example.com/browse/PLAT-123'
+      });
+    });
+
+    test('should ignore issue URLs on other sites', () => {
+      expect(jira.parseIssueReference('Review https://attacker.example.com/browse/PLAT-123', config)).toBeNull();
+      expect(jira.parseIssueReference('Review https://acme.atlassian.net/browse/PLAT-123', {})).toBeNull();
+    });
+
+    test('should find a bare key once the site is configured', () => {
+      expect(jira.parseIssueReference('PLAT-7 Fix login', config)).toEqual({
+        key: 'PLAT-7',
+        url: 'https://jira.example.com/browse/PLAT-7'
+      });
+      expect(jira.parseIssueReference(' PLAT-7', config).key).toBe('PLAT-7');
+      expect(jira.parseIssueReference('PLAT-7: Fix login', config).key).toBe('PLAT-7');
+    });
+
+    test('should ignore bare keys without a configured site', () => {
+      expect(jira.parseIssueReference('PLAT-7 Fix login', {})).toBeNull();
+    });
+
+    test('should only take a bare key from the start of the text', () => {
+      expect(jira.parseIssueReference('Fix UTF-8 decoding', config)).toBeNull();
+      expect(jira.parseIssueReference('Follow up on PLAT-7', config)).toBeNull();
+      expect(jira.parseIssueReference('PLAT-7x Fix login', config)).toBeNull();
+    });
+
+    test('should ignore text without an issue', () => {
+      expect(jira.parseIssueReference('Fix login', config)).toBeNull();
+    });
+  });
+
+  describe('fetchPreview', () => {
+    test('should fetch the summary, status and assignee', async () => {
+      nock('https://jira.example.com')
+        .get('/rest/api/2/issue/PLAT-7')
+        .query({ fields: 'summary,status,assignee,description' })
+        .reply(200, {
+          key: 'PLAT-7',
+          fields: {
+            summary: 'Fix login',
+            status: { name: 'In Progress' },
+            assignee: { displayName: 'Ada Lovelace' },
+            description: 'Users are logged out'
+          }
+        });
+
+      const result = await jira.fetchPreview({ key: 'PLAT-7' }, config);
+
+      expect(result).toEqual({
+        success: true,
+        preview: {
+          key: 'PLAT-7',
+          title: 'Fix login',
+          url: 'https://jira.example.com/browse/PLAT-7',
+          status: 'In Progress',
+          assignee: 'Ada Lovelace',
+          description: 'Users are logged out'
+        }
+      });
+    });
+  });
+
+  describe('writeEstimate', () => {
+    test('should write the estimate to the default story points field', async () => {
+      const expectedAuth = `Basic ${Buffer.from('po@example.com:secret-token').toString('base64')}`;
+      const scope = nock('https://jira.example.com', { reqheaders: { authorization: expectedAuth } })
+        .put('/rest/api/2/issue/PLAT-7', { fields: { customfield_10016: 5 } })
+        .reply(204);
+
+      const result = await jira.writeEstimate({ key: 'PLAT-7' }, '5', config);
+
+      expect(result).toEqual({ success: true });
+      expect(scope.isDone()).toBe(true);
+    });
+
+    test('should use a bearer token and custom field when configured', async () => {
+      const scope = nock('https://jira.example.com', { reqheaders: { authorization: 'Bearer secret-token' } })
+        .put('/rest/api/2/issue/PLAT-7', { fields: { customfield_10002: 0.5 } })
+        .reply(204);
+
+      const result = await jira.writeEstimate({ key: 'PLAT-7' }, 0.5, {
+        baseUrl: config.baseUrl,
+        apiToken: config.apiToken,
+        storyPointsField: 'customfield_10002'
+      });
+
+      expect(result.success).toBe(true);
+      expect(scope.isDone()).toBe(true);
+    });
+
+    test('should reject estimates that are not numbers', async () => {
+      const result = await jira.writeEstimate({ key: 'PLAT-7' }, 'XL', config);
+
+      expect(result).toEqual({
+        success: false,
+        error: 'Jira story points must be a number, but the estimate was `XL`'
+      });
+    });
+
+    test('should describe errors returned by Jira', async () => {
+      nock('https://jira.example.com')
+        .put('/rest/api/2/issue/PLAT-7')
+        .reply(400, { errorMessages: [], errors: { customfield_10016: 'Field cannot be set.' } });
+
+      const result = await jira.writeEstimate({ key: 'PLAT-7' }, 3, config);
+
+      expect(result).toEqual({ success: false, error: 'Jira responded with 400: Field cannot be set.' });
+    });
+  });
+});
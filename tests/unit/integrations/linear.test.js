@@ -0,0 +1,145 @@
+const nock = require('nock');
+const linear = require('../../../src/integrations/linear');
+
+const config = { apiKey: 'lin_api_key', apiUrl: 'http://linear.test/graphql' };
+
+describe('Linear integration', () => {
+  beforeEach(() => {
+    if (!nock.isActive()) {
+      nock.activate();
+    }
+    nock.disableNetConnect();
+  });
+
+  afterEach(() => {
+    nock.cleanAll();
+    nock.enableNetConnect();
+  });
+
+  describe('parseIssueReference', () => {
+    test('should find linear.app URLs', () => {
+      expect(linear.parseIssueReference('<https://linear.app/acme/issue/ENG-482/fix-login>')).toEqual({
+        key: 'ENG-482',
+        url: 'https://linear.app/acme/issue/ENG-482/fix-login'
+      });
+    });
+
+    test('should find bare identifiers', () => {
+      expect(linear.parseIssueReference('ENG-482')).toEqual({ key: 'ENG-482', url: null });
+      expect(linear.parseIssueReference('ENG-482 Fix login').key).toBe('ENG-482');
+    });
+
+    test('should only take an identifier from the start of the text', () => {
+      expect(linear.parseIssueReference('Fix UTF-8 decoding')).toBeNull();
+      expect(linear.parseIssueReference('Follow up on ENG-482')).toBeNull();
+    });
+
+    test('should ignore text without an identifier', () => {
+      expect(linear.parseIssueReference('Fix the login page')).toBeNull();
+    });
+  });
+
+  describe('fetchPreview', () => {
+    test('should fetch the issue title, state and assignee', async () => {
+      const api = nock('http://linear.test', { reqheaders: { authorization: 'lin_api_key' } })
+        .post('/graphql', body => body.variables.id === 'ENG-482')
+        .reply(200, {
+          data: {
+            issue: {
+              identifier: 'ENG-482',
+              title: 'Fix login',
+              url: 'https://linear.app/acme/issue/ENG-482/fix-login',
+              description: 'Users are logged out',
+              state: { name: 'In Progress' },
+              assignee: null
+            }
+          }
+        });
+
+      const result = await linear.fetchPreview({ key: 'ENG-482' }, config);
+
+      expect(result).toEqual({
+        success: true,
+        preview: {
+          key: 'ENG-482',
+          title: 'Fix login',
+          url: 'https://linear.app/acme/issue/ENG-482/fix-login',
+          status: 'In Progress',
+          assignee: null,
+          description: 'Users are logged out'
+        }
+      });
+      expect(api.isDone()).toBe(true);
+    });
+
+    test('should report issues Linear does not know', async () => {
+      nock('http://linear.test')
+        .post('/graphql')
+        .reply(200, { data: null, errors: [{ message: 'Entity not found' }] });
+
+      const result = await linear.fetchPreview({ key: 'ENG-999' }, config);
+
+      expect(result).toEqual({ success: false, error: 'Linear returned an error: Entity not found' });
+    });
+  });
+
+  describe('toScaleValue', () => {
+    const team = { key: 'ENG', issueEstimationType: 'fibonacci', issueEstimationAllowZero: false, issueEstimationExtended: false };
+
+    test('should accept values on the team scale', () => {
+      expect(linear.toScaleValue('5', team)).toEqual({ value: 5 });
+    });
+
+    test('should respect the extended and zero settings', () => {
+      expect(linear.toScaleValue(13, team).error).toBe('`13` isn\'t on ENG\'s fibonacci estimate scale (1, 2, 3, 5, 8)');
+      expect(linear.toScaleValue(13, { ...team, issueEstimationExtended: true })).toEqual({ value: 13 });
+      expect(linear.toScaleValue(0, { ...team, issueEstimationAllowZero: true })).toEqual({ value: 0 });
+    });
+
+    test('should map T-shirt sizes to Linear\'s values', () => {
+      const tShirt = { ...team, issueEstimationType: 'tShirt' };
+
+      expect(linear.toScaleValue('M', tShirt)).toEqual({ value: 3 });
+      expect(linear.toScaleValue('XXL', tShirt).error).toBe('`XXL` isn\'t on ENG\'s tShirt estimate scale (XS, S, M, L, XL)');
+    });
+
+    test('should refuse teams that do not estimate', () => {
+      expect(linear.toScaleValue(3, { ...team, issueEstimationType: 'notUsed' }).error).toBe('ENG doesn\'t use estimates in Linear');
+    });
+  });
+
+  describe('writeEstimate', () => {
+    test('should update the issue estimate', async () => {
+      const api = nock('http://linear.test')
+        .post('/graphql', body => body.query.includes('issueEstimationType'))
+        .reply(200, { data: { issue: { id: 'issue-uuid', team: { key: 'ENG', issueEstimationType: 'exponential' } } } })
+        .post('/graphql', body => body.variables.id === 'issue-uuid' && body.variables.estimate === 8)
+        .reply(200, { data: { issueUpdate: { success: true } } });
+
+      const result = await linear.writeEstimate({ key: 'ENG-482' }, 8, config);
+
+      expect(result).toEqual({ success: true });
+      expect(api.isDone()).toBe(true);
+    });
+
+    test('should not update estimates that are off the scale', async () => {
+      nock('http://linear.test')
+        .post('/graphql')
+        .reply(200, { data: { issue: { id: 'issue-uuid', team: { key: 'ENG', issueEstimationType: 'exponential' } } } });
+
+      const result = await linear.writeEstimate({ key: 'ENG-482' }, 5, config);
+
+      expect(result).toEqual({ success: false, error: '`5` isn\'t on ENG\'s exponential estimate scale (1, 2, 4, 8, 16)' });
+    });
+
+    test('should describe HTTP errors', async () => {
+      nock('http://linear.test')
+        .post('/graphql')
+        .reply(400, { errors: [{ message: 'Authentication required' }] });
+
+      const result = await linear.writeEstimate({ key: 'ENG-482' }, 5, config);
+
+      expect(result).toEqual({ success: false, error: 'Linear responded with 400: Authentication required' });
+    });
+  });
+});
@@ -0,0 +1,153 @@
+const dns = require('dns');
+const http = require('http');
+const nock = require('nock');
+const {
+  isPrivateAddress,
+  isPrivateUrl,
+  lookupPublicAddress,
+  parsePreview,
+  fetchPreview
+} = require('../../../src/integrations/openGraph');
+
+/**
+ * Make `dns.lookup` resolve every host name to the given addresses
+ * @param {Array<string>} addresses - The IPv4 addresses to resolve to
+ */
+function resolveTo(addresses) {
+  jest.spyOn(dns, 'lookup').mockImplementation((hostname, options, callback) => {
+    callback(null, addresses.map(address => ({ address, family: 4 })));
+  });
+}
+
+describe('Open Graph previews', () => {
+  beforeEach(() => {
+    if (!nock.isActive()) {
+      nock.activate();
+    }
+    nock.disableNetConnect();
+  });
+
+  afterEach(() => {
+    nock.cleanAll();
+    nock.enableNetConnect();
+  });
+
+  describe('isPrivateUrl', () => {
+    test('should flag local and private addresses', () => {
+      ['http://localhost:3000', 'http://127.0.0.1', 'http://10.1.2.3', 'http://192.168.0.1', 'http://[::1]/', 'http://169.254.169.254/latest',
+        'http://100.64.0.1/', 'http://[::ffff:127.0.0.1]/', 'http://[fd00::1]/']
+        .forEach(url => expect(isPrivateUrl(new URL(url))).toBe(true));
+    });
+
+    test('should allow public hosts', () => {
+      expect(isPrivateUrl(new URL('https://example.com/page'))).toBe(false);
+      expect(isPrivateUrl(new URL('http://8.8.8.8/'))).toBe(false);
+    });
+  });
+
+  describe('isPrivateAddress', () => {
+    test('should flag carrier-grade NAT, benchmarking and multicast ranges', () => {
+      ['100.64.0.1', '100.127.255.255', '198.18.0.1', '224.0.0.1', '255.255.255.255']
+        .forEach(address => expect(isPrivateAddress(address)).toBe(true));
+    });
+
+    test('should allow public addresses', () => {
+      ['8.8.8.8', '100.128.0.1', '2606:4700::1111'].forEach(address => expect(isPrivateAddress(address)).toBe(false));
+    });
+  });
+
+  describe('lookupPublicAddress', () => {
+    test('should fail when any resolved address is private', done => {
+      resolveTo(['93.184.216.34', '10.0.0.5']);
+
+      lookupPublicAddress('example.com', {}, error => {
+        expect(error.message).toBe('example.com resolves to a private address');
+        done();
+      });
+    });
+
+    test('should pass on public addresses in the form that was asked for', done => {
+      resolveTo(['93.184.216.34']);
+
+      lookupPublicAddress('example.com', {}, (error, address, family) => {
+        expect(error).toBeNull();
+        expect([address, family]).toEqual(['93.184.216.34', 4]);
+
+        lookupPublicAddress('example.com', { all: true }, (allError, addresses) => {
+          expect(addresses).toEqual([{ address: '93.184.216.34', family: 4 }]);
+          done();
+        });
+      });
+    });
+  });
+
+  describe('parsePreview', () => {
+    test('should read Open Graph tags', () => {
+      const html = `<head>
+        <meta content='Spec for &quot;login&quot;' property='og:title'>
+        <meta property="og:description" content="How login works">
+      </head>`;
+
+      expect(parsePreview(html, 'https://example.com/spec')).toEqual({
+        key: null,
+        title: 'Spec for "login"',
+        url: 'https://example.com/spec',
+        status: null,
+        assignee: null,
+        description: 'How login works',
+        source: null
+      });
+    });
+
+    test('should fall back to the page title and meta description', () => {
+      const preview = parsePreview('<title>Roadmap &#8211; Q3</title><meta name="description" content="Plans">', 'https://example.com');
+
+      expect(preview.title).toBe('Roadmap – Q3');
+      expect(preview.description).toBe('Plans');
+    });
+
+    test('should return null for pages without a title', () => {
+      expect(parsePreview('<p>Hello</p>', 'https://example.com')).toBeNull();
+    });
+  });
+
+  describe('fetchPreview', () => {
+    test('should not fetch private addresses', async () => {
+      await expect(fetchPreview('http://169.254.169.254/latest/meta-data')).resolves.toEqual({
+        success: false,
+        error: 'Previews are only fetched for public web pages'
+      });
+    });
+
+    test('should not connect to a public host name that resolves to a private address', async () => {
+      // Connect for real, so the socket's lookup runs
+      nock.restore();
+      const requests = [];
+      const server = http.createServer((req, res) => {
+        requests.push(req.url);
+        res.setHeader('Content-Type', 'text/html');
+        res.end('<title>Internal</title>');
+      });
+      await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+      resolveTo(['127.0.0.1']);
+
+      try {
+        const result = await fetchPreview(`http://preview.example.com:${server.address().port}/`);
+
+        expect(result.success).toBe(false);
+        expect(result.error).toContain('resolves to a private address');
+        expect(requests).toEqual([]);
+      } finally {
+        await new Promise(resolve => server.close(resolve));
+      }
+    });
+
+    test('should ignore responses that are not HTML', async () => {
+      nock('https://example.com').get('/file.pdf').reply(200, '%PDF', { 'Content-Type': 'application/pdf' });
+
+      const result = await fetchPreview('https://example.com/file.pdf');
+
+      expect(result.success).toBe(false);
+    });
+  });
+});
@@ -0,0 +1,151 @@
+const nock = require('nock');
+const {
+  previewCache,
+  trimDescription,
+  fetchIssuePreview,
+  linkIssueText
+} = require('../../../src/integrations/previews');
+const linear = require('../../../src/integrations/linear');
+const { listIntegrations } = require('../../../src/services/integrationService');
+
+jest.mock('../../../src/services/integrationService');
+jest.mock('../../../src/utils/logger', () => ({
+  log: jest.fn(),
+  error: jest.fn()
+}));
+
+describe('Issue previews', () => {
+  beforeEach(() => {
+    previewCache.clear();
+    listIntegrations.mockResolvedValue({ success: true, integrations: [] });
+
+    if (!nock.isActive()) {
+      nock.activate();
+    }
+    nock.disableNetConnect();
+  });
+
+  afterEach(() => {
+    nock.cleanAll();
+    nock.enableNetConnect();
+    jest.useRealTimers();
+  });
+
+  describe('fetchIssuePreview', () => {
+    test('should preview public GitHub issues without a connected tracker', async () => {
+      nock('https://api.github.com')
+        .get('/repos/acme/app/issues/12')
+        .reply(200, {
+          title: 'Login redirect loops',
+          html_url: 'https://github.com/acme/app/issues/12',
+          state: 'open',
+          assignees: [{ login: 'octocat' }],
+          body: 'Steps:\n\n1. Log in\n2. Watch it loop'
+        });
+
+      const preview = await fetchIssuePreview('T123', '<https://github.com/acme/app/issues/12>');
+
+      expect(preview).toEqual({
+        source: 'GitHub',
+        key: 'acme/app#12',
+        title: 'Login redirect loops',
+        url: 'https://github.com/acme/app/issues/12',
+        status: 'Open',
+        assignee: 'octocat',
+        description: 'Steps: 1. Log in 2. Watch it loop'
+      });
+    });
+
+    test('should use the workspace\'s tracker settings', async () => {
+      listIntegrations.mockResolvedValue({ success: true, integrations: [{ provider: 'linear', config: { apiKey: 'key' } }] });
+      const fetchPreview = jest.spyOn(linear, 'fetchPreview').mockResolvedValue({
+        success: true,
+        preview: { key: 'ENG-4', title: 'Fix login', url: 'https://linear.app/acme/issue/ENG-4', status: 'Todo', assignee: null, description: null }
+      });
+
+      const preview = await fetchIssuePreview('T123', 'ENG-4');
+
+      expect(fetchPreview).toHaveBeenCalledWith({ key: 'ENG-4', url: null }, { apiKey: 'key' });
+      expect(preview).toEqual(expect.objectContaining({ source: 'Linear', title: 'Fix login' }));
+
+      fetchPreview.mockRestore();
+    });
+
+    test('should fall back to a page\'s Open Graph tags', async () => {
+      nock('https://docs.example.com')
+        .get('/specs/login')
+        .reply(200, '<html><head><meta property="og:title" content="Login spec &amp; flows"><meta property="og:site_name" content="Docs"></head></html>', { 'Content-Type': 'text/html; charset=utf-8' });
+
+      const preview = await fetchIssuePreview('T123', 'Review https://docs.example.com/specs/login');
+
+      expect(preview).toEqual(expect.objectContaining({
+        key: null,
+        title: 'Login spec & flows',
+        url: 'https://docs.example.com/specs/login',
+        source: 'Docs'
+      }));
+    });
+
+    test('should cache previews', async () => {
+      const api = nock('https://api.github.com')
+        .get('/repos/acme/app/issues/12')
+        .once()
+        .reply(200, { title: 'Cached', state: 'open' });
+
+      await fetchIssuePreview('T123', 'https://github.com/acme/app/issues/12');
+      const preview = await fetchIssuePreview('T123', 'https://github.com/acme/app/issues/12');
+
+      expect(preview.title).toBe('Cached');
+      expect(api.isDone()).toBe(true);
+    });
+
+    test('should return null when the tracker fails', async () => {
+      nock('https://api.github.com')
+        .get('/repos/acme/app/issues/12')
+        .reply(404, { message: 'Not Found' });
+
+      await expect(fetchIssuePreview('T123', 'https://github.com/acme/app/issues/12')).resolves.toBeNull();
+    });
+
+    test('should give up when the lookup takes too long', async () => {
+      jest.useFakeTimers();
+      listIntegrations.mockReturnValue(new Promise(() => {}));
+
+      const pending = fetchIssuePreview('T123', 'ENG-4');
+      jest.runOnlyPendingTimers();
+
+      await expect(pending).resolves.toBeNull();
+    });
+
+    test('should skip plain text', async () => {
+      await expect(fetchIssuePreview('T123', 'Add a settings page')).resolves.toBeNull();
+    });
+  });
+
+  describe('trimDescription', () => {
+    test('should strip markup and shorten long descriptions', () => {
+      const long = `<p>${'word '.repeat(100)}</p>`;
+      const trimmed = trimDescription(long);
+
+      expect(trimmed.length).toBeLessThanOrEqual(281);
+      expect(trimmed).toMatch(/^word word .*word…$/);
+    });
+
+    test('should return null for empty descriptions', () => {
+      expect(trimDescription('  <!-- template -->  ')).toBeNull();
+    });
+  });
+
+  describe('linkIssueText', () => {
+    const preview = { key: 'ENG-4', title: 'Fix <login>', url: 'https://linear.app/acme/issue/ENG-4' };
+
+    test('should link a bare key to its issue', () => {
+      expect(linkIssueText(' ENG-4 ', preview)).toBe('<https://linear.app/acme/issue/ENG-4|ENG-4: Fix &lt;login&gt;>');
+    });
+
+    test('should leave other text as typed', () => {
+      expect(linkIssueText('ENG-4 follow-up', preview)).toBe('ENG-4 follow-up');
+      expect(linkIssueText('ENG-4', null)).toBe('ENG-4');
+    });
+  });
+});
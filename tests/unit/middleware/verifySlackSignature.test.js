@@ -0,0 +1,158 @@
+const {
+  computeSignature,
+  verifySignature,
+  verifySlackSignature,
+  captureRawBody
+} = require('../../../src/middleware/verifySlackSignature');
+
+jest.mock('../../../src/utils/logger', () => ({
+  log: jest.fn(),
+  error: jest.fn(),
+  warn: jest.fn(),
+  info: jest.fn()
+}));
+
+describe('Slack Signature Verification', () => {
+  const secret = 'test-secret';
+  const rawBody = 'command=%2Fpoker&text=Test+issue';
+  const now = 1700000000;
+  const timestamp = String(now);
+
+  describe('computeSignature', () => {
+    test('should produce a v0 prefixed hex signature', () => {
+      const signature = computeSignature(secret, timestamp, rawBody);
+
+      expect(signature).toMatch(/^v0=[0-9a-f]{64}$/);
+      expect(computeSignature(secret, timestamp, rawBody)).toBe(signature);
+    });
+  });
+
+  describe('verifySignature', () => {
+    test('should accept a valid signature', () => {
+      const signature = computeSignature(secret, timestamp, rawBody);
+
+      const result = verifySignature({ signature, timestamp, rawBody, secrets: [secret], now });
+
+      expect(result.valid).toBe(true);
+    });
+
+    test('should accept a signature from any configured secret', () => {
+      const signature = computeSignature('previous-secret', timestamp, rawBody);
+
+      const result = verifySignature({
+        signature,
+        timestamp,
+        rawBody,
+        secrets: [secret, 'previous-secret'],
+        now
+      });
+
+      expect(result.valid).toBe(true);
+    });
+
+    test('should reject a tampered body', () => {
+      const signature = computeSignature(secret, timestamp, rawBody);
+
+      const result = verifySignature({
+        signature,
+        timestamp,
+        rawBody: `${rawBody}&extra=1`,
+        secrets: [secret],
+        now
+      });
+
+      expect(result.valid).toBe(false);
+      expect(result.reason).toBe('Invalid Slack signature');
+    });
+
+    test('should reject timestamps older than five minutes', () => {
+      const signature = computeSignature(secret, timestamp, rawBody);
+
+      const result = verifySignature({ signature, timestamp, rawBody, secrets: [secret], now: now + 301 });
+
+      expect(result.valid).toBe(false);
+      expect(result.reason).toContain('too old');
+    });
+
+    test('should reject missing headers', () => {
+      const result = verifySignature({ rawBody, secrets: [secret], now });
+
+      expect(result.valid).toBe(false);
+      expect(result.reason).toContain('Missing');
+    });
+
+    test('should reject when no secret is configured', () => {
+      const signature = computeSignature(secret, timestamp, rawBody);
+
+      const result = verifySignature({ signature, timestamp, rawBody, secrets: [], now });
+
+      expect(result.valid).toBe(false);
+      expect(result.reason).toContain('not configured');
+    });
+  });
+
+  describe('verifySlackSignature middleware', () => {
+    const originalSecret = process.env.SLACK_SIGNING_SECRET;
+    let res, next;
+
+    beforeEach(() => {
+      process.env.SLACK_SIGNING_SECRET = secret;
+      res = {
+        status: jest.fn().mockReturnThis(),
+        json: jest.fn().mockReturnThis()
+      };
+      next = jest.fn();
+    });
+
+    afterAll(() => {
+      process.env.SLACK_SIGNING_SECRET = originalSecret;
+    });
+
+    function buildRequest(headers) {
+      return {
+        originalUrl: '/slack/commands',
+        rawBody,
+        get: name => headers[name]
+      };
+    }
+
+    test('should call next for a valid request', () => {
+      const currentTimestamp = String(Math.floor(Date.now() / 1000));
+      const req = buildRequest({
+        'X-Slack-Request-Timestamp': currentTimestamp,
+        'X-Slack-Signature': computeSignature(secret, currentTimestamp, rawBody)
+      });
+
+      verifySlackSignature(req, res, next);
+
+      expect(next).toHaveBeenCalled();
+      expect(res.status).not.toHaveBeenCalled();
+    });
+
+    test('should respond with 401 for an invalid request', () => {
+      const req = buildRequest({
+        'X-Slack-Request-Timestamp': String(Math.floor(Date.now() / 1000)),
+        'X-Slack-Signature': 'v0=invalid'
+      });
+
+      verifySlackSignature(req, res, next);
+
+      expect(next).not.toHaveBeenCalled();
+      expect(res.status).toHaveBeenCalledWith(401);
+      expect(res.json).toHaveBeenCalledWith({
+        error: 'invalid_signature',
+        message: 'Invalid Slack signature'
+      });
+    });
+  });
+
+  describe('captureRawBody', () => {
+    test('should store the raw body on the request', () => {
+      const req = {};
+
+      captureRawBody(req, {}, Buffer.from(rawBody), 'utf8');
+
+      expect(req.rawBody).toBe(rawBody);
+    });
+  });
+});
@@ -0,0 +1,165 @@
+const {
+  saveCustomDeck,
+  deleteCustomDeck,
+  getDeck,
+  listDecks,
+  setChannelDefaultDeck,
+  getChannelDeck
+} = require('../../../src/services/deckService');
+
+// Mock Supabase with proper method chaining
+jest.mock('../../../src/db/supabase', () => {
+  const mockSupabase = {
+    from: jest.fn(),
+    upsert: jest.fn(),
+    select: jest.fn(),
+    delete: jest.fn(),
+    eq: jest.fn(),
+    order: jest.fn(),
+    limit: jest.fn()
+  };
+
+  // Make all methods return the mock object for chaining
+  Object.keys(mockSupabase).forEach(key => {
+    if (typeof mockSupabase[key] === 'function') {
+      mockSupabase[key].mockReturnValue(mockSupabase);
+    }
+  });
+
+  return mockSupabase;
+});
+
+const supabase = require('../../../src/db/supabase');
+
+describe('Deck Service', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+
+    // Reset all mocks to return the mock object for chaining
+    Object.keys(supabase).forEach(key => {
+      if (typeof supabase[key] === 'function') {
+        supabase[key].mockReturnValue(supabase);
+      }
+    });
+  });
+
+  describe('saveCustomDeck', () => {
+    test('should upsert a custom deck', async () => {
+      supabase.upsert.mockResolvedValue({ error: null });
+
+      const result = await saveCustomDeck('T123', 'hours', [1, 2, 4], 'U123');
+
+      expect(supabase.from).toHaveBeenCalledWith('decks');
+      expect(supabase.upsert).toHaveBeenCalledWith(
+        expect.objectContaining({ team_id: 'T123', name: 'hours', values: [1, 2, 4], created_by: 'U123' }),
+        expect.objectContaining({ onConflict: 'team_id,name' })
+      );
+      expect(result).toEqual({ success: true, deck: { name: 'hours', values: [1, 2, 4], builtIn: false } });
+    });
+
+    test('should refuse to replace a built-in deck', async () => {
+      const result = await saveCustomDeck('T123', 'fibonacci', [1, 2], 'U123');
+
+      expect(result.success).toBe(false);
+      expect(supabase.upsert).not.toHaveBeenCalled();
+    });
+
+    test('should handle database errors', async () => {
+      const mockError = { message: 'Database error' };
+      supabase.upsert.mockResolvedValue({ error: mockError });
+
+      const result = await saveCustomDeck('T123', 'hours', [1, 2], 'U123');
+
+      expect(result).toEqual({ success: false, error: mockError });
+    });
+  });
+
+  describe('deleteCustomDeck', () => {
+    test('should delete the deck for the team', async () => {
+      supabase.eq.mockReturnValueOnce(supabase).mockResolvedValueOnce({ error: null });
+
+      const result = await deleteCustomDeck('T123', 'hours');
+
+      expect(supabase.eq).toHaveBeenCalledWith('team_id', 'T123');
+      expect(supabase.eq).toHaveBeenCalledWith('name', 'hours');
+      expect(result.success).toBe(true);
+    });
+  });
+
+  describe('getDeck', () => {
+    test('should return built-in decks without querying the database', async () => {
+      const result = await getDeck('T123', 'tshirt');
+
+      expect(supabase.from).not.toHaveBeenCalled();
+      expect(result.deck.values).toEqual(['XS', 'S', 'M', 'L', 'XL', 'XXL']);
+    });
+
+    test('should return a custom deck', async () => {
+      supabase.limit.mockResolvedValue({ data: [{ name: 'hours', values: [1, 2, 4] }], error: null });
+
+      const result = await getDeck('T123', 'hours');
+
+      expect(result).toEqual({ success: true, deck: { name: 'hours', values: [1, 2, 4], builtIn: false } });
+    });
+
+    test('should return null for unknown decks', async () => {
+      supabase.limit.mockResolvedValue({ data: [], error: null });
+
+      const result = await getDeck('T123', 'missing');
+
+      expect(result).toEqual({ success: true, deck: null });
+    });
+  });
+
+  describe('listDecks', () => {
+    test('should list built-in and custom decks', async () => {
+      supabase.order.mockResolvedValue({ data: [{ name: 'hours', values: [1, 2] }], error: null });
+
+      const result = await listDecks('T123');
+
+      expect(result.decks.map(deck => deck.name)).toEqual(['standard', 'fibonacci', 'tshirt', 'powers', 'hours']);
+    });
+  });
+
+  describe('setChannelDefaultDeck', () => {
+    test('should upsert the channel setting', async () => {
+      supabase.upsert.mockResolvedValue({ error: null });
+
+      const result = await setChannelDefaultDeck('T123', 'C123', 'fibonacci');
+
+      expect(supabase.from).toHaveBeenCalledWith('channel_settings');
+      expect(supabase.upsert).toHaveBeenCalledWith(
+        expect.objectContaining({ team_id: 'T123', channel: 'C123', default_deck: 'fibonacci' }),
+        expect.objectContaining({ onConflict: 'team_id,channel' })
+      );
+      expect(result.success).toBe(true);
+    });
+  });
+
+  describe('getChannelDeck', () => {
+    test('should return the channel default deck', async () => {
+      supabase.limit.mockResolvedValue({ data: [{ default_deck: 'powers' }], error: null });
+
+      const result = await getChannelDeck('T123', 'C123');
+
+      expect(result.deck.name).toBe('powers');
+    });
+
+    test('should fall back to the default deck when none is set', async () => {
+      supabase.limit.mockResolvedValue({ data: [], error: null });
+
+      const result = await getChannelDeck('T123', 'C123');
+
+      expect(result.deck.name).toBe('standard');
+    });
+
+    test('should fall back to the default deck on errors', async () => {
+      supabase.limit.mockResolvedValue({ data: null, error: { message: 'Database error' } });
+
+      const result = await getChannelDeck('T123', 'C123');
+
+      expect(result.success).toBe(false);
+      expect(result.deck.name).toBe('standard');
+    });
+  });
+});
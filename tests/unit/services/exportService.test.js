@@ -0,0 +1,137 @@
+const {
+  MAX_EXPORT_SESSIONS,
+  resolveDateRange,
+  getExportData
+} = require('../../../src/services/exportService');
+
+jest.mock('../../../src/services/sessionService');
+jest.mock('../../../src/services/voteService');
+
+const sessionService = require('../../../src/services/sessionService');
+const voteService = require('../../../src/services/voteService');
+
+describe('Export Service', () => {
+  describe('resolveDateRange', () => {
+    test('should include the whole end date', () => {
+      expect(resolveDateRange('2024-03-01', '2024-03-31')).toEqual({
+        success: true,
+        from: '2024-03-01T00:00:00.000Z',
+        until: '2024-04-01T00:00:00.000Z'
+      });
+    });
+
+    test('should allow either end to be left out', () => {
+      expect(resolveDateRange(null, null)).toEqual({ success: true, from: null, until: null });
+      expect(resolveDateRange('2024-03-01', null).until).toBeNull();
+    });
+
+    test('should reject dates that are not real', () => {
+      expect(resolveDateRange('2024-02-31', null).success).toBe(false);
+      expect(resolveDateRange('March', null).error).toBe('Dates must look like `2024-03-31`.');
+    });
+
+    test('should reject a start date after the end date', () => {
+      expect(resolveDateRange('2024-04-01', '2024-03-01')).toEqual({
+        success: false,
+        error: 'The start date must not be after the end date.'
+      });
+    });
+  });
+
+  describe('getExportData', () => {
+    const filters = { tenant: { teamId: 'T123', enterpriseId: null }, channelId: 'C123', from: '2024-03-01T00:00:00.000Z', until: null };
+
+    test('should attach each session\'s votes by round', async () => {
+      sessionService.listSessionsInRange.mockResolvedValue({
+        success: true,
+        sessions: [
+          { id: 'sess-1', status: 'closed', round: 2, result_snapshot: { round: 2 } },
+          { id: 'sess-2', status: 'closed', round: 1, result_snapshot: { round: 1 } }
+        ]
+      });
+      voteService.getVotesForSessions.mockResolvedValue({
+        success: true,
+        votes: [
+          { session_id: 'sess-1', user_id: 'U1', vote: 3, round: 1 },
+          { session_id: 'sess-1', user_id: 'U1', vote: 5, round: 2 }
+        ]
+      });
+
+      const result = await getExportData(filters);
+
+      expect(sessionService.listSessionsInRange).toHaveBeenCalledWith(filters, { limit: 1000, offset: 0 });
+      expect(voteService.getVotesForSessions).toHaveBeenCalledWith(['sess-1', 'sess-2'], filters.tenant);
+      expect(result.success).toBe(true);
+      expect(result.truncated).toBe(false);
+      expect(result.sessions[0].rounds.map(entry => entry.round)).toEqual([1, 2]);
+      expect(result.sessions[1].rounds).toEqual([]);
+    });
+
+    test('should leave out the round still being voted on', async () => {
+      sessionService.listSessionsInRange.mockResolvedValue({
+        success: true,
+        sessions: [{ id: 'sess-1', status: 'open', round: 2, result_snapshot: { round: 1 } }]
+      });
+      voteService.getVotesForSessions.mockResolvedValue({
+        success: true,
+        votes: [
+          { session_id: 'sess-1', user_id: 'U1', vote: 3, round: 1 },
+          { session_id: 'sess-1', user_id: 'U1', vote: 5, round: 2 }
+        ]
+      });
+
+      const result = await getExportData(filters);
+
+      expect(result.sessions[0].rounds).toEqual([{ round: 1, votes: [expect.objectContaining({ vote: 3 })] }]);
+    });
+
+    test('should leave out rounds that were never revealed', async () => {
+      sessionService.listSessionsInRange.mockResolvedValue({
+        success: true,
+        sessions: [
+          { id: 'sess-1', status: 'closed', round: 2, result_snapshot: { round: 1 } },
+          { id: 'sess-2', status: 'closed', round: 1, result_snapshot: null },
+          { id: 'sess-3', status: 'closed', round: 1, result_snapshot: { votes: [] } }
+        ]
+      });
+      voteService.getVotesForSessions.mockResolvedValue({
+        success: true,
+        votes: [
+          { session_id: 'sess-1', user_id: 'U1', vote: 3, round: 1 },
+          { session_id: 'sess-1', user_id: 'U1', vote: 5, round: 2 },
+          { session_id: 'sess-2', user_id: 'U1', vote: 8, round: 1 },
+          { session_id: 'sess-3', user_id: 'U1', vote: 2, round: 1 }
+        ]
+      });
+
+      const result = await getExportData(filters);
+
+      expect(result.sessions[0].rounds).toEqual([{ round: 1, votes: [expect.objectContaining({ vote: 3 })] }]);
+      expect(result.sessions[1].rounds).toEqual([]);
+      expect(result.sessions[2].rounds).toEqual([{ round: 1, votes: [expect.objectContaining({ vote: 2 })] }]);
+    });
+
+    test('should read every page and stop at the export limit', async () => {
+      sessionService.listSessionsInRange.mockImplementation(async (range, { limit, offset }) => ({
+        success: true,
+        sessions: Array.from({ length: limit }, (item, index) => ({ id: `sess-${offset + index}`, status: 'closed' }))
+      }));
+      voteService.getVotesForSessions.mockResolvedValue({ success: true, votes: [] });
+
+      const result = await getExportData(filters);
+
+      expect(result.truncated).toBe(true);
+      expect(result.sessions).toHaveLength(MAX_EXPORT_SESSIONS);
+      expect(sessionService.listSessionsInRange).toHaveBeenLastCalledWith(filters, { limit: 1000, offset: MAX_EXPORT_SESSIONS });
+    });
+
+    test('should report database errors', async () => {
+      sessionService.listSessionsInRange.mockResolvedValue({ success: false, error: { message: 'Database error' }, sessions: [] });
+
+      const result = await getExportData(filters);
+
+      expect(result).toEqual({ success: false, error: { message: 'Database error' }, sessions: [] });
+      expect(voteService.getVotesForSessions).not.toHaveBeenCalled();
+    });
+  });
+});
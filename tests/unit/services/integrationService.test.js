@@ -0,0 +1,170 @@
+const {
+  getSecretContext,
+  saveIntegration,
+  getIntegration,
+  listIntegrations,
+  deleteIntegration
+} = require('../../../src/services/integrationService');
+const { encryptToken, decryptToken } = require('../../../src/utils/tokenEncryption');
+
+// Mock Supabase with proper method chaining
+jest.mock('../../../src/db/supabase', () => {
+  const mockSupabase = {
+    from: jest.fn(),
+    upsert: jest.fn(),
+    select: jest.fn(),
+    eq: jest.fn(),
+    limit: jest.fn(),
+    order: jest.fn(),
+    delete: jest.fn()
+  };
+
+  // Make all methods return the mock object for chaining
+  Object.keys(mockSupabase).forEach(key => {
+    if (typeof mockSupabase[key] === 'function') {
+      mockSupabase[key].mockReturnValue(mockSupabase);
+    }
+  });
+
+  return mockSupabase;
+});
+
+const supabase = require('../../../src/db/supabase');
+
+describe('Integration Service', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+
+    // Reset all mocks to return the mock object for chaining
+    Object.keys(supabase).forEach(key => {
+      if (typeof supabase[key] === 'function') {
+        supabase[key].mockReturnValue(supabase);
+      }
+    });
+  });
+
+  describe('saveIntegration', () => {
+    test('should upsert the tracker settings for the workspace', async () => {
+      supabase.upsert.mockResolvedValue({ error: null });
+      const config = { baseUrl: 'https://jira.example.com', apiToken: 'abc' };
+
+      const result = await saveIntegration('T123', 'jira', config, 'U123');
+
+      expect(supabase.from).toHaveBeenCalledWith('integrations');
+      expect(supabase.upsert).toHaveBeenCalledWith(
+        expect.objectContaining({ team_id: 'T123', provider: 'jira', config, updated_by: 'U123' }),
+        expect.objectContaining({ onConflict: 'team_id,provider' })
+      );
+      expect(result.success).toBe(true);
+    });
+
+    test('should encrypt API tokens when an encryption key is configured', async () => {
+      process.env.TOKEN_ENCRYPTION_KEYS = `k1:${Buffer.alloc(32, 1).toString('base64')}`;
+      supabase.upsert.mockResolvedValue({ error: null });
+
+      try {
+        const result = await saveIntegration('T123', 'jira', { baseUrl: 'https://jira.example.com', apiToken: 'abc' }, 'U123');
+
+        const row = supabase.upsert.mock.calls[0][0];
+        expect(result.success).toBe(true);
+        expect(row.config.baseUrl).toBe('https://jira.example.com');
+        expect(row.config.apiToken).toMatch(/^enc:v1:/);
+        expect(row.token_key_id).toBe('k1');
+        expect(decryptToken(row.config.apiToken, 'k1', getSecretContext('T123', 'jira', 'apiToken'))).toBe('abc');
+      } finally {
+        delete process.env.TOKEN_ENCRYPTION_KEYS;
+      }
+    });
+
+    test('should handle database errors', async () => {
+      const mockError = { message: 'Database error' };
+      supabase.upsert.mockResolvedValue({ error: mockError });
+
+      const result = await saveIntegration('T123', 'jira', {}, 'U123');
+
+      expect(result).toEqual({ success: false, error: mockError });
+    });
+  });
+
+  describe('getIntegration', () => {
+    test('should return the tracker settings', async () => {
+      supabase.limit.mockResolvedValue({ data: [{ provider: 'jira', config: { apiToken: 'abc' } }], error: null });
+
+      const result = await getIntegration('T123', 'jira');
+
+      expect(supabase.eq).toHaveBeenCalledWith('team_id', 'T123');
+      expect(supabase.eq).toHaveBeenCalledWith('provider', 'jira');
+      expect(result).toEqual({ success: true, config: { apiToken: 'abc' } });
+    });
+
+    test('should decrypt API tokens', async () => {
+      process.env.TOKEN_ENCRYPTION_KEYS = `k1:${Buffer.alloc(32, 1).toString('base64')}`;
+
+      try {
+        const { value } = encryptToken('abc', getSecretContext('T123', 'linear', 'apiKey'));
+        supabase.limit.mockResolvedValue({
+          data: [{ team_id: 'T123', provider: 'linear', config: { apiKey: value }, token_key_id: 'k1' }],
+          error: null
+        });
+
+        const result = await getIntegration('T123', 'linear');
+
+        expect(result).toEqual({ success: true, config: { apiKey: 'abc' } });
+      } finally {
+        delete process.env.TOKEN_ENCRYPTION_KEYS;
+      }
+    });
+
+    test('should not decrypt another workspace\'s API token', async () => {
+      process.env.TOKEN_ENCRYPTION_KEYS = `k1:${Buffer.alloc(32, 1).toString('base64')}`;
+
+      try {
+        const { value } = encryptToken('abc', getSecretContext('T999', 'jira', 'apiToken'));
+        supabase.limit.mockResolvedValue({
+          data: [{ team_id: 'T123', provider: 'jira', config: { apiToken: value }, token_key_id: 'k1' }],
+          error: null
+        });
+
+        const result = await getIntegration('T123', 'jira');
+
+        expect(result.success).toBe(false);
+        expect(result.config).toBeNull();
+      } finally {
+        delete process.env.TOKEN_ENCRYPTION_KEYS;
+      }
+    });
+
+    test('should return null when the tracker is not set up', async () => {
+      supabase.limit.mockResolvedValue({ data: [], error: null });
+
+      const result = await getIntegration('T123', 'jira');
+
+      expect(result).toEqual({ success: true, config: null });
+    });
+  });
+
+  describe('listIntegrations', () => {
+    test('should list the workspace\'s trackers', async () => {
+      supabase.order.mockResolvedValue({ data: [{ team_id: 'T123', provider: 'jira', config: { apiToken: 'abc' } }], error: null });
+
+      const result = await listIntegrations('T123');
+
+      expect(supabase.eq).toHaveBeenCalledWith('team_id', 'T123');
+      expect(supabase.order).toHaveBeenCalledWith('provider', { ascending: true });
+      expect(result).toEqual({ success: true, integrations: [{ provider: 'jira', config: { apiToken: 'abc' } }] });
+    });
+  });
+
+  describe('deleteIntegration', () => {
+    test('should remove the tracker settings', async () => {
+      supabase.eq
+        .mockReturnValueOnce(supabase)
+        .mockResolvedValueOnce({ error: null });
+
+      const result = await deleteIntegration('T123', 'jira');
+
+      expect(supabase.delete).toHaveBeenCalled();
+      expect(result.success).toBe(true);
+    });
+  });
+});
@@ -0,0 +1,209 @@
+// Run the services against the in-memory repositories instead of a mocked Supabase client
+process.env.STORAGE_BACKEND = 'memory';
+
+const repositories = require('../../../src/db/repositories');
+const {
+  createSession,
+  getLatestSessionForChannel,
+  listOpenSessionsForChannel,
+  listSessionsForChannel,
+  getSessionById,
+  revealSession,
+  startNewRound,
+  setFinalEstimate,
+  latestSessionPerChannel
+} = require('../../../src/services/sessionService');
+const { saveVote, hasUserVoted, getSessionVotes, countVotes } = require('../../../src/services/voteService');
+const { getExportData } = require('../../../src/services/exportService');
+const { saveCustomDeck, listDecks, setChannelDefaultDeck, getChannelDeck } = require('../../../src/services/deckService');
+const { createQueue, getQueueById, getActiveQueueForChannel, cancelQueue } = require('../../../src/services/queueService');
+const { saveIntegration, getIntegration, listIntegrations, deleteIntegration } = require('../../../src/services/integrationService');
+const {
+  saveTeamInstallation,
+  getTeamInstallation,
+  updateTeamTokens,
+  listExpiringInstallations,
+  removeTeamInstallation,
+  scheduleWorkspacePurge,
+  cancelWorkspacePurge,
+  listDueWorkspacePurges
+} = require('../../../src/services/teamService');
+
+const tenant = { teamId: 'T123', enterpriseId: null };
+const otherTenant = { teamId: 'T456', enterpriseId: null };
+
+describe('Services on the in-memory backend', () => {
+  beforeEach(() => {
+    repositories.reset();
+    Object.keys(latestSessionPerChannel).forEach(key => {
+      delete latestSessionPerChannel[key];
+    });
+  });
+
+  afterAll(() => {
+    delete process.env.STORAGE_BACKEND;
+  });
+
+  test('should use the in-memory repositories', () => {
+    expect(repositories.backend).toBe('memory');
+  });
+
+  test('should run a session from the first vote to the final estimate', async () => {
+    const { sessionId } = await createSession(tenant, 'C123', 'Login page');
+
+    await saveVote(tenant, sessionId, 'U1', 3, 'alice');
+    await saveVote(tenant, sessionId, 'U2', 5, 'bob');
+    await saveVote(tenant, sessionId, 'U2', 8, 'bob');
+
+    expect((await hasUserVoted(tenant, sessionId, 'U2')).hasVoted).toBe(true);
+    expect((await countVotes(tenant, sessionId)).count).toBe(2);
+
+    const revealed = await revealSession(tenant, sessionId, 'U1', { average: 5.5 });
+    expect(revealed).toEqual(expect.objectContaining({
+      success: true,
+      session: expect.objectContaining({ status: 'revealed', revealed_by: 'U1' })
+    }));
+
+    const reopened = await startNewRound(tenant, sessionId);
+    expect(reopened.session).toEqual(expect.objectContaining({ status: 'open', round: 2, revealed_by: null }));
+    expect((await hasUserVoted(tenant, sessionId, 'U2', 2)).hasVoted).toBe(false);
+
+    await saveVote(tenant, sessionId, 'U1', 5, 'alice', 2);
+    await revealSession(tenant, sessionId, 'U1', { average: 5 });
+
+    const closed = await setFinalEstimate(tenant, sessionId, 5, 'U1');
+    expect(closed.session).toEqual(expect.objectContaining({ status: 'closed', final_estimate: 5 }));
+
+    const { session, votes } = await getSessionVotes(tenant, sessionId);
+    expect(session.id).toBe(sessionId);
+    expect(votes.map(vote => [vote.round, vote.user_id, vote.vote])).toEqual([
+      [1, 'U1', 3],
+      [1, 'U2', 8],
+      [2, 'U1', 5]
+    ]);
+  });
+
+  test('should let only one of two concurrent reveals win', async () => {
+    const { sessionId } = await createSession(tenant, 'C123', 'Login page');
+
+    const [first, second] = await Promise.all([
+      revealSession(tenant, sessionId, 'U1', {}),
+      revealSession(tenant, sessionId, 'U2', {})
+    ]);
+
+    expect([first.success, second.success].sort()).toEqual([false, true]);
+    expect([first.error, second.error]).toContain('concurrent_transition');
+  });
+
+  test('should find a channel\'s sessions without the in-memory cache', async () => {
+    await createSession(tenant, 'C123', 'Login page');
+    const { sessionId } = await createSession(tenant, 'C123', 'Signup page');
+    await createSession(tenant, 'C123', 'Threaded', { threadTs: '111.222' });
+    Object.keys(latestSessionPerChannel).forEach(key => {
+      delete latestSessionPerChannel[key];
+    });
+
+    expect((await getLatestSessionForChannel(tenant, 'C123')).session.id).toBe(sessionId);
+    expect((await getLatestSessionForChannel(tenant, 'C123', '111.222')).session.issue).toBe('Threaded');
+    expect((await listOpenSessionsForChannel(tenant, 'C123')).sessions).toHaveLength(3);
+    expect((await listSessionsForChannel(tenant, 'C123', { search: ['signup'] })).sessions.map(session => session.id)).toEqual([sessionId]);
+  });
+
+  test('should keep workspaces apart', async () => {
+    const { sessionId } = await createSession(tenant, 'C123', 'Login page');
+    await saveVote(tenant, sessionId, 'U1', 3, 'alice');
+
+    expect((await getSessionById(otherTenant, sessionId)).session).toBeNull();
+    expect((await getLatestSessionForChannel(otherTenant, 'C123')).session).toBeNull();
+    expect((await revealSession(otherTenant, sessionId, 'U9', {})).error).toBe('session_not_found');
+    expect((await countVotes(otherTenant, sessionId)).count).toBe(0);
+  });
+
+  test('should refuse to read sessions without a workspace', async () => {
+    const result = await getSessionById(null, 'sess-1');
+
+    expect(result.success).toBe(false);
+    expect(result.error.message).toContain('team ID');
+  });
+
+  test('should export a workspace\'s sessions with their votes', async () => {
+    const { sessionId } = await createSession(tenant, 'C123', 'Login page');
+    await createSession(otherTenant, 'C123', 'Elsewhere');
+    await saveVote(tenant, sessionId, 'U1', 3, 'alice');
+    await revealSession(tenant, sessionId, 'U1', {});
+
+    const { success, sessions } = await getExportData({ tenant });
+
+    expect(success).toBe(true);
+    expect(sessions).toEqual([expect.objectContaining({
+      id: sessionId,
+      rounds: [{ round: 1, votes: [expect.objectContaining({ user_id: 'U1', vote: 3 })] }]
+    })]);
+  });
+
+  test('should store installations and rotate their tokens', async () => {
+    await saveTeamInstallation({
+      team_id: 'T123',
+      team_name: 'Test Team',
+      bot_token: 'xoxe.xoxb-1',
+      refresh_token: 'xoxe-1-refresh',
+      token_expires_at: '2024-03-01T12:00:00.000Z',
+      installed_at: '2024-03-01T00:00:00.000Z'
+    });
+
+    const expiring = await listExpiringInstallations(new Date('2024-03-01T12:00:00.000Z'));
+    expect(expiring.installations).toEqual([{ team_id: 'T123', token_expires_at: '2024-03-01T12:00:00.000Z' }]);
+
+    const tokens = { botToken: 'xoxe.xoxb-2', refreshToken: 'xoxe-2-refresh', expiresAt: '2024-03-02T00:00:00.000Z' };
+    expect((await updateTeamTokens('T123', tokens, '2024-03-01T12:00:00.000Z')).updated).toBe(true);
+    expect((await updateTeamTokens('T123', tokens, '2024-03-01T12:00:00.000Z')).updated).toBe(false);
+
+    const { installation } = await getTeamInstallation('T123');
+    expect(installation).toEqual(expect.objectContaining({ bot_token: 'xoxe.xoxb-2', refresh_token: 'xoxe-2-refresh' }));
+
+    await removeTeamInstallation('T123');
+    expect((await getTeamInstallation('T123')).installation).toBeNull();
+  });
+
+  test('should schedule and cancel workspace purges', async () => {
+    await scheduleWorkspacePurge('T123', 'app_uninstalled', { graceDays: 0 });
+    await scheduleWorkspacePurge('T456', 'tokens_revoked', { graceDays: 0 });
+    await cancelWorkspacePurge('T456');
+
+    const { purges } = await listDueWorkspacePurges(new Date(Date.now() + 1000));
+
+    expect(purges).toEqual([expect.objectContaining({ team_id: 'T123', reason: 'app_uninstalled' })]);
+  });
+
+  test('should store custom decks and channel defaults', async () => {
+    await saveCustomDeck('T123', 'hours', [1, 2, 4, 8], 'U1');
+    await setChannelDefaultDeck('T123', 'C123', 'hours');
+
+    expect((await listDecks('T123')).decks).toEqual(expect.arrayContaining([{ name: 'hours', values: [1, 2, 4, 8], builtIn: false }]));
+    expect((await getChannelDeck('T123', 'C123')).deck).toEqual({ name: 'hours', values: [1, 2, 4, 8], builtIn: false });
+    expect((await getChannelDeck('T456', 'C123')).deck.name).not.toBe('hours');
+  });
+
+  test('should run and cancel backlog queues per workspace', async () => {
+    const { queue } = await createQueue(tenant, 'C123', ['Login page', 'Signup page']);
+
+    expect((await getActiveQueueForChannel(otherTenant, 'C123')).queue).toBeNull();
+    expect((await getQueueById(otherTenant, queue.id)).queue).toBeNull();
+    await cancelQueue(otherTenant, queue.id);
+    expect((await getActiveQueueForChannel(tenant, 'C123')).queue.id).toBe(queue.id);
+
+    await cancelQueue(tenant, queue.id);
+    expect((await getActiveQueueForChannel(tenant, 'C123')).queue).toBeNull();
+  });
+
+  test('should store issue tracker settings', async () => {
+    await saveIntegration('T123', 'jira', { baseUrl: 'https://jira.example.com', apiToken: 'secret' }, 'U1');
+
+    expect((await getIntegration('T123', 'jira')).config).toEqual({ baseUrl: 'https://jira.example.com', apiToken: 'secret' });
+    expect((await listIntegrations('T456')).integrations).toEqual([]);
+
+    await deleteIntegration('T123', 'jira');
+
+    expect((await getIntegration('T123', 'jira')).config).toBeNull();
+  });
+});
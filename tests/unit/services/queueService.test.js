@@ -0,0 +1,196 @@
+const {
+  QUEUE_STATUS,
+  createQueue,
+  getQueueById,
+  getActiveQueueForChannel,
+  updateQueue,
+  cancelQueue
+} = require('../../../src/services/queueService');
+
+// Mock Supabase with proper method chaining
+jest.mock('../../../src/db/supabase', () => {
+  const mockSupabase = {
+    from: jest.fn(),
+    insert: jest.fn(),
+    update: jest.fn(),
+    select: jest.fn(),
+    eq: jest.fn(),
+    order: jest.fn(),
+    limit: jest.fn()
+  };
+
+  // Make all methods return the mock object for chaining
+  Object.keys(mockSupabase).forEach(key => {
+    if (typeof mockSupabase[key] === 'function') {
+      mockSupabase[key].mockReturnValue(mockSupabase);
+    }
+  });
+
+  return mockSupabase;
+});
+
+const supabase = require('../../../src/db/supabase');
+
+describe('Queue Service', () => {
+  const tenant = { teamId: 'T123', enterpriseId: null };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+
+    // Reset all mocks to return the mock object for chaining
+    Object.keys(supabase).forEach(key => {
+      if (typeof supabase[key] === 'function') {
+        supabase[key].mockReturnValue(supabase);
+      }
+    });
+  });
+
+  describe('createQueue', () => {
+    test('should store the issues in order with the deck', async () => {
+      supabase.insert.mockResolvedValue({ error: null });
+
+      const result = await createQueue({ teamId: 'T123', enterpriseId: 'E123' }, 'C123', ['PROJ-1', 'PROJ-2'], {
+        deck: { name: 'tshirt', values: ['S', 'M', 'L'] },
+        userId: 'U123'
+      });
+
+      expect(supabase.from).toHaveBeenCalledWith('session_queues');
+      expect(supabase.insert).toHaveBeenCalledWith(expect.objectContaining({
+        team_id: 'T123',
+        enterprise_id: 'E123',
+        channel: 'C123',
+        items: [
+          { issue: 'PROJ-1', session_id: null, final_estimate: null, skipped: false },
+          { issue: 'PROJ-2', session_id: null, final_estimate: null, skipped: false }
+        ],
+        position: 0,
+        status: QUEUE_STATUS.ACTIVE,
+        deck_name: 'tshirt',
+        deck_values: ['S', 'M', 'L'],
+        created_by: 'U123'
+      }));
+      expect(result.success).toBe(true);
+      expect(result.queue.id).toMatch(/^queue-[0-9a-f-]{36}$/);
+    });
+
+    test('should give queues started in the same millisecond different IDs', async () => {
+      supabase.insert.mockResolvedValue({ error: null });
+      jest.spyOn(Date, 'now').mockReturnValue(1700000000000);
+
+      const first = await createQueue(tenant, 'C123', ['PROJ-1']);
+      const second = await createQueue(tenant, 'C456', ['PROJ-2']);
+
+      expect(first.queue.id).not.toBe(second.queue.id);
+    });
+
+    test('should refuse to create a queue without a workspace', async () => {
+      const result = await createQueue(null, 'C123', ['PROJ-1']);
+
+      expect(result.success).toBe(false);
+      expect(supabase.insert).not.toHaveBeenCalled();
+    });
+
+    test('should return an error when the insert fails', async () => {
+      supabase.insert.mockResolvedValue({ error: { message: 'Insert failed' } });
+
+      const result = await createQueue(tenant, 'C123', ['PROJ-1']);
+
+      expect(result).toEqual({ success: false, error: { message: 'Insert failed' }, queue: null });
+    });
+  });
+
+  describe('getQueueById', () => {
+    test('should return the queue', async () => {
+      supabase.limit.mockResolvedValue({ data: [{ id: 'queue-1' }], error: null });
+
+      const result = await getQueueById(tenant, 'queue-1');
+
+      expect(supabase.eq).toHaveBeenCalledWith('team_id', 'T123');
+      expect(supabase.eq).toHaveBeenCalledWith('id', 'queue-1');
+      expect(result).toEqual({ success: true, queue: { id: 'queue-1' } });
+    });
+
+    test('should refuse to look up queues without a workspace', async () => {
+      const result = await getQueueById(null, 'queue-1');
+
+      expect(result.success).toBe(false);
+      expect(result.error.message).toContain('team ID');
+      expect(supabase.limit).not.toHaveBeenCalled();
+    });
+
+    test('should return null when the queue does not exist', async () => {
+      supabase.limit.mockResolvedValue({ data: [], error: null });
+
+      const result = await getQueueById(tenant, 'queue-missing');
+
+      expect(result).toEqual({ success: true, queue: null });
+    });
+  });
+
+  describe('getActiveQueueForChannel', () => {
+    test('should look up the newest active queue in the channel', async () => {
+      supabase.limit.mockResolvedValue({ data: [{ id: 'queue-2' }], error: null });
+
+      const result = await getActiveQueueForChannel(tenant, 'C123');
+
+      expect(supabase.eq).toHaveBeenCalledWith('team_id', 'T123');
+      expect(supabase.eq).toHaveBeenCalledWith('channel', 'C123');
+      expect(supabase.eq).toHaveBeenCalledWith('status', QUEUE_STATUS.ACTIVE);
+      expect(supabase.order).toHaveBeenCalledWith('created_at', { ascending: false });
+      expect(result).toEqual({ success: true, queue: { id: 'queue-2' } });
+    });
+
+    test('should return an error when the query fails', async () => {
+      supabase.limit.mockResolvedValue({ data: null, error: { message: 'Query failed' } });
+
+      const result = await getActiveQueueForChannel(tenant, 'C123');
+
+      expect(result).toEqual({ success: false, error: { message: 'Query failed' }, queue: null });
+    });
+
+    test('should refuse to look up queues without a workspace', async () => {
+      const result = await getActiveQueueForChannel(null, 'C123');
+
+      expect(result.success).toBe(false);
+      expect(result.error.message).toContain('team ID');
+      expect(supabase.limit).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('updateQueue', () => {
+    test('should update the given columns of the workspace\'s queue', async () => {
+      supabase.eq.mockReturnValueOnce(supabase).mockResolvedValueOnce({ error: null });
+
+      const result = await updateQueue(tenant, 'queue-1', { position: 2 });
+
+      expect(supabase.update).toHaveBeenCalledWith({ position: 2 });
+      expect(supabase.eq).toHaveBeenCalledWith('team_id', 'T123');
+      expect(supabase.eq).toHaveBeenCalledWith('id', 'queue-1');
+      expect(result).toEqual({ success: true });
+    });
+  });
+
+  describe('cancelQueue', () => {
+    test('should mark the workspace\'s queue as cancelled', async () => {
+      supabase.eq.mockReturnValueOnce(supabase).mockResolvedValueOnce({ error: null });
+
+      const result = await cancelQueue(tenant, 'queue-1');
+
+      expect(supabase.update).toHaveBeenCalledWith(expect.objectContaining({
+        status: QUEUE_STATUS.CANCELLED,
+        finished_at: expect.any(String)
+      }));
+      expect(supabase.eq).toHaveBeenCalledWith('team_id', 'T123');
+      expect(supabase.eq).toHaveBeenCalledWith('id', 'queue-1');
+      expect(result).toEqual({ success: true });
+    });
+
+    test('should return an error when the update fails', async () => {
+      supabase.eq.mockReturnValueOnce(supabase).mockResolvedValueOnce({ error: { message: 'Update failed' } });
+
+      const result = await cancelQueue(tenant, 'queue-1');
+
+      expect(result).toEqual({ success: false, error: { message: 'Update failed' } });
+    });
+  });
+});
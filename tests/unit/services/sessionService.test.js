@@ -1,6 +1,16 @@
 const { 
   createSession,
   getLatestSessionForChannel,
+  listOpenSessionsForChannel,
+  listSessionsForChannel,
+  listSessionsInRange,
+  getSessionById,
+  setSessionMessage,
+  transitionSession,
+  revealSession,
+  startNewRound,
+  closeSession,
+  setFinalEstimate,
   latestSessionPerChannel
 } = require('../../../src/services/sessionService');
 
@@ -9,12 +19,17 @@ jest.mock('../../../src/db/supabase', () => {
   const mockSupabase = {
     from: jest.fn(),
     insert: jest.fn(),
+    update: jest.fn(),
     select: jest.fn(),
     delete: jest.fn(),
     eq: jest.fn(),
+    gte: jest.fn(),
     lt: jest.fn(),
     in: jest.fn(),
+    is: jest.fn(),
+    ilike: jest.fn(),
     order: jest.fn(),
+    range: jest.fn(),
     limit: jest.fn()
   };
 
@@ -30,6 +45,8 @@ jest.mock('../../../src/db/supabase', () => {
 
 const supabase = require('../../../src/db/supabase');
 
+const tenant = { teamId: 'T123', enterpriseId: null };
+
 describe('Session Service', () => {
   beforeEach(() => {
     jest.clearAllMocks();
@@ -53,17 +70,58 @@ describe('Session Service', () => {
       supabase.insert.mockResolvedValue(mockResponse);
       
       // Execute
-      const result = await createSession('C123', 'Test issue');
+      const result = await createSession(tenant, 'C123', 'Test issue');
       
       // Assert
       expect(supabase.from).toHaveBeenCalledWith('sessions');
       expect(supabase.insert).toHaveBeenCalledWith(expect.objectContaining({
+        team_id: 'T123',
+        enterprise_id: null,
         channel: 'C123',
         issue: 'Test issue'
       }));
       expect(result.success).toBe(true);
-      expect(result.sessionId).toMatch(/^sess-\d+$/);
-      expect(latestSessionPerChannel['C123']).toBe(result.sessionId);
+      expect(result.sessionId).toMatch(/^sess-[0-9a-f-]{36}$/);
+      expect(latestSessionPerChannel['T:T123:C123']).toBe(result.sessionId);
+    });
+
+    test('should store the session deck', async () => {
+      supabase.insert.mockResolvedValue({ error: null });
+      
+      await createSession(tenant, 'C123', 'Test issue', { deck: { name: 'tshirt', values: ['S', 'M', 'L'] } });
+      
+      expect(supabase.insert).toHaveBeenCalledWith(expect.objectContaining({
+        deck_name: 'tshirt',
+        deck_values: ['S', 'M', 'L']
+      }));
+    });
+
+    test('should give sessions created in the same millisecond different IDs', async () => {
+      supabase.insert.mockResolvedValue({ error: null });
+      jest.spyOn(Date, 'now').mockReturnValue(1700000000000);
+      
+      const first = await createSession(tenant, 'C123', 'Test issue');
+      const second = await createSession({ teamId: 'T999', enterpriseId: null }, 'C123', 'Test issue');
+      
+      expect(first.sessionId).not.toBe(second.sessionId);
+    });
+
+    test('should store the enterprise of Enterprise Grid sessions', async () => {
+      supabase.insert.mockResolvedValue({ error: null });
+      
+      await createSession({ teamId: 'T123', enterpriseId: 'E123' }, 'C123', 'Test issue');
+      
+      expect(supabase.insert).toHaveBeenCalledWith(expect.objectContaining({ team_id: 'T123', enterprise_id: 'E123' }));
+    });
+
+    test('should track sessions started in a thread separately from the channel', async () => {
+      supabase.insert.mockResolvedValue({ error: null });
+      
+      const result = await createSession(tenant, 'C123', 'Test issue', { threadTs: '1700000000.000200' });
+      
+      expect(supabase.insert).toHaveBeenCalledWith(expect.objectContaining({ thread_ts: '1700000000.000200' }));
+      expect(latestSessionPerChannel['T:T123:C123:1700000000.000200']).toBe(result.sessionId);
+      expect(latestSessionPerChannel['T:T123:C123']).toBeUndefined();
     });
 
     test('should handle database errors', async () => {
@@ -72,7 +130,7 @@ describe('Session Service', () => {
       supabase.insert.mockResolvedValue(mockError);
       
       // Execute
-      const result = await createSession('C123', 'Test issue');
+      const result = await createSession(tenant, 'C123', 'Test issue');
       
       // Assert
       expect(result.success).toBe(false);
@@ -83,7 +141,7 @@ describe('Session Service', () => {
   describe('getLatestSessionForChannel', () => {
     test('should return session from in-memory cache if available', async () => {
       // Setup
-      latestSessionPerChannel['C123'] = 'sess-123';
+      latestSessionPerChannel['T:T123:C123'] = 'sess-123';
       const mockResponse = { 
         data: [{ id: 'sess-123', channel: 'C123', issue: 'Test issue' }],
         error: null 
@@ -91,17 +149,28 @@ describe('Session Service', () => {
       supabase.limit.mockResolvedValue(mockResponse);
       
       // Execute
-      const result = await getLatestSessionForChannel('C123');
+      const result = await getLatestSessionForChannel(tenant, 'C123');
       
       // Assert
       expect(supabase.from).toHaveBeenCalledWith('sessions');
       expect(supabase.select).toHaveBeenCalledWith('*');
+      expect(supabase.eq).toHaveBeenCalledWith('team_id', 'T123');
       expect(supabase.eq).toHaveBeenCalledWith('id', 'sess-123');
       expect(supabase.limit).toHaveBeenCalledWith(1);
       expect(result.success).toBe(true);
       expect(result.session).toEqual(mockResponse.data[0]);
     });
 
+    test('should not use another workspace\'s cached session for the same channel ID', async () => {
+      latestSessionPerChannel['T:T999:C123'] = 'sess-other';
+      supabase.limit.mockResolvedValue({ data: [], error: null });
+      
+      await getLatestSessionForChannel(tenant, 'C123');
+      
+      expect(supabase.eq).not.toHaveBeenCalledWith('id', 'sess-other');
+      expect(supabase.eq).toHaveBeenCalledWith('channel', 'C123');
+    });
+
     test('should query database if not in cache', async () => {
       // Setup
       const mockResponse = { 
@@ -111,17 +180,31 @@ describe('Session Service', () => {
       supabase.limit.mockResolvedValue(mockResponse);
       
       // Execute
-      const result = await getLatestSessionForChannel('C123');
+      const result = await getLatestSessionForChannel(tenant, 'C123');
       
       // Assert
       expect(supabase.from).toHaveBeenCalledWith('sessions');
       expect(supabase.select).toHaveBeenCalledWith('*');
       expect(supabase.eq).toHaveBeenCalledWith('channel', 'C123');
+      expect(supabase.is).toHaveBeenCalledWith('thread_ts', null);
       expect(supabase.order).toHaveBeenCalledWith('created_at', { ascending: false });
       expect(supabase.limit).toHaveBeenCalledWith(1);
       expect(result.success).toBe(true);
       expect(result.session).toEqual(mockResponse.data[0]);
-      expect(latestSessionPerChannel['C123']).toBe('sess-456');
+      expect(latestSessionPerChannel['T:T123:C123']).toBe('sess-456');
+    });
+
+    test('should look up the latest session in a thread', async () => {
+      const mockResponse = { data: [{ id: 'sess-789', channel: 'C123', thread_ts: '1700000000.000200' }], error: null };
+      supabase.limit.mockResolvedValue(mockResponse);
+      
+      const result = await getLatestSessionForChannel(tenant, 'C123', '1700000000.000200');
+      
+      expect(supabase.eq).toHaveBeenCalledWith('channel', 'C123');
+      expect(supabase.eq).toHaveBeenCalledWith('thread_ts', '1700000000.000200');
+      expect(supabase.is).not.toHaveBeenCalled();
+      expect(result.session).toEqual(mockResponse.data[0]);
+      expect(latestSessionPerChannel['T:T123:C123:1700000000.000200']).toBe('sess-789');
     });
 
     test('should handle no sessions found', async () => {
@@ -130,11 +213,267 @@ describe('Session Service', () => {
       supabase.limit.mockResolvedValue(mockResponse);
       
       // Execute
-      const result = await getLatestSessionForChannel('C123');
+      const result = await getLatestSessionForChannel(tenant, 'C123');
       
       // Assert
       expect(result.success).toBe(true);
       expect(result.session).toBeNull();
     });
   });
+
+  describe('listOpenSessionsForChannel', () => {
+    test('should list the sessions that have not ended', async () => {
+      const sessions = [{ id: 'sess-2', status: 'revealed' }, { id: 'sess-1', status: 'open' }];
+      supabase.limit.mockResolvedValue({ data: sessions, error: null });
+      
+      const result = await listOpenSessionsForChannel(tenant, 'C123');
+      
+      expect(supabase.eq).toHaveBeenCalledWith('channel', 'C123');
+      expect(supabase.in).toHaveBeenCalledWith('status', ['open', 'revealed']);
+      expect(result).toEqual({ success: true, sessions });
+    });
+
+    test('should handle database errors', async () => {
+      supabase.limit.mockResolvedValue({ data: null, error: { message: 'Database error' } });
+      
+      const result = await listOpenSessionsForChannel(tenant, 'C123');
+      
+      expect(result).toEqual({ success: false, error: { message: 'Database error' }, sessions: [] });
+    });
+  });
+
+  describe('listSessionsForChannel', () => {
+    test('should list a page of the channel\'s sessions, newest first', async () => {
+      const sessions = [{ id: 'sess-2', status: 'closed' }, { id: 'sess-1', status: 'closed' }];
+      supabase.range.mockResolvedValue({ data: sessions, error: null });
+      
+      const result = await listSessionsForChannel(tenant, 'C123', { limit: 5, offset: 10 });
+      
+      expect(supabase.eq).toHaveBeenCalledWith('channel', 'C123');
+      expect(supabase.order).toHaveBeenCalledWith('created_at', { ascending: false });
+      expect(supabase.range).toHaveBeenCalledWith(10, 14);
+      expect(supabase.ilike).not.toHaveBeenCalled();
+      expect(result).toEqual({ success: true, sessions });
+    });
+
+    test('should only list sessions whose issue contains every search term', async () => {
+      supabase.range.mockResolvedValue({ data: [], error: null });
+      
+      await listSessionsForChannel(tenant, 'C123', { search: ['checkout', '100%_done'] });
+      
+      expect(supabase.ilike).toHaveBeenCalledWith('issue', '%checkout%');
+      expect(supabase.ilike).toHaveBeenCalledWith('issue', '%100\\%\\_done%');
+      expect(supabase.range).toHaveBeenCalledWith(0, 9);
+    });
+
+    test('should handle database errors', async () => {
+      supabase.range.mockResolvedValue({ data: null, error: { message: 'Database error' } });
+      
+      const result = await listSessionsForChannel(tenant, 'C123');
+      
+      expect(result).toEqual({ success: false, error: { message: 'Database error' }, sessions: [] });
+    });
+  });
+
+  describe('listSessionsInRange', () => {
+    test('should filter by channel and time range, oldest first', async () => {
+      const sessions = [{ id: 'sess-1' }];
+      supabase.range.mockResolvedValue({ data: sessions, error: null });
+      
+      const result = await listSessionsInRange(
+        { channelId: 'C123', from: '2024-03-01T00:00:00.000Z', until: '2024-04-01T00:00:00.000Z' },
+        { limit: 100, offset: 200 }
+      );
+      
+      expect(supabase.eq).toHaveBeenCalledWith('channel', 'C123');
+      expect(supabase.gte).toHaveBeenCalledWith('created_at', '2024-03-01T00:00:00.000Z');
+      expect(supabase.lt).toHaveBeenCalledWith('created_at', '2024-04-01T00:00:00.000Z');
+      expect(supabase.order).toHaveBeenCalledWith('created_at', { ascending: true });
+      expect(supabase.range).toHaveBeenCalledWith(200, 299);
+      expect(result).toEqual({ success: true, sessions });
+    });
+
+    test('should only list one workspace\'s sessions when given a tenant', async () => {
+      supabase.range.mockResolvedValue({ data: [], error: null });
+      
+      await listSessionsInRange({ tenant: { teamId: 'T123', enterpriseId: 'E123' } });
+      
+      expect(supabase.eq).toHaveBeenCalledWith('team_id', 'T123');
+      expect(supabase.eq).not.toHaveBeenCalledWith('enterprise_id', 'E123');
+    });
+
+    test('should list every channel without filters', async () => {
+      supabase.range.mockResolvedValue({ data: [], error: null });
+      
+      await listSessionsInRange();
+      
+      expect(supabase.eq).not.toHaveBeenCalled();
+      expect(supabase.gte).not.toHaveBeenCalled();
+      expect(supabase.range).toHaveBeenCalledWith(0, 999);
+    });
+
+    test('should handle database errors', async () => {
+      supabase.range.mockResolvedValue({ data: null, error: { message: 'Database error' } });
+      
+      const result = await listSessionsInRange({ channelId: 'C123' });
+      
+      expect(result).toEqual({ success: false, error: { message: 'Database error' }, sessions: [] });
+    });
+  });
+
+  describe('getSessionById', () => {
+    test('should return the session', async () => {
+      const mockResponse = { data: [{ id: 'sess-123', issue: 'Test issue' }], error: null };
+      supabase.limit.mockResolvedValue(mockResponse);
+      
+      const result = await getSessionById(tenant, 'sess-123');
+      
+      expect(supabase.eq).toHaveBeenCalledWith('team_id', 'T123');
+      expect(supabase.eq).toHaveBeenCalledWith('id', 'sess-123');
+      expect(result).toEqual({ success: true, session: mockResponse.data[0] });
+    });
+
+    test('should return null when the session does not exist', async () => {
+      supabase.limit.mockResolvedValue({ data: [], error: null });
+      
+      const result = await getSessionById(tenant, 'sess-404');
+      
+      expect(result).toEqual({ success: true, session: null });
+    });
+
+    test('should refuse to look up a session without a workspace', async () => {
+      const result = await getSessionById({ teamId: null, enterpriseId: null }, 'sess-123');
+      
+      expect(supabase.limit).not.toHaveBeenCalled();
+      expect(result.success).toBe(false);
+      expect(result.session).toBeNull();
+    });
+  });
+
+  describe('setSessionMessage', () => {
+    test('should store the message channel and ts', async () => {
+      supabase.eq.mockReturnValueOnce(supabase).mockResolvedValueOnce({ error: null });
+      
+      const result = await setSessionMessage(tenant, 'sess-123', 'C123', '1700000000.000100');
+      
+      expect(supabase.update).toHaveBeenCalledWith({
+        message_channel: 'C123',
+        message_ts: '1700000000.000100'
+      });
+      expect(supabase.eq).toHaveBeenCalledWith('team_id', 'T123');
+      expect(supabase.eq).toHaveBeenCalledWith('id', 'sess-123');
+      expect(result.success).toBe(true);
+    });
+
+    test('should handle database errors', async () => {
+      const mockError = { message: 'Database error' };
+      supabase.eq.mockReturnValueOnce(supabase).mockResolvedValueOnce({ error: mockError });
+      
+      const result = await setSessionMessage(tenant, 'sess-123', 'C123', '1700000000.000100');
+      
+      expect(result).toEqual({ success: false, error: mockError });
+    });
+  });
+
+  describe('session lifecycle', () => {
+    /**
+     * Queue the session lookup and the status update results
+     * @param {Object|null} session - The session the lookup returns
+     * @param {Object} updateResponse - The response to the status update
+     */
+    function mockTransition(session, updateResponse) {
+      supabase.limit.mockResolvedValue({ data: session ? [session] : [], error: null });
+      supabase.select
+        .mockReturnValueOnce(supabase)
+        .mockResolvedValueOnce(updateResponse);
+    }
+
+    test('should reveal an open session with a snapshot', async () => {
+      const snapshot = { votes: [{ user_id: 'U1', vote: 5 }], statistics: null };
+      const revealed = { id: 'sess-123', status: 'revealed' };
+      mockTransition({ id: 'sess-123', status: 'open' }, { data: [revealed], error: null });
+      
+      const result = await revealSession(tenant, 'sess-123', 'U999', snapshot);
+      
+      expect(supabase.update).toHaveBeenCalledWith({
+        status: 'revealed',
+        revealed_at: expect.any(String),
+        revealed_by: 'U999',
+        result_snapshot: snapshot
+      });
+      expect(supabase.eq).toHaveBeenCalledWith('team_id', 'T123');
+      expect(supabase.eq).toHaveBeenCalledWith('status', 'open');
+      expect(result).toEqual({ success: true, session: revealed });
+    });
+
+    test('should treat sessions without a status as open', async () => {
+      mockTransition({ id: 'sess-123' }, { data: [{ id: 'sess-123', status: 'closed' }], error: null });
+      
+      const result = await closeSession(tenant, 'sess-123');
+      
+      expect(supabase.update).toHaveBeenCalledWith({
+        status: 'closed',
+        closed_at: expect.any(String)
+      });
+      expect(result.success).toBe(true);
+    });
+
+    test('should reopen a revealed session for the next round', async () => {
+      mockTransition({ id: 'sess-123', status: 'revealed', round: 2 }, { data: [{ id: 'sess-123', status: 'open', round: 3 }], error: null });
+      
+      const result = await startNewRound(tenant, 'sess-123');
+      
+      expect(supabase.update).toHaveBeenCalledWith({
+        status: 'open',
+        round: 3,
+        revealed_at: null,
+        revealed_by: null
+      });
+      expect(supabase.eq).toHaveBeenCalledWith('status', 'revealed');
+      expect(result.success).toBe(true);
+    });
+
+    test('should store the final estimate when closing a session', async () => {
+      mockTransition({ id: 'sess-123', status: 'revealed' }, { data: [{ id: 'sess-123', status: 'closed', final_estimate: 5 }], error: null });
+      
+      const result = await setFinalEstimate(tenant, 'sess-123', 5, 'U999');
+      
+      expect(supabase.update).toHaveBeenCalledWith({
+        status: 'closed',
+        closed_at: expect.any(String),
+        final_estimate: 5,
+        final_estimate_by: 'U999',
+        final_estimate_at: expect.any(String)
+      });
+      expect(result.success).toBe(true);
+      expect(result.session.final_estimate).toBe(5);
+    });
+
+    test('should reject transitions out of a closed session', async () => {
+      mockTransition({ id: 'sess-123', status: 'closed' }, { data: [], error: null });
+      
+      const result = await revealSession(tenant, 'sess-123', 'U999', {});
+      
+      expect(supabase.update).not.toHaveBeenCalled();
+      expect(result.success).toBe(false);
+      expect(result.error).toBe('invalid_transition');
+    });
+
+    test('should report a missing session', async () => {
+      mockTransition(null, { data: [], error: null });
+      
+      const result = await transitionSession(tenant, 'sess-404', 'closed');
+      
+      expect(result).toEqual({ success: false, error: 'session_not_found', session: null });
+    });
+
+    test('should detect a concurrent status change', async () => {
+      mockTransition({ id: 'sess-123', status: 'open' }, { data: [], error: null });
+      
+      const result = await revealSession(tenant, 'sess-123', 'U999', {});
+      
+      expect(result.success).toBe(false);
+      expect(result.error).toBe('concurrent_transition');
+    });
+  });
 });
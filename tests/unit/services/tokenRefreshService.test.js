@@ -0,0 +1,113 @@
+const nock = require('nock');
+const { isTokenExpiring, refreshBotToken, TOKEN_REFRESH_MARGIN_SECONDS } = require('../../../src/services/tokenRefreshService');
+
+jest.mock('../../../src/services/teamService', () => ({
+  getTeamInstallation: jest.fn(),
+  updateTeamTokens: jest.fn()
+}));
+
+const teamService = require('../../../src/services/teamService');
+
+describe('Token Refresh Service', () => {
+  const expiresAt = '2024-01-01T12:00:00.000Z';
+  const installation = {
+    team_id: 'T123456',
+    bot_token: 'xoxe.xoxb-old',
+    refresh_token: 'xoxe-1-old',
+    token_expires_at: expiresAt
+  };
+
+  beforeEach(() => {
+    nock.cleanAll();
+    teamService.updateTeamTokens.mockResolvedValue({ success: true, updated: true });
+  });
+
+  afterAll(() => {
+    nock.cleanAll();
+  });
+
+  describe('isTokenExpiring', () => {
+    const expiry = new Date(expiresAt).getTime();
+
+    test('should flag tokens within the refresh margin', () => {
+      expect(isTokenExpiring(installation, expiry - TOKEN_REFRESH_MARGIN_SECONDS * 1000)).toBe(true);
+      expect(isTokenExpiring(installation, expiry + 1000)).toBe(true);
+    });
+
+    test('should not flag tokens with time to spare', () => {
+      expect(isTokenExpiring(installation, expiry - TOKEN_REFRESH_MARGIN_SECONDS * 1000 - 1000)).toBe(false);
+    });
+
+    test('should never flag tokens without rotation', () => {
+      expect(isTokenExpiring({ bot_token: 'xoxb-forever' }, Date.now())).toBe(false);
+    });
+  });
+
+  describe('refreshBotToken', () => {
+    test('should exchange the refresh token and store the new tokens', async () => {
+      nock('https://slack.com')
+        .post('/api/oauth.v2.access', body => body.grant_type === 'refresh_token' && body.refresh_token === 'xoxe-1-old')
+        .reply(200, { ok: true, access_token: 'xoxe.xoxb-new', refresh_token: 'xoxe-1-new', expires_in: 43200 });
+
+      const result = await refreshBotToken(installation);
+
+      expect(result).toEqual({ success: true, botToken: 'xoxe.xoxb-new', expiresAt: expect.any(String) });
+      expect(teamService.updateTeamTokens).toHaveBeenCalledWith('T123456', {
+        botToken: 'xoxe.xoxb-new',
+        refreshToken: 'xoxe-1-new',
+        expiresAt: result.expiresAt
+      }, expiresAt);
+    });
+
+    test('should share one refresh between concurrent callers', async () => {
+      const scope = nock('https://slack.com')
+        .post('/api/oauth.v2.access')
+        .once()
+        .reply(200, { ok: true, access_token: 'xoxe.xoxb-new', refresh_token: 'xoxe-1-new', expires_in: 43200 });
+
+      const results = await Promise.all([refreshBotToken(installation), refreshBotToken(installation)]);
+
+      expect(results.map(result => result.botToken)).toEqual(['xoxe.xoxb-new', 'xoxe.xoxb-new']);
+      expect(teamService.updateTeamTokens).toHaveBeenCalledTimes(1);
+      expect(scope.isDone()).toBe(true);
+    });
+
+    test('should use the stored tokens when another process refreshed first', async () => {
+      nock('https://slack.com')
+        .post('/api/oauth.v2.access')
+        .reply(200, { ok: true, access_token: 'xoxe.xoxb-mine', refresh_token: 'xoxe-1-mine', expires_in: 43200 });
+      teamService.updateTeamTokens.mockResolvedValue({ success: true, updated: false });
+      teamService.getTeamInstallation.mockResolvedValue({
+        success: true,
+        installation: { ...installation, bot_token: 'xoxe.xoxb-theirs', token_expires_at: '2024-01-02T00:00:00.000Z' }
+      });
+
+      const result = await refreshBotToken(installation);
+
+      expect(result.botToken).toBe('xoxe.xoxb-theirs');
+    });
+
+    test('should report a refresh Slack rejects', async () => {
+      nock('https://slack.com')
+        .post('/api/oauth.v2.access')
+        .reply(200, { ok: false, error: 'invalid_refresh_token' });
+
+      const result = await refreshBotToken(installation);
+
+      expect(result).toEqual({ success: false, error: 'invalid_refresh_token', botToken: null });
+      expect(teamService.updateTeamTokens).not.toHaveBeenCalled();
+    });
+
+    test('should allow a new refresh once the previous one has finished', async () => {
+      nock('https://slack.com')
+        .post('/api/oauth.v2.access')
+        .twice()
+        .reply(200, { ok: true, access_token: 'xoxe.xoxb-new', refresh_token: 'xoxe-1-new', expires_in: 43200 });
+
+      await refreshBotToken(installation);
+      await refreshBotToken(installation);
+
+      expect(teamService.updateTeamTokens).toHaveBeenCalledTimes(2);
+    });
+  });
+});
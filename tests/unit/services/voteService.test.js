@@ -1,6 +1,7 @@
 const { 
   saveVote,
   getSessionVotes,
+  getVotesForSessions,
   countVotes,
   hasUserVoted
 } = require('../../../src/services/voteService');
@@ -12,6 +13,9 @@ jest.mock('../../../src/db/supabase', () => {
     upsert: jest.fn(),
     select: jest.fn(),
     eq: jest.fn(),
+    in: jest.fn(),
+    order: jest.fn(),
+    range: jest.fn(),
     limit: jest.fn()
   };
 
@@ -27,6 +31,8 @@ jest.mock('../../../src/db/supabase', () => {
 
 const supabase = require('../../../src/db/supabase');
 
+const tenant = { teamId: 'T123', enterpriseId: null };
+
 describe('Vote Service', () => {
   beforeEach(() => {
     jest.clearAllMocks();
@@ -46,32 +52,70 @@ describe('Vote Service', () => {
       supabase.upsert.mockResolvedValue(mockResponse);
       
       // Execute
-      const result = await saveVote('sess-123', 'U123', 5, 'testuser');
+      const result = await saveVote(tenant, 'sess-123', 'U123', 5, 'testuser');
       
       // Assert
       expect(supabase.from).toHaveBeenCalledWith('votes');
       expect(supabase.upsert).toHaveBeenCalledWith(
         expect.objectContaining({
           session_id: 'sess-123',
+          team_id: 'T123',
+          enterprise_id: null,
           user_id: 'U123',
           vote: 5,
-          username: 'testuser'
+          username: 'testuser',
+          round: 1
         }),
         expect.objectContaining({
-          onConflict: 'session_id,user_id',
+          onConflict: 'session_id,user_id,round',
           returning: 'minimal'
         })
       );
       expect(result.success).toBe(true);
     });
 
+    test('should store special cards separately from estimates', async () => {
+      supabase.upsert.mockResolvedValue({ error: null });
+      
+      const result = await saveVote(tenant, 'sess-123', 'U123', 'coffee', 'testuser');
+      
+      expect(supabase.upsert).toHaveBeenCalledWith(
+        expect.objectContaining({
+          session_id: 'sess-123',
+          user_id: 'U123',
+          vote: null,
+          special: 'coffee'
+        }),
+        expect.any(Object)
+      );
+      expect(result.success).toBe(true);
+    });
+
+    test('should refuse to save a vote without a workspace', async () => {
+      const result = await saveVote({ teamId: null, enterpriseId: null }, 'sess-123', 'U123', 5, 'testuser');
+      
+      expect(supabase.upsert).not.toHaveBeenCalled();
+      expect(result.success).toBe(false);
+    });
+
+    test('should key the vote by round', async () => {
+      supabase.upsert.mockResolvedValue({ error: null });
+      
+      await saveVote(tenant, 'sess-123', 'U123', 8, 'testuser', 2);
+      
+      expect(supabase.upsert).toHaveBeenCalledWith(
+        expect.objectContaining({ vote: 8, round: 2 }),
+        expect.any(Object)
+      );
+    });
+
     test('should handle database errors', async () => {
       // Setup
       const mockError = { error: { message: 'Database error' } };
       supabase.upsert.mockResolvedValue(mockError);
       
       // Execute
-      const result = await saveVote('sess-123', 'U123', 5, 'testuser');
+      const result = await saveVote(tenant, 'sess-123', 'U123', 5, 'testuser');
       
       // Assert
       expect(result.success).toBe(false);
@@ -80,6 +124,20 @@ describe('Vote Service', () => {
   });
 
   describe('getSessionVotes', () => {
+    test('should only get the votes from the requested round', async () => {
+      const mockVotesResponse = { data: [{ session_id: 'sess-123', user_id: 'U1', vote: 5, round: 2 }], error: null };
+      supabase.eq
+        .mockReturnValueOnce(supabase)
+        .mockReturnValueOnce(supabase)
+        .mockResolvedValueOnce(mockVotesResponse);
+      supabase.limit.mockResolvedValueOnce({ data: [{ id: 'sess-123' }], error: null });
+      
+      const result = await getSessionVotes(tenant, 'sess-123', { round: 2 });
+      
+      expect(supabase.eq).toHaveBeenCalledWith('round', 2);
+      expect(result.votes).toEqual(mockVotesResponse.data);
+    });
+
     test('should get votes and session data', async () => {
       // Setup
       const mockVotesResponse = { 
@@ -95,16 +153,19 @@ describe('Vote Service', () => {
       };
       
       // Mock the queries - votes resolves at .eq(), session resolves at .limit()
-      supabase.eq.mockResolvedValueOnce(mockVotesResponse);  // First .eq() call for votes
+      supabase.eq
+        .mockReturnValueOnce(supabase)  // Workspace filter
+        .mockResolvedValueOnce(mockVotesResponse);  // Session filter, which ends the votes query
       supabase.limit.mockResolvedValueOnce(mockSessionResponse); // Session query resolves at .limit()
       
       // Execute
-      const result = await getSessionVotes('sess-123');
+      const result = await getSessionVotes(tenant, 'sess-123');
       
       // Assert
       expect(supabase.from).toHaveBeenCalledWith('votes');
       expect(supabase.from).toHaveBeenCalledWith('sessions');
       expect(supabase.select).toHaveBeenCalledWith('*');
+      expect(supabase.eq).toHaveBeenCalledWith('team_id', 'T123');
       expect(supabase.eq).toHaveBeenCalledWith('session_id', 'sess-123');
       expect(supabase.eq).toHaveBeenCalledWith('id', 'sess-123');
       expect(supabase.limit).toHaveBeenCalledWith(1);
@@ -123,11 +184,11 @@ describe('Vote Service', () => {
       };
       const mockSessionResponse = { data: [], error: null };
       
-      supabase.eq.mockResolvedValueOnce(mockVotesResponse);
+      supabase.eq.mockReturnValueOnce(supabase).mockResolvedValueOnce(mockVotesResponse);
       supabase.limit.mockResolvedValueOnce(mockSessionResponse);
       
       // Execute
-      const result = await getSessionVotes('sess-123');
+      const result = await getSessionVotes(tenant, 'sess-123');
       
       // Assert
       expect(result.success).toBe(true);
@@ -142,10 +203,10 @@ describe('Vote Service', () => {
         error: { message: 'Database error fetching votes' }
       };
       
-      supabase.eq.mockResolvedValueOnce(mockVotesError);
+      supabase.eq.mockReturnValueOnce(supabase).mockResolvedValueOnce(mockVotesError);
       
       // Execute
-      const result = await getSessionVotes('sess-123');
+      const result = await getSessionVotes(tenant, 'sess-123');
       
       // Assert
       expect(result.success).toBe(false);
@@ -164,11 +225,11 @@ describe('Vote Service', () => {
         error: { message: 'Database error fetching session' }
       };
       
-      supabase.eq.mockResolvedValueOnce(mockVotesResponse);
+      supabase.eq.mockReturnValueOnce(supabase).mockResolvedValueOnce(mockVotesResponse);
       supabase.limit.mockResolvedValueOnce(mockSessionError);
       
       // Execute
-      const result = await getSessionVotes('sess-123');
+      const result = await getSessionVotes(tenant, 'sess-123');
       
       // Assert
       expect(result.success).toBe(false);
@@ -179,10 +240,10 @@ describe('Vote Service', () => {
 
     test('should handle exceptions in getSessionVotes', async () => {
       // Setup - mock to throw an exception
-      supabase.eq.mockRejectedValue(new Error('Database connection failed'));
+      supabase.eq.mockReturnValueOnce(supabase).mockRejectedValueOnce(new Error('Database connection failed'));
       
       // Execute
-      const result = await getSessionVotes('sess-123');
+      const result = await getSessionVotes(tenant, 'sess-123');
       
       // Assert
       expect(result.success).toBe(false);
@@ -193,18 +254,71 @@ describe('Vote Service', () => {
     });
   });
 
+  describe('getVotesForSessions', () => {
+    test('should fetch the votes of every session', async () => {
+      const votes = [{ session_id: 'sess-1', vote: 3 }, { session_id: 'sess-2', vote: 5 }];
+      supabase.range.mockResolvedValue({ data: votes, error: null });
+
+      const result = await getVotesForSessions(['sess-1', 'sess-2']);
+
+      expect(supabase.in).toHaveBeenCalledWith('session_id', ['sess-1', 'sess-2']);
+      expect(supabase.range).toHaveBeenCalledWith(0, 999);
+      expect(result).toEqual({ success: true, votes });
+    });
+
+    test('should split long lists of sessions and read every page', async () => {
+      const sessionIds = Array.from({ length: 150 }, (item, index) => `sess-${index}`);
+      const fullPage = Array.from({ length: 1000 }, () => ({ session_id: 'sess-0', vote: 1 }));
+      supabase.range
+        .mockResolvedValueOnce({ data: fullPage, error: null })
+        .mockResolvedValueOnce({ data: [{ session_id: 'sess-1', vote: 2 }], error: null })
+        .mockResolvedValueOnce({ data: [{ session_id: 'sess-120', vote: 3 }], error: null });
+
+      const result = await getVotesForSessions(sessionIds);
+
+      expect(supabase.in).toHaveBeenNthCalledWith(1, 'session_id', sessionIds.slice(0, 100));
+      expect(supabase.range).toHaveBeenNthCalledWith(2, 1000, 1999);
+      expect(supabase.in).toHaveBeenLastCalledWith('session_id', sessionIds.slice(100));
+      expect(result.votes).toHaveLength(1002);
+    });
+
+    test('should only fetch one workspace\'s votes when given a tenant', async () => {
+      supabase.range.mockResolvedValue({ data: [], error: null });
+
+      await getVotesForSessions(['sess-1'], tenant);
+
+      expect(supabase.eq).toHaveBeenCalledWith('team_id', 'T123');
+    });
+
+    test('should not query when there are no sessions', async () => {
+      const result = await getVotesForSessions([]);
+
+      expect(supabase.from).not.toHaveBeenCalled();
+      expect(result).toEqual({ success: true, votes: [] });
+    });
+
+    test('should handle database errors', async () => {
+      supabase.range.mockResolvedValue({ data: null, error: { message: 'Database error' } });
+
+      const result = await getVotesForSessions(['sess-1']);
+
+      expect(result).toEqual({ success: false, error: { message: 'Database error' }, votes: [] });
+    });
+  });
+
   describe('countVotes', () => {
     test('should count votes for a session', async () => {
       // Setup
       const mockResponse = { count: 3, error: null };
-      supabase.eq.mockResolvedValue(mockResponse);
+      supabase.eq.mockReturnValueOnce(supabase).mockResolvedValueOnce(mockResponse);
       
       // Execute
-      const result = await countVotes('sess-123');
+      const result = await countVotes(tenant, 'sess-123');
       
       // Assert
       expect(supabase.from).toHaveBeenCalledWith('votes');
       expect(supabase.select).toHaveBeenCalledWith('*', { count: 'exact', head: true });
+      expect(supabase.eq).toHaveBeenCalledWith('team_id', 'T123');
       expect(supabase.eq).toHaveBeenCalledWith('session_id', 'sess-123');
       expect(result.success).toBe(true);
       expect(result.count).toBe(3);
@@ -213,10 +327,10 @@ describe('Vote Service', () => {
     test('should handle database errors', async () => {
       // Setup
       const mockError = { error: { message: 'Database error' }, count: null };
-      supabase.eq.mockResolvedValue(mockError);
+      supabase.eq.mockReturnValueOnce(supabase).mockResolvedValueOnce(mockError);
       
       // Execute
-      const result = await countVotes('sess-123');
+      const result = await countVotes(tenant, 'sess-123');
       
       // Assert
       expect(result.success).toBe(false);
@@ -235,13 +349,15 @@ describe('Vote Service', () => {
       supabase.limit.mockResolvedValue(mockResponse);
       
       // Execute
-      const result = await hasUserVoted('sess-123', 'U123');
+      const result = await hasUserVoted(tenant, 'sess-123', 'U123');
       
       // Assert
       expect(supabase.from).toHaveBeenCalledWith('votes');
       expect(supabase.select).toHaveBeenCalledWith('user_id');
+      expect(supabase.eq).toHaveBeenCalledWith('team_id', 'T123');
       expect(supabase.eq).toHaveBeenCalledWith('session_id', 'sess-123');
       expect(supabase.eq).toHaveBeenCalledWith('user_id', 'U123');
+      expect(supabase.eq).toHaveBeenCalledWith('round', 1);
       expect(supabase.limit).toHaveBeenCalledWith(1);
       expect(result.success).toBe(true);
       expect(result.hasVoted).toBe(true);
@@ -256,7 +372,7 @@ describe('Vote Service', () => {
       supabase.limit.mockResolvedValue(mockResponse);
       
       // Execute
-      const result = await hasUserVoted('sess-123', 'U456');
+      const result = await hasUserVoted(tenant, 'sess-123', 'U456');
       
       // Assert
       expect(supabase.from).toHaveBeenCalledWith('votes');
@@ -277,7 +393,7 @@ describe('Vote Service', () => {
       supabase.limit.mockResolvedValue(mockError);
       
       // Execute
-      const result = await hasUserVoted('sess-123', 'U123');
+      const result = await hasUserVoted(tenant, 'sess-123', 'U123');
       
       // Assert
       expect(result.success).toBe(false);
@@ -290,7 +406,7 @@ describe('Vote Service', () => {
       supabase.limit.mockRejectedValue(new Error('Connection failed'));
       
       // Execute
-      const result = await hasUserVoted('sess-123', 'U123');
+      const result = await hasUserVoted(tenant, 'sess-123', 'U123');
       
       // Assert
       expect(result.success).toBe(false);
@@ -0,0 +1,197 @@
+const {
+  extractFlags,
+  parseKeyValueArgs,
+  redactSecrets,
+  parseQueueItems,
+  parseCommand,
+  parseDuration
+} = require('../../../src/utils/commandParser');
+
+describe('Command Parser', () => {
+  describe('extractFlags', () => {
+    test('should extract flags and their values from the start of the text', () => {
+      expect(extractFlags('--deck tshirt --timer 5m PROJ-12', ['deck', 'timer'])).toEqual({
+        flags: { deck: 'tshirt', timer: '5m' },
+        text: 'PROJ-12',
+        separated: false
+      });
+    });
+
+    test('should support the --flag=value form', () => {
+      expect(extractFlags('--deck=fibonacci PROJ-12', ['deck']).flags).toEqual({ deck: 'fibonacci' });
+    });
+
+    test('should leave flags after the start of the text alone', () => {
+      expect(extractFlags('Fix --timer bug in scheduler', ['timer'])).toEqual({
+        flags: {},
+        text: 'Fix --timer bug in scheduler',
+        separated: false
+      });
+    });
+
+    test('should stop at a -- separator', () => {
+      expect(extractFlags('--deck tshirt -- --timer output is wrong', ['deck', 'timer'])).toEqual({
+        flags: { deck: 'tshirt' },
+        text: '--timer output is wrong',
+        separated: true
+      });
+    });
+
+    test('should not match flags that only share a prefix', () => {
+      expect(extractFlags('--decks tshirt', ['deck'])).toEqual({ flags: {}, text: '--decks tshirt', separated: false });
+    });
+
+    test('should keep the line breaks in the remaining text', () => {
+      expect(extractFlags('--deck tshirt\nLogin\nSignup', ['deck']).text).toBe('Login\nSignup');
+    });
+
+    test('should handle empty text', () => {
+      expect(extractFlags(undefined, ['deck'])).toEqual({ flags: {}, text: '', separated: false });
+    });
+  });
+
+  describe('parseKeyValueArgs', () => {
+    test('should parse key=value pairs', () => {
+      expect(parseKeyValueArgs(['url=https://acme.atlassian.net', 'Field=customfield_10002'])).toEqual({
+        success: true,
+        values: { url: 'https://acme.atlassian.net', field: 'customfield_10002' }
+      });
+    });
+
+    test('should keep equals signs inside values', () => {
+      expect(parseKeyValueArgs(['token=abc==']).values).toEqual({ token: 'abc==' });
+    });
+
+    test('should accept quoted values with spaces', () => {
+      expect(parseKeyValueArgs(['label="estimate:', '{estimate}"', 'token=abc']).values).toEqual({
+        label: 'estimate: {estimate}',
+        token: 'abc'
+      });
+      expect(parseKeyValueArgs(['label=“points', '{estimate}”']).values).toEqual({ label: 'points {estimate}' });
+    });
+
+    test('should report the first word that is not a setting', () => {
+      const result = parseKeyValueArgs(['url=https://acme.atlassian.net', 'oops']);
+
+      expect(result.success).toBe(false);
+      expect(result.invalid).toBe('oops');
+    });
+  });
+
+  describe('redactSecrets', () => {
+    test('should hide tokens, secrets and passwords', () => {
+      expect(redactSecrets('config jira url=https://x token=abc123 password=hunter2'))
+        .toBe('config jira url=https://x token=[redacted] password=[redacted]');
+    });
+
+    test('should handle empty text', () => {
+      expect(redactSecrets(undefined)).toBe('');
+    });
+  });
+
+  describe('parseQueueItems', () => {
+    test('should return one issue per line', () => {
+      expect(parseQueueItems('PROJ-1\nPROJ-2\r\nhttps://github.com/acme/app/issues/7'))
+        .toEqual(['PROJ-1', 'PROJ-2', 'https://github.com/acme/app/issues/7']);
+    });
+
+    test('should drop list markers and blank lines', () => {
+      expect(parseQueueItems('- PROJ-1\n\n* PROJ-2\n• PROJ-3\n1. PROJ-4\n 2) PROJ-5\n'))
+        .toEqual(['PROJ-1', 'PROJ-2', 'PROJ-3', 'PROJ-4', 'PROJ-5']);
+    });
+
+    test('should keep numbers that are part of the issue', () => {
+      expect(parseQueueItems('2FA for admins')).toEqual(['2FA for admins']);
+    });
+
+    test('should handle empty text', () => {
+      expect(parseQueueItems(undefined)).toEqual([]);
+    });
+  });
+
+  describe('parseCommand', () => {
+    const subcommands = ['help', 'reveal', 'deck'];
+
+    test('should split a subcommand from its arguments', () => {
+      expect(parseCommand('deck add sizes XS S M', subcommands)).toEqual({
+        subcommand: 'deck',
+        args: ['add', 'sizes', 'XS', 'S', 'M'],
+        rest: 'add sizes XS S M',
+        flags: {}
+      });
+    });
+
+    test('should only match lowercase subcommands', () => {
+      expect(parseCommand('Help reveal', subcommands).subcommand).toBeNull();
+    });
+
+    test('should keep issues that start with a subcommand name whole', () => {
+      ['Export reports to PDF', 'Cancel subscription flow', 'Deck builder UI', 'History page redesign'].forEach(issue => {
+        expect(parseCommand(issue, ['export', 'cancel', 'deck', 'history'])).toEqual({
+          subcommand: null,
+          args: issue.split(' '),
+          rest: issue,
+          flags: {}
+        });
+      });
+    });
+
+    test('should read flags before the issue', () => {
+      expect(parseCommand('--timer 2m --deck tshirt PROJ-12', subcommands, ['deck', 'timer'])).toEqual({
+        subcommand: null,
+        args: ['PROJ-12'],
+        rest: 'PROJ-12',
+        flags: { deck: 'tshirt', timer: '2m' }
+      });
+    });
+
+    test('should read flags before or after the subcommand', () => {
+      expect(parseCommand('--deck tshirt reveal --timer 2m now', subcommands, ['deck', 'timer'])).toEqual({
+        subcommand: 'reveal',
+        args: ['now'],
+        rest: 'now',
+        flags: { deck: 'tshirt', timer: '2m' }
+      });
+    });
+
+    test('should leave flags inside the issue text alone', () => {
+      expect(parseCommand('Fix --timer bug in scheduler', subcommands, ['deck', 'timer'])).toEqual({
+        subcommand: null,
+        args: ['Fix', '--timer', 'bug', 'in', 'scheduler'],
+        rest: 'Fix --timer bug in scheduler',
+        flags: {}
+      });
+    });
+
+    test('should treat everything after -- as the issue', () => {
+      expect(parseCommand('--timer 2m -- deck --timer', subcommands, ['deck', 'timer'])).toEqual({
+        subcommand: null,
+        args: ['deck', '--timer'],
+        rest: 'deck --timer',
+        flags: { timer: '2m' }
+      });
+    });
+
+    test('should handle empty text', () => {
+      expect(parseCommand(undefined, subcommands)).toEqual({ subcommand: null, args: [], rest: '', flags: {} });
+    });
+  });
+
+  describe('parseDuration', () => {
+    test('should parse seconds and minutes', () => {
+      expect(parseDuration('90s')).toBe(90);
+      expect(parseDuration('5m')).toBe(300);
+      expect(parseDuration('2 min')).toBe(120);
+    });
+
+    test('should treat a bare number as minutes', () => {
+      expect(parseDuration('3')).toBe(180);
+    });
+
+    test('should reject text that is not a duration', () => {
+      expect(parseDuration('soon')).toBeNull();
+      expect(parseDuration('1h')).toBeNull();
+      expect(parseDuration('')).toBeNull();
+    });
+  });
+});
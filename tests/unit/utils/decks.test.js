@@ -0,0 +1,186 @@
+const {
+  DEFAULT_DECK_NAME,
+  MAX_BUTTONS_PER_ACTIONS_BLOCK,
+  getBuiltInDeck,
+  getDefaultDeck,
+  getSpecialCard,
+  isSpecialCard,
+  listSpecialCards,
+  formatVoteValue,
+  listBuiltInDecks,
+  isValidDeckName,
+  parseDeckValues,
+  getSessionDeck,
+  isDeckCard,
+  isValidVote,
+  isAcceptableEstimate,
+  fitsInActionsBlock,
+  compareByDeckOrder
+} = require('../../../src/utils/decks');
+
+describe('Decks', () => {
+  describe('getBuiltInDeck', () => {
+    test('should return built-in decks by name', () => {
+      expect(getBuiltInDeck('fibonacci').values).toEqual([0, 1, 2, 3, 5, 8, 13, 21]);
+      expect(getBuiltInDeck('TSHIRT').values).toEqual(['XS', 'S', 'M', 'L', 'XL', 'XXL']);
+      expect(getBuiltInDeck('powers').builtIn).toBe(true);
+    });
+
+    test('should return null for unknown decks', () => {
+      expect(getBuiltInDeck('unknown')).toBeNull();
+      expect(getBuiltInDeck('toString')).toBeNull();
+    });
+
+    test('should return a copy of the deck values', () => {
+      getBuiltInDeck('standard').values.push(13);
+      expect(getBuiltInDeck('standard').values).toEqual([1, 2, 3, 5, 8]);
+    });
+  });
+
+  describe('getDefaultDeck', () => {
+    test('should return the standard deck', () => {
+      expect(getDefaultDeck().name).toBe(DEFAULT_DECK_NAME);
+      expect(getDefaultDeck().values).toEqual([1, 2, 3, 5, 8]);
+    });
+  });
+
+  describe('listBuiltInDecks', () => {
+    test('should list every built-in deck', () => {
+      expect(listBuiltInDecks().map(deck => deck.name)).toEqual(['standard', 'fibonacci', 'tshirt', 'powers']);
+    });
+  });
+
+  describe('isValidDeckName', () => {
+    test('should accept lowercase names', () => {
+      expect(isValidDeckName('team-hours_2')).toBe(true);
+    });
+
+    test('should reject invalid names', () => {
+      expect(isValidDeckName('')).toBe(false);
+      expect(isValidDeckName('Has Spaces')).toBe(false);
+      expect(isValidDeckName('-leading')).toBe(false);
+    });
+  });
+
+  describe('parseDeckValues', () => {
+    test('should parse comma and space separated values', () => {
+      expect(parseDeckValues('1, 2,3 5').values).toEqual([1, 2, 3, 5]);
+      expect(parseDeckValues('S M L').values).toEqual(['S', 'M', 'L']);
+    });
+
+    test('should reject decks with too few cards', () => {
+      expect(parseDeckValues('1').success).toBe(false);
+    });
+
+    test('should reject cards reserved for special cards', () => {
+      expect(parseDeckValues('1,2,?').success).toBe(false);
+      expect(parseDeckValues('1,coffee').error).toContain('reserved');
+    });
+
+    test('should reject duplicate cards', () => {
+      const result = parseDeckValues('1,2,2');
+      expect(result.success).toBe(false);
+      expect(result.error).toContain('unique');
+    });
+  });
+
+  describe('special cards', () => {
+    test('should look up special cards by key', () => {
+      expect(getSpecialCard('unsure').label).toBe('?');
+      expect(getSpecialCard('5')).toBeNull();
+      expect(getSpecialCard(5)).toBeNull();
+    });
+
+    test('should identify special card values', () => {
+      expect(isSpecialCard('coffee')).toBe(true);
+      expect(isSpecialCard('too_big')).toBe(true);
+      expect(isSpecialCard(8)).toBe(false);
+    });
+
+    test('should list the special cards in display order', () => {
+      expect(listSpecialCards().map(card => card.key)).toEqual(['unsure', 'coffee', 'too_big']);
+    });
+
+    test('should format vote values for display', () => {
+      expect(formatVoteValue('unsure')).toBe('?');
+      expect(formatVoteValue('too_big')).toBe('Too big');
+      expect(formatVoteValue(5)).toBe('5');
+    });
+  });
+
+  describe('getSessionDeck', () => {
+    test('should return the deck stored on the session', () => {
+      const deck = getSessionDeck({ deck_name: 'tshirt', deck_values: ['S', 'M'] });
+      expect(deck).toEqual({ name: 'tshirt', values: ['S', 'M'] });
+    });
+
+    test('should fall back to the default deck for older sessions', () => {
+      expect(getSessionDeck({ id: 'sess-1' }).name).toBe(DEFAULT_DECK_NAME);
+    });
+  });
+
+  describe('isValidVote', () => {
+    const numeric = { name: 'standard', values: [1, 2, 3, 5, 8] };
+
+    test('should accept deck cards and special cards', () => {
+      expect(isDeckCard(numeric, 5)).toBe(true);
+      expect(isValidVote(numeric, 5)).toBe(true);
+      expect(isValidVote(numeric, 'coffee')).toBe(true);
+    });
+
+    test('should reject values that are not cards', () => {
+      expect(isValidVote(numeric, 4)).toBe(false);
+      expect(isValidVote(numeric, '<!channel>')).toBe(false);
+      expect(isValidVote(numeric, { value: 5 })).toBe(false);
+      expect(isValidVote(numeric, [5])).toBe(false);
+    });
+  });
+
+  describe('isAcceptableEstimate', () => {
+    const numeric = { name: 'standard', values: [1, 2, 3, 5, 8] };
+    const tshirt = { name: 'tshirt', values: ['XS', 'S', 'M', 'L'] };
+    const mixed = { name: 'custom', values: [1, 2, 'L'] };
+
+    test('should accept any card in the deck', () => {
+      expect(isAcceptableEstimate(numeric, 5)).toBe(true);
+      expect(isAcceptableEstimate(numeric, '5')).toBe(true);
+      expect(isAcceptableEstimate(tshirt, 'M')).toBe(true);
+    });
+
+    test('should accept numbers between cards on numeric decks only', () => {
+      expect(isAcceptableEstimate(numeric, 4)).toBe(true);
+      expect(isAcceptableEstimate(numeric, 0.5)).toBe(true);
+      expect(isAcceptableEstimate(tshirt, 4)).toBe(false);
+      expect(isAcceptableEstimate(mixed, 4)).toBe(false);
+    });
+
+    test('should reject negative numbers and values off non-numeric decks', () => {
+      expect(isAcceptableEstimate(numeric, -3)).toBe(false);
+      expect(isAcceptableEstimate(tshirt, 'XXXL')).toBe(false);
+      expect(isAcceptableEstimate(numeric, undefined)).toBe(false);
+    });
+  });
+
+  describe('fitsInActionsBlock', () => {
+    test('should compare the deck size to the actions block limit', () => {
+      const values = Array.from({ length: MAX_BUTTONS_PER_ACTIONS_BLOCK }, (_, i) => i);
+      expect(fitsInActionsBlock({ values })).toBe(true);
+      expect(fitsInActionsBlock({ values: values.concat(99) })).toBe(false);
+    });
+  });
+
+  describe('compareByDeckOrder', () => {
+    test('should order values by their position in the deck', () => {
+      const deck = getBuiltInDeck('tshirt').values;
+      expect(['XL', 'S', 'M'].sort(compareByDeckOrder(deck))).toEqual(['S', 'M', 'XL']);
+    });
+
+    test('should place unknown values after deck values', () => {
+      expect(['13', '1', '5'].sort(compareByDeckOrder([1, 5]))).toEqual(['1', '5', '13']);
+    });
+
+    test('should sort numerically without a deck', () => {
+      expect(['13', '2', '5'].sort(compareByDeckOrder())).toEqual(['2', '5', '13']);
+    });
+  });
+});
@@ -0,0 +1,92 @@
+const {
+  CSV_COLUMNS,
+  toCsvCell,
+  formatExportCsv,
+  formatExportJson,
+  getExportFilename
+} = require('../../../src/utils/exportFormatters');
+
+describe('Export Formatters', () => {
+  const session = {
+    id: 'sess-1',
+    channel: 'C123',
+    issue: 'PROJ-1 Checkout, "v2"',
+    status: 'closed',
+    created_by: 'U999',
+    created_at: '2024-03-01T10:00:00.000Z',
+    deck_name: 'standard',
+    deck_values: [1, 2, 3, 5, 8],
+    final_estimate: 5,
+    final_estimate_by: 'U999',
+    final_estimate_at: '2024-03-01T10:05:00.000Z',
+    rounds: [
+      { round: 1, votes: [{ user_id: 'U1', username: 'ana', vote: 3, special: null, created_at: '2024-03-01T10:01:00.000Z' }] },
+      { round: 2, votes: [{ user_id: 'U1', username: 'ana', vote: null, special: 'coffee', created_at: '2024-03-01T10:03:00.000Z' }] }
+    ]
+  };
+
+  describe('toCsvCell', () => {
+    test('should quote cells with commas, quotes or line breaks', () => {
+      expect(toCsvCell('a, b')).toBe('"a, b"');
+      expect(toCsvCell('say "hi"')).toBe('"say ""hi"""');
+      expect(toCsvCell('two\nlines')).toBe('"two\nlines"');
+    });
+
+    test('should stop spreadsheets from running cells as formulas', () => {
+      expect(toCsvCell('=HYPERLINK("x")')).toBe('"\'=HYPERLINK(""x"")"');
+      expect(toCsvCell('@SUM(A1)')).toBe('\'@SUM(A1)');
+    });
+
+    test('should leave negative numbers and blanks alone', () => {
+      expect(toCsvCell(-1)).toBe('-1');
+      expect(toCsvCell(null)).toBe('');
+    });
+  });
+
+  describe('formatExportCsv', () => {
+    test('should write a row per vote with the session details', () => {
+      const lines = formatExportCsv([session]).split('\r\n');
+
+      expect(lines[0]).toBe(CSV_COLUMNS.join(','));
+      expect(lines[1]).toBe('sess-1,C123,"PROJ-1 Checkout, ""v2""",closed,U999,2024-03-01T10:00:00.000Z,standard,5,U999,2024-03-01T10:05:00.000Z,1,U1,ana,3,,2024-03-01T10:01:00.000Z');
+      expect(lines[2]).toContain(',2,U1,ana,,coffee,');
+      expect(lines[3]).toBe('');
+    });
+
+    test('should write one row for a session without votes', () => {
+      const lines = formatExportCsv([{ ...session, rounds: [] }]).split('\r\n');
+
+      expect(lines).toHaveLength(3);
+      expect(lines[1].endsWith(',,,,,,')).toBe(true);
+    });
+  });
+
+  describe('formatExportJson', () => {
+    test('should nest rounds and votes inside each session', () => {
+      const result = JSON.parse(formatExportJson([session], { channelId: 'C123', from: '2024-03-01', to: null }));
+
+      expect(result.filters).toEqual({ channel: 'C123', from: '2024-03-01', to: null });
+      expect(result.sessions[0]).toMatchObject({
+        id: 'sess-1',
+        deck: { name: 'standard', values: [1, 2, 3, 5, 8] },
+        final_estimate: 5
+      });
+      expect(result.sessions[0].rounds[1]).toEqual({
+        round: 2,
+        votes: [{ user_id: 'U1', username: 'ana', vote: null, special: 'coffee', voted_at: '2024-03-01T10:03:00.000Z' }]
+      });
+    });
+  });
+
+  describe('getExportFilename', () => {
+    test('should name the file after the channel and dates', () => {
+      expect(getExportFilename({ channelId: 'C123', from: '2024-03-01', to: '2024-03-31' }, 'csv'))
+        .toBe('planning-poker-C123-from-2024-03-01-to-2024-03-31.csv');
+      expect(getExportFilename({}, 'json')).toBe('planning-poker.json');
+    });
+
+    test('should drop characters that are unsafe in a header', () => {
+      expect(getExportFilename({ channelId: 'C1"\r\nX' }, 'csv')).toBe('planning-poker-C1___X.csv');
+    });
+  });
+});
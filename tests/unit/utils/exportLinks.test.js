@@ -0,0 +1,62 @@
+const {
+  EXPORT_LINK_TTL_SECONDS,
+  createExportToken,
+  verifyExportToken,
+  buildExportUrl
+} = require('../../../src/utils/exportLinks');
+
+describe('Export Links', () => {
+  const originalAdminKey = process.env.ADMIN_KEY;
+  const filters = { teamId: 'T123', enterpriseId: null, channelId: 'C123', from: '2024-03-01', to: null, format: 'csv' };
+  const now = 1700000000;
+
+  beforeEach(() => {
+    process.env.ADMIN_KEY = 'test-admin-key';
+  });
+
+  afterAll(() => {
+    process.env.ADMIN_KEY = originalAdminKey;
+  });
+
+  test('should round-trip the filters through a signed token', () => {
+    const token = createExportToken(filters, { now });
+
+    expect(verifyExportToken(token, now + 60)).toEqual({
+      valid: true,
+      filters: { ...filters, exp: now + EXPORT_LINK_TTL_SECONDS }
+    });
+  });
+
+  test('should reject expired tokens', () => {
+    const token = createExportToken(filters, { now });
+    const result = verifyExportToken(token, now + EXPORT_LINK_TTL_SECONDS + 1);
+
+    expect(result.valid).toBe(false);
+    expect(result.reason).toContain('expired');
+  });
+
+  test('should reject tokens whose filters were changed', () => {
+    const [, signature] = createExportToken(filters, { now }).split('.');
+    const forged = Buffer.from(JSON.stringify({ ...filters, channelId: 'C999', exp: now + 60 })).toString('base64url');
+
+    expect(verifyExportToken(`${forged}.${signature}`, now)).toEqual({ valid: false, reason: 'Invalid export link' });
+  });
+
+  test('should reject tokens once the admin key changes', () => {
+    const token = createExportToken(filters, { now });
+    process.env.ADMIN_KEY = 'rotated-admin-key';
+
+    expect(verifyExportToken(token, now).valid).toBe(false);
+  });
+
+  test('should not create tokens without an admin key', () => {
+    delete process.env.ADMIN_KEY;
+
+    expect(createExportToken(filters, { now })).toBeNull();
+    expect(verifyExportToken('abc.def', now).valid).toBe(false);
+  });
+
+  test('should build the download URL from BASE_URL', () => {
+    expect(buildExportUrl('abc.def')).toBe(`${process.env.BASE_URL}/export?token=abc.def`);
+  });
+});
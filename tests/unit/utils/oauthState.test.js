@@ -0,0 +1,91 @@
+const {
+  OAUTH_STATE_TTL_SECONDS,
+  createOAuthState,
+  verifyOAuthState,
+  getCookie
+} = require('../../../src/utils/oauthState');
+
+describe('OAuth state', () => {
+  const originalSecret = process.env.SLACK_CLIENT_SECRET;
+  const now = 1700000000;
+
+  beforeEach(() => {
+    process.env.SLACK_CLIENT_SECRET = 'test-client-secret';
+  });
+
+  afterAll(() => {
+    process.env.SLACK_CLIENT_SECRET = originalSecret;
+  });
+
+  describe('createOAuthState', () => {
+    test('should create a different state and nonce for every install', () => {
+      const first = createOAuthState({ now });
+      const second = createOAuthState({ now });
+
+      expect(first.state).not.toBe(second.state);
+      expect(first.nonce).not.toBe(second.nonce);
+    });
+
+    test('should return null when OAuth is not configured', () => {
+      delete process.env.SLACK_CLIENT_SECRET;
+
+      expect(createOAuthState()).toBeNull();
+    });
+  });
+
+  describe('verifyOAuthState', () => {
+    test('should accept a state with its own nonce', () => {
+      const { state, nonce } = createOAuthState({ now });
+
+      expect(verifyOAuthState(state, nonce, now + 60)).toEqual({ valid: true });
+    });
+
+    test('should reject a state with another browser\'s nonce', () => {
+      const { state } = createOAuthState({ now });
+      const other = createOAuthState({ now });
+
+      expect(verifyOAuthState(state, other.nonce, now)).toEqual({ valid: false, reason: 'browser_mismatch' });
+      expect(verifyOAuthState(state, null, now)).toEqual({ valid: false, reason: 'browser_mismatch' });
+    });
+
+    test('should reject an expired state', () => {
+      const { state, nonce } = createOAuthState({ now });
+
+      expect(verifyOAuthState(state, nonce, now + OAUTH_STATE_TTL_SECONDS + 1))
+        .toEqual({ valid: false, reason: 'expired' });
+    });
+
+    test('should reject a tampered state', () => {
+      const { state, nonce } = createOAuthState({ now });
+      const [, signature] = state.split('.');
+      const payload = Buffer.from(JSON.stringify({ nonce, exp: now + 99999 })).toString('base64url');
+
+      expect(verifyOAuthState(`${payload}.${signature}`, nonce, now)).toEqual({ valid: false, reason: 'invalid' });
+    });
+
+    test('should reject a state signed with another secret', () => {
+      const { state, nonce } = createOAuthState({ now });
+      process.env.SLACK_CLIENT_SECRET = 'rotated-secret';
+
+      expect(verifyOAuthState(state, nonce, now)).toEqual({ valid: false, reason: 'invalid' });
+    });
+
+    test('should reject missing or malformed states', () => {
+      expect(verifyOAuthState(undefined, 'nonce', now).valid).toBe(false);
+      expect(verifyOAuthState('not-a-state', 'nonce', now).valid).toBe(false);
+    });
+  });
+
+  describe('getCookie', () => {
+    const requestWithCookie = header => ({ get: name => (name === 'Cookie' ? header : undefined) });
+
+    test('should read a cookie by name', () => {
+      expect(getCookie(requestWithCookie('a=1; slack_oauth_state=abc%2Ddef; b=2'), 'slack_oauth_state')).toBe('abc-def');
+    });
+
+    test('should return null when the cookie is missing', () => {
+      expect(getCookie(requestWithCookie('a=1'), 'slack_oauth_state')).toBeNull();
+      expect(getCookie(requestWithCookie(undefined), 'slack_oauth_state')).toBeNull();
+    });
+  });
+});
@@ -1,17 +1,38 @@
 const { 
   formatIssueText, 
+  createIssuePreviewBlocks,
   generateVotingButtons,
   createPokerSessionMessage,
-  formatPokerResults
+  formatPokerResults,
+  createStatisticsBlocks,
+  formatRoundHistory,
+  formatFinalEstimateConfirmation,
+  createNextIssueModal,
+  createQueueModal,
+  formatQueueSummary,
+  formatSessionList,
+  formatCancelledSession,
+  formatSessionHistory,
+  formatHelp,
+  formatExportLink,
+  formatDeckList
 } = require('../../../src/utils/responseFormatters');
+const { getBuiltInDeck } = require('../../../src/utils/decks');
 
 describe('Response Formatters', () => {
   describe('formatIssueText', () => {
     test('should format URLs with angle brackets', () => {
-      const url = 'https://github.com/jamigibbs/slack-planning-poker/issues/1';
+      const url = 'https://example.atlassian.net/browse/PLAT-1';
       expect(formatIssueText(url)).toBe(`<${url}>`);
     });
 
+    test('should label GitHub issue and pull request URLs', () => {
+      const issue = 'https://github.com/jamigibbs/slack-planning-poker/issues/1';
+      const pull = 'https://github.com/jamigibbs/slack-planning-poker/pull/42';
+      expect(formatIssueText(issue)).toBe(`<${issue}|jamigibbs/slack-planning-poker#1>`);
+      expect(formatIssueText(pull)).toBe(`<${pull}|jamigibbs/slack-planning-poker#42>`);
+    });
+
     test('should return plain text as is', () => {
       const text = 'Add new feature';
       expect(formatIssueText(text)).toBe(text);
@@ -29,6 +50,54 @@ describe('Response Formatters', () => {
       expect(buttons[0].type).toBe('button');
       expect(JSON.parse(buttons[0].value)).toEqual({ sessionId, vote: 1 });
     });
+
+    test('should generate buttons for the given deck', () => {
+      const buttons = generateVotingButtons('test-session', getBuiltInDeck('tshirt'));
+
+      expect(buttons.map(button => button.text)).toEqual(['XS', 'S', 'M', 'L', 'XL', 'XXL']);
+      expect(JSON.parse(buttons[2].value)).toEqual({ sessionId: 'test-session', vote: 'M' });
+    });
+  });
+
+  describe('createIssuePreviewBlocks', () => {
+    test('should show the linked title, description, status and assignee', () => {
+      const blocks = createIssuePreviewBlocks({
+        key: 'PLAT-7',
+        title: 'Fix <login>',
+        url: 'https://jira.example.com/browse/PLAT-7',
+        status: 'In Progress',
+        assignee: null,
+        description: 'Users & admins are logged out',
+        source: 'Jira'
+      });
+
+      expect(blocks).toEqual([
+        {
+          type: 'section',
+          block_id: 'issue_preview',
+          text: {
+            type: 'mrkdwn',
+            text: '*<https://jira.example.com/browse/PLAT-7|PLAT-7: Fix &lt;login&gt;>*\n>Users &amp; admins are logged out'
+          }
+        },
+        {
+          type: 'context',
+          block_id: 'issue_preview_details',
+          elements: [{ type: 'mrkdwn', text: 'Jira • Status: *In Progress* • Unassigned' }]
+        }
+      ]);
+    });
+
+    test('should leave out the assignee for web pages', () => {
+      const blocks = createIssuePreviewBlocks({ key: null, title: 'Login spec', url: 'https://docs.example.com/login', source: 'Docs' });
+
+      expect(blocks[0].text.text).toBe('*<https://docs.example.com/login|Login spec>*');
+      expect(blocks[1].elements[0].text).toBe('Docs');
+    });
+
+    test('should render nothing without a preview', () => {
+      expect(createIssuePreviewBlocks(null)).toEqual([]);
+    });
   });
 
   describe('createPokerSessionMessage', () => {
@@ -45,7 +114,7 @@ describe('Response Formatters', () => {
       expect(message.attachments).toHaveLength(1);
       expect(message.attachments[0].color).toBe('#118461');
       expect(message.attachments[0].blocks).toBeDefined();
-      expect(message.attachments[0].blocks).toHaveLength(5); // 5 blocks total
+      expect(message.attachments[0].blocks).toHaveLength(7); // 7 blocks total
       
       // Check first section block with intro text
       expect(message.attachments[0].blocks[0].type).toBe('section');
@@ -65,10 +134,97 @@ describe('Response Formatters', () => {
       expect(message.attachments[0].blocks[3].block_id).toBe('vote_actions');
       expect(message.attachments[0].blocks[3].elements).toHaveLength(5); // 5 voting buttons
       
+      // Check actions block with special cards
+      expect(message.attachments[0].blocks[4].type).toBe('actions');
+      expect(message.attachments[0].blocks[4].block_id).toBe('special_vote_actions');
+      expect(message.attachments[0].blocks[4].elements.map(button => button.action_id)).toEqual([
+        'vote_special_unsure',
+        'vote_special_coffee',
+        'vote_special_too_big'
+      ]);
+      
+      // Check actions block with the reveal button
+      expect(message.attachments[0].blocks[5].type).toBe('actions');
+      expect(message.attachments[0].blocks[5].block_id).toBe('session_actions');
+      expect(message.attachments[0].blocks[5].elements[0].action_id).toBe('session_reveal');
+      expect(JSON.parse(message.attachments[0].blocks[5].elements[0].value)).toEqual({ sessionId: 'test-session' });
+      
       // Check context block with session info
-      expect(message.attachments[0].blocks[4].type).toBe('context');
-      expect(message.attachments[0].blocks[4].elements[0].type).toBe('mrkdwn');
-      expect(message.attachments[0].blocks[4].elements[0].text).toContain('Session ID: test-session');
+      expect(message.attachments[0].blocks[6].type).toBe('context');
+      expect(message.attachments[0].blocks[6].elements[0].type).toBe('mrkdwn');
+      expect(message.attachments[0].blocks[6].elements[0].text).toContain('Session ID: test-session');
+    });
+
+    test('should render a button for each card in the deck', () => {
+      const message = createPokerSessionMessage('U123', 'Test issue', 'test-session', getBuiltInDeck('fibonacci'));
+      const actions = message.attachments[0].blocks[3];
+
+      expect(actions.elements).toHaveLength(8);
+      expect(actions.elements[7].action_id).toBe('vote_21');
+      expect(message.attachments[0].blocks[6].elements[0].text).toContain('Deck: fibonacci');
+    });
+
+    test('should show the round from the second round on', () => {
+      const message = createPokerSessionMessage('U123', 'Test issue', 'test-session', undefined, { round: 2 });
+      const blocks = message.attachments[0].blocks;
+
+      expect(blocks[0].text.text).toBe(':repeat: Round 2: how would you estimate this issue now?');
+      expect(blocks[blocks.length - 1].elements[0].text).toBe('Voting started by <@U123> • Round 2 • Deck: standard • Session ID: test-session');
+    });
+
+    test('should show vote progress when voters are provided', () => {
+      const voters = Array.from({ length: 10 }, (_, i) => ({
+        userId: `U${i}`,
+        name: `user${i}`,
+        avatarUrl: `https://avatars.example.com/${i}.png`
+      }));
+
+      const message = createPokerSessionMessage('U123', 'Test issue', 'test-session', undefined, { voters });
+      const progress = message.attachments[0].blocks.find(block => block.block_id === 'vote_progress');
+
+      expect(progress.type).toBe('context');
+      expect(progress.elements[0].text).toBe('*10 votes so far*');
+      expect(progress.elements.filter(element => element.type === 'image')).toHaveLength(8);
+      expect(progress.elements[progress.elements.length - 1].text).toBe('+2 more');
+    });
+
+    test('should say no votes yet for an empty voter list', () => {
+      const message = createPokerSessionMessage('U123', 'Test issue', 'test-session', undefined, { voters: [] });
+      const progress = message.attachments[0].blocks.find(block => block.block_id === 'vote_progress');
+
+      expect(progress.elements).toEqual([{ type: 'mrkdwn', text: 'No votes yet' }]);
+    });
+
+    test('should render a select menu for decks that do not fit in one actions block', () => {
+      const deck = { name: 'big', values: Array.from({ length: 30 }, (_, i) => i + 1) };
+      const message = createPokerSessionMessage('U123', 'Test issue', 'test-session', deck);
+      const actions = message.attachments[0].blocks[3];
+
+      expect(actions.elements).toHaveLength(1);
+      expect(actions.elements[0].type).toBe('static_select');
+      expect(actions.elements[0].action_id).toBe('vote_select');
+      expect(actions.elements[0].options).toHaveLength(30);
+      expect(JSON.parse(actions.elements[0].options[29].value)).toEqual({ sessionId: 'test-session', vote: 30 });
+    });
+
+    test('should show the issue preview above the voting buttons', () => {
+      const message = createPokerSessionMessage('U123', 'PLAT-7', 'sess-123', undefined, {
+        preview: { key: 'PLAT-7', title: 'Fix login', url: 'https://jira.example.com/browse/PLAT-7', source: 'Jira' }
+      });
+      const blockIds = message.attachments[0].blocks.map(block => block.block_id);
+
+      expect(blockIds.indexOf('issue_preview')).toBe(3);
+      expect(blockIds.indexOf('issue_preview_details')).toBe(4);
+      expect(blockIds.indexOf('vote_actions')).toBe(5);
+    });
+
+    test('should show the position of a queued issue', () => {
+      const message = createPokerSessionMessage('U123', 'PLAT-7', 'sess-123', undefined, {
+        queue: { id: 'queue-1', position: 4, size: 12 }
+      });
+
+      expect(message.attachments[0].blocks[0].text.text)
+        .toBe(':thinking_face: How would you estimate this issue? _(item 4 of 12)_');
     });
   });
 
@@ -115,11 +271,25 @@ describe('Response Formatters', () => {
       expect(mainText).toContain('• `3` - 2 votes');
       expect(mainText).toContain('• `5` - 1 vote');
       
+      // Check consensus badge and distribution chart
+      expect(blocks[3].type).toBe('section');
+      expect(blocks[3].text.text).toContain(':large_yellow_circle: *Near consensus*');
+      expect(blocks[3].text.text).toContain('3 ██████████ 2');
+      expect(blocks[3].text.text).toContain('5 █████░░░░░ 1');
+      
+      // Check statistics fields
+      expect(blocks[4].type).toBe('section');
+      expect(blocks[4].fields.map(field => field.text)).toEqual(expect.arrayContaining([
+        '*Suggested estimate:*\n3',
+        '*Average:*\n3.67'
+      ]));
+      
       // Check context footer
-      expect(blocks[3].type).toBe('context');
-      expect(blocks[3].elements[0].type).toBe('mrkdwn');
-      expect(blocks[3].elements[0].text).toContain('Votes revealed • Session ID: test-session-123');
-      expect(blocks[3].elements[0].text).toContain('Session ID: test-session-123');
+      const footer = blocks[blocks.length - 1];
+      expect(footer.type).toBe('context');
+      expect(footer.elements[0].type).toBe('mrkdwn');
+      expect(footer.elements[0].text).toContain('Votes revealed • Session ID: test-session-123');
+      expect(footer.elements[0].text).toContain('Session ID: test-session-123');
     });
     
     test('should include userId in footer when provided', () => {
@@ -135,10 +305,375 @@ describe('Response Formatters', () => {
       
       // Check that the footer includes the user mention
       const blocks = result.attachments[0].blocks;
-      expect(blocks[3].type).toBe('context');
-      expect(blocks[3].elements[0].type).toBe('mrkdwn');
-      expect(blocks[3].elements[0].text).toContain(`Votes revealed by <@${userId}>`);
-      expect(blocks[3].elements[0].text).toContain('Session ID: test-session-123');
+      const footer = blocks[blocks.length - 1];
+      expect(footer.type).toBe('context');
+      expect(footer.elements[0].type).toBe('mrkdwn');
+      expect(footer.elements[0].text).toContain(`Votes revealed by <@${userId}>`);
+      expect(footer.elements[0].text).toContain('Session ID: test-session-123');
+    });
+
+    test('should order the distribution by the deck order', () => {
+      const votes = [
+        { user_id: 'U1', username: 'user1', vote: 'XL' },
+        { user_id: 'U2', username: 'user2', vote: 'S' },
+        { user_id: 'U3', username: 'user3', vote: 'M' }
+      ];
+
+      const result = formatPokerResults(votes, 'Test issue', 'sess-1', null, { deck: getBuiltInDeck('tshirt') });
+      const mainText = result.attachments[0].blocks[2].text.text;
+
+      expect(mainText.indexOf('`S`')).toBeLessThan(mainText.indexOf('`M`'));
+      expect(mainText.indexOf('`M`')).toBeLessThan(mainText.indexOf('`XL`'));
+    });
+
+    test('should report special cards separately from the distribution', () => {
+      const votes = [
+        { user_id: 'U1', username: 'user1', vote: 3, special: null },
+        { user_id: 'U2', username: 'user2', vote: null, special: 'unsure' },
+        { user_id: 'U3', username: 'user3', vote: null, special: 'unsure' },
+        { user_id: 'U4', username: 'user4', vote: null, special: 'coffee' }
+      ];
+
+      const result = formatPokerResults(votes, 'Test issue', 'sess-1');
+      const blocks = result.attachments[0].blocks;
+
+      expect(blocks[2].text.text).toContain('*Total votes:* 4');
+      expect(blocks[2].text.text).toContain('• `3` - 1 vote (user1)');
+      expect(blocks[2].text.text).not.toContain('null');
+      expect(blocks[3].text.text).toContain(':white_check_mark: *Unanimous*');
+      expect(blocks[5].text.text).toContain('*Special cards:*');
+      expect(blocks[5].text.text).toContain(':question: 2 people need more info (user2, user3)');
+      expect(blocks[5].text.text).toContain(':coffee: 1 person needs a break (user4)');
+      expect(blocks[6].block_id).toBe('results_actions');
+      expect(blocks[7].type).toBe('context');
+    });
+
+    test('should offer re-vote, accept and next issue actions', () => {
+      const votes = [
+        { user_id: 'U1', username: 'user1', vote: 3 },
+        { user_id: 'U2', username: 'user2', vote: 5 }
+      ];
+
+      const blocks = formatPokerResults(votes, 'Test issue', 'sess-1').attachments[0].blocks;
+      const actions = blocks.find(block => block.block_id === 'results_actions');
+
+      expect(actions.elements.map(button => button.action_id)).toEqual([
+        'session_revote',
+        'session_accept',
+        'session_next_issue'
+      ]);
+      expect(actions.elements[1].text.text).toBe('Accept estimate (5)');
+      expect(JSON.parse(actions.elements[1].value)).toEqual({ sessionId: 'sess-1', estimate: 5 });
+    });
+
+    test('should leave out the accept action when there is no estimate', () => {
+      const votes = [{ user_id: 'U1', username: 'user1', vote: null, special: 'coffee' }];
+
+      const blocks = formatPokerResults(votes, 'Test issue', 'sess-1').attachments[0].blocks;
+      const actions = blocks.find(block => block.block_id === 'results_actions');
+
+      expect(actions.elements.map(button => button.action_id)).toEqual(['session_revote', 'session_next_issue']);
+    });
+
+    test('should show the outcome instead of the actions', () => {
+      const votes = [{ user_id: 'U1', username: 'user1', vote: 3 }];
+
+      const blocks = formatPokerResults(votes, 'Test issue', 'sess-1', 'U1', {
+        outcome: ':white_check_mark: <@U1> accepted an estimate of *3*.'
+      }).attachments[0].blocks;
+
+      expect(blocks.find(block => block.block_id === 'results_actions')).toBeUndefined();
+      expect(blocks.find(block => block.block_id === 'results_outcome').text.text).toContain('accepted an estimate of *3*');
+      expect(blocks[blocks.length - 1].type).toBe('context');
+    });
+
+    test('should hide the actions when asked to', () => {
+      const votes = [{ user_id: 'U1', username: 'user1', vote: 3 }];
+
+      const blocks = formatPokerResults(votes, 'Test issue', 'sess-1', 'U1', { actions: false }).attachments[0].blocks;
+
+      expect(blocks.some(block => block.type === 'actions')).toBe(false);
+    });
+
+    test('should handle sessions where only special cards were played', () => {
+      const votes = [{ user_id: 'U1', username: 'user1', vote: null, special: 'too_big' }];
+
+      const result = formatPokerResults(votes, 'Test issue', 'sess-1');
+      const blocks = result.attachments[0].blocks;
+
+      expect(blocks[2].text.text).toContain('No estimates were cast');
+      expect(blocks[3].text.text).toContain(':elephant: 1 person thinks this must be split (user1)');
+    });
+  });
+
+  describe('createStatisticsBlocks', () => {
+    test('should return no blocks without estimates', () => {
+      expect(createStatisticsBlocks([], getBuiltInDeck('standard'))).toEqual([]);
+    });
+
+    test('should flag wide disagreement and suggest the nearest card', () => {
+      const votes = [{ vote: 1 }, { vote: 8 }, { vote: 8 }];
+
+      const blocks = createStatisticsBlocks(votes, getBuiltInDeck('standard'));
+
+      expect(blocks[0].text.text).toContain(':warning: *Wide disagreement*');
+      expect(blocks[1].fields[0].text).toBe('*Suggested estimate:*\n5');
+      expect(blocks[1].fields[1].text).toBe('*Spread:*\n1 – 8');
+    });
+
+    test('should leave out average and standard deviation for non-numeric decks', () => {
+      const votes = [{ vote: 'M' }, { vote: 'L' }];
+
+      const blocks = createStatisticsBlocks(votes, getBuiltInDeck('tshirt'));
+      const fieldText = blocks[1].fields.map(field => field.text).join(' ');
+
+      expect(fieldText).toContain('*Suggested estimate:*\nL');
+      expect(fieldText).not.toContain('Average');
+      expect(fieldText).not.toContain('Std deviation');
+    });
+  });
+
+  describe('formatRoundHistory', () => {
+    const deck = getBuiltInDeck('standard');
+
+    test('should skip sessions with a single round', () => {
+      expect(formatRoundHistory([{ round: 1, votes: [{ vote: 3 }] }], deck)).toBeNull();
+      expect(formatRoundHistory(undefined, deck)).toBeNull();
+    });
+
+    test('should list each round\'s estimates in deck order with its consensus', () => {
+      const text = formatRoundHistory([
+        { round: 1, votes: [{ vote: 8 }, { vote: 2 }, { vote: null, special: 'coffee' }] },
+        { round: 2, votes: [{ vote: 3 }, { vote: 5 }] },
+        { round: 3, votes: [{ vote: null, special: 'unsure' }] }
+      ], deck);
+
+      expect(text).toBe([
+        '*How the votes converged:*',
+        '*Round 1:* `2` `8` — :warning: Wide disagreement',
+        '*Round 2:* `3` `5` — :large_yellow_circle: Near consensus',
+        '*Round 3:* _No estimates_'
+      ].join('\n'));
+    });
+  });
+
+  describe('formatFinalEstimateConfirmation', () => {
+    test('should announce the estimate and who set it in the channel', () => {
+      const message = formatFinalEstimateConfirmation('https://example.com/PROJ-1', 'XL', 'U123');
+
+      expect(message.response_type).toBe('in_channel');
+      expect(message.text).toBe(':white_check_mark: Final estimate for <https://example.com/PROJ-1>: *XL* (set by <@U123>)');
+      expect(message.blocks[0].text.text).toBe(message.text);
+    });
+  });
+
+  describe('createNextIssueModal', () => {
+    test('should ask for the next issue and remember where to start it', () => {
+      const view = createNextIssueModal('C123', 'sess-1');
+
+      expect(view.type).toBe('modal');
+      expect(view.callback_id).toBe('next_issue');
+      expect(JSON.parse(view.private_metadata)).toEqual({ channelId: 'C123', sessionId: 'sess-1' });
+      expect(view.blocks[0].block_id).toBe('next_issue_input');
+      expect(view.blocks[0].element.action_id).toBe('issue');
+    });
+  });
+
+  describe('createQueueModal', () => {
+    test('should ask for a list of issues and remember where to start them', () => {
+      const view = createQueueModal('C123', 'tshirt');
+
+      expect(view.callback_id).toBe('poker_queue');
+      expect(JSON.parse(view.private_metadata)).toEqual({ channelId: 'C123', deckName: 'tshirt' });
+      expect(view.blocks[0].block_id).toBe('queue_input');
+      expect(view.blocks[0].element).toEqual(expect.objectContaining({ action_id: 'issues', multiline: true }));
+    });
+  });
+
+  describe('formatQueueSummary', () => {
+    test('should list every issue with its outcome and total the estimates', () => {
+      const result = formatQueueSummary({
+        items: [
+          { issue: 'PROJ-1', final_estimate: 3 },
+          { issue: 'PROJ-2', final_estimate: null, skipped: true },
+          { issue: 'PROJ-3', final_estimate: 5 },
+          { issue: 'PROJ-4', final_estimate: null }
+        ]
+      });
+
+      expect(result.response_type).toBe('in_channel');
+      expect(result.text).toBe(':checkered_flag: Queue finished: 2 of 4 issues estimated.');
+      expect(result.blocks[1].text.text).toBe([
+        '1. PROJ-1 — *3*',
+        '2. PROJ-2 — _skipped_',
+        '3. PROJ-3 — *5*',
+        '4. PROJ-4 — _not estimated_'
+      ].join('\n'));
+      expect(result.blocks[2].elements[0].text).toBe('Total: *8*');
+    });
+
+    test('should split long queues into several sections', () => {
+      const items = Array.from({ length: 23 }, (_, index) => ({ issue: `PROJ-${index + 1}`, final_estimate: 1 }));
+      const result = formatQueueSummary({ items });
+      const sections = result.blocks.filter(block => block.type === 'section');
+
+      expect(sections).toHaveLength(4);
+      expect(sections[3].text.text).toBe('21. PROJ-21 — *1*\n22. PROJ-22 — *1*\n23. PROJ-23 — *1*');
+    });
+
+    test('should not total estimates that are not all numbers', () => {
+      const result = formatQueueSummary({
+        items: [
+          { issue: 'PROJ-1', final_estimate: 'M' },
+          { issue: 'PROJ-2', final_estimate: 3 }
+        ]
+      });
+
+      expect(result.blocks.some(block => block.type === 'context')).toBe(false);
+    });
+  });
+
+  describe('formatSessionList', () => {
+    test('should list sessions with their IDs and where they run', () => {
+      const result = formatSessionList([
+        { id: 'sess-2', issue: 'PROJ-2', status: 'revealed', thread_ts: '1700000000.000200' },
+        { id: 'sess-1', issue: 'PROJ-1', status: 'open', thread_ts: null }
+      ]);
+
+      expect(result.response_type).toBe('ephemeral');
+      expect(result.blocks[0].text.text).toBe([
+        '*Sessions in this channel:*',
+        '• `sess-2` PROJ-2 — revealed _(in a thread)_',
+        '• `sess-1` PROJ-1 — voting'
+      ].join('\n'));
+    });
+
+    test('should say when no sessions are running', () => {
+      expect(formatSessionList([]).text).toContain('No planning poker sessions are running in this channel.');
+    });
+  });
+
+  describe('formatCancelledSession', () => {
+    test('should say who cancelled the session', () => {
+      const result = formatCancelledSession({ id: 'sess-1', issue: 'PROJ-1' }, 'U123');
+      const { blocks } = result.attachments[0];
+
+      expect(blocks[0].text.text).toBe(':no_entry_sign: Voting on PROJ-1 was cancelled by <@U123>.');
+      expect(blocks[1].elements[0].text).toBe('Session ID: sess-1');
+    });
+  });
+
+  describe('formatSessionHistory', () => {
+    const revealed = {
+      id: 'sess-1',
+      issue: 'PROJ-1',
+      final_estimate: '5',
+      created_at: '2024-03-01T10:00:00.000Z',
+      result_snapshot: {
+        round: 1,
+        votes: [{ vote: 5 }, { vote: 5 }, { vote: 5 }],
+        statistics: { consensus: { level: 'unanimous', label: 'Unanimous', emoji: ':white_check_mark:' } }
+      }
+    };
+
+    test('should describe each session with its votes, consensus and final estimate', () => {
+      const result = formatSessionHistory([
+        { id: 'sess-2', issue: 'PROJ-2', final_estimate: null, created_at: '2024-03-02T10:00:00.000Z', result_snapshot: null },
+        revealed
+      ]);
+
+      expect(result.response_type).toBe('ephemeral');
+      expect(result.blocks[0].text.text).toBe('*Past sessions in this channel:* _(1–2)_');
+      expect(result.blocks[1].text.text).toBe('PROJ-2\n2024-03-02 • _votes not revealed_ • _no final estimate_');
+      expect(result.blocks[1].accessory).toBeUndefined();
+      expect(result.blocks[2].text.text).toBe('PROJ-1\n2024-03-01 • 3 votes • :white_check_mark: Unanimous • Final estimate: *5*');
+      expect(result.blocks[2].accessory.action_id).toBe('history_details');
+      expect(JSON.parse(result.blocks[2].accessory.value)).toEqual({ sessionId: 'sess-1' });
+    });
+
+    test('should offer newer and older pages with the same search', () => {
+      const result = formatSessionHistory([revealed], { query: 'PROJ', limit: 1, offset: 1, hasMore: true });
+      const pages = result.blocks.find(block => block.block_id === 'history_pages').elements;
+
+      expect(result.blocks[0].text.text).toBe('*Sessions matching "PROJ":* _(2)_');
+      expect(pages.map(button => button.text.text)).toEqual(['Newer', 'Older']);
+      expect(JSON.parse(pages[0].value)).toEqual({ query: 'PROJ', limit: 1, offset: 0 });
+      expect(JSON.parse(pages[1].value)).toEqual({ query: 'PROJ', limit: 1, offset: 2 });
+    });
+
+    test('should leave out the page buttons when everything fits on one page', () => {
+      const result = formatSessionHistory([revealed]);
+
+      expect(result.blocks.find(block => block.type === 'actions')).toBeUndefined();
+    });
+
+    test('should say when the channel has no sessions', () => {
+      expect(formatSessionHistory([]).text).toBe('No planning poker sessions have been run in this channel yet.');
+      expect(formatSessionHistory([], { query: 'login' }).text).toBe('No planning poker sessions in this channel match "login".');
+    });
+  });
+
+  describe('formatHelp', () => {
+    test('should list every command', () => {
+      const result = formatHelp();
+
+      expect(result.response_type).toBe('ephemeral');
+      expect(result.blocks[0].text.text).toContain('*Planning poker commands:*');
+      expect(result.blocks[0].text.text).toContain('`/poker reveal` — Reveal the votes');
+      expect(result.blocks[1].elements[0].text).toContain('`/poker help [command]`');
+    });
+
+    test('should show the usage and an example for one command', () => {
+      const result = formatHelp('cancel');
+
+      expect(result.blocks[0].text.text).toContain('`/poker cancel [session ID]`');
+      expect(result.blocks[1].elements[0].text).toContain('Example:');
+    });
+
+    test('should put a usage error above the help', () => {
+      const result = formatHelp('start', 'Please provide an issue description or link.');
+
+      expect(result.text).toBe('Please provide an issue description or link.');
+      expect(result.blocks[0].text.text).toBe(':warning: Please provide an issue description or link.');
+      expect(result.blocks[1].text.text).toContain('`/poker [issue]');
+    });
+  });
+
+  describe('formatExportLink', () => {
+    test('should link to the download with the date range', () => {
+      const result = formatExportLink('https://app.example.com/export?token=abc', {
+        format: 'csv',
+        from: '2024-03-01',
+        to: '2024-03-31',
+        expiresAt: '2024-04-01T10:15:00.000Z'
+      });
+
+      expect(result.response_type).toBe('ephemeral');
+      expect(result.blocks[0].text.text).toBe(
+        ':inbox_tray: Your export of this channel\'s sessions from 2024-03-01 to 2024-03-31 is ready: <https://app.example.com/export?token=abc|Download CSV>'
+      );
+      expect(result.blocks[1].elements[0].text).toContain('10:15 UTC');
+    });
+
+    test('should describe open-ended ranges', () => {
+      const since = formatExportLink('https://x', { format: 'json', from: '2024-03-01', expiresAt: '2024-04-01T10:15:00.000Z' });
+      const all = formatExportLink('https://x', { format: 'json', expiresAt: '2024-04-01T10:15:00.000Z' });
+
+      expect(since.blocks[0].text.text).toContain('sessions since 2024-03-01 is ready');
+      expect(all.blocks[0].text.text).toContain('sessions is ready');
+    });
+  });
+
+  describe('formatDeckList', () => {
+    test('should list decks and mark the channel default', () => {
+      const result = formatDeckList([
+        getBuiltInDeck('standard'),
+        { name: 'hours', values: [1, 2, 4], builtIn: false }
+      ], 'hours');
+
+      expect(result.response_type).toBe('ephemeral');
+      expect(result.blocks[0].text.text).toContain('• *standard* (built-in): 1, 2, 3, 5, 8');
+      expect(result.blocks[0].text.text).toContain('• *hours* (custom) _(channel default)_: 1, 2, 4');
     });
   });
 });
@@ -0,0 +1,86 @@
+const {
+  SESSION_STATUS,
+  getSessionStatus,
+  canTransition,
+  getSessionRound,
+  groupVotesByRound,
+  getQueueProgress
+} = require('../../../src/utils/sessionStatus');
+
+describe('Session Status', () => {
+  describe('getSessionStatus', () => {
+    test('should return the stored status', () => {
+      expect(getSessionStatus({ status: 'revealed' })).toBe(SESSION_STATUS.REVEALED);
+    });
+
+    test('should treat sessions without a status as open', () => {
+      expect(getSessionStatus({ id: 'sess-123' })).toBe(SESSION_STATUS.OPEN);
+      expect(getSessionStatus(null)).toBe(SESSION_STATUS.OPEN);
+    });
+  });
+
+  describe('canTransition', () => {
+    test('should allow revealing and closing an open session', () => {
+      expect(canTransition('open', 'revealed')).toBe(true);
+      expect(canTransition('open', 'closed')).toBe(true);
+    });
+
+    test('should allow reopening and closing a revealed session', () => {
+      expect(canTransition('revealed', 'open')).toBe(true);
+      expect(canTransition('revealed', 'closed')).toBe(true);
+    });
+
+    test('should not allow leaving a closed session', () => {
+      expect(canTransition('closed', 'open')).toBe(false);
+      expect(canTransition('closed', 'revealed')).toBe(false);
+    });
+
+    test('should reject unknown statuses', () => {
+      expect(canTransition('archived', 'open')).toBe(false);
+      expect(canTransition('open', 'open')).toBe(false);
+    });
+  });
+
+  describe('getSessionRound', () => {
+    test('should return the stored round', () => {
+      expect(getSessionRound({ round: 3 })).toBe(3);
+    });
+
+    test('should treat sessions without a round as the first round', () => {
+      expect(getSessionRound({ id: 'sess-123' })).toBe(1);
+      expect(getSessionRound(null)).toBe(1);
+    });
+  });
+
+  describe('groupVotesByRound', () => {
+    test('should split votes into ordered rounds', () => {
+      const votes = [
+        { user_id: 'U1', vote: 5, round: 2 },
+        { user_id: 'U1', vote: 3, round: 1 },
+        { user_id: 'U2', vote: 8 }
+      ];
+
+      expect(groupVotesByRound(votes)).toEqual([
+        { round: 1, votes: [{ user_id: 'U1', vote: 3, round: 1 }, { user_id: 'U2', vote: 8 }] },
+        { round: 2, votes: [{ user_id: 'U1', vote: 5, round: 2 }] }
+      ]);
+    });
+
+    test('should return no rounds without votes', () => {
+      expect(groupVotesByRound([])).toEqual([]);
+      expect(groupVotesByRound(null)).toEqual([]);
+    });
+  });
+
+  describe('getQueueProgress', () => {
+    test('should return the position of a queued session', () => {
+      expect(getQueueProgress({ queue_id: 'queue-1', queue_position: 4, queue_size: 12 }))
+        .toEqual({ id: 'queue-1', position: 4, size: 12 });
+    });
+
+    test('should return null for sessions outside a queue', () => {
+      expect(getQueueProgress({ id: 'sess-123', queue_id: null })).toBeNull();
+      expect(getQueueProgress(null)).toBeNull();
+    });
+  });
+});
@@ -2,7 +2,15 @@ const axios = require('axios');
 const { 
   getRandomEmoji, 
   sendDelayedResponse,
-  addReaction
+  addReaction,
+  postMessage,
+  updateMessage,
+  openView,
+  getUserAvatar,
+  isWorkspaceAdmin,
+  userAvatarCache,
+  AVATAR_CACHE_TTL_MS,
+  AVATAR_CACHE_MAX_ENTRIES
 } = require('../../../src/utils/slackUtils');
 const validEmojis = require('../../../src/utils/emojiList.json');
 
@@ -186,4 +194,175 @@ describe('Slack Utilities', () => {
       expect(result).toBe(false);
     });
   });
+
+  describe('postMessage', () => {
+    test('should post the message without response_url fields', async () => {
+      axios.post.mockResolvedValue({ data: { ok: true, channel: 'C123', ts: '1700000000.000100' } });
+      
+      const result = await postMessage('C123', { response_type: 'in_channel', text: 'Hello' }, 'test-bot-token');
+      
+      expect(axios.post).toHaveBeenCalledWith(
+        'https://slack.com/api/chat.postMessage',
+        { channel: 'C123', text: 'Hello' },
+        expect.objectContaining({
+          headers: expect.objectContaining({ 'Authorization': 'Bearer test-bot-token' })
+        })
+      );
+      expect(result).toEqual({ success: true, channel: 'C123', ts: '1700000000.000100' });
+    });
+
+    test('should return the Slack error when posting fails', async () => {
+      axios.post.mockResolvedValue({ data: { ok: false, error: 'not_in_channel' } });
+      
+      const result = await postMessage('C123', { text: 'Hello' }, 'test-bot-token');
+      
+      expect(result).toEqual({ success: false, error: 'not_in_channel' });
+    });
+
+    test('should handle exceptions', async () => {
+      axios.post.mockRejectedValue(new Error('Network error'));
+      
+      const result = await postMessage('C123', { text: 'Hello' });
+      
+      expect(result.success).toBe(false);
+    });
+  });
+
+  describe('updateMessage', () => {
+    test('should update the message with chat.update', async () => {
+      axios.post.mockResolvedValue({ data: { ok: true } });
+      
+      const result = await updateMessage('C123', '1700000000.000100', { text: 'Updated' }, 'test-bot-token');
+      
+      expect(axios.post).toHaveBeenCalledWith(
+        'https://slack.com/api/chat.update',
+        { channel: 'C123', ts: '1700000000.000100', text: 'Updated' },
+        expect.any(Object)
+      );
+      expect(result.success).toBe(true);
+    });
+
+    test('should skip the update without a message timestamp', async () => {
+      const result = await updateMessage('C123', null, { text: 'Updated' });
+      
+      expect(axios.post).not.toHaveBeenCalled();
+      expect(result.success).toBe(false);
+    });
+  });
+
+  describe('openView', () => {
+    test('should open the modal with views.open', async () => {
+      axios.post.mockResolvedValue({ data: { ok: true } });
+      const view = { type: 'modal', callback_id: 'next_issue' };
+      
+      const result = await openView('trigger-123', view, 'test-bot-token');
+      
+      expect(axios.post).toHaveBeenCalledWith(
+        'https://slack.com/api/views.open',
+        { trigger_id: 'trigger-123', view },
+        expect.any(Object)
+      );
+      expect(result.success).toBe(true);
+    });
+
+    test('should report Slack API errors', async () => {
+      axios.post.mockResolvedValue({ data: { ok: false, error: 'expired_trigger_id' } });
+      
+      const result = await openView('trigger-123', { type: 'modal' });
+      
+      expect(result).toEqual({ success: false, error: 'expired_trigger_id' });
+    });
+  });
+
+  describe('getUserAvatar', () => {
+    beforeEach(() => {
+      userAvatarCache.clear();
+    });
+
+    /**
+     * Make users.info answer with the given avatar URL
+     * @param {string} avatarUrl - The avatar URL
+     */
+    function mockAvatar(avatarUrl) {
+      axios.get.mockResolvedValue({ data: { ok: true, user: { profile: { image_48: avatarUrl } } } });
+    }
+
+    test('should look up and cache the avatar URL', async () => {
+      axios.get.mockResolvedValue({
+        data: { ok: true, user: { profile: { image_48: 'https://avatars.example.com/u1.png' } } }
+      });
+      
+      expect(await getUserAvatar('T1', 'U1', 'test-bot-token')).toBe('https://avatars.example.com/u1.png');
+      expect(await getUserAvatar('T1', 'U1', 'test-bot-token')).toBe('https://avatars.example.com/u1.png');
+      expect(axios.get).toHaveBeenCalledTimes(1);
+      expect(axios.get).toHaveBeenCalledWith('https://slack.com/api/users.info', {
+        params: { user: 'U1' },
+        headers: { 'Authorization': 'Bearer test-bot-token' }
+      });
+    });
+
+    test('should return null when the lookup fails', async () => {
+      axios.get.mockResolvedValue({ data: { ok: false, error: 'missing_scope' } });
+      
+      expect(await getUserAvatar('T1', 'U2')).toBeNull();
+    });
+
+    test('should cache avatars per workspace', async () => {
+      mockAvatar('https://avatars.example.com/t1.png');
+      await getUserAvatar('T1', 'U1', 'token-1');
+      mockAvatar('https://avatars.example.com/t2.png');
+
+      expect(await getUserAvatar('T2', 'U1', 'token-2')).toBe('https://avatars.example.com/t2.png');
+      expect(axios.get).toHaveBeenCalledTimes(2);
+    });
+
+    test('should look the avatar up again once it expires', async () => {
+      const now = Date.now();
+      jest.spyOn(Date, 'now').mockReturnValue(now);
+      mockAvatar('https://avatars.example.com/old.png');
+      await getUserAvatar('T1', 'U1');
+
+      Date.now.mockReturnValue(now + AVATAR_CACHE_TTL_MS);
+      mockAvatar('https://avatars.example.com/new.png');
+
+      expect(await getUserAvatar('T1', 'U1')).toBe('https://avatars.example.com/new.png');
+      expect(userAvatarCache.size).toBe(1);
+    });
+
+    test('should drop the oldest avatar once the cache is full', async () => {
+      mockAvatar('https://avatars.example.com/u.png');
+
+      for (let index = 0; index <= AVATAR_CACHE_MAX_ENTRIES; index++) {
+        await getUserAvatar('T1', `U${index}`);
+      }
+
+      expect(userAvatarCache.size).toBe(AVATAR_CACHE_MAX_ENTRIES);
+      expect(userAvatarCache.has('T1:U0')).toBe(false);
+      expect(userAvatarCache.has(`T1:U${AVATAR_CACHE_MAX_ENTRIES}`)).toBe(true);
+    });
+  });
+
+  describe('isWorkspaceAdmin', () => {
+    test('should accept admins and owners', async () => {
+      axios.get.mockResolvedValueOnce({ data: { ok: true, user: { is_admin: true } } });
+      axios.get.mockResolvedValueOnce({ data: { ok: true, user: { is_admin: false, is_owner: true } } });
+      
+      expect(await isWorkspaceAdmin('U1', 'test-bot-token')).toBe(true);
+      expect(await isWorkspaceAdmin('U2', 'test-bot-token')).toBe(true);
+      expect(axios.get).toHaveBeenCalledWith('https://slack.com/api/users.info', {
+        params: { user: 'U1' },
+        headers: { 'Authorization': 'Bearer test-bot-token' }
+      });
+    });
+
+    test('should refuse members and users that can\'t be looked up', async () => {
+      axios.get.mockResolvedValueOnce({ data: { ok: true, user: { is_admin: false, is_owner: false } } });
+      axios.get.mockResolvedValueOnce({ data: { ok: false, error: 'user_not_found' } });
+      axios.get.mockRejectedValueOnce(new Error('timeout'));
+      
+      expect(await isWorkspaceAdmin('U1')).toBe(false);
+      expect(await isWorkspaceAdmin('U2')).toBe(false);
+      expect(await isWorkspaceAdmin('U3')).toBe(false);
+    });
+  });
 });
@@ -0,0 +1,138 @@
+const {
+  CONSENSUS_LEVELS,
+  mean,
+  median,
+  standardDeviation,
+  modes,
+  snapToDeck,
+  getConsensus,
+  calculateVoteStatistics,
+  formatDistributionChart
+} = require('../../../src/utils/statistics');
+const { getBuiltInDeck } = require('../../../src/utils/decks');
+
+describe('Statistics', () => {
+  describe('basic calculations', () => {
+    test('should calculate the mean', () => {
+      expect(mean([1, 2, 3, 6])).toBe(3);
+    });
+
+    test('should calculate the median for odd and even lists', () => {
+      expect(median([5, 1, 3])).toBe(3);
+      expect(median([8, 1, 3, 5])).toBe(4);
+    });
+
+    test('should calculate the population standard deviation', () => {
+      expect(standardDeviation([2, 4, 4, 4, 5, 5, 7, 9])).toBe(2);
+    });
+
+    test('should return every most common value', () => {
+      expect(modes([3, 5, 3, 5, 8])).toEqual([3, 5]);
+      expect(modes(['M', 'M', 'L'])).toEqual(['M']);
+    });
+  });
+
+  describe('snapToDeck', () => {
+    test('should snap to the nearest numeric card', () => {
+      expect(snapToDeck(4.2, [1, 2, 3, 5, 8])).toBe(5);
+      expect(snapToDeck(6, [1, 2, 3, 5, 8])).toBe(5);
+    });
+
+    test('should break ties towards the larger card', () => {
+      expect(snapToDeck(4, [1, 2, 3, 5, 8])).toBe(5);
+    });
+
+    test('should snap by position for non-numeric decks', () => {
+      expect(snapToDeck(2.4, ['XS', 'S', 'M', 'L'], true)).toBe('M');
+    });
+
+    test('should return null for an empty deck', () => {
+      expect(snapToDeck(3, [])).toBeNull();
+    });
+  });
+
+  describe('getConsensus', () => {
+    test('should map deck distance to a consensus level', () => {
+      expect(getConsensus(0)).toBe(CONSENSUS_LEVELS.unanimous);
+      expect(getConsensus(1)).toBe(CONSENSUS_LEVELS.near);
+      expect(getConsensus(3)).toBe(CONSENSUS_LEVELS.wide);
+    });
+  });
+
+  describe('calculateVoteStatistics', () => {
+    test('should return null without votes', () => {
+      expect(calculateVoteStatistics([], getBuiltInDeck('standard'))).toBeNull();
+    });
+
+    test('should calculate statistics for a numeric deck', () => {
+      const votes = [{ vote: 3 }, { vote: 5 }, { vote: 5 }, { vote: 8 }];
+
+      const stats = calculateVoteStatistics(votes, getBuiltInDeck('fibonacci'));
+
+      expect(stats).toEqual(expect.objectContaining({
+        count: 4,
+        numeric: true,
+        average: 5.25,
+        median: 5,
+        mode: [5],
+        min: 3,
+        max: 8,
+        stdDev: 1.79,
+        suggested: 5
+      }));
+      expect(stats.consensus).toBe(CONSENSUS_LEVELS.wide);
+    });
+
+    test('should treat adjacent cards as near consensus', () => {
+      const stats = calculateVoteStatistics([{ vote: 5 }, { vote: 8 }], getBuiltInDeck('standard'));
+
+      expect(stats.consensus).toBe(CONSENSUS_LEVELS.near);
+    });
+
+    test('should handle numeric votes stored as strings', () => {
+      const stats = calculateVoteStatistics([{ vote: '2' }, { vote: '2' }], getBuiltInDeck('standard'));
+
+      expect(stats.average).toBe(2);
+      expect(stats.consensus).toBe(CONSENSUS_LEVELS.unanimous);
+    });
+
+    test('should use deck positions for non-numeric decks', () => {
+      const votes = [{ vote: 'S' }, { vote: 'M' }, { vote: 'XL' }];
+
+      const stats = calculateVoteStatistics(votes, getBuiltInDeck('tshirt'));
+
+      expect(stats.numeric).toBe(false);
+      expect(stats.average).toBeNull();
+      expect(stats.stdDev).toBeNull();
+      expect(stats.median).toBe('M');
+      expect(stats.min).toBe('S');
+      expect(stats.max).toBe('XL');
+      expect(stats.suggested).toBe('M');
+      expect(stats.consensus).toBe(CONSENSUS_LEVELS.wide);
+    });
+  });
+
+  describe('formatDistributionChart', () => {
+    test('should draw a bar per card including gaps between votes', () => {
+      const votes = [{ vote: 2 }, { vote: 2 }, { vote: 5 }];
+
+      const chart = formatDistributionChart(votes, getBuiltInDeck('standard'));
+
+      expect(chart.split('\n')).toEqual([
+        '2 ██████████ 2',
+        '3 ░░░░░░░░░░ 0',
+        '5 █████░░░░░ 1'
+      ]);
+    });
+
+    test('should pad labels to the same width', () => {
+      const chart = formatDistributionChart([{ vote: 'S' }, { vote: 'XL' }], getBuiltInDeck('tshirt'));
+
+      expect(chart.split('\n')[0]).toBe('S  ██████████ 1');
+    });
+
+    test('should return an empty string without votes', () => {
+      expect(formatDistributionChart([], getBuiltInDeck('standard'))).toBe('');
+    });
+  });
+});
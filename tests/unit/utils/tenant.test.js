@@ -0,0 +1,105 @@
+const {
+  getCommandTenant,
+  getPayloadTenant,
+  getRowTenant,
+  isValidTenant,
+  getTenantColumns,
+  scopeToTenant,
+  belongsToTenant,
+  getTenantKey
+} = require('../../../src/utils/tenant');
+
+describe('Tenant', () => {
+  describe('getCommandTenant', () => {
+    test('should read the team and enterprise of a slash command', () => {
+      expect(getCommandTenant({ team_id: 'T123', enterprise_id: 'E123' })).toEqual({ teamId: 'T123', enterpriseId: 'E123' });
+      expect(getCommandTenant({ team_id: 'T123' })).toEqual({ teamId: 'T123', enterpriseId: null });
+    });
+  });
+
+  describe('getPayloadTenant', () => {
+    test('should read the team and enterprise of an interaction', () => {
+      expect(getPayloadTenant({ team: { id: 'T123' }, enterprise: { id: 'E123' } })).toEqual({ teamId: 'T123', enterpriseId: 'E123' });
+    });
+
+    test('should fall back to the user\'s team', () => {
+      expect(getPayloadTenant({ team: null, user: { id: 'U123', team_id: 'T123' } })).toEqual({ teamId: 'T123', enterpriseId: null });
+    });
+
+    test('should return an empty tenant when the payload names no team', () => {
+      expect(isValidTenant(getPayloadTenant({ user: { id: 'U123' } }))).toBe(false);
+    });
+  });
+
+  describe('getRowTenant', () => {
+    test('should read the tenant columns of a row', () => {
+      expect(getRowTenant({ id: 'sess-1', team_id: 'T123', enterprise_id: null })).toEqual({ teamId: 'T123', enterpriseId: null });
+    });
+  });
+
+  describe('getTenantColumns', () => {
+    test('should return the columns to store with a new row', () => {
+      expect(getTenantColumns({ teamId: 'T123', enterpriseId: 'E123' })).toEqual({ team_id: 'T123', enterprise_id: 'E123' });
+    });
+
+    test('should refuse rows without a tenant', () => {
+      expect(() => getTenantColumns({ teamId: null, enterpriseId: null })).toThrow('team ID');
+    });
+  });
+
+  describe('scopeToTenant', () => {
+    const query = { eq: jest.fn() };
+
+    beforeEach(() => {
+      query.eq.mockReturnValue(query);
+    });
+
+    test('should filter by team', () => {
+      expect(scopeToTenant(query, { teamId: 'T123', enterpriseId: null })).toBe(query);
+      expect(query.eq).toHaveBeenCalledWith('team_id', 'T123');
+    });
+
+    test('should still filter by team on Enterprise Grid', () => {
+      scopeToTenant(query, { teamId: 'T123', enterpriseId: 'E123' });
+
+      expect(query.eq).toHaveBeenCalledWith('team_id', 'T123');
+      expect(query.eq).not.toHaveBeenCalledWith('enterprise_id', 'E123');
+    });
+
+    test('should refuse an enterprise without a team', () => {
+      expect(() => scopeToTenant(query, { teamId: null, enterpriseId: 'E123' })).toThrow('team ID');
+    });
+
+    test('should refuse to run a query without a tenant', () => {
+      expect(() => scopeToTenant(query, null)).toThrow('team ID');
+      expect(query.eq).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('belongsToTenant', () => {
+    test('should match rows by team', () => {
+      const tenant = { teamId: 'T123', enterpriseId: null };
+
+      expect(belongsToTenant({ team_id: 'T123', enterprise_id: null }, tenant)).toBe(true);
+      expect(belongsToTenant({ team_id: 'T456', enterprise_id: null }, tenant)).toBe(false);
+    });
+
+    test('should not match another workspace in the same Enterprise Grid organization', () => {
+      const tenant = { teamId: 'T123', enterpriseId: 'E123' };
+
+      expect(belongsToTenant({ team_id: 'T123', enterprise_id: 'E123' }, tenant)).toBe(true);
+      expect(belongsToTenant({ team_id: 'T456', enterprise_id: 'E123' }, tenant)).toBe(false);
+    });
+
+    test('should refuse to match without a tenant', () => {
+      expect(() => belongsToTenant({ team_id: null, enterprise_id: null }, null)).toThrow('team ID');
+    });
+  });
+
+  describe('getTenantKey', () => {
+    test('should key tenants by team', () => {
+      expect(getTenantKey({ teamId: 'T123', enterpriseId: null })).toBe('T:T123');
+      expect(getTenantKey({ teamId: 'T456', enterpriseId: 'E123' })).toBe('T:T456');
+    });
+  });
+});
@@ -0,0 +1,121 @@
+const {
+  getCurrentKeyId,
+  isEncryptedToken,
+  encryptToken,
+  decryptToken,
+  needsReencryption
+} = require('../../../src/utils/tokenEncryption');
+
+const key = fill => Buffer.alloc(32, fill).toString('base64');
+
+describe('Token encryption', () => {
+  beforeEach(() => {
+    process.env.TOKEN_ENCRYPTION_KEYS = `2024-06:${key(1)},2023-01:${key(2)}`;
+    delete process.env.TOKEN_ENCRYPTION_KEY_ID;
+  });
+
+  afterAll(() => {
+    delete process.env.TOKEN_ENCRYPTION_KEYS;
+    delete process.env.TOKEN_ENCRYPTION_KEY_ID;
+  });
+
+  describe('getCurrentKeyId', () => {
+    test('should default to the first configured key', () => {
+      expect(getCurrentKeyId()).toBe('2024-06');
+    });
+
+    test('should use TOKEN_ENCRYPTION_KEY_ID when set', () => {
+      process.env.TOKEN_ENCRYPTION_KEY_ID = '2023-01';
+
+      expect(getCurrentKeyId()).toBe('2023-01');
+    });
+
+    test('should reject a key ID that is not configured', () => {
+      process.env.TOKEN_ENCRYPTION_KEY_ID = 'missing';
+
+      expect(() => getCurrentKeyId()).toThrow('not in TOKEN_ENCRYPTION_KEYS');
+    });
+
+    test('should reject keys of the wrong length', () => {
+      process.env.TOKEN_ENCRYPTION_KEYS = `short:${Buffer.alloc(16).toString('base64')}`;
+
+      expect(() => getCurrentKeyId()).toThrow('Invalid TOKEN_ENCRYPTION_KEYS entry "short"');
+    });
+
+    test('should return null when encryption is not configured', () => {
+      delete process.env.TOKEN_ENCRYPTION_KEYS;
+
+      expect(getCurrentKeyId()).toBeNull();
+    });
+  });
+
+  describe('encryptToken and decryptToken', () => {
+    test('should round-trip a token with the current key', () => {
+      const { value, keyId } = encryptToken('xoxb-secret', 'T1');
+
+      expect(keyId).toBe('2024-06');
+      expect(isEncryptedToken(value)).toBe(true);
+      expect(value).not.toContain('xoxb-secret');
+      expect(decryptToken(value, keyId, 'T1')).toBe('xoxb-secret');
+    });
+
+    test('should use a fresh data key for every token', () => {
+      expect(encryptToken('xoxb-secret', 'T1').value).not.toBe(encryptToken('xoxb-secret', 'T1').value);
+    });
+
+    test('should decrypt tokens encrypted with an older key', () => {
+      process.env.TOKEN_ENCRYPTION_KEY_ID = '2023-01';
+      const { value, keyId } = encryptToken('xoxb-secret', 'T1');
+      delete process.env.TOKEN_ENCRYPTION_KEY_ID;
+
+      expect(decryptToken(value, keyId, 'T1')).toBe('xoxb-secret');
+    });
+
+    test('should refuse a token copied to another team', () => {
+      const { value, keyId } = encryptToken('xoxb-secret', 'T1');
+
+      expect(() => decryptToken(value, keyId, 'T2')).toThrow();
+    });
+
+    test('should refuse a token whose key has been removed', () => {
+      const { value, keyId } = encryptToken('xoxb-secret', 'T1');
+      process.env.TOKEN_ENCRYPTION_KEYS = `2025-01:${key(3)}`;
+
+      expect(() => decryptToken(value, keyId, 'T1')).toThrow('"2024-06" is not configured');
+    });
+
+    test('should pass plaintext tokens through', () => {
+      expect(decryptToken('xoxb-plain', null, 'T1')).toBe('xoxb-plain');
+    });
+
+    test('should store tokens as they are when encryption is not configured', () => {
+      delete process.env.TOKEN_ENCRYPTION_KEYS;
+
+      expect(encryptToken('xoxb-secret', 'T1')).toEqual({ value: 'xoxb-secret', keyId: null });
+    });
+  });
+
+  describe('needsReencryption', () => {
+    test('should flag plaintext tokens and tokens under an older key', () => {
+      expect(needsReencryption('xoxb-plain', null)).toBe(true);
+
+      process.env.TOKEN_ENCRYPTION_KEY_ID = '2023-01';
+      const old = encryptToken('xoxb-secret', 'T1');
+      delete process.env.TOKEN_ENCRYPTION_KEY_ID;
+
+      expect(needsReencryption(old.value, old.keyId)).toBe(true);
+    });
+
+    test('should not flag tokens under the current key', () => {
+      const current = encryptToken('xoxb-secret', 'T1');
+
+      expect(needsReencryption(current.value, current.keyId)).toBe(false);
+    });
+
+    test('should not flag anything when encryption is not configured', () => {
+      delete process.env.TOKEN_ENCRYPTION_KEYS;
+
+      expect(needsReencryption('xoxb-plain', null)).toBe(false);
+    });
+  });
+});